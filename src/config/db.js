@@ -120,14 +120,49 @@ async function crearIndices() {
         // { email: 1 } significa orden ascendente, { unique: true } garantiza que no haya emails duplicados
         await db.collection("usuarios").createIndex({ email: 1 }, { unique: true });
         
-        // Índice único para nombre en restaurantes
-        // Garantiza que no haya dos restaurantes con el mismo nombre en la base de datos
-        await db.collection("restaurantes").createIndex({ nombre: 1 }, { unique: true });
+        // Índice para nombre en restaurantes (no único)
+        // Las sucursales de una misma cadena comparten el nombre de la marca en direcciones distintas;
+        // el resto de la regla (sucursal contra restaurante independiente, misma dirección) la verifica el modelo
+        // Las bases creadas antes de existir las cadenas tienen un índice único con el mismo nombre: se reemplaza
+        const indicesRestaurantes = await db.collection("restaurantes").indexes().catch(() => []);
+        if (indicesRestaurantes.some((indice) => indice.name === "nombre_1" && indice.unique)) {
+            await db.collection("restaurantes").dropIndex("nombre_1");
+        }
+        await db.collection("restaurantes").createIndex({ nombre: 1 });
+        // Índice único parcial: entre restaurantes independientes (sin cadena) el nombre no se repite
+        // Evita que dos altas simultáneas pasen ambas la verificación del modelo
+        // Los restaurantes anteriores a las cadenas no tienen el campo: se completa para que el índice los cubra
+        await db.collection("restaurantes").updateMany({ cadenaId: { $exists: false } }, { $set: { cadenaId: null } });
+        await db.collection("restaurantes").createIndex(
+            { nombre: 1 },
+            { name: "nombre_unico_sin_cadena", unique: true, partialFilterExpression: { cadenaId: { $type: "null" } } }
+        );
+        
+        // Índice único para nombre en cadenas
+        // El nombre de la marca sí es único
+        await db.collection("cadenas").createIndex({ nombre: 1 }, { unique: true });
+        
+        // Índice compuesto para nombre único por cadena en el menú compartido
+        await db.collection("platosCadena").createIndex({ cadenaId: 1, nombre: 1 }, { unique: true });
         
         // Índice único para nombre en categorías
         // Evita duplicados en los nombres de categorías (ej: "Italiana" solo puede existir una vez)
         await db.collection("categorias").createIndex({ nombre: 1 }, { unique: true });
         
+        // Índices de los slugs de restaurantes y categorías
+        // El slug actual es único (los documentos creados antes de los slugs no lo tienen hasta ejecutar npm run slugs);
+        // slugsAnteriores permite redirigir las URLs de nombres anteriores
+        for (const coleccion of ["restaurantes", "categorias"]) {
+            await db.collection(coleccion).createIndex(
+                { slug: 1 },
+                { unique: true, partialFilterExpression: { slug: { $type: "string" } } }
+            );
+            await db.collection(coleccion).createIndex({ slugsAnteriores: 1 });
+        }
+        
+        // Índice único para la clave en el vocabulario de atributos
+        await db.collection("atributos").createIndex({ clave: 1 }, { unique: true });
+        
         // Índice compuesto para nombre único por restaurante en platos
         // Permite que el mismo nombre de plato exista en diferentes restaurantes
         // Pero dentro del mismo restaurante, el nombre debe ser único
@@ -140,12 +175,59 @@ async function crearIndices() {
         await db.collection("restaurantes").createIndex({ categoriaId: 1 });
         // Índice en aprobado para filtrar restaurantes aprobados/pendientes eficientemente
         await db.collection("restaurantes").createIndex({ aprobado: 1 });
+        // Índice geoespacial 2dsphere sobre las coordenadas GeoJSON del restaurante
+        // Necesario para la búsqueda "cerca de mí" con $geoNear
+        // Los restaurantes sin coordenadas simplemente no se incluyen en el índice
+        await db.collection("restaurantes").createIndex({ "ubicacion.coordenadas": "2dsphere" });
+        // Índice compuesto para la cola de revisión (estado pendiente, más antiguos primero)
+        await db.collection("restaurantes").createIndex({ estado: 1, fechaEstado: 1 });
+        // Índice en creadoPor para que el autor consulte sus envíos
+        await db.collection("restaurantes").createIndex({ creadoPor: 1 });
+        // Índice en cadenaId para listar las sucursales de una cadena
+        await db.collection("restaurantes").createIndex({ cadenaId: 1 });
+        // Índices para los filtros de presupuesto (nivel de precio y mediana del precio de los platos)
+        await db.collection("restaurantes").createIndex({ nivelPrecio: 1 });
+        await db.collection("restaurantes").createIndex({ "rangoPrecios.mediana": 1 });
+        // Índice multikey en atributos para el filtro por atributos (wifi, terraza, etc.)
+        await db.collection("restaurantes").createIndex({ atributos: 1 });
+        // Índice en propietarioId para verificar rápidamente la propiedad de un restaurante
+        await db.collection("restaurantes").createIndex({ propietarioId: 1 });
+        // Índice compuesto para la cola de reclamaciones de propiedad (por estado, más antiguas primero)
+        await db.collection("reclamaciones").createIndex({ estado: 1, fechaCreacion: 1 });
+        // Índice para buscar reclamaciones de un restaurante o de un usuario
+        await db.collection("reclamaciones").createIndex({ restauranteId: 1, usuarioId: 1 });
+        // Índice compuesto para la cola de sugerencias de edición (por estado, más antiguas primero)
+        await db.collection("sugerencias").createIndex({ estado: 1, fechaCreacion: 1 });
+        // Índices para listar las sugerencias de un restaurante o de un usuario
+        await db.collection("sugerencias").createIndex({ restauranteId: 1, estado: 1 });
+        await db.collection("sugerencias").createIndex({ usuarioId: 1 });
+        // Índice compuesto para el historial de revisiones de un restaurante o plato (más recientes primero)
+        await db.collection("revisiones").createIndex({ entidad: 1, entidadId: 1, fecha: -1 });
+        // Índice en restauranteId para borrar el historial junto con el restaurante
+        await db.collection("revisiones").createIndex({ restauranteId: 1 });
+        // Índice compuesto para procesar las filas de una importación por lotes y filtrar el informe por estado
+        await db.collection("filasImportacion").createIndex({ importacionId: 1, estado: 1, numero: 1 });
+        // Índice para listar las importaciones más recientes primero
+        await db.collection("importaciones").createIndex({ fechaCreacion: -1 });
         // Índice en restauranteId para obtener todos los platos de un restaurante rápidamente
         await db.collection("platos").createIndex({ restauranteId: 1 });
+        // Índice compuesto para ubicar un plato nuevo al final de su sección del menú
+        await db.collection("platos").createIndex({ restauranteId: 1, seccionId: 1, orden: -1 });
         // Índice en restauranteId para obtener todas las reseñas de un restaurante
         await db.collection("reseñas").createIndex({ restauranteId: 1 });
         // Índice en usuarioId para obtener todas las reseñas de un usuario
         await db.collection("reseñas").createIndex({ usuarioId: 1 });
+        // Índice para las reseñas de un plato y la regla de una reseña activa por usuario y plato
+        await db.collection("reseñasPlatos").createIndex({ platoId: 1, usuarioId: 1 });
+        // Índice en restauranteId para el borrado en cascada, la fusión y la purga de reseñas de platos
+        await db.collection("reseñasPlatos").createIndex({ restauranteId: 1 });
+        await db.collection("reseñasPlatos").createIndex({ usuarioId: 1 });
+        // Índice para el ranking de platos (solo participan los platos con reseñas)
+        await db.collection("platos").createIndex({ totalReseñas: 1, ranking: -1 });
+        // Índices de la papelera: listar elementos eliminados y purgar los más antiguos que la retención
+        for (const coleccion of ["restaurantes", "platos", "reseñas", "reseñasPlatos"]) {
+            await db.collection(coleccion).createIndex({ eliminado: 1, fechaEliminacion: 1 });
+        }
         
         // Mensaje de confirmación cuando todos los índices se crean exitosamente
         console.log("Índices creados correctamente");
@@ -0,0 +1,125 @@
+// Importa las funciones del modelo de atributos
+// Los atributos (wifi, terraza, pet-friendly, etc.) forman un vocabulario controlado por los admins
+import {
+    crearAtributo,  // Función para agregar un atributo al vocabulario
+    obtenerAtributos,  // Función para listar el vocabulario
+    buscarAtributoPorId,  // Función para buscar un atributo por su ID
+    actualizarAtributo,  // Función para actualizar el nombre o la descripción
+    eliminarAtributo  // Función para eliminar un atributo (y quitarlo de los restaurantes)
+} from '../models/atributo.model.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+import { responderExito, responderError } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
+import { HTTP_STATUS } from '../utils/constants.js';
+
+/**
+ * Crear nuevo atributo (solo admin)
+ */
+// Controlador exportado que agrega un atributo al vocabulario
+// Parámetros: req (request con clave, nombre y descripcion en req.body), res (response)
+export const crear = async (req, res) => {
+    try {
+        const { clave, nombre, descripcion } = req.body;
+        const atributo = await crearAtributo({ clave, nombre, descripcion });
+        // Retorna una respuesta exitosa con código 201 (CREATED)
+        return responderExito(res, HTTP_STATUS.CREATED, atributo, 'Atributo creado exitosamente');
+    } catch (error) {
+        // Si ya existe un atributo con esa clave, retorna error 409 (Conflict)
+        if (error.message.includes('Ya existe')) {
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener todos los atributos
+ */
+// Controlador exportado que lista el vocabulario de atributos
+// Parámetros: req (request), res (response)
+export const obtenerTodos = async (req, res) => {
+    try {
+        const atributos = await obtenerAtributos();
+        // Retorna una respuesta exitosa con código 200 (OK) y la lista de atributos
+        return responderExito(res, HTTP_STATUS.OK, atributos);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener atributo por ID
+ */
+// Controlador exportado que obtiene un atributo específico
+// Parámetros: req (request con id en req.params), res (response)
+export const obtenerPorId = async (req, res) => {
+    try {
+        const atributo = await buscarAtributoPorId(req.params.id);
+        // Si no se encontró el atributo, retorna error 404 (Not Found)
+        if (!atributo) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Atributo no encontrado');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, atributo);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Actualizar atributo (solo admin)
+ */
+// Controlador exportado que actualiza el nombre o la descripción de un atributo
+// Parámetros: req (request con id en req.params y datos en req.body), res (response)
+export const actualizar = async (req, res) => {
+    try {
+        const { nombre, descripcion } = req.body;
+        const datos = Object.fromEntries(
+            Object.entries({ nombre, descripcion }).filter(([, valor]) => valor !== undefined)
+        );
+        const atributo = await actualizarAtributo(req.params.id, datos);
+        // Si no se encontró el atributo, retorna error 404 (Not Found)
+        if (!atributo) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Atributo no encontrado');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, atributo, 'Atributo actualizado exitosamente');
+    } catch (error) {
+        // Si el ID es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Eliminar atributo (solo admin)
+ */
+// Controlador exportado que elimina un atributo del vocabulario y de los restaurantes que lo tenían
+// Parámetros: req (request con id en req.params), res (response)
+export const eliminar = async (req, res) => {
+    try {
+        const resultado = await eliminarAtributo(req.params.id);
+        // Si no se encontró el atributo, retorna error 404 (Not Found)
+        if (!resultado) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Atributo no encontrado');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK) indicando cuántos restaurantes se actualizaron
+        return responderExito(res, HTTP_STATUS.OK, resultado, 'Atributo eliminado exitosamente');
+    } catch (error) {
+        // Si el ID es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
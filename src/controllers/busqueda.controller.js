@@ -0,0 +1,34 @@
+// Importa el servicio de búsqueda global
+// buscarGlobal busca en restaurantes, platos y categorías ignorando acentos
+import { buscarGlobal } from '../services/busqueda.service.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+import { responderExito, responderError } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 500, etc.)
+import { HTTP_STATUS } from '../utils/constants.js';
+
+/**
+ * Búsqueda global de restaurantes, platos y categorías
+ */
+// Controlador exportado que maneja la búsqueda global
+// Esta función se ejecuta cuando se recibe una petición GET /api/v1/buscar?q=
+// Los resultados vienen agrupados por tipo y ordenados por relevancia
+// Parámetros: req (request con q, limite e incluirCerrados en req.query), res (response para enviar la respuesta)
+export const buscar = async (req, res) => {
+    try {
+        // Extrae el término de búsqueda y el límite de resultados por tipo
+        // limite: número máximo de resultados por tipo (default 10)
+        // incluirCerrados: 'true' para incluir restaurantes cerrados temporal o permanentemente
+        const { q, limite = 10, incluirCerrados } = req.query;
+
+        // Llama al servicio de búsqueda con el término y el límite convertido a número
+        const resultados = await buscarGlobal(q, { limite: parseInt(limite), incluirCerrados: incluirCerrados === 'true' });
+        // Retorna una respuesta exitosa con código 200 (OK) y los resultados agrupados
+        return responderExito(res, HTTP_STATUS.OK, resultados);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
@@ -0,0 +1,291 @@
+// Importa las funciones del modelo de cadenas
+// Una cadena (marca) agrupa varias sucursales y define un menú compartido
+import {
+    crearCadena,  // Función para crear una cadena
+    obtenerCadenas,  // Función para listar las cadenas
+    obtenerPaginaCadena,  // Función para la página de la cadena (sucursales, calificación y menú)
+    actualizarCadena,  // Función para actualizar una cadena
+    eliminarCadena,  // Función para eliminar una cadena sin sucursales
+    crearPlatoCadena,  // Función para agregar un plato al menú compartido
+    actualizarPlatoCadena,  // Función para modificar un plato del menú compartido
+    eliminarPlatoCadena,  // Función para quitar un plato del menú compartido
+    sobrescribirPlatoCadena,  // Función para ajustar un plato heredado en una sucursal
+    quitarSobrescrituraPlatoCadena  // Función para volver a los valores de la cadena en una sucursal
+} from '../models/cadena.model.js';
+// Importa la función que asigna o quita la cadena de un restaurante
+// buscarRestaurantePorId se usa para comprobar que la sucursal pertenece a la cadena antes de separarla
+import { asignarCadenaRestaurante, buscarRestaurantePorId } from '../models/restaurante.model.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+import { responderExito, responderError } from '../utils/helpers.js';
+// Importa el servicio de precios
+// El menú heredado cuenta en el rango y el nivel de precio de cada sucursal
+import { actualizarPreciosRestaurante, actualizarPreciosSucursales } from '../services/precio.service.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
+import { HTTP_STATUS } from '../utils/constants.js';
+
+// Función privada que traduce los errores del modelo de cadenas a respuestas HTTP
+// Todos los controladores de este archivo comparten los mismos mensajes de error
+const responderErrorCadena = (res, error) => {
+    // Nombre duplicado, sucursales asociadas o restaurante de otra cadena: 409 (Conflict)
+    if (error.message.includes('Ya existe') || error.message.includes('asociadas') || error.message.includes('otra cadena')) {
+        return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+    }
+    // IDs inválidos o referencias que no existen: 400 (Bad Request)
+    if (error.message.includes('inválido') || error.message.includes('no existe') || error.message.includes('no pertenece')) {
+        return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+    }
+    // Para cualquier otro error, retorna error 500 (Internal Server Error)
+    return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+};
+
+/**
+ * Crear nueva cadena (solo admin)
+ */
+// Controlador exportado que maneja la creación de una cadena
+// Parámetros: req (request con nombre, descripcion, imagen y categoriaId en req.body), res (response)
+export const crear = async (req, res) => {
+    try {
+        const { nombre, descripcion, imagen, categoriaId } = req.body;
+        const cadena = await crearCadena({ nombre, descripcion, imagen, categoriaId });
+        // Retorna una respuesta exitosa con código 201 (CREATED)
+        return responderExito(res, HTTP_STATUS.CREATED, cadena, 'Cadena creada exitosamente');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Obtener cadenas
+ */
+// Controlador exportado que lista las cadenas con su número de sucursales
+// Parámetros: req (request con limite y saltar en req.query), res (response)
+export const obtenerTodas = async (req, res) => {
+    try {
+        const { limite = 50, saltar = 0 } = req.query;
+        const cadenas = await obtenerCadenas({ limite: parseInt(limite), saltar: parseInt(saltar) });
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, cadenas);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener la página de una cadena
+ */
+// Controlador exportado que retorna la cadena con sus sucursales, la calificación agregada y el menú compartido
+// Parámetros: req (request con id en req.params), res (response)
+export const obtenerPorId = async (req, res) => {
+    try {
+        const pagina = await obtenerPaginaCadena(req.params.id);
+        // Si no se encontró la cadena, retorna error 404 (Not Found)
+        if (!pagina) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Cadena no encontrada');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, pagina);
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Actualizar cadena (solo admin)
+ */
+// Controlador exportado que actualiza los datos de la marca
+// Parámetros: req (request con id en req.params y los datos en req.body), res (response)
+export const actualizar = async (req, res) => {
+    try {
+        // Solo se editan los datos de la marca
+        const { nombre, descripcion, imagen, categoriaId } = req.body;
+        const datos = Object.fromEntries(
+            Object.entries({ nombre, descripcion, imagen, categoriaId }).filter(([, valor]) => valor !== undefined)
+        );
+        const cadena = await actualizarCadena(req.params.id, datos);
+        // Si no se encontró la cadena, retorna error 404 (Not Found)
+        if (!cadena) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Cadena no encontrada');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, cadena, 'Cadena actualizada exitosamente');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Eliminar cadena (solo admin)
+ */
+// Controlador exportado que elimina una cadena sin sucursales junto con su menú compartido
+// Parámetros: req (request con id en req.params), res (response)
+export const eliminar = async (req, res) => {
+    try {
+        const eliminado = await eliminarCadena(req.params.id);
+        // Si no se encontró la cadena, retorna error 404 (Not Found)
+        if (!eliminado) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Cadena no encontrada');
+        }
+        // Retorna una respuesta exitosa con código 204 (NO_CONTENT)
+        return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Cadena eliminada exitosamente');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Agregar sucursal a una cadena (solo admin)
+ */
+// Controlador exportado que convierte un restaurante existente en sucursal de la cadena
+// Parámetros: req (request con id de la cadena en req.params y restauranteId en req.body), res (response)
+export const agregarSucursal = async (req, res) => {
+    try {
+        const restaurante = await asignarCadenaRestaurante(req.body.restauranteId, req.params.id);
+        // Si no se encontró el restaurante, retorna error 404 (Not Found)
+        if (!restaurante) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        // La sucursal hereda el menú de la cadena: recalcula sus precios
+        Object.assign(restaurante, await actualizarPreciosRestaurante(restaurante._id));
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, restaurante, 'Sucursal agregada a la cadena');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Quitar sucursal de una cadena (solo admin)
+ */
+// Controlador exportado que separa un restaurante de su cadena (vuelve a ser independiente)
+// Parámetros: req (request con id de la cadena y restauranteId en req.params), res (response)
+export const quitarSucursal = async (req, res) => {
+    try {
+        const { id, restauranteId } = req.params;
+        // Si el restaurante no existe o no es sucursal de esta cadena, retorna error 404 (Not Found)
+        const sucursal = await buscarRestaurantePorId(restauranteId);
+        if (!sucursal || !sucursal.cadenaId || sucursal.cadenaId.toString() !== id) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'El restaurante no es sucursal de esta cadena');
+        }
+        const restaurante = await asignarCadenaRestaurante(restauranteId, null);
+        // Sin el menú heredado, sus precios dependen solo de sus platos propios
+        Object.assign(restaurante, await actualizarPreciosRestaurante(restaurante._id));
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, restaurante, 'Sucursal separada de la cadena');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Agregar plato al menú compartido (solo admin)
+ */
+// Controlador exportado que crea un plato que heredan todas las sucursales
+// Parámetros: req (request con id de la cadena en req.params y el plato en req.body), res (response)
+export const crearPlato = async (req, res) => {
+    try {
+        const { nombre, descripcion, imagen, precio } = req.body;
+        const plato = await crearPlatoCadena(req.params.id, { nombre, descripcion, imagen, precio });
+        // Todas las sucursales heredan el plato: recalcula sus precios
+        await actualizarPreciosSucursales(req.params.id);
+        // Retorna una respuesta exitosa con código 201 (CREATED)
+        return responderExito(res, HTTP_STATUS.CREATED, plato, 'Plato agregado al menú de la cadena');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Actualizar plato del menú compartido (solo admin)
+ */
+// Controlador exportado que modifica un plato de la cadena
+// Parámetros: req (request con id de la cadena y platoId en req.params), res (response)
+export const actualizarPlato = async (req, res) => {
+    try {
+        const { nombre, descripcion, imagen, precio } = req.body;
+        const datos = Object.fromEntries(
+            Object.entries({ nombre, descripcion, imagen, precio }).filter(([, valor]) => valor !== undefined)
+        );
+        const plato = await actualizarPlatoCadena(req.params.id, req.params.platoId, datos);
+        // Si no se encontró el plato en la cadena, retorna error 404 (Not Found)
+        if (!plato) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Plato no encontrado en el menú de la cadena');
+        }
+        // Si cambió el precio de referencia, recalcula los precios de las sucursales
+        if (datos.precio !== undefined) {
+            await actualizarPreciosSucursales(req.params.id);
+        }
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, plato, 'Plato actualizado exitosamente');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Eliminar plato del menú compartido (solo admin)
+ */
+// Controlador exportado que quita un plato de la cadena (y los ajustes de las sucursales sobre él)
+// Parámetros: req (request con id de la cadena y platoId en req.params), res (response)
+export const eliminarPlato = async (req, res) => {
+    try {
+        const eliminado = await eliminarPlatoCadena(req.params.id, req.params.platoId);
+        // Si no se encontró el plato en la cadena, retorna error 404 (Not Found)
+        if (!eliminado) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Plato no encontrado en el menú de la cadena');
+        }
+        // Las sucursales dejan de heredar el plato: recalcula sus precios
+        await actualizarPreciosSucursales(req.params.id);
+        // Retorna una respuesta exitosa con código 204 (NO_CONTENT)
+        return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Plato eliminado del menú de la cadena');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Ajustar un plato heredado en una sucursal (propietario verificado o admin)
+ */
+// Controlador exportado que guarda precio, descripción, imagen o disponibilidad propios de la sucursal
+// Parámetros: req (request con id del restaurante y platoId en req.params, ajustes en req.body), res (response)
+export const sobrescribirPlato = async (req, res) => {
+    try {
+        const { id, platoId } = req.params;
+        const ajuste = await sobrescribirPlatoCadena(id, platoId, req.body);
+        // Si no se encontró el restaurante, retorna error 404 (Not Found)
+        if (!ajuste) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        // El precio o la disponibilidad propios de la sucursal cambian sus precios
+        await actualizarPreciosRestaurante(id);
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, ajuste, 'Plato de la cadena ajustado para esta sucursal');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
+
+/**
+ * Quitar el ajuste de una sucursal sobre un plato heredado (propietario verificado o admin)
+ */
+// Controlador exportado que vuelve a mostrar el plato con los valores de la cadena
+// Parámetros: req (request con id del restaurante y platoId en req.params), res (response)
+export const quitarSobrescritura = async (req, res) => {
+    try {
+        const { id, platoId } = req.params;
+        const quitado = await quitarSobrescrituraPlatoCadena(id, platoId);
+        // Si la sucursal no tenía ajuste para ese plato, retorna error 404 (Not Found)
+        if (!quitado) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'La sucursal no tiene ajustes para ese plato');
+        }
+        // El plato vuelve a los valores de la cadena: recalcula los precios de la sucursal
+        await actualizarPreciosRestaurante(id);
+        // Retorna una respuesta exitosa con código 204 (NO_CONTENT)
+        return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Ajuste eliminado');
+    } catch (error) {
+        return responderErrorCadena(res, error);
+    }
+};
@@ -102,9 +102,12 @@ export const actualizar = async (req, res) => {
     try {
         // Extrae el ID de los parámetros de la URL
         const { id } = req.params;
+        // Las traducciones se editan (validadas) desde /categorias/:id/traducciones/:idioma
+        // El slug se deriva del nombre
+        const { traducciones, slug, slugsAnteriores, ...datosActualizacion } = req.body;
         // Llama a la función del modelo para actualizar la categoría
-        // req.body contiene los campos a actualizar
-        const categoria = await actualizarCategoria(id, req.body);
+        // datosActualizacion contiene los campos a actualizar
+        const categoria = await actualizarCategoria(id, datosActualizacion);
         
         // Si no se encontró la categoría, retorna error 404 (Not Found)
         if (!categoria) {
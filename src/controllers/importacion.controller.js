@@ -0,0 +1,182 @@
+// Importa las funciones del modelo de importaciones
+import {
+    buscarImportacionPorId,  // Función para obtener un trabajo con sus totales
+    obtenerImportaciones,  // Función para listar los trabajos
+    obtenerFilasImportacion,  // Función para listar el informe por fila
+    tomarImportacionParaReanudar,  // Función para volver a poner en proceso un trabajo
+    actualizarImportacion  // Función para registrar el estado de un trabajo
+} from '../models/importacion.model.js';
+// Importa las funciones del servicio de importación
+// prepararImportacion: lee y valida el archivo, y registra el trabajo (o solo informa con dryRun)
+// procesarImportacion: crea los restaurantes de las filas válidas por lotes
+import { prepararImportacion, procesarImportacion } from '../services/importacion.service.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+// construirPaginacion: arma los metadatos de paginación de la respuesta
+import { responderExito, responderError, construirPaginacion } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 202, 404, etc.)
+// ESTADOS_IMPORTACION: estados de un trabajo de importación
+import { HTTP_STATUS, ESTADOS_IMPORTACION } from '../utils/constants.js';
+
+// Función privada que procesa una importación sin bloquear la respuesta
+// Si el trabajo se interrumpe, el fallo queda guardado en la importación (estado, motivo y fecha de fin)
+// para que se pueda consultar y reanudar; si ni siquiera eso se puede guardar, el trabajo se considera
+// caído al pasar IMPORTACION.MINUTOS_SIN_PROGRESO y también se puede reanudar
+const procesarEnSegundoPlano = (importacion) => {
+    procesarImportacion(importacion).catch((error) => actualizarImportacion(importacion._id, {
+        estado: ESTADOS_IMPORTACION.INTERRUMPIDA,
+        error: error.message,
+        fechaFin: new Date()
+    }).catch(() => null));
+};
+
+/**
+ * Importar restaurantes desde un archivo CSV o JSON (solo admin)
+ */
+// Controlador exportado que valida el archivo y, salvo en dry-run, lanza el trabajo de importación
+// El cuerpo es el CSV (Content-Type: text/csv) o el JSON con los restaurantes
+// Parámetros: req (request con el archivo en req.body y dryRun en req.query), res (response)
+export const importar = async (req, res) => {
+    try {
+        const formato = req.is('text/csv') ? 'csv' : 'json';
+        const dryRun = req.query.dryRun === 'true';
+
+        const resultado = await prepararImportacion({
+            contenido: req.body,
+            formato,
+            dryRun,
+            creadoPor: req.usuario._id
+        });
+        // En dry-run solo se informa qué filas se importarían y los errores de las demás
+        if (dryRun) {
+            return responderExito(res, HTTP_STATUS.OK, resultado, 'Validación completada (no se importó nada)');
+        }
+
+        // La creación de los restaurantes continúa después de responder
+        procesarEnSegundoPlano(resultado);
+        // Retorna el trabajo con código 202 (Accepted); el progreso se consulta en GET /:id
+        return responderExito(res, HTTP_STATUS.ACCEPTED, resultado, 'Importación iniciada');
+    } catch (error) {
+        // Si el archivo no se puede leer, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Listar las importaciones (solo admin)
+ */
+// Controlador exportado que lista los trabajos de importación, los más recientes primero
+// Parámetros: req (request con limite y saltar en req.query), res (response)
+export const obtenerTodas = async (req, res) => {
+    try {
+        // Extrae la paginación desde la query string
+        const limite = parseInt(req.query.limite) || 20;
+        const saltar = parseInt(req.query.saltar) || 0;
+
+        const { importaciones, total } = await obtenerImportaciones({ limite, saltar });
+        // Retorna los trabajos con los metadatos de paginación
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            importaciones,
+            null,
+            construirPaginacion({ limite, saltar, total, hasMore: saltar + importaciones.length < total })
+        );
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener una importación con su progreso (solo admin)
+ */
+// Controlador exportado que retorna el estado del trabajo y los totales por estado de fila
+// Parámetros: req (request con id en req.params), res (response)
+export const obtenerPorId = async (req, res) => {
+    try {
+        const importacion = await buscarImportacionPorId(req.params.id);
+        // Si la importación no existe, retorna error 404 (Not Found)
+        if (!importacion) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Importación no encontrada');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, importacion);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener el informe por fila de una importación (solo admin)
+ */
+// Controlador exportado que lista las filas con su estado, sus errores y el restaurante creado
+// Parámetros: req (request con id en req.params y estado/limite/saltar en req.query), res (response)
+export const obtenerFilas = async (req, res) => {
+    try {
+        // Extrae el filtro de estado y la paginación desde la query string
+        const { estado } = req.query;
+        const limite = parseInt(req.query.limite) || 100;
+        const saltar = parseInt(req.query.saltar) || 0;
+
+        const importacion = await buscarImportacionPorId(req.params.id);
+        // Si la importación no existe, retorna error 404 (Not Found)
+        if (!importacion) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Importación no encontrada');
+        }
+
+        const { filas, total } = await obtenerFilasImportacion(importacion._id, { estado, limite, saltar });
+        // Retorna las filas con los metadatos de paginación
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            filas,
+            null,
+            construirPaginacion({ limite, saltar, total, hasMore: saltar + filas.length < total })
+        );
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Reanudar una importación interrumpida (solo admin)
+ */
+// Controlador exportado que continúa un trabajo interrumpido desde la primera fila sin crear
+// Con reintentarFallidas=true también vuelve a intentar las filas que fallaron
+// Parámetros: req (request con id en req.params y reintentarFallidas en req.query), res (response)
+export const reanudar = async (req, res) => {
+    try {
+        const importacion = await tomarImportacionParaReanudar(req.params.id, {
+            reintentarFallidas: req.query.reintentarFallidas === 'true'
+        });
+        // Si la importación no existe, retorna error 404 (Not Found)
+        if (!importacion) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Importación no encontrada');
+        }
+
+        // El resto de las filas se procesa después de responder
+        procesarEnSegundoPlano(importacion);
+        // Retorna el trabajo con código 202 (Accepted)
+        return responderExito(res, HTTP_STATUS.ACCEPTED, importacion, 'Importación reanudada');
+    } catch (error) {
+        // Si el trabajo sigue en proceso o ya terminó, retorna error 409 (Conflict)
+        if (error.message.includes('sigue en proceso') || error.message.includes('completada')) {
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Si el ID es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
@@ -0,0 +1,92 @@
+// Importa las funciones del servicio de papelera
+import {
+    obtenerPapelera,  // Función para listar los elementos eliminados
+    restaurarDePapelera,  // Función para restaurar un elemento y recalcular sus datos
+    purgarPapelera  // Función para eliminar definitivamente los elementos vencidos
+} from '../services/papelera.service.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+import { responderExito, responderError } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 404, 409, etc.)
+import { HTTP_STATUS } from '../utils/constants.js';
+
+/**
+ * Listar la papelera (solo admin)
+ */
+// Controlador exportado que lista los restaurantes, platos y reseñas eliminados
+// Parámetros: req (request con tipo, limite y saltar en req.query), res (response)
+export const obtenerTodo = async (req, res) => {
+    try {
+        // Extrae el tipo opcional y la paginación desde la query string
+        const { tipo, limite = 50, saltar = 0 } = req.query;
+
+        // Obtiene los elementos eliminados, los más recientes primero
+        const elementos = await obtenerPapelera(
+            { tipo },
+            { limite: parseInt(limite), saltar: parseInt(saltar) }
+        );
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, elementos);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Restaurar un elemento de la papelera (solo admin)
+ */
+// Controlador exportado que restaura un restaurante, plato o reseña
+// Parámetros: req (request con tipo e id en req.params), res (response)
+export const restaurar = async (req, res) => {
+    try {
+        // Extrae el tipo de elemento y su ID de la URL
+        const { tipo, id } = req.params;
+
+        // Restaura el elemento (recalcula calificación y ranking si corresponde)
+        const elemento = await restaurarDePapelera(tipo, id);
+        // Si el elemento no está en la papelera, retorna error 404 (Not Found)
+        if (!elemento) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'El elemento no está en la papelera');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, elemento, 'Elemento restaurado exitosamente');
+    } catch (error) {
+        // Si el restaurante sigue en la papelera o el autor ya tiene otra reseña activa
+        if (error.message.includes('papelera') || error.message.includes('ya tiene')) {
+            // Retorna error 409 (Conflict)
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Si el ID o el tipo es inválido
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Purgar la papelera (solo admin)
+ */
+// Controlador exportado que elimina definitivamente los elementos más antiguos que la retención
+// Permite indicar retencionDias en el cuerpo; si no, usa PAPELERA_RETENCION_DIAS
+// Parámetros: req (request con retencionDias opcional en req.body), res (response)
+export const purgar = async (req, res) => {
+    try {
+        // Extrae la retención opcional del cuerpo de la petición
+        const { retencionDias } = req.body || {};
+
+        // Purga la papelera y obtiene cuántos documentos se eliminaron
+        const resultado = await purgarPapelera(
+            retencionDias !== undefined ? { retencionDias: parseInt(retencionDias) } : {}
+        );
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, resultado, 'Papelera purgada exitosamente');
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
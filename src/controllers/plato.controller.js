@@ -5,15 +5,26 @@ import {
     obtenerPlatosPorRestaurante,  // Función para obtener todos los platos de un restaurante
     buscarPlatoPorId,  // Función para buscar un plato por su ID
     actualizarPlato,  // Función para actualizar un plato existente
-    eliminarPlato  // Función para eliminar un plato
+    eliminarPlato,  // Función para eliminar un plato
+    crearSeccionMenu,  // Función para agregar una sección a la carta del restaurante
+    actualizarSeccionMenu,  // Función para renombrar una sección
+    eliminarSeccionMenu,  // Función para quitar una sección (sus platos quedan sin sección)
+    reordenarMenu,  // Función para reordenar en bloque secciones y platos
+    obtenerHistorialPreciosPlato  // Función para obtener los precios que tuvo un plato
 } from '../models/plato.model.js';
 // Importa funciones helper para enviar respuestas HTTP consistentes
 // responderExito: envía respuestas exitosas con formato estándar
 // responderError: envía respuestas de error con formato estándar
-import { responderExito, responderError } from '../utils/helpers.js';
+// extraerFiltrosAlimentarios: convierte la query string en los filtros de dietas, alérgenos, picante y calorías
+import { responderExito, responderError, extraerFiltrosAlimentarios } from '../utils/helpers.js';
+// Importa el servicio de precios
+// actualizarPreciosRestaurante: recalcula el rango y el nivel de precio (y los platos por dieta) del restaurante cuando cambia su menú
+// compararPreciosPlatos: compara el precio de los platos con un nombre parecido en distintos restaurantes
+import { actualizarPreciosRestaurante, compararPreciosPlatos } from '../services/precio.service.js';
 // Importa constantes desde el módulo de constants
 // HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
-import { HTTP_STATUS } from '../utils/constants.js';
+// CAMPOS_EDITABLES_PLATO: campos del plato que se pueden editar con PUT /platos/:id
+import { HTTP_STATUS, CAMPOS_EDITABLES_PLATO } from '../utils/constants.js';
 
 /**
  * Crear nuevo plato
@@ -26,6 +37,8 @@ export const crear = async (req, res) => {
         // Llama a la función del modelo para crear el plato
         // req.body contiene los datos enviados en el cuerpo de la petición HTTP (nombre, descripcion, restauranteId, etc.)
         const plato = await crearPlato(req.body);
+        // El nuevo plato puede cambiar el rango y el nivel de precio del restaurante
+        await actualizarPreciosRestaurante(plato.restauranteId);
         // Retorna una respuesta exitosa con código 201 (CREATED)
         // responderExito envía una respuesta JSON con el formato estándar de la API
         return responderExito(
@@ -41,8 +54,8 @@ export const crear = async (req, res) => {
             // Retorna error 409 (Conflict) para indicar duplicado
             return responderError(res, HTTP_STATUS.CONFLICT, error.message);
         }
-        // Si el error indica que el restaurante no existe o el ID es inválido
-        if (error.message.includes('no existe') || error.message.includes('inválido')) {
+        // Si el error indica que el restaurante no existe, el ID es inválido o las dietas contradicen los alérgenos
+        if (error.message.includes('no existe') || error.message.includes('inválido') || error.message.includes('incompatible')) {
             // Retorna error 400 (Bad Request)
             return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
         }
@@ -56,14 +69,19 @@ export const crear = async (req, res) => {
  */
 // Controlador exportado que maneja la obtención de todos los platos de un restaurante específico
 // Esta función se ejecuta cuando se recibe una petición GET para listar platos de un restaurante
-// Parámetros: req (request con restauranteId en req.params), res (response para enviar la respuesta)
+// Con agruparPorSeccion=true retorna la carta agrupada: { secciones: [{ nombre, platos }], sinSeccion }
+// Los filtros dietas, sinAlergenos, picanteMax y caloriasMax dejan solo los platos que los cumplen
+// Parámetros: req (request con restauranteId en req.params y agruparPorSeccion y filtros en req.query), res (response para enviar la respuesta)
 export const obtenerPorRestaurante = async (req, res) => {
     try {
         // Extrae el restauranteId de los parámetros de la URL
         // Si la ruta es /restaurantes/:restauranteId/platos, el ID viene en req.params.restauranteId
         const { restauranteId } = req.params;
-        // Llama a la función del modelo para obtener todos los platos del restaurante
-        const platos = await obtenerPlatosPorRestaurante(restauranteId);
+        // Llama a la función del modelo para obtener todos los platos del restaurante en el orden de la carta
+        const platos = await obtenerPlatosPorRestaurante(restauranteId, {
+            agruparPorSeccion: req.query.agruparPorSeccion === 'true',
+            ...extraerFiltrosAlimentarios(req.query)
+        });
         // Retorna una respuesta exitosa con código 200 (OK) y la lista de platos
         return responderExito(res, HTTP_STATUS.OK, platos);
     } catch (error) {
@@ -105,6 +123,50 @@ export const obtenerPorId = async (req, res) => {
     }
 };
 
+/**
+ * Obtener historial de precios de un plato
+ */
+// Controlador exportado que retorna los precios que tuvo el plato, con su moneda y su vigencia
+// Parámetros: req (request con id en req.params), res (response para enviar la respuesta)
+export const obtenerPrecios = async (req, res) => {
+    try {
+        const historial = await obtenerHistorialPreciosPlato(req.params.id);
+        
+        // Si no se encontró el plato, retorna error 404 (Not Found)
+        if (!historial) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Plato no encontrado');
+        }
+        
+        // Retorna una respuesta exitosa con código 200 (OK) y el historial
+        return responderExito(res, HTTP_STATUS.OK, historial);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Comparar precios de platos parecidos
+ */
+// Controlador exportado que compara el precio de un plato en los distintos restaurantes
+// Retorna el rango de precios general y por categoría con su índice de precio (100 = mediana general)
+// Parámetros: req (request con nombre, categoriaId, moneda e incluirCerrados en req.query), res (response)
+export const compararPrecios = async (req, res) => {
+    try {
+        const { nombre, categoriaId, moneda, incluirCerrados } = req.query;
+        const comparacion = await compararPreciosPlatos(nombre, {
+            categoriaId,
+            moneda,
+            incluirCerrados: incluirCerrados === 'true'  // Por defecto solo restaurantes en operación
+        });
+        // Retorna una respuesta exitosa con código 200 (OK) y la comparación
+        return responderExito(res, HTTP_STATUS.OK, comparacion);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
 /**
  * Actualizar plato
  */
@@ -115,15 +177,30 @@ export const actualizar = async (req, res) => {
     try {
         // Extrae el ID de los parámetros de la URL
         const { id } = req.params;
+        // Toma del cuerpo solo los campos editables; el resto se ignora
+        // Así el plato no se puede mover a otro restaurante (la propiedad se verificó sobre el actual)
+        // ni enviar a la papelera o alterar sus estadísticas sin pasar por sus rutas
+        const datosActualizacion = Object.fromEntries(
+            CAMPOS_EDITABLES_PLATO
+                .filter((campo) => req.body[campo] !== undefined)
+                .map((campo) => [campo, req.body[campo]])
+        );
         // Llama a la función del modelo para actualizar el plato
-        // req.body contiene los campos a actualizar (nombre, descripcion, precio, imagen, etc.)
-        const plato = await actualizarPlato(id, req.body);
+        // datosActualizacion contiene los campos a actualizar (nombre, descripcion, precio, imagen, etc.)
+        // El usuario autenticado queda registrado como autor en el historial de revisiones
+        const plato = await actualizarPlato(id, datosActualizacion, { usuarioId: req.usuario._id });
         
         // Si no se encontró el plato, retorna error 404 (Not Found)
         if (!plato) {
             return responderError(res, HTTP_STATUS.NOT_FOUND, 'Plato no encontrado');
         }
         
+        // Si cambió el precio o las dietas, recalcula el resumen del menú del restaurante
+        // (rango y nivel de precio, y platos por dieta)
+        if (datosActualizacion.precio !== undefined || datosActualizacion.dietas !== undefined) {
+            await actualizarPreciosRestaurante(plato.restauranteId);
+        }
+        
         // Si se actualizó correctamente, retorna una respuesta exitosa con código 200 (OK)
         return responderExito(
             res,
@@ -138,8 +215,9 @@ export const actualizar = async (req, res) => {
             // Retorna error 409 (Conflict) para indicar duplicado
             return responderError(res, HTTP_STATUS.CONFLICT, error.message);
         }
-        // Si el error indica ID inválido o plato no encontrado
-        if (error.message.includes('inválido') || error.message.includes('no encontrado')) {
+        // Si el error indica ID inválido, plato no encontrado, una sección que no existe en el menú
+        // o dietas que contradicen los alérgenos
+        if (error.message.includes('inválido') || error.message.includes('no encontrado') || error.message.includes('no existe') || error.message.includes('incompatible')) {
             // Retorna error 400 (Bad Request)
             return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
         }
@@ -158,15 +236,20 @@ export const eliminar = async (req, res) => {
     try {
         // Extrae el ID de los parámetros de la URL
         const { id } = req.params;
-        // Llama a la función del modelo para eliminar el plato
+        // Busca el plato para conocer su restaurante (se recalculan sus precios al eliminarlo)
+        const plato = await buscarPlatoPorId(id);
+        // Envía el plato a la papelera (un administrador puede restaurarlo hasta que se purgue)
         // Retorna true si se eliminó, false si no se encontró
-        const eliminado = await eliminarPlato(id);
+        const eliminado = plato ? await eliminarPlato(id, req.usuario._id) : false;
         
         // Si no se encontró el plato, retorna error 404 (Not Found)
         if (!eliminado) {
             return responderError(res, HTTP_STATUS.NOT_FOUND, 'Plato no encontrado');
         }
         
+        // Sin el plato, el rango y el nivel de precio del restaurante pueden cambiar
+        await actualizarPreciosRestaurante(plato.restauranteId);
+        
         // Si se eliminó correctamente, retorna una respuesta exitosa con código 204 (NO_CONTENT)
         // 204 No Content significa que la operación fue exitosa pero no hay contenido que retornar
         return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Plato eliminado exitosamente');
@@ -176,3 +259,105 @@ export const eliminar = async (req, res) => {
     }
 };
 
+
+/**
+ * Crear sección del menú
+ */
+// Controlador exportado que agrega una sección (Entradas, Platos fuertes, Postres...) al final de la carta
+// Parámetros: req (request con restauranteId en req.params y nombre en req.body), res (response)
+export const crearSeccion = async (req, res) => {
+    try {
+        const seccion = await crearSeccionMenu(req.params.restauranteId, { nombre: req.body.nombre });
+        // Si el restaurante no existe, retorna error 404 (Not Found)
+        if (!seccion) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        // Retorna una respuesta exitosa con código 201 (CREATED)
+        return responderExito(res, HTTP_STATUS.CREATED, seccion, 'Sección creada exitosamente');
+    } catch (error) {
+        // Si ya existe una sección con ese nombre, retorna 409 (Conflict)
+        if (error.message.includes('Ya existe')) {
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Renombrar sección del menú
+ */
+// Controlador exportado que cambia el nombre de una sección de la carta
+// Parámetros: req (request con restauranteId y seccionId en req.params y nombre en req.body), res (response)
+export const actualizarSeccion = async (req, res) => {
+    try {
+        const { restauranteId, seccionId } = req.params;
+        const seccion = await actualizarSeccionMenu(restauranteId, seccionId, { nombre: req.body.nombre });
+        // Si el restaurante o la sección no existen, retorna error 404 (Not Found)
+        if (!seccion) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Sección no encontrada');
+        }
+        return responderExito(res, HTTP_STATUS.OK, seccion, 'Sección actualizada exitosamente');
+    } catch (error) {
+        // Si ya existe otra sección con ese nombre, retorna 409 (Conflict)
+        if (error.message.includes('Ya existe')) {
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Eliminar sección del menú
+ */
+// Controlador exportado que quita una sección de la carta; sus platos no se eliminan, quedan sin sección
+// Parámetros: req (request con restauranteId y seccionId en req.params), res (response)
+export const eliminarSeccion = async (req, res) => {
+    try {
+        const { restauranteId, seccionId } = req.params;
+        const eliminada = await eliminarSeccionMenu(restauranteId, seccionId);
+        // Si el restaurante o la sección no existen, retorna error 404 (Not Found)
+        if (!eliminada) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Sección no encontrada');
+        }
+        return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Sección eliminada exitosamente');
+    } catch (error) {
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Reordenar el menú
+ */
+// Controlador exportado que aplica en bloque el orden de las secciones y de los platos de la carta
+// Parámetros: req (request con restauranteId en req.params y { secciones, platos } en req.body), res (response)
+export const reordenar = async (req, res) => {
+    try {
+        const { secciones, platos } = req.body;
+        const menu = await reordenarMenu(req.params.restauranteId, { secciones, platos });
+        // Si el restaurante no existe, retorna error 404 (Not Found)
+        if (!menu) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        // Retorna la carta agrupada con el nuevo orden
+        return responderExito(res, HTTP_STATUS.OK, menu, 'Menú reordenado exitosamente');
+    } catch (error) {
+        // Orden incompleto, plato ajeno al menú o sección inexistente: retorna 400 (Bad Request)
+        if (error.message.includes('inválido') || error.message.includes('no existe')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
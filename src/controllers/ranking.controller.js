@@ -1,10 +1,16 @@
 // Importa la función del modelo de restaurantes
 // obtenerRestaurantes obtiene restaurantes con filtros y paginación
 import { obtenerRestaurantes } from '../models/restaurante.model.js';
+// Importa la función del modelo de platos
+// obtenerRankingPlatos obtiene los platos reseñados ordenados por su ranking
+import { obtenerRankingPlatos } from '../models/plato.model.js';
 // Importa funciones helper para enviar respuestas HTTP consistentes
 // responderExito: envía respuestas exitosas con formato estándar
 // responderError: envía respuestas de error con formato estándar
-import { responderExito, responderError } from '../utils/helpers.js';
+// convertirNivelPrecio: convierte el nivel de precio ('2' o '$$') a su número
+// construirPaginacion: arma los metadatos de paginación comunes a todos los listados
+// extraerFiltrosAlimentarios: convierte la query string en los filtros de dietas, alérgenos, picante y calorías
+import { responderExito, responderError, convertirNivelPrecio, construirPaginacion, extraerFiltrosAlimentarios } from '../utils/helpers.js';
 // Importa constantes desde el módulo de constants
 // HTTP_STATUS: códigos de estado HTTP (200, 500, etc.)
 import { HTTP_STATUS } from '../utils/constants.js';
@@ -23,33 +29,107 @@ export const obtenerRanking = async (req, res) => {
         // ordenarPor: campo por el cual ordenar (default 'ranking')
         // orden: dirección del ordenamiento 'desc' o 'asc' (default 'desc')
         const { categoriaId, ordenarPor = 'ranking', orden = 'desc' } = req.query;
+        // Extrae los filtros de horario
+        // abiertoAhora: 'true' para mostrar solo restaurantes abiertos en este momento
+        // abiertoEn: fecha ISO para mostrar solo restaurantes abiertos en ese instante (tiene prioridad)
+        const { abiertoAhora, abiertoEn } = req.query;
+        // Extrae los filtros de precio
+        // precioMin y precioMax: límites para la mediana del precio de los platos
+        // moneda: moneda de los restaurantes (con un filtro de precio, por defecto la de la plataforma)
+        // nivelPrecio: nivel de 1 a 4 o su símbolo ($ a $$$$)
+        const { precioMin, precioMax, moneda, nivelPrecio } = req.query;
         // Extrae las opciones de paginación desde la query string
         // limite: número máximo de resultados (default 50)
         // saltar: número de resultados a omitir para paginación (default 0)
-        const { limite = 50, saltar = 0 } = req.query;
+        // cursor: nextCursor de la página anterior (si se indica, se ignora saltar)
+        const { limite = 50, saltar = 0, cursor } = req.query;
+        // incluirCerrados: 'true' para mostrar también los restaurantes cerrados temporal o permanentemente
+        const { incluirCerrados } = req.query;
         
         // Construye el objeto de filtros
         const filtros = {
             categoriaId,  // ID de categoría para filtrar
+            // Filtros de presupuesto (undefined = sin filtro)
+            precioMin: precioMin !== undefined ? parseFloat(precioMin) : undefined,
+            precioMax: precioMax !== undefined ? parseFloat(precioMax) : undefined,
+            moneda,
+            nivelPrecio: convertirNivelPrecio(nivelPrecio),
             ordenarPor,  // Campo por el cual ordenar (normalmente 'ranking')
             orden,  // Dirección del ordenamiento
-            soloAprobados: true  // Siempre muestra solo restaurantes aprobados en el ranking
+            soloAprobados: true,  // Siempre muestra solo restaurantes aprobados en el ranking
+            excluirCerrados: incluirCerrados !== 'true',  // Por defecto solo restaurantes en operación
+            // Instante para filtrar por restaurantes abiertos (undefined = sin filtro de horario)
+            abiertoEn: abiertoEn ? new Date(abiertoEn) : (abiertoAhora === 'true' ? new Date() : undefined)
         };
         
         // Construye el objeto de opciones de paginación
         const opciones = {
             limite: parseInt(limite),  // Convierte el string a número entero
-            saltar: parseInt(saltar)  // Convierte el string a número entero
+            saltar: parseInt(saltar),  // Convierte el string a número entero
+            cursor  // Posición de la página anterior
         };
         
         // Llama a la función del modelo para obtener los restaurantes del ranking
         // Los restaurantes se ordenan por su calificación promedio (ranking)
-        const restaurantes = await obtenerRestaurantes(filtros, opciones);
-        // Retorna una respuesta exitosa con código 200 (OK) y la lista de restaurantes del ranking
-        return responderExito(res, HTTP_STATUS.OK, restaurantes);
+        const { restaurantes, ...paginacion } = await obtenerRestaurantes(filtros, opciones);
+        // Retorna una respuesta exitosa con código 200 (OK), la lista de restaurantes del ranking y la paginación
+        return responderExito(res, HTTP_STATUS.OK, restaurantes, null, construirPaginacion({ ...opciones, ...paginacion }));
     } catch (error) {
+        // Si el cursor es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
         // Si ocurre un error, retorna error 500 (Internal Server Error)
         return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
     }
 };
 
+/**
+ * Obtener ranking de platos
+ */
+// Controlador exportado que maneja la obtención del ranking de platos
+// Solo participan los platos con al menos una reseña, de restaurantes aprobados y en operación
+// Parámetros: req (request con filtros en req.query), res (response para enviar la respuesta)
+export const obtenerRankingDePlatos = async (req, res) => {
+    try {
+        // Extrae los filtros desde la query string de la URL
+        // categoriaId y restauranteId: filtran por el restaurante del plato
+        // precioMin y precioMax: límites para el precio del plato, en moneda (por defecto la de la plataforma)
+        const { categoriaId, restauranteId, precioMin, precioMax, moneda, incluirCerrados } = req.query;
+        const { ordenarPor = 'ranking', orden = 'desc' } = req.query;
+        const { limite = 50, saltar = 0, cursor } = req.query;
+        
+        // Construye el objeto de filtros
+        const filtros = {
+            categoriaId,
+            restauranteId,
+            // Filtros de precio (undefined = sin filtro)
+            precioMin: precioMin !== undefined ? parseFloat(precioMin) : undefined,
+            precioMax: precioMax !== undefined ? parseFloat(precioMax) : undefined,
+            moneda,
+            incluirCerrados: incluirCerrados === 'true',  // Por defecto solo platos de restaurantes en operación
+            // Dietas, alérgenos excluidos, picante y calorías máximos
+            ...extraerFiltrosAlimentarios(req.query),
+            ordenarPor,
+            orden
+        };
+        
+        // Construye el objeto de opciones de paginación
+        const opciones = {
+            limite: parseInt(limite),
+            saltar: parseInt(saltar),
+            cursor
+        };
+        
+        const { platos, ...paginacion } = await obtenerRankingPlatos(filtros, opciones);
+        // Retorna una respuesta exitosa con código 200 (OK), la lista de platos del ranking y la paginación
+        return responderExito(res, HTTP_STATUS.OK, platos, null, construirPaginacion({ ...opciones, ...paginacion }));
+    } catch (error) {
+        // Si el cursor es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
@@ -0,0 +1,146 @@
+// Importa las funciones del modelo de reclamaciones de propiedad
+import {
+    crearReclamacion,  // Función para que un usuario reclame un restaurante
+    obtenerReclamaciones,  // Función para listar reclamaciones con filtros
+    resolverReclamacion  // Función para verificar o rechazar una reclamación (admin)
+} from '../models/reclamacion.model.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+import { responderExito, responderError } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
+// ESTADOS_RECLAMACION: estados posibles de una reclamación
+import { HTTP_STATUS, ESTADOS_RECLAMACION } from '../utils/constants.js';
+
+/**
+ * Reclamar la propiedad de un restaurante
+ */
+// Controlador exportado que maneja la reclamación de un restaurante por parte del usuario autenticado
+// La reclamación queda pendiente hasta que un administrador la verifique
+// Parámetros: req (request con id del restaurante en req.params y mensaje en req.body), res (response)
+export const reclamar = async (req, res) => {
+    try {
+        // Extrae el ID del restaurante de la URL y el mensaje (evidencia) del cuerpo
+        const { id } = req.params;
+        const { mensaje } = req.body;
+        // Obtiene el ID del usuario autenticado
+        const usuarioId = req.usuario._id.toString();
+
+        // Crea la reclamación pendiente
+        const reclamacion = await crearReclamacion({ restauranteId: id, usuarioId, mensaje });
+        // Retorna una respuesta exitosa con código 201 (CREATED)
+        return responderExito(
+            res,
+            HTTP_STATUS.CREATED,
+            reclamacion,
+            'Reclamación registrada. Pendiente de verificación por administrador'
+        );
+    } catch (error) {
+        // Si el restaurante ya tiene propietario o el usuario ya tiene una reclamación pendiente
+        if (error.message.includes('ya tiene') || error.message.includes('Ya existe')) {
+            // Retorna error 409 (Conflict)
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Si el restaurante no existe o el ID es inválido
+        if (error.message.includes('no existe') || error.message.includes('inválido')) {
+            // Retorna error 400 (Bad Request)
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener reclamaciones (solo admin)
+ */
+// Controlador exportado que lista las reclamaciones para revisión del administrador
+// Por defecto muestra las pendientes, de la más antigua a la más reciente
+// Parámetros: req (request con estado, limite y saltar en req.query), res (response)
+export const obtenerTodas = async (req, res) => {
+    try {
+        // Extrae el filtro de estado y la paginación desde la query string
+        const { estado = ESTADOS_RECLAMACION.PENDIENTE, limite = 50, saltar = 0 } = req.query;
+
+        // Obtiene las reclamaciones con los datos básicos del restaurante y del usuario
+        const reclamaciones = await obtenerReclamaciones(
+            { estado },
+            { limite: parseInt(limite), saltar: parseInt(saltar) }
+        );
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, reclamaciones);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener las reclamaciones del usuario autenticado
+ */
+// Controlador exportado que permite al usuario consultar el estado de sus reclamaciones
+// Parámetros: req (request con el usuario autenticado), res (response)
+export const obtenerMias = async (req, res) => {
+    try {
+        // Lista todas las reclamaciones del usuario, sin filtrar por estado
+        const reclamaciones = await obtenerReclamaciones({ usuarioId: req.usuario._id });
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, reclamaciones);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+// Función privada que construye los controladores de verificar y rechazar
+// Ambos comparten la misma lógica; solo cambia el resultado de la resolución
+const crearControladorResolucion = (verificar) => async (req, res) => {
+    try {
+        // Extrae el ID de la reclamación y el motivo opcional
+        const { reclamacionId } = req.params;
+        const { motivo } = req.body;
+
+        // Resuelve la reclamación registrando al admin que la resolvió
+        const reclamacion = await resolverReclamacion(reclamacionId, {
+            verificar,
+            adminId: req.usuario._id.toString(),
+            motivo
+        });
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            reclamacion,
+            verificar ? 'Reclamación verificada. El usuario ahora es el propietario del restaurante' : 'Reclamación rechazada'
+        );
+    } catch (error) {
+        // Si la reclamación no existe, retorna error 404 (Not Found)
+        if (error.message.includes('reclamación no existe')) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, error.message);
+        }
+        // Si la reclamación ya fue resuelta o el restaurante ya tiene propietario
+        if (error.message.includes('ya fue resuelta') || error.message.includes('ya tiene')) {
+            // Retorna error 409 (Conflict)
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Si el ID es inválido
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Verificar reclamación (solo admin)
+ */
+// Controlador exportado que verifica una reclamación y asigna el propietario al restaurante
+export const verificar = crearControladorResolucion(true);
+
+/**
+ * Rechazar reclamación (solo admin)
+ */
+// Controlador exportado que rechaza una reclamación pendiente
+export const rechazar = crearControladorResolucion(false);
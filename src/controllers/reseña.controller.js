@@ -13,6 +13,8 @@ import {
 } from '../models/reseña.model.js';
 // Importa la función del modelo de restaurantes para actualizar el promedio de calificaciones
 import { actualizarCalificacionPromedio } from '../models/restaurante.model.js';
+// Importa la función del modelo de usuarios que recalcula las estadísticas del autor de las reseñas
+import { actualizarEstadisticasUsuario } from '../models/usuario.model.js';
 // Importa el servicio de transacciones para ejecutar operaciones atómicas
 import { ejecutarTransaccion } from '../services/transacciones.service.js';
 // Importa el servicio de ranking para actualizar el ranking del restaurante
@@ -22,12 +24,14 @@ import { actualizarRankingRestaurante } from '../services/ranking.service.js';
 // responderError: envía respuestas de error con formato estándar
 // calcularPromedio: calcula el promedio de un array de números
 // convertirAObjectId: convierte un string a ObjectId de MongoDB
-import { responderExito, responderError, calcularPromedio, convertirAObjectId } from '../utils/helpers.js';
+// construirPaginacion: arma los metadatos de paginación comunes a todos los listados
+import { responderExito, responderError, calcularPromedio, convertirAObjectId, construirPaginacion } from '../utils/helpers.js';
 // Importa la función para obtener la referencia a la base de datos
 import { obtenerBD } from '../config/db.js';
 // Importa constantes desde el módulo de constants
 // HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
-import { HTTP_STATUS } from '../utils/constants.js';
+// FILTRO_NO_ELIMINADO: excluye las reseñas que están en la papelera de los cálculos
+import { HTTP_STATUS, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
 
 /**
  * Crear nueva reseña (con transacción)
@@ -64,7 +68,7 @@ export const crear = async (req, res) => {
             // Busca todas las reseñas del restaurante (incluyendo la nueva)
             // projection: { calificacion: 1 } solo trae el campo calificacion para eficiencia
             const reseñas = await db.collection('reseñas').find(
-                { restauranteId: nuevaReseña.restauranteId },
+                { restauranteId: nuevaReseña.restauranteId, ...FILTRO_NO_ELIMINADO },
                 { session, projection: { calificacion: 1 } }
             ).toArray();
             
@@ -88,6 +92,8 @@ export const crear = async (req, res) => {
         // Esta operación se hace fuera de la transacción porque puede ser más lenta
         // y no necesita ser atómica con la creación de la reseña
         await actualizarRankingRestaurante(restauranteId);
+        // Actualiza las estadísticas del autor (total de reseñas, promedio dado, likes recibidos)
+        await actualizarEstadisticasUsuario(usuarioId);
         
         // Retorna una respuesta exitosa con código 201 (CREATED)
         return responderExito(
@@ -103,6 +109,11 @@ export const crear = async (req, res) => {
             // Retorna error 409 (Conflict) para indicar duplicado
             return responderError(res, HTTP_STATUS.CONFLICT, error.message);
         }
+        // Si el restaurante está cerrado temporal o permanentemente
+        if (error.message.includes('está cerrado')) {
+            // Retorna error 409 (Conflict): el estado del restaurante impide la reseña
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
         // Si el error indica que la calificación está fuera del rango permitido
         if (error.message.includes('debe estar entre')) {
             // Retorna error 400 (Bad Request)
@@ -129,24 +140,30 @@ export const obtenerTodas = async (req, res) => {
         // Extrae las opciones de paginación y ordenamiento desde la query string de la URL
         // limite: número máximo de resultados (default 50)
         // saltar: número de resultados a omitir para paginación (default 0)
+        // cursor: nextCursor de la página anterior (si se indica, se ignora saltar)
         // ordenarPor: campo por el cual ordenar (default 'fechaCreacion')
         // orden: dirección del ordenamiento 'desc' o 'asc' (default 'desc')
-        const { limite = 50, saltar = 0, ordenarPor = 'fechaCreacion', orden = 'desc' } = req.query;
+        const { limite = 50, saltar = 0, cursor, ordenarPor = 'fechaCreacion', orden = 'desc' } = req.query;
         
         // Prepara las opciones para la consulta
         const opciones = {
             limite: parseInt(limite),  // Convierte el string a número entero
             saltar: parseInt(saltar),  // Convierte el string a número entero
+            cursor,  // Posición de la página anterior
             ordenarPor,  // Campo por el cual ordenar
             orden  // Dirección del ordenamiento
         };
         
         // Llama a la función del modelo para obtener todas las reseñas con paginación
         // Incluye información del usuario y restaurante para cada reseña
-        const reseñas = await obtenerTodasLasReseñas(opciones);
-        // Retorna una respuesta exitosa con código 200 (OK) y la lista de reseñas
-        return responderExito(res, HTTP_STATUS.OK, reseñas);
+        const { reseñas, ...paginacion } = await obtenerTodasLasReseñas(opciones);
+        // Retorna una respuesta exitosa con código 200 (OK), la lista de reseñas y la paginación
+        return responderExito(res, HTTP_STATUS.OK, reseñas, null, construirPaginacion({ ...opciones, ...paginacion }));
     } catch (error) {
+        // Si el cursor es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
         // Si ocurre un error, retorna error 500 (Internal Server Error)
         return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
     }
@@ -167,14 +184,16 @@ export const obtenerPorRestaurante = async (req, res) => {
         // Extrae las opciones de paginación y ordenamiento desde la query string
         // limite: número máximo de resultados (default 50)
         // saltar: número de resultados a omitir para paginación (default 0)
+        // cursor: nextCursor de la página anterior (si se indica, se ignora saltar)
         // ordenarPor: campo por el cual ordenar (default 'fechaCreacion')
         // orden: dirección del ordenamiento 'desc' o 'asc' (default 'desc')
-        const { limite = 50, saltar = 0, ordenarPor = 'fechaCreacion', orden = 'desc' } = req.query;
+        const { limite = 50, saltar = 0, cursor, ordenarPor = 'fechaCreacion', orden = 'desc' } = req.query;
         
         // Prepara las opciones para la consulta
         const opciones = {
             limite: parseInt(limite),  // Convierte el string a número entero
             saltar: parseInt(saltar),  // Convierte el string a número entero
+            cursor,  // Posición de la página anterior
             ordenarPor,  // Campo por el cual ordenar
             orden  // Dirección del ordenamiento
         };
@@ -182,23 +201,10 @@ export const obtenerPorRestaurante = async (req, res) => {
         // Obtiene la referencia a la base de datos MongoDB
         const db = obtenerBD();
         
-        // Contar total de reseñas para paginación
-        // countDocuments() cuenta cuántas reseñas tiene el restaurante
-        // Esto se usa para calcular información de paginación (total de páginas, etc.)
-        const totalReseñas = await db.collection('reseñas').countDocuments({
-            restauranteId: convertirAObjectId(restauranteId)  // Convierte el ID a ObjectId para la consulta
-        });
-        
         // Obtener reseñas
         // Llama a la función del modelo para obtener las reseñas con paginación
-        // Incluye información del usuario que hizo cada reseña
-        const reseñas = await obtenerReseñasPorRestaurante(restauranteId, opciones);
-        
-        // Calcular información de paginación
-        // Calcula la página actual basándose en cuántos resultados se han saltado
-        const paginaActual = Math.floor(opciones.saltar / opciones.limite) + 1;
-        // Calcula el total de páginas basándose en el total de reseñas y el límite por página
-        const totalPages = Math.ceil(totalReseñas / opciones.limite);
+        // Incluye información del usuario que hizo cada reseña y el total de reseñas del restaurante
+        const { reseñas, ...paginacion } = await obtenerReseñasPorRestaurante(restauranteId, opciones);
         
         // Incluir información de reacción del usuario actual si está autenticado
         // Si el usuario está autenticado, verifica qué reseñas le gustaron o no le gustaron
@@ -243,18 +249,10 @@ export const obtenerPorRestaurante = async (req, res) => {
         
         // Retorna una respuesta exitosa con código 200 (OK)
         // Incluye las reseñas y metadatos de paginación
-        return responderExito(res, HTTP_STATUS.OK, reseñas, null, {
-            pagination: {
-                page: paginaActual,  // Página actual
-                limit: opciones.limite,  // Límite de resultados por página
-                total: totalReseñas,  // Total de reseñas
-                totalPages: totalPages,  // Total de páginas
-                hasMore: paginaActual < totalPages  // Si hay más páginas
-            }
-        });
+        return responderExito(res, HTTP_STATUS.OK, reseñas, null, construirPaginacion({ ...opciones, ...paginacion }));
     } catch (error) {
         // Maneja errores específicos
-        // Si el error indica que el restauranteId es inválido
+        // Si el error indica que el restauranteId o el cursor son inválidos
         if (error.message.includes('inválido')) {
             // Retorna error 400 (Bad Request)
             return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
@@ -342,7 +340,7 @@ export const actualizar = async (req, res) => {
                 // Necesario para recalcular el promedio después de actualizar la calificación
                 const db = obtenerBD();
                 const reseñas = await db.collection('reseñas').find(
-                    { restauranteId: reseña.restauranteId },
+                    { restauranteId: reseña.restauranteId, ...FILTRO_NO_ELIMINADO },
                     { session, projection: { calificacion: 1 } }  // Solo trae el campo calificacion
                 ).toArray();
                 
@@ -371,6 +369,8 @@ export const actualizar = async (req, res) => {
         // Se hace fuera de la transacción porque puede ser más lento y no necesita ser atómico
         if (seActualizoCalificacion) {
             await actualizarRankingRestaurante(restauranteId);
+            // El promedio de calificaciones dadas por el autor también cambia
+            await actualizarEstadisticasUsuario(reseña.usuarioId);
         }
         
         // Retorna una respuesta exitosa con código 200 (OK)
@@ -420,6 +420,8 @@ export const like = async (req, res) => {
         // Se actualiza después de la transacción porque puede afectar el ranking
         // Se hace fuera de la transacción para no bloquear
         await actualizarRankingRestaurante(reseñaActualizada.restauranteId.toString());
+        // Actualiza los likes/dislikes recibidos por el autor de la reseña
+        await actualizarEstadisticasUsuario(reseñaActualizada.usuarioId);
         
         // Retorna una respuesta exitosa con código 200 (OK)
         return responderExito(
@@ -473,6 +475,8 @@ export const dislike = async (req, res) => {
         // Se actualiza después de la transacción porque puede afectar el ranking
         // Se hace fuera de la transacción para no bloquear
         await actualizarRankingRestaurante(reseñaActualizada.restauranteId.toString());
+        // Actualiza los likes/dislikes recibidos por el autor de la reseña
+        await actualizarEstadisticasUsuario(reseñaActualizada.usuarioId);
         
         // Retorna una respuesta exitosa con código 200 (OK)
         return responderExito(
@@ -532,9 +536,9 @@ export const eliminar = async (req, res) => {
         // Eliminar reseña y actualizar promedio en una transacción
         // Ejecuta todas las operaciones en una transacción atómica
         await ejecutarTransaccion(async (session) => {
-            // Eliminar la reseña
+            // Enviar la reseña a la papelera
             // session se pasa para que la operación forme parte de la transacción
-            const eliminada = await eliminarReseña(id, session);
+            const eliminada = await eliminarReseña(id, session, usuarioId);
             
             // Si no se pudo eliminar, lanza un error para hacer rollback de la transacción
             if (!eliminada) {
@@ -545,7 +549,7 @@ export const eliminar = async (req, res) => {
             // Necesario para recalcular el promedio después de eliminar la reseña
             const db = obtenerBD();
             const reseñas = await db.collection('reseñas').find(
-                { restauranteId: reseña.restauranteId },
+                { restauranteId: reseña.restauranteId, ...FILTRO_NO_ELIMINADO },
                 { session, projection: { calificacion: 1 } }  // Solo trae el campo calificacion
             ).toArray();
             
@@ -570,6 +574,8 @@ export const eliminar = async (req, res) => {
         // Se actualiza después de la transacción porque puede afectar el ranking
         // Se hace fuera de la transacción para no bloquear
         await actualizarRankingRestaurante(restauranteId);
+        // La reseña eliminada deja de contar en las estadísticas de su autor
+        await actualizarEstadisticasUsuario(reseña.usuarioId);
         
         // Retorna una respuesta exitosa con código 204 (NO_CONTENT)
         // 204 No Content significa que la operación fue exitosa pero no hay contenido que retornar
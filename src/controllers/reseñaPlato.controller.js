@@ -0,0 +1,202 @@
+// Importa las funciones del modelo de reseñas de platos
+import {
+    crearReseñaPlato,  // Función para crear una reseña de un plato
+    obtenerReseñasPorPlato,  // Función para listar las reseñas de un plato
+    buscarReseñaPlatoPorId,  // Función para buscar una reseña de plato por su ID
+    actualizarReseñaPlato,  // Función para editar el comentario o la calificación
+    darLikeReseñaPlato,  // Función para dar like a una reseña de plato
+    darDislikeReseñaPlato,  // Función para dar dislike a una reseña de plato
+    eliminarReseñaPlato  // Función para enviar una reseña de plato a la papelera
+} from '../models/reseñaPlato.model.js';
+// Importa el servicio de transacciones para que la creación y las reacciones se apliquen de forma atómica
+import { ejecutarTransaccion } from '../services/transacciones.service.js';
+// Importa el servicio de ranking para recalcular la calificación, el total de reseñas y el ranking del plato
+import { actualizarRankingPlato } from '../services/ranking.service.js';
+// Importa funciones helper para utilidades
+// responderExito y responderError: envían respuestas con formato estándar
+// construirPaginacion: arma los metadatos de paginación comunes a todos los listados
+import { responderExito, responderError, construirPaginacion } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
+// ROLES: el admin puede editar o eliminar cualquier reseña
+import { HTTP_STATUS, ROLES } from '../utils/constants.js';
+
+/**
+ * Crear una reseña de un plato
+ */
+// Controlador exportado que registra la calificación del usuario autenticado a un plato
+// y recalcula el promedio y el ranking del plato
+// Parámetros: req (request con { platoId, calificacion, comentario } en req.body), res (response)
+export const crear = async (req, res) => {
+    try {
+        const usuarioId = req.usuario._id.toString();
+        const { platoId, comentario, calificacion } = req.body;
+
+        let nuevaReseña;
+        // Las comprobaciones (plato, restaurante abierto, reseña única) y la inserción van en una transacción,
+        // igual que las reseñas de restaurantes
+        await ejecutarTransaccion(async (session) => {
+            nuevaReseña = await crearReseñaPlato({ comentario, calificacion, platoId, usuarioId }, session);
+        });
+        // Recalcula el promedio, el total de reseñas y el ranking del plato (fuera de la transacción)
+        await actualizarRankingPlato(nuevaReseña.platoId);
+
+        return responderExito(res, HTTP_STATUS.CREATED, nuevaReseña, 'Reseña del plato creada exitosamente');
+    } catch (error) {
+        // Ya existe una reseña del usuario para el plato o el restaurante está cerrado: 409 (Conflict)
+        if (error.message.includes('ya creado') || error.message.includes('está cerrado')) {
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Calificación fuera de rango, plato inexistente o ID inválido: 400 (Bad Request)
+        if (error.message.includes('debe estar entre') || error.message.includes('no existe') || error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener las reseñas de un plato
+ */
+// Controlador exportado que lista las reseñas de un plato con paginación
+// Parámetros: req (request con platoId en req.params y opciones en req.query), res (response)
+export const obtenerPorPlato = async (req, res) => {
+    try {
+        const { platoId } = req.params;
+        const { limite = 50, saltar = 0, cursor, ordenarPor = 'fechaCreacion', orden = 'desc' } = req.query;
+        const opciones = {
+            limite: parseInt(limite),
+            saltar: parseInt(saltar),
+            cursor,
+            ordenarPor,
+            orden
+        };
+
+        const { reseñas, ...paginacion } = await obtenerReseñasPorPlato(platoId, opciones);
+        return responderExito(res, HTTP_STATUS.OK, reseñas, null, construirPaginacion({ ...opciones, ...paginacion }));
+    } catch (error) {
+        // Si el platoId o el cursor son inválidos, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener una reseña de plato por ID
+ */
+export const obtenerPorId = async (req, res) => {
+    try {
+        const reseña = await buscarReseñaPlatoPorId(req.params.id);
+        if (!reseña) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Reseña no encontrada');
+        }
+        return responderExito(res, HTTP_STATUS.OK, reseña);
+    } catch (error) {
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Actualizar una reseña de plato
+ */
+// Controlador exportado que edita el comentario o la calificación (solo el autor o un admin)
+// Si cambia la calificación se recalculan el promedio y el ranking del plato
+export const actualizar = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const reseña = await buscarReseñaPlatoPorId(id);
+        if (!reseña) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Reseña no encontrada');
+        }
+        if (reseña.usuarioId.toString() !== req.usuario._id.toString() && req.usuario.rol !== ROLES.ADMIN) {
+            return responderError(res, HTTP_STATUS.FORBIDDEN, 'No puedes editar esta reseña');
+        }
+
+        const { comentario, calificacion } = req.body;
+        const reseñaActualizada = await actualizarReseñaPlato(id, { comentario, calificacion });
+        if (!reseñaActualizada) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Reseña no encontrada');
+        }
+        if (calificacion !== undefined && calificacion !== reseña.calificacion) {
+            await actualizarRankingPlato(reseña.platoId);
+        }
+
+        return responderExito(res, HTTP_STATUS.OK, reseñaActualizada, 'Reseña actualizada exitosamente');
+    } catch (error) {
+        // Si la calificación está fuera del rango permitido, retorna error 400 (Bad Request)
+        if (error.message.includes('debe estar entre')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+// Función privada que aplica un like o un dislike en una transacción y recalcula el ranking del plato
+// Parámetros: req, res, reaccionarReseña (darLikeReseñaPlato o darDislikeReseñaPlato) y mensaje de éxito
+async function reaccionar(req, res, reaccionarReseña, mensaje) {
+    try {
+        const { id } = req.params;
+        const usuarioId = req.usuario._id.toString();
+
+        // Toggle: repetir la reacción la quita y la contraria la reemplaza
+        let reseñaActualizada;
+        await ejecutarTransaccion(async (session) => {
+            reseñaActualizada = await reaccionarReseña(id, usuarioId, session);
+        });
+        // El ratio de likes forma parte del ranking del plato
+        await actualizarRankingPlato(reseñaActualizada.platoId);
+
+        return responderExito(res, HTTP_STATUS.OK, reseñaActualizada, mensaje);
+    } catch (error) {
+        // No se puede reaccionar a la propia reseña: 403 (Forbidden)
+        if (error.message.includes('propia reseña')) {
+            return responderError(res, HTTP_STATUS.FORBIDDEN, error.message);
+        }
+        // ID inválido o reseña no encontrada: 400 (Bad Request), igual que en las reseñas de restaurantes
+        if (error.message.includes('inválido') || error.message.includes('no encontrada')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+}
+
+/**
+ * Dar like a una reseña de plato (transaccional)
+ */
+export const like = (req, res) => reaccionar(req, res, darLikeReseñaPlato, 'Like registrado exitosamente');
+
+/**
+ * Dar dislike a una reseña de plato (transaccional)
+ */
+export const dislike = (req, res) => reaccionar(req, res, darDislikeReseñaPlato, 'Dislike registrado exitosamente');
+
+/**
+ * Eliminar una reseña de plato (la envía a la papelera)
+ */
+// Controlador exportado que envía la reseña a la papelera (solo el autor o un admin)
+// La reseña deja de contar en el promedio y el ranking del plato
+export const eliminar = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const usuarioId = req.usuario._id.toString();
+        const reseña = await buscarReseñaPlatoPorId(id);
+        if (!reseña) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Reseña no encontrada');
+        }
+        if (reseña.usuarioId.toString() !== usuarioId && req.usuario.rol !== ROLES.ADMIN) {
+            return responderError(res, HTTP_STATUS.FORBIDDEN, 'No puedes eliminar esta reseña');
+        }
+
+        const eliminada = await eliminarReseñaPlato(id, usuarioId);
+        if (!eliminada) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'No se pudo eliminar la reseña');
+        }
+        await actualizarRankingPlato(reseña.platoId);
+
+        return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Reseña eliminada exitosamente');
+    } catch (error) {
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
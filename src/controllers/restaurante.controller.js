@@ -4,19 +4,51 @@ import {
     crearRestaurante,  // Función para crear un nuevo restaurante
     crearRestauranteConPlatos,  // Función para crear restaurante con platos en transacción
     obtenerRestaurantes,  // Función para obtener restaurantes con filtros
+    obtenerFacetasRestaurantes,  // Función para contar restaurantes por faceta con los filtros actuales
+    obtenerRestaurantesCercanos,  // Función para obtener restaurantes cercanos a un punto
     buscarRestaurantePorId,  // Función para buscar un restaurante por su ID
     actualizarRestaurante,  // Función para actualizar un restaurante existente
     aprobarRestaurante,  // Función para aprobar un restaurante (solo admin)
-    eliminarRestaurante  // Función para eliminar un restaurante
+    cambiarEstadoRestaurante,  // Función para aplicar una transición del flujo de aprobación
+    obtenerRestaurantesPendientes,  // Función para obtener la cola de envíos pendientes
+    obtenerRestaurantesPorAutor,  // Función para obtener los envíos de un usuario
+    eliminarRestaurante,  // Función para eliminar un restaurante
+    eliminarRestauranteEnCascada,  // Función para eliminar definitivamente un restaurante y todo lo asociado (solo admin)
+    fusionarRestaurantes  // Función para fusionar un restaurante duplicado en otro (solo admin)
 } from '../models/restaurante.model.js';
+// Importa pipeline para enviar la exportación respetando la velocidad de descarga del cliente
+import { pipeline } from 'node:stream/promises';
 // Importa funciones helper para enviar respuestas HTTP consistentes
 // responderExito: envía respuestas exitosas con formato estándar
 // responderError: envía respuestas de error con formato estándar
-import { responderExito, responderError } from '../utils/helpers.js';
+// convertirNivelPrecio: convierte el nivel de precio ('2' o '$$') a su número
+// convertirListaQuery: convierte la lista de atributos (separada por comas o repetida) en array
+// construirPaginacion: arma los metadatos de paginación comunes a todos los listados
+import { responderExito, responderError, convertirNivelPrecio, convertirListaQuery, construirPaginacion } from '../utils/helpers.js';
+// Importa el servicio de horarios
+// agregarEstadoHorario: agrega si el restaurante está abierto y cuándo abre o cierra
+import { agregarEstadoHorario } from '../services/horario.service.js';
+// Importa el servicio de precios
+// actualizarPreciosRestaurante: calcula el rango y el nivel de precio a partir del menú
+import { actualizarPreciosRestaurante } from '../services/precio.service.js';
+// Importa la detección de restaurantes duplicados (nombre parecido y misma ubicación)
+import { buscarPosiblesDuplicados } from '../services/duplicados.service.js';
+// Importa el servicio de ranking para recalcular la calificación y el ranking tras una fusión
+import { actualizarRankingRestaurante } from '../services/ranking.service.js';
+// Importa el servicio de exportación (CSV, NDJSON o GeoJSON en streaming)
+import { exportarRestaurantes } from '../services/exportacion.service.js';
+// Importa las recomendaciones de restaurantes similares ("si te gustó esto")
+import { obtenerRestaurantesSimilares } from '../services/similares.service.js';
+// Importa el servicio de analíticas por período del restaurante
+import { obtenerAnaliticasRestaurante } from '../services/analiticas.service.js';
 // Importa constantes desde el módulo de constants
 // HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
 // ERROR_MESSAGES: mensajes de error predefinidos y consistentes
-import { HTTP_STATUS, ERROR_MESSAGES } from '../utils/constants.js';
+// ROLES: roles de usuario (para distinguir acciones del admin y del autor)
+// ESTADOS_RESTAURANTE: estados del flujo de aprobación de restaurantes
+// FORMATOS_EXPORTACION: tipo de contenido y extensión de cada formato de exportación
+// CAMPOS_EDITABLES_RESTAURANTE: campos del restaurante que se pueden editar con PUT /restaurantes/:id
+import { HTTP_STATUS, ERROR_MESSAGES, ROLES, ESTADOS_RESTAURANTE, FORMATOS_EXPORTACION, CAMPOS_EDITABLES_RESTAURANTE } from '../utils/constants.js';
 
 /**
  * Crear nuevo restaurante (requiere aprobación de admin)
@@ -30,8 +62,27 @@ export const crear = async (req, res) => {
     try {
         // Separa platos del resto de datos del restaurante usando destructuring
         // platos: array opcional de platos a crear junto con el restaurante
+        // confirmarNoDuplicado: true para crear aunque existan restaurantes muy parecidos
         // ...restauranteData: resto de datos del restaurante (nombre, descripcion, categoriaId, etc.)
-        const { platos, ...restauranteData } = req.body;
+        const { platos, confirmarNoDuplicado, ...datosRestaurante } = req.body;
+        // Registra al usuario autenticado como autor del envío
+        // El autor puede consultar el estado de aprobación y el motivo en /restaurantes/mios
+        const restauranteData = { ...datosRestaurante, creadoPor: req.usuario._id };
+        
+        // Busca restaurantes que probablemente sean el mismo (nombre parecido y misma ubicación)
+        // Si alguno es una coincidencia fuerte, el usuario debe confirmar que no es un duplicado
+        const posiblesDuplicados = await buscarPosiblesDuplicados(restauranteData);
+        if (posiblesDuplicados.some((duplicado) => duplicado.fuerte) && confirmarNoDuplicado !== true) {
+            // Retorna error 409 (Conflict) con los restaurantes parecidos para que el usuario los revise
+            return responderError(
+                res,
+                HTTP_STATUS.CONFLICT,
+                'Existen restaurantes muy parecidos. Si no es ninguno de ellos, reenvía con confirmarNoDuplicado: true',
+                { posiblesDuplicados }
+            );
+        }
+        // Las coincidencias más débiles se informan junto con el restaurante creado
+        const metadataDuplicados = posiblesDuplicados.length > 0 ? { posiblesDuplicados } : null;
         
         // Variable para almacenar el resultado de la creación
         let resultado;
@@ -42,6 +93,8 @@ export const crear = async (req, res) => {
             // Crea el restaurante y los platos en una transacción atómica
             // Si falla cualquier plato, todo se revierte
             resultado = await crearRestauranteConPlatos(restauranteData, platos);
+            // Calcula el rango y el nivel de precio con los platos creados
+            Object.assign(resultado.restaurante, await actualizarPreciosRestaurante(resultado.restaurante._id));
             // Retorna una respuesta exitosa con código 201 (CREATED)
             // Incluye el restaurante, los platos creados y el total de platos
             return responderExito(
@@ -52,24 +105,30 @@ export const crear = async (req, res) => {
                     platos: resultado.platos,  // Array de platos creados
                     totalPlatos: resultado.platos.length  // Cantidad de platos creados
                 },
-                `Restaurante creado exitosamente con ${resultado.platos.length} plato(s). Pendiente de aprobación por administrador`
+                `Restaurante creado exitosamente con ${resultado.platos.length} plato(s). Pendiente de aprobación por administrador`,
+                metadataDuplicados
             );
         } else {
             // Crear solo restaurante
             // Si no hay platos, crea solo el restaurante sin transacciones complejas
             const restaurante = await crearRestaurante(restauranteData);
+            // Una sucursal ya tiene el menú de su cadena: calcula su rango y nivel de precio
+            if (restaurante.cadenaId) {
+                Object.assign(restaurante, await actualizarPreciosRestaurante(restaurante._id));
+            }
             // Retorna una respuesta exitosa con código 201 (CREATED)
             return responderExito(
                 res,
                 HTTP_STATUS.CREATED,  // Código 201: recurso creado exitosamente
                 restaurante,  // Datos del restaurante creado
-                'Restaurante creado exitosamente. Pendiente de aprobación por administrador'
+                'Restaurante creado exitosamente. Pendiente de aprobación por administrador',
+                metadataDuplicados  // Posibles duplicados (si los hay)
             );
         }
     } catch (error) {
         // Maneja errores específicos
         // Si el error indica que ya existe un restaurante con ese nombre
-        if (error.message.includes('ya existe')) {
+        if (error.message.toLowerCase().includes('ya existe')) {
             // Retorna error 409 (Conflict) para indicar duplicado
             return responderError(res, HTTP_STATUS.CONFLICT, error.message);
         }
@@ -83,6 +142,38 @@ export const crear = async (req, res) => {
     }
 };
 
+// Función privada que convierte la query string en los filtros del listado de restaurantes
+// La comparten el listado y las facetas para que ambos interpreten los filtros igual
+// categoriaId, cadenaId: IDs opcionales para filtrar por categoría o listar las sucursales de una cadena
+// soloAprobados: si mostrar solo restaurantes aprobados (default 'true' como string)
+// precioMin y precioMax: límites para la mediana del precio de los platos
+// moneda: moneda de los restaurantes (con un filtro de precio, por defecto la de la plataforma)
+// nivelPrecio: nivel de 1 a 4 o su símbolo ($ a $$$$)
+// atributos: claves separadas por comas; el restaurante debe tenerlas todas
+// calificacionMin: calificación promedio mínima
+// dietas y minPlatosDieta: al menos minPlatosDieta platos (default 1) de cada dieta
+const extraerFiltrosListado = (consulta) => {
+    const { categoriaId, cadenaId, soloAprobados = 'true' } = consulta;
+    const { precioMin, precioMax, moneda, nivelPrecio, atributos, calificacionMin, dietas, minPlatosDieta } = consulta;
+    return {
+        categoriaId,  // ID de categoría para filtrar
+        cadenaId,  // ID de cadena para filtrar
+        soloAprobados: soloAprobados === 'true',  // Convierte el string 'true'/'false' a boolean
+        // Filtros de presupuesto (undefined = sin filtro)
+        precioMin: precioMin !== undefined ? parseFloat(precioMin) : undefined,
+        precioMax: precioMax !== undefined ? parseFloat(precioMax) : undefined,
+        moneda,
+        nivelPrecio: convertirNivelPrecio(nivelPrecio),
+        // Claves de atributos que el restaurante debe tener
+        atributos: convertirListaQuery(atributos),
+        // Calificación promedio mínima (undefined = sin filtro)
+        calificacionMin: calificacionMin !== undefined ? parseFloat(calificacionMin) : undefined,
+        // Dietas con su cantidad mínima de platos
+        dietas: convertirListaQuery(dietas),
+        minPlatosDieta: minPlatosDieta !== undefined ? parseInt(minPlatosDieta, 10) : undefined
+    };
+};
+
 /**
  * Obtener restaurantes con filtros
  */
@@ -91,35 +182,138 @@ export const crear = async (req, res) => {
 // Parámetros: req (request con filtros en req.query), res (response para enviar la respuesta)
 export const obtenerTodos = async (req, res) => {
     try {
-        // Extrae los filtros y opciones desde la query string de la URL
-        // categoriaId: ID opcional de categoría para filtrar (default undefined)
+        // Extrae el ordenamiento desde la query string de la URL
         // ordenarPor: campo por el cual ordenar (default 'ranking')
         // orden: dirección del ordenamiento 'desc' o 'asc' (default 'desc')
-        // soloAprobados: si mostrar solo restaurantes aprobados (default 'true' como string)
-        const { categoriaId, ordenarPor = 'ranking', orden = 'desc', soloAprobados = 'true' } = req.query;
+        const { ordenarPor = 'ranking', orden = 'desc' } = req.query;
+        // Extrae los filtros de horario
+        // abiertoAhora: 'true' para mostrar solo restaurantes abiertos en este momento
+        // abiertoEn: fecha ISO para mostrar solo restaurantes abiertos en ese instante (tiene prioridad)
+        const { abiertoAhora, abiertoEn } = req.query;
         // Extrae las opciones de paginación desde la query string
         // limite: número máximo de resultados (default 50)
         // saltar: número de resultados a omitir para paginación (default 0)
-        const { limite = 50, saltar = 0 } = req.query;
+        // cursor: nextCursor de la página anterior (si se indica, se ignora saltar)
+        const { limite = 50, saltar = 0, cursor } = req.query;
         
         // Construye el objeto de filtros
         const filtros = {
-            categoriaId,  // ID de categoría para filtrar
+            ...extraerFiltrosListado(req.query),  // Categoría, cadena, precio, atributos, calificación y dietas
             ordenarPor,  // Campo por el cual ordenar
             orden,  // Dirección del ordenamiento
-            soloAprobados: soloAprobados === 'true'  // Convierte el string 'true'/'false' a boolean
+            // Instante para filtrar por restaurantes abiertos (undefined = sin filtro de horario)
+            abiertoEn: abiertoEn ? new Date(abiertoEn) : (abiertoAhora === 'true' ? new Date() : undefined)
         };
         
         // Construye el objeto de opciones de paginación
         const opciones = {
             limite: parseInt(limite),  // Convierte el string a número entero
-            saltar: parseInt(saltar)  // Convierte el string a número entero
+            saltar: parseInt(saltar),  // Convierte el string a número entero
+            cursor  // Posición de la página anterior
         };
         
         // Llama a la función del modelo para obtener los restaurantes con filtros y paginación
-        const restaurantes = await obtenerRestaurantes(filtros, opciones);
-        // Retorna una respuesta exitosa con código 200 (OK) y la lista de restaurantes
-        return responderExito(res, HTTP_STATUS.OK, restaurantes);
+        const { restaurantes, ...paginacion } = await obtenerRestaurantes(filtros, opciones);
+        // Retorna una respuesta exitosa con código 200 (OK), la lista de restaurantes y la paginación
+        return responderExito(res, HTTP_STATUS.OK, restaurantes, null, construirPaginacion({ ...opciones, ...paginacion }));
+    } catch (error) {
+        // Si el cursor es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener conteos por faceta para los filtros actuales
+ */
+// Controlador exportado que cuenta los restaurantes por categoría, atributo, nivel de precio y calificación
+// Recibe los mismos filtros que el listado para que el frontend muestre solo opciones con resultados
+// Parámetros: req (request con filtros en req.query), res (response)
+export const obtenerFacetas = async (req, res) => {
+    try {
+        const facetas = await obtenerFacetasRestaurantes(extraerFiltrosListado(req.query));
+        // Retorna una respuesta exitosa con código 200 (OK) y los conteos
+        return responderExito(res, HTTP_STATUS.OK, facetas);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Exportar el catálogo de restaurantes (solo admin)
+ */
+// Controlador exportado que descarga todos los restaurantes que cumplen los filtros del listado
+// La respuesta se envía en streaming: no se arma el archivo completo en memoria
+// Parámetros: req (request con filtros, formato e incluir en req.query), res (response), next (pasa los errores al middleware de errores)
+export const exportar = async (req, res, next) => {
+    try {
+        const { formato = 'csv', incluir, ordenarPor = 'ranking', orden = 'desc', abiertoAhora, abiertoEn } = req.query;
+        // Mismos filtros y ordenamiento que el listado, sin paginación
+        const filtros = {
+            ...extraerFiltrosListado(req.query),
+            ordenarPor,
+            orden,
+            abiertoEn: abiertoEn ? new Date(abiertoEn) : (abiertoAhora === 'true' ? new Date() : undefined)
+        };
+        const { contentType, extension } = FORMATOS_EXPORTACION[formato];
+        const fecha = new Date().toISOString().slice(0, 10);
+
+        res.status(HTTP_STATUS.OK);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="restaurantes-${fecha}.${extension}"`);
+        await pipeline(exportarRestaurantes(filtros, { formato, incluir: convertirListaQuery(incluir) }), res);
+    } catch (error) {
+        // Si el error ocurre antes de empezar a enviar, la respuesta de error no debe descargarse como archivo
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('Content-Type');
+        }
+        // El middleware de errores lo registra y responde; con la descarga ya empezada pipeline
+        // corta la conexión (el archivo queda incompleto)
+        return next(error);
+    }
+};
+
+/**
+ * Obtener restaurantes cercanos a un punto ("cerca de mí")
+ */
+// Controlador exportado que maneja la búsqueda de restaurantes cercanos
+// Esta función se ejecuta cuando se recibe una petición GET a /restaurantes/cercanos
+// Parámetros: req (request con lat, lng, radio y filtros en req.query), res (response para enviar la respuesta)
+export const obtenerCercanos = async (req, res) => {
+    try {
+        // Extrae el punto de búsqueda, el radio (km) y los filtros desde la query string
+        // incluirCerrados: 'true' para incluir restaurantes cerrados temporal o permanentemente
+        const { lat, lng, radio = 5, categoriaId, ordenarPor = 'distancia', orden, incluirCerrados } = req.query;
+        // Extrae las opciones de paginación desde la query string
+        const { limite = 50, saltar = 0 } = req.query;
+        
+        // Construye el objeto de filtros
+        const filtros = {
+            lat: parseFloat(lat),  // Latitud del punto de búsqueda
+            lng: parseFloat(lng),  // Longitud del punto de búsqueda
+            radio: parseFloat(radio),  // Radio de búsqueda en kilómetros
+            categoriaId,  // ID de categoría para filtrar
+            ordenarPor,  // Campo por el cual ordenar (default distancia)
+            orden,  // Dirección del ordenamiento (opcional)
+            incluirCerrados: incluirCerrados === 'true'  // Por defecto solo restaurantes en operación
+        };
+        
+        // Construye el objeto de opciones de paginación
+        const opciones = {
+            limite: parseInt(limite),  // Convierte el string a número entero
+            saltar: parseInt(saltar)  // Convierte el string a número entero
+        };
+        
+        // Llama a la función del modelo para obtener los restaurantes cercanos
+        // Cada restaurante incluye el campo distanciaKm
+        const { restaurantes, ...paginacion } = await obtenerRestaurantesCercanos(filtros, opciones);
+        // Retorna una respuesta exitosa con código 200 (OK), la lista de restaurantes y la paginación
+        return responderExito(res, HTTP_STATUS.OK, restaurantes, null, construirPaginacion({ ...opciones, ...paginacion }));
     } catch (error) {
         // Si ocurre un error, retorna error 500 (Internal Server Error)
         return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
@@ -146,13 +340,63 @@ export const obtenerPorId = async (req, res) => {
         }
         
         // Si se encontró, retorna una respuesta exitosa con código 200 (OK) y los datos del restaurante
-        return responderExito(res, HTTP_STATUS.OK, restaurante);
+        // Incluye el estado de apertura para abiertoEn (fecha ISO opcional) o para el momento actual
+        const fechaHorario = req.query.abiertoEn ? new Date(req.query.abiertoEn) : new Date();
+        return responderExito(res, HTTP_STATUS.OK, agregarEstadoHorario(restaurante, fechaHorario));
     } catch (error) {
         // Si ocurre un error, retorna error 500 (Internal Server Error)
         return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
     }
 };
 
+/**
+ * Obtener restaurantes similares ("si te gustó esto")
+ */
+// Controlador exportado que recomienda otros restaurantes aprobados parecidos al indicado
+// Cada resultado incluye su puntaje y los motivos de la coincidencia
+// Parámetros: req (request con id en req.params y limite en req.query), res (response)
+export const obtenerSimilares = async (req, res) => {
+    try {
+        const limite = parseInt(req.query.limite) || undefined;
+        const similares = await obtenerRestaurantesSimilares(req.params.id, { limite });
+        // Si el restaurante no existe, retorna error 404 (Not Found)
+        if (!similares) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK) y las recomendaciones
+        return responderExito(res, HTTP_STATUS.OK, similares);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener analíticas del restaurante
+ */
+// Controlador exportado que retorna la evolución por semana o mes del restaurante frente a su categoría
+// Solo el admin o el propietario verificado llegan aquí (requierePropietarioOAdmin en la ruta)
+// Parámetros: req (request con id en req.params y desde, hasta y granularidad en req.query), res (response)
+export const obtenerAnaliticas = async (req, res) => {
+    try {
+        const { desde, hasta, granularidad } = req.query;
+        const analiticas = await obtenerAnaliticasRestaurante(req.params.id, { desde, hasta, granularidad });
+        // Si el restaurante no existe, retorna error 404 (Not Found)
+        if (!analiticas) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        // Retorna una respuesta exitosa con código 200 (OK) y la serie de períodos
+        return responderExito(res, HTTP_STATUS.OK, analiticas);
+    } catch (error) {
+        // Si el rango de fechas es inválido (o supera el máximo de períodos), retorna 400
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Si ocurre otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
 /**
  * Actualizar restaurante
  */
@@ -163,15 +407,39 @@ export const actualizar = async (req, res) => {
     try {
         // Extrae el ID de los parámetros de la URL
         const { id } = req.params;
+        // Toma del cuerpo solo los campos editables; el resto se ignora
+        // Así un propietario no puede autoaprobarse, transferir el restaurante ni enviarlo a la papelera sin la cascada
+        // El estado de aprobación solo cambia mediante /estado, /aprobar o el reenvío automático de abajo
+        const datosActualizacion = Object.fromEntries(
+            CAMPOS_EDITABLES_RESTAURANTE
+                .filter((campo) => req.body[campo] !== undefined)
+                .map((campo) => [campo, req.body[campo]])
+        );
         // Llama a la función del modelo para actualizar el restaurante
-        // req.body contiene los campos a actualizar (nombre, descripcion, categoriaId, etc.)
-        const restaurante = await actualizarRestaurante(id, req.body);
+        // datosActualizacion contiene los campos a actualizar (nombre, descripcion, categoriaId, etc.)
+        // El usuario autenticado queda registrado como autor en el historial de revisiones
+        let restaurante = await actualizarRestaurante(id, datosActualizacion, { usuarioId: req.usuario._id });
         
         // Si no se encontró el restaurante, retorna error 404 (Not Found)
         if (!restaurante) {
             return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
         }
         
+        // Si el admin había pedido cambios y quien edita no es admin, el envío vuelve a la cola de pendientes
+        if (restaurante.estado === ESTADOS_RESTAURANTE.CAMBIOS_SOLICITADOS && req.usuario.rol !== ROLES.ADMIN) {
+            restaurante = await cambiarEstadoRestaurante(id, ESTADOS_RESTAURANTE.PENDIENTE, {
+                usuarioId: req.usuario._id,
+                motivo: 'Cambios enviados por el autor'
+            });
+            // Retorna el restaurante reenviado indicando que espera una nueva revisión
+            return responderExito(
+                res,
+                HTTP_STATUS.OK,
+                restaurante,
+                'Restaurante actualizado y reenviado para revisión'
+            );
+        }
+        
         // Si se actualizó correctamente, retorna una respuesta exitosa con código 200 (OK)
         return responderExito(
             res,
@@ -182,7 +450,7 @@ export const actualizar = async (req, res) => {
     } catch (error) {
         // Maneja diferentes tipos de errores
         // Si el error indica que ya existe un restaurante con ese nombre
-        if (error.message.includes('ya existe')) {
+        if (error.message.toLowerCase().includes('ya existe')) {
             // Retorna error 409 (Conflict) para indicar duplicado
             return responderError(res, HTTP_STATUS.CONFLICT, error.message);
         }
@@ -208,8 +476,8 @@ export const aprobar = async (req, res) => {
         // Extrae el ID de los parámetros de la URL
         const { id } = req.params;
         // Llama a la función del modelo para aprobar el restaurante
-        // Marca el restaurante como aprobado (aprobado: true)
-        const restaurante = await aprobarRestaurante(id);
+        // Aplica la transición al estado aprobado registrando al admin que aprueba
+        const restaurante = await aprobarRestaurante(id, req.usuario._id);
         
         // Si no se encontró el restaurante, retorna error 404 (Not Found)
         if (!restaurante) {
@@ -223,6 +491,128 @@ export const aprobar = async (req, res) => {
             restaurante,  // Datos del restaurante aprobado
             'Restaurante aprobado exitosamente'  // Mensaje de confirmación
         );
+    } catch (error) {
+        // Si el restaurante no está en un estado que se pueda aprobar (ej: rechazado)
+        if (error.message.includes('no permitida') || error.message.includes('cambió durante')) {
+            // Retorna error 409 (Conflict)
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Cambiar el estado de aprobación de un restaurante (solo admin)
+ */
+// Controlador exportado que aplica una transición del flujo de aprobación
+// pendiente -> aprobado / rechazado / cambios_solicitados, aprobado <-> suspendido
+// Parámetros: req (request con id en req.params y { estado, motivo } en req.body), res (response)
+export const cambiarEstado = async (req, res) => {
+    try {
+        // Extrae el ID del restaurante y los datos de la transición
+        const { id } = req.params;
+        const { estado, motivo } = req.body;
+        
+        // Aplica la transición registrando al admin que actúa y el motivo
+        const restaurante = await cambiarEstadoRestaurante(id, estado, {
+            usuarioId: req.usuario._id,
+            motivo
+        });
+        
+        // Si no se encontró el restaurante, retorna error 404 (Not Found)
+        if (!restaurante) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        
+        // Retorna el restaurante con su nuevo estado
+        return responderExito(res, HTTP_STATUS.OK, restaurante, `Estado del restaurante cambiado a ${estado}`);
+    } catch (error) {
+        // Si la transición no está permitida desde el estado actual, retorna 409 (Conflict)
+        if (error.message.includes('no permitida') || error.message.includes('cambió durante')) {
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Si falta el motivo o el ID es inválido, retorna 400 (Bad Request)
+        if (error.message.includes('requerido') || error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Cambiar el estado operativo de un restaurante (propietario o admin)
+ */
+// Controlador exportado que marca el restaurante como abierto, cerrado temporalmente o cerrado permanentemente
+// Un cierre temporal termina solo al llegar la fecha de reapertura; antes se puede reabrir manualmente
+// Parámetros: req (request con id en req.params y { estadoOperativo, fechaReapertura, motivo } en req.body), res (response)
+export const cambiarEstadoOperativo = async (req, res) => {
+    try {
+        // Extrae el ID del restaurante y los datos del cambio
+        const { id } = req.params;
+        const { estadoOperativo, fechaReapertura, motivo } = req.body;
+        
+        // Guarda el cambio como una actualización más (queda en el historial de revisiones)
+        const restaurante = await actualizarRestaurante(
+            id,
+            { estadoOperativo, fechaReapertura, motivoCierre: motivo },
+            { usuarioId: req.usuario._id }
+        );
+        
+        // Si no se encontró el restaurante, retorna error 404 (Not Found)
+        if (!restaurante) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        
+        // Retorna el restaurante con su estado operativo y el aviso de cierre
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            agregarEstadoHorario(restaurante),
+            `Estado operativo del restaurante cambiado a ${estadoOperativo}`
+        );
+    } catch (error) {
+        // Si la fecha de reapertura no es futura o el ID es inválido, retorna 400 (Bad Request)
+        if (error.message.includes('inválid')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener la cola de restaurantes pendientes de revisión (solo admin)
+ */
+// Controlador exportado que lista los envíos pendientes, los más antiguos primero
+// Parámetros: req (request con limite y saltar en req.query), res (response)
+export const obtenerPendientes = async (req, res) => {
+    try {
+        // Extrae las opciones de paginación desde la query string
+        const { limite = 50, saltar = 0 } = req.query;
+        const opciones = { limite: parseInt(limite), saltar: parseInt(saltar) };
+        // Obtiene la cola de envíos pendientes
+        const { restaurantes, ...paginacion } = await obtenerRestaurantesPendientes(opciones);
+        // Retorna una respuesta exitosa con código 200 (OK) y la paginación
+        return responderExito(res, HTTP_STATUS.OK, restaurantes, null, construirPaginacion({ ...opciones, ...paginacion }));
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener los restaurantes enviados por el usuario autenticado
+ */
+// Controlador exportado que permite al autor ver el estado de sus envíos y el motivo indicado por el admin
+// Parámetros: req (request con el usuario autenticado), res (response)
+export const obtenerMios = async (req, res) => {
+    try {
+        // Obtiene los restaurantes creados por el usuario con estado, motivo e historial
+        const restaurantes = await obtenerRestaurantesPorAutor(req.usuario._id);
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, restaurantes);
     } catch (error) {
         // Si ocurre un error, retorna error 500 (Internal Server Error)
         return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
@@ -231,18 +621,50 @@ export const aprobar = async (req, res) => {
 
 /**
  * Eliminar restaurante
+ * Con cascada=true (solo admin) lo elimina definitivamente con sus platos, reseñas y reacciones
+ * Con cascada=true&dryRun=true solo informa lo que se eliminaría
  */
 // Controlador exportado que maneja la eliminación de un restaurante
 // Esta función se ejecuta cuando se recibe una petición DELETE para eliminar un restaurante
-// Parámetros: req (request con id en req.params), res (response para enviar la respuesta)
+// Parámetros: req (request con id en req.params y cascada/dryRun en req.query), res (response para enviar la respuesta)
 export const eliminar = async (req, res) => {
     try {
         // Extrae el ID de los parámetros de la URL
         const { id } = req.params;
-        // Llama a la función del modelo para eliminar el restaurante
+        // Extrae los modos de eliminación de la query string
+        const cascada = req.query.cascada === 'true';  // Convierte el string 'true'/'false' a boolean
+        const dryRun = req.query.dryRun === 'true';
+        
+        // dryRun solo tiene sentido para la eliminación en cascada
+        if (dryRun && !cascada) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, 'dryRun solo puede usarse junto con cascada=true');
+        }
+        
+        // Eliminación definitiva en cascada (solo admin)
+        if (cascada) {
+            // El propietario solo puede enviar su restaurante a la papelera
+            if (req.usuario.rol !== ROLES.ADMIN) {
+                return responderError(res, HTTP_STATUS.FORBIDDEN, 'Solo un administrador puede eliminar en cascada');
+            }
+            // Elimina (o con dryRun solo calcula) el restaurante, sus platos, reseñas y reacciones
+            const informe = await eliminarRestauranteEnCascada(id, { dryRun });
+            // Si no se encontró el restaurante, retorna error 404 (Not Found)
+            if (!informe) {
+                return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+            }
+            // Retorna el informe con código 200 (OK)
+            return responderExito(
+                res,
+                HTTP_STATUS.OK,
+                informe,
+                dryRun ? 'Simulación: nada fue eliminado' : 'Restaurante eliminado definitivamente con todo su contenido'
+            );
+        }
+        
+        // Envía el restaurante a la papelera junto con sus platos y reseñas
         // Retorna true si se eliminó, false si no se encontró
-        // Nota: No permite eliminar si hay platos o reseñas asociados
-        const eliminado = await eliminarRestaurante(id);
+        // Un administrador puede restaurarlo desde la papelera hasta que se purgue
+        const eliminado = await eliminarRestaurante(id, req.usuario._id);
         
         // Si no se encontró el restaurante, retorna error 404 (Not Found)
         if (!eliminado) {
@@ -253,14 +675,47 @@ export const eliminar = async (req, res) => {
         // 204 No Content significa que la operación fue exitosa pero no hay contenido que retornar
         return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Restaurante eliminado exitosamente');
     } catch (error) {
-        // Maneja errores específicos
-        // Si el error indica que hay platos o reseñas asociados al restaurante
-        if (error.message.includes('asociados')) {
-            // Retorna error 409 (Conflict) porque no se puede eliminar si hay dependencias
-            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        // Para cualquier error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Fusionar un restaurante duplicado en otro (solo admin)
+ */
+// Controlador exportado que mueve los platos y reseñas del duplicado (duplicadoId en el body)
+// al restaurante de la URL y envía el duplicado a la papelera
+// Después recalcula la calificación, el ranking y los precios del restaurante conservado
+// Parámetros: req (request con id en req.params y duplicadoId en req.body), res (response)
+export const fusionar = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { duplicadoId } = req.body;
+        
+        const informe = await fusionarRestaurantes(id, duplicadoId, req.usuario._id);
+        // Si alguno de los restaurantes no existe (o está en la papelera), retorna error 404 (Not Found)
+        if (!informe) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante no encontrado');
+        }
+        
+        // Las reseñas y platos recibidos cambian la calificación, el ranking y el rango de precios
+        await actualizarRankingRestaurante(id);
+        await actualizarPreciosRestaurante(id);
+        const restaurante = await buscarRestaurantePorId(id);
+        
+        // Retorna el restaurante actualizado y el informe de la fusión con código 200 (OK)
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            { restaurante, fusion: informe },
+            `"${informe.duplicado.nombre}" se fusionó en "${informe.restaurante.nombre}"`
+        );
+    } catch (error) {
+        // Si un ID es inválido o se intenta fusionar un restaurante consigo mismo, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido') || error.message.includes('consigo mismo')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
         }
         // Para cualquier otro error, retorna error 500 (Internal Server Error)
         return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
     }
 };
-
@@ -0,0 +1,114 @@
+// Importa la función del modelo que lista el historial de revisiones
+import { obtenerRevisiones } from '../models/revision.model.js';
+// Importa las funciones que revierten un restaurante o un plato al estado previo a una revisión
+import { revertirRevisionRestaurante } from '../models/restaurante.model.js';
+import { revertirRevisionPlato } from '../models/plato.model.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+// construirPaginacion: arma los metadatos de paginación de la respuesta
+import { responderExito, responderError, construirPaginacion } from '../utils/helpers.js';
+// Importa el servicio de precios
+// actualizarPreciosRestaurante: recalcula el rango y el nivel de precio si la reversión cambia un precio
+import { actualizarPreciosRestaurante } from '../services/precio.service.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
+// ENTIDADES_REVISION: entidades con historial (restaurante, plato)
+import { HTTP_STATUS, ENTIDADES_REVISION } from '../utils/constants.js';
+
+// Función privada que construye los controladores que listan el historial
+// Restaurantes y platos comparten la misma lógica; solo cambia la entidad
+const crearControladorHistorial = (entidad) => async (req, res) => {
+    try {
+        // Extrae la paginación desde la query string
+        const limite = parseInt(req.query.limite) || 20;
+        const saltar = parseInt(req.query.saltar) || 0;
+
+        const { revisiones, total } = await obtenerRevisiones(entidad, req.params.id, { limite, saltar });
+        // Retorna el historial con los metadatos de paginación
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            revisiones,
+            null,
+            construirPaginacion({ limite, saltar, total, hasMore: saltar + revisiones.length < total })
+        );
+    } catch (error) {
+        // Si el ID es inválido, retorna error 400 (Bad Request)
+        if (error.message.includes('inválido')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+// Función privada que responde los errores de una reversión
+const responderErrorReversion = (res, error) => {
+    // Si el nombre anterior ya lo usa otro restaurante o plato, retorna error 409 (Conflict)
+    if (error.message.includes('Ya existe')) {
+        return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+    }
+    // Si el ID es inválido o la categoría o un atributo ya no existen, retorna error 400 (Bad Request)
+    if (error.message.includes('inválido') || error.message.includes('no existe')) {
+        return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+    }
+    // Para cualquier otro error, retorna error 500 (Internal Server Error)
+    return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+};
+
+/**
+ * Obtener el historial de revisiones de un restaurante
+ */
+// Controlador exportado que lista quién cambió qué campos del restaurante y cuándo
+// Parámetros: req (request con id en req.params y limite/saltar en req.query), res (response)
+export const obtenerDeRestaurante = crearControladorHistorial(ENTIDADES_REVISION.RESTAURANTE);
+
+/**
+ * Obtener el historial de revisiones de un plato
+ */
+// Controlador exportado que lista quién cambió qué campos del plato y cuándo
+// Parámetros: req (request con id en req.params y limite/saltar en req.query), res (response)
+export const obtenerDePlato = crearControladorHistorial(ENTIDADES_REVISION.PLATO);
+
+/**
+ * Revertir un restaurante al estado previo a una revisión (solo admin)
+ */
+// Controlador exportado que deshace la revisión indicada y las posteriores
+// Parámetros: req (request con id y revId en req.params), res (response)
+export const revertirRestaurante = async (req, res) => {
+    try {
+        const { id, revId } = req.params;
+        const restaurante = await revertirRevisionRestaurante(id, revId, req.usuario._id);
+        // Si el restaurante o la revisión no existen, retorna error 404 (Not Found)
+        if (!restaurante) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Restaurante o revisión no encontrados');
+        }
+        // Retorna el restaurante con los valores restaurados
+        return responderExito(res, HTTP_STATUS.OK, restaurante, 'Revisión revertida exitosamente');
+    } catch (error) {
+        return responderErrorReversion(res, error);
+    }
+};
+
+/**
+ * Revertir un plato al estado previo a una revisión (solo admin)
+ */
+// Controlador exportado que deshace la revisión indicada y las posteriores
+// Parámetros: req (request con id y revId en req.params), res (response)
+export const revertirPlato = async (req, res) => {
+    try {
+        const { id, revId } = req.params;
+        const plato = await revertirRevisionPlato(id, revId, req.usuario._id);
+        // Si el plato o la revisión no existen, retorna error 404 (Not Found)
+        if (!plato) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Plato o revisión no encontrados');
+        }
+        // El precio restaurado puede cambiar el rango y el nivel de precio del restaurante
+        await actualizarPreciosRestaurante(plato.restauranteId);
+        // Retorna el plato con los valores restaurados
+        return responderExito(res, HTTP_STATUS.OK, plato, 'Revisión revertida exitosamente');
+    } catch (error) {
+        return responderErrorReversion(res, error);
+    }
+};
@@ -0,0 +1,151 @@
+// Importa las funciones del modelo de sugerencias de edición
+import {
+    crearSugerencia,  // Función para que un usuario proponga cambios a un restaurante
+    obtenerSugerencias,  // Función para listar sugerencias con filtros
+    resolverSugerencia  // Función para aceptar o rechazar una sugerencia
+} from '../models/sugerencia.model.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+// construirPaginacion: arma los metadatos de paginación comunes a todos los listados
+import { responderExito, responderError, construirPaginacion } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
+// ESTADOS_SUGERENCIA: estados posibles de una sugerencia
+// CAMPOS_SUGERENCIA: campos del restaurante que se pueden proponer
+import { HTTP_STATUS, ESTADOS_SUGERENCIA, CAMPOS_SUGERENCIA } from '../utils/constants.js';
+
+/**
+ * Proponer cambios a un restaurante
+ */
+// Controlador exportado que registra una sugerencia de edición del usuario autenticado
+// Solo se toman del cuerpo los campos de CAMPOS_SUGERENCIA; el resto se ignora
+// Parámetros: req (request con id del restaurante en req.params y los cambios en req.body), res (response)
+export const sugerir = async (req, res) => {
+    try {
+        // Extrae el ID del restaurante de la URL y el comentario del cuerpo
+        const { id } = req.params;
+        const { comentario } = req.body;
+        // Toma solo los campos que la comunidad puede proponer
+        const cambios = Object.fromEntries(
+            CAMPOS_SUGERENCIA
+                .filter((campo) => req.body[campo] !== undefined)
+                .map((campo) => [campo, req.body[campo]])
+        );
+
+        // Crea la sugerencia pendiente con el diff contra el restaurante actual
+        const sugerencia = await crearSugerencia({
+            restauranteId: id,
+            usuarioId: req.usuario._id.toString(),
+            cambios,
+            comentario
+        });
+        // Retorna una respuesta exitosa con código 201 (CREATED)
+        return responderExito(
+            res,
+            HTTP_STATUS.CREATED,
+            sugerencia,
+            'Sugerencia registrada. Pendiente de revisión'
+        );
+    } catch (error) {
+        // Si la sugerencia no cambia nada, el restaurante no existe o el ID es inválido
+        if (error.message.includes('ningún cambio') || error.message.includes('no existe') || error.message.includes('inválido')) {
+            // Retorna error 400 (Bad Request)
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener sugerencias (admin: todas; propietario: las de su restaurante)
+ */
+// Controlador exportado que lista las sugerencias para revisión
+// Con id en la URL lista las del restaurante; sin id, la cola global del administrador
+// Por defecto muestra las pendientes, de la más antigua a la más reciente
+// Parámetros: req (request con id opcional en req.params y estado, limite y saltar en req.query), res (response)
+export const obtenerTodas = async (req, res) => {
+    try {
+        // Extrae el filtro de estado y la paginación desde la query string
+        const { estado = ESTADOS_SUGERENCIA.PENDIENTE, limite = 50, saltar = 0 } = req.query;
+        const opciones = { limite: parseInt(limite), saltar: parseInt(saltar) };
+
+        // Obtiene las sugerencias con los datos básicos del restaurante y del usuario
+        const { sugerencias, ...paginacion } = await obtenerSugerencias({ estado, restauranteId: req.params.id }, opciones);
+        // Retorna una respuesta exitosa con código 200 (OK) y la paginación
+        return responderExito(res, HTTP_STATUS.OK, sugerencias, null, construirPaginacion({ ...opciones, ...paginacion }));
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Obtener las sugerencias del usuario autenticado
+ */
+// Controlador exportado que permite al usuario consultar el estado de sus sugerencias
+// Parámetros: req (request con el usuario autenticado), res (response)
+export const obtenerMias = async (req, res) => {
+    try {
+        // Lista todas las sugerencias del usuario, sin filtrar por estado
+        const { sugerencias } = await obtenerSugerencias({ usuarioId: req.usuario._id });
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(res, HTTP_STATUS.OK, sugerencias);
+    } catch (error) {
+        // Si ocurre un error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+// Función privada que construye los controladores de aceptar y rechazar
+// Ambos comparten la misma lógica; solo cambia el resultado de la resolución
+const crearControladorResolucion = (aceptar) => async (req, res) => {
+    try {
+        // Extrae el ID de la sugerencia y el motivo opcional
+        const { sugerenciaId } = req.params;
+        const { motivo } = req.body;
+
+        // Resuelve la sugerencia registrando quién la resolvió
+        const resultado = await resolverSugerencia(sugerenciaId, {
+            aceptar,
+            revisorId: req.usuario._id.toString(),
+            motivo
+        });
+        // Retorna una respuesta exitosa con código 200 (OK)
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            resultado,
+            aceptar ? 'Sugerencia aceptada. Los cambios se aplicaron al restaurante' : 'Sugerencia rechazada'
+        );
+    } catch (error) {
+        // Si la sugerencia no existe, retorna error 404 (Not Found)
+        if (error.message.includes('sugerencia no existe')) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, error.message);
+        }
+        // Si la sugerencia ya fue resuelta, el nombre propuesto ya existe o el restaurante está en la papelera
+        if (error.message.includes('ya fue resuelta') || error.message.includes('Ya existe') || error.message.includes('papelera')) {
+            // Retorna error 409 (Conflict)
+            return responderError(res, HTTP_STATUS.CONFLICT, error.message);
+        }
+        // Si el ID es inválido o la categoría propuesta no existe
+        if (error.message.includes('inválido') || error.message.includes('no existe')) {
+            return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+        }
+        // Para cualquier otro error, retorna error 500 (Internal Server Error)
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
+
+/**
+ * Aceptar sugerencia (admin o propietario verificado)
+ */
+// Controlador exportado que aplica los cambios propuestos al restaurante
+export const aceptar = crearControladorResolucion(true);
+
+/**
+ * Rechazar sugerencia (admin o propietario verificado)
+ */
+// Controlador exportado que rechaza una sugerencia pendiente
+export const rechazar = crearControladorResolucion(false);
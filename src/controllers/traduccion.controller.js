@@ -0,0 +1,105 @@
+// Importa las funciones del modelo de traducciones
+import { guardarTraduccion, eliminarTraduccion, obtenerContenidoSinTraducir } from '../models/traduccion.model.js';
+// Importa funciones helper para enviar respuestas HTTP consistentes
+// responderExito: envía respuestas exitosas con formato estándar
+// responderError: envía respuestas de error con formato estándar
+// construirPaginacion: arma los metadatos de paginación de la respuesta
+import { responderExito, responderError, construirPaginacion } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (200, 201, 404, etc.)
+// ENTIDADES_TRADUCCION: entidades con contenido traducible (restaurante, plato, categoria)
+import { HTTP_STATUS, ENTIDADES_TRADUCCION } from '../utils/constants.js';
+
+// Mensaje 404 de cada entidad
+const NO_ENCONTRADO = {
+    [ENTIDADES_TRADUCCION.RESTAURANTE]: 'Restaurante no encontrado',
+    [ENTIDADES_TRADUCCION.PLATO]: 'Plato no encontrado',
+    [ENTIDADES_TRADUCCION.CATEGORIA]: 'Categoría no encontrada'
+};
+
+// Función privada que responde los errores de las rutas de traducciones
+const responderErrorTraduccion = (res, error) => {
+    // Si el ID o el idioma son inválidos, retorna error 400 (Bad Request)
+    if (error.message.includes('inválido')) {
+        return responderError(res, HTTP_STATUS.BAD_REQUEST, error.message);
+    }
+    // Para cualquier otro error, retorna error 500 (Internal Server Error)
+    return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+};
+
+// Función privada que construye los controladores que guardan una traducción
+// Restaurantes, platos y categorías comparten la misma lógica; solo cambia la entidad
+const crearControladorGuardar = (entidad) => async (req, res) => {
+    try {
+        const { id, idioma } = req.params;
+        const { nombre, descripcion } = req.body;
+        const documento = await guardarTraduccion(entidad, id, idioma, { nombre, descripcion }, { usuarioId: req.usuario._id });
+        if (!documento) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, NO_ENCONTRADO[entidad]);
+        }
+        return responderExito(res, HTTP_STATUS.OK, documento, 'Traducción guardada exitosamente');
+    } catch (error) {
+        return responderErrorTraduccion(res, error);
+    }
+};
+
+// Función privada que construye los controladores que eliminan una traducción
+const crearControladorEliminar = (entidad) => async (req, res) => {
+    try {
+        const { id, idioma } = req.params;
+        const eliminada = await eliminarTraduccion(entidad, id, idioma, { usuarioId: req.usuario._id });
+        if (!eliminada) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, 'Traducción no encontrada');
+        }
+        return responderExito(res, HTTP_STATUS.NO_CONTENT, null, 'Traducción eliminada exitosamente');
+    } catch (error) {
+        return responderErrorTraduccion(res, error);
+    }
+};
+
+/**
+ * Guardar / eliminar la traducción de un restaurante
+ */
+// Controladores exportados para PUT y DELETE /restaurantes/:id/traducciones/:idioma
+// Parámetros: req (request con id e idioma en req.params y nombre/descripcion en req.body), res (response)
+export const guardarDeRestaurante = crearControladorGuardar(ENTIDADES_TRADUCCION.RESTAURANTE);
+export const eliminarDeRestaurante = crearControladorEliminar(ENTIDADES_TRADUCCION.RESTAURANTE);
+
+/**
+ * Guardar / eliminar la traducción de un plato
+ */
+// Controladores exportados para PUT y DELETE /platos/:id/traducciones/:idioma
+export const guardarDePlato = crearControladorGuardar(ENTIDADES_TRADUCCION.PLATO);
+export const eliminarDePlato = crearControladorEliminar(ENTIDADES_TRADUCCION.PLATO);
+
+/**
+ * Guardar / eliminar la traducción de una categoría
+ */
+// Controladores exportados para PUT y DELETE /categorias/:id/traducciones/:idioma
+export const guardarDeCategoria = crearControladorGuardar(ENTIDADES_TRADUCCION.CATEGORIA);
+export const eliminarDeCategoria = crearControladorEliminar(ENTIDADES_TRADUCCION.CATEGORIA);
+
+/**
+ * Listar contenido sin traducir (solo admin)
+ */
+// Controlador exportado que lista los restaurantes, platos o categorías a los que les falta traducción
+// Parámetros: req (request con idioma, entidad, limite y saltar en req.query), res (response)
+export const obtenerFaltantes = async (req, res) => {
+    try {
+        const { idioma, entidad } = req.query;
+        // Extrae la paginación desde la query string
+        const limite = parseInt(req.query.limite) || 20;
+        const saltar = parseInt(req.query.saltar) || 0;
+
+        const { elementos, total } = await obtenerContenidoSinTraducir(entidad, idioma, { limite, saltar });
+        return responderExito(
+            res,
+            HTTP_STATUS.OK,
+            elementos,
+            null,
+            construirPaginacion({ limite, saltar, total, hasMore: saltar + elementos.length < total })
+        );
+    } catch (error) {
+        return responderErrorTraduccion(res, error);
+    }
+};
@@ -18,6 +18,12 @@ export const manejoErrores = (err, req, res, next) => {
     // console.error permite ver los errores en los logs del servidor
     console.error('Error:', err);
     
+    // Si la respuesta ya empezó a enviarse (ej: una exportación en curso) no se puede responder con JSON
+    // El manejador por defecto de Express cierra la conexión
+    if (res.headersSent) {
+        return next(err);
+    }
+    
     // Errores de validación
     // ValidationError es el nombre del error que lanzan librerías como Joi o express-validator
     // También verifica si el mensaje contiene la palabra 'validación' para capturar errores personalizados
@@ -0,0 +1,29 @@
+// Importa las funciones que eligen el idioma y traducen el contenido de las respuestas
+// elegirIdioma: combina el parámetro lang y el header Accept-Language
+// traducirContenido: aplica traducciones.<idioma> a nombre y descripcion
+import { elegirIdioma, traducirContenido } from '../utils/helpers.js';
+
+/**
+ * Middleware que elige el idioma de la respuesta y traduce el contenido
+ * Formato: ?lang=en o Accept-Language: en-US,en;q=0.9
+ */
+// Middleware exportado que deja el idioma elegido en req.idioma y lo informa en Content-Language
+// Envuelve res.json para traducir el campo data de las respuestas (el formato de responderExito),
+// así cada controlador responde igual que siempre y la traducción se aplica en un solo lugar
+// Si no hay traducción para un documento se mantiene el contenido original
+// Parámetros: req (request), res (response), next (función para continuar al siguiente middleware)
+export const negociarIdioma = (req, res, next) => {
+    req.idioma = elegirIdioma(req.query.lang, req.headers['accept-language']);
+    res.setHeader('Content-Language', req.idioma);
+    // La respuesta depende de Accept-Language: las cachés deben distinguirla
+    res.vary('Accept-Language');
+
+    const json = res.json.bind(res);
+    res.json = (cuerpo) => {
+        if (cuerpo && typeof cuerpo === 'object' && cuerpo.data !== undefined) {
+            return json({ ...cuerpo, data: traducirContenido(cuerpo.data, req.idioma) });
+        }
+        return json(cuerpo);
+    };
+    next();
+};
@@ -6,6 +6,12 @@ import { responderError } from '../utils/helpers.js';
 // ERROR_MESSAGES: mensajes de error predefinidos y consistentes
 // ROLES: roles disponibles en el sistema (ADMIN, USUARIO, etc.)
 import { HTTP_STATUS, ERROR_MESSAGES, ROLES } from '../utils/constants.js';
+// Importa la verificación de propiedad de restaurantes
+// esPropietarioDeRestaurante compara el propietarioId del restaurante con el usuario autenticado
+import { esPropietarioDeRestaurante } from '../models/reclamacion.model.js';
+// Importa la verificación de envíos con cambios solicitados
+// puedeCorregirEnvio permite al autor editar su restaurante cuando el admin le pidió cambios
+import { puedeCorregirEnvio } from '../models/restaurante.model.js';
 
 /**
  * Middleware para verificar que el usuario sea administrador
@@ -39,3 +45,44 @@ export const requiereAdmin = (req, res, next) => {
     next();
 };
 
+
+/**
+ * Middleware para verificar que el usuario sea administrador o propietario verificado del restaurante
+ * @param {Function} obtenerRestauranteId - Función (req) => ID del restaurante afectado (puede ser async)
+ */
+// Fábrica de middlewares que protege las rutas de edición de un restaurante y de sus platos
+// Los administradores siempre pasan; los demás usuarios solo si son el propietario verificado
+// o el autor del envío cuando el admin le solicitó cambios (estado cambios_solicitados)
+// Si obtenerRestauranteId retorna null (recurso inexistente), deja que el controlador responda 404
+// Debe usarse después de autenticacionMiddleware
+export const requierePropietarioOAdmin = (obtenerRestauranteId) => async (req, res, next) => {
+    // Verifica que el usuario esté autenticado
+    if (!req.usuario) {
+        return responderError(res, HTTP_STATUS.UNAUTHORIZED, ERROR_MESSAGES.UNAUTHORIZED);
+    }
+    
+    // Los administradores pueden editar cualquier restaurante
+    if (req.usuario.rol === ROLES.ADMIN) {
+        return next();
+    }
+    
+    try {
+        // Obtiene el ID del restaurante afectado por la petición
+        const restauranteId = await obtenerRestauranteId(req);
+        // Si el recurso no existe, el controlador se encarga de responder 404
+        if (!restauranteId) {
+            return next();
+        }
+        // Verifica que el usuario sea el propietario verificado del restaurante
+        const esPropietario = await esPropietarioDeRestaurante(restauranteId, req.usuario._id)
+            || await puedeCorregirEnvio(restauranteId, req.usuario._id);
+        if (!esPropietario) {
+            // Retorna 403: el usuario está autenticado pero no es dueño de este restaurante
+            return responderError(res, HTTP_STATUS.FORBIDDEN, ERROR_MESSAGES.FORBIDDEN + '. Solo el propietario verificado o un administrador puede modificar este restaurante.');
+        }
+        next();
+    } catch (error) {
+        // Si falla la consulta de propiedad, retorna error 500
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
@@ -0,0 +1,50 @@
+// Importa las funciones helper
+// esObjectIdValido y esSlugValido: distinguen si el parámetro es un ID o un slug
+// responderError: envía respuestas de error con formato estándar
+import { esObjectIdValido, esSlugValido, responderError } from '../utils/helpers.js';
+// Importa constantes desde el módulo de constants
+// HTTP_STATUS: códigos de estado HTTP (301, 404, etc.)
+import { HTTP_STATUS } from '../utils/constants.js';
+// Importa la función que resuelve un slug (actual o anterior) al documento
+import { resolverSlug } from '../services/slug.service.js';
+
+// Mensaje 404 de cada colección con slugs
+const NO_ENCONTRADO = {
+    restaurantes: 'Restaurante no encontrado',
+    categorias: 'Categoría no encontrada'
+};
+
+/**
+ * Middleware que acepta un ObjectId o un slug en un parámetro de la ruta
+ * @param {string} coleccion - 'restaurantes' o 'categorias'
+ * @param {string} parametro - Nombre del parámetro (default 'id')
+ */
+// Fábrica de middlewares que traduce el slug al ID, así las validaciones y los controladores siguen recibiendo ObjectIds
+// Un slug anterior (el documento cambió de nombre o se fusionó) responde 301 a la URL con el slug actual en las
+// peticiones GET; en las demás se resuelve directamente para no perder el cuerpo de la petición
+// Los ObjectIds y los valores que no tienen formato de slug pasan sin cambios a las validaciones de la ruta
+// Debe usarse antes de las validaciones del parámetro
+export const aceptarSlug = (coleccion, parametro = 'id') => async (req, res, next) => {
+    const valor = req.params[parametro];
+    if (esObjectIdValido(valor) || !esSlugValido(valor)) {
+        return next();
+    }
+
+    try {
+        const resultado = await resolverSlug(coleccion, valor);
+        if (!resultado) {
+            return responderError(res, HTTP_STATUS.NOT_FOUND, NO_ENCONTRADO[coleccion]);
+        }
+        if (resultado.redirigir && req.method === 'GET') {
+            // Misma URL (incluida la query string) con el slug actual en lugar del anterior
+            const ruta = req.path.split('/').map((segmento) => segmento === valor ? resultado.slug : segmento).join('/');
+            const indiceQuery = req.originalUrl.indexOf('?');
+            const query = indiceQuery === -1 ? '' : req.originalUrl.slice(indiceQuery);
+            return res.redirect(HTTP_STATUS.MOVED_PERMANENTLY, `${req.baseUrl}${ruta}${query}`);
+        }
+        req.params[parametro] = resultado._id.toString();
+        next();
+    } catch (error) {
+        return responderError(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, error.message);
+    }
+};
@@ -0,0 +1,39 @@
+// Importa query desde express-validator
+// query valida los parámetros de la query string (req.query)
+import { query } from 'express-validator';
+// Importa la función helper que convierte un parámetro de lista (separado por comas o repetido) en array
+import { convertirListaQuery } from '../utils/helpers.js';
+// Importa los vocabularios de alérgenos y dietas y el rango del nivel de picante
+import { ALERGENOS, DIETAS, NIVEL_PICANTE } from '../utils/constants.js';
+
+// Validación reutilizable de un parámetro de lista con claves de un vocabulario fijo
+// La usan también los filtros del listado de restaurantes (ej: ?dietas=vegano)
+export const validarListaQuery = (campo, vocabulario) => query(campo)
+    .optional()
+    .custom((value) => {
+        // Acepta ?campo=a,b o el parámetro repetido
+        const invalidos = convertirListaQuery(value).filter((clave) => !vocabulario.includes(clave));
+        if (invalidos.length > 0) {
+            throw new Error(`Valores de ${campo} inválidos: ${invalidos.join(', ')}. Valores permitidos: ${vocabulario.join(', ')}`);
+        }
+        return true;
+    });
+
+// Validaciones de los filtros alimentarios de los listados de platos
+// Las usan la carta de un restaurante (GET /platos/restaurante/:restauranteId) y el ranking de platos
+export const validacionesFiltrosAlimentarios = [
+    // Dietas que el plato debe tener todas (ej: ?dietas=vegano,sin-gluten)
+    validarListaQuery('dietas', DIETAS),
+    // Alérgenos que el plato no debe contener (ej: ?sinAlergenos=gluten,mani)
+    validarListaQuery('sinAlergenos', ALERGENOS),
+    // Nivel de picante máximo
+    query('picanteMax')
+        .optional()
+        .isInt({ min: NIVEL_PICANTE.MIN, max: NIVEL_PICANTE.MAX })
+        .withMessage(`picanteMax debe ser un entero entre ${NIVEL_PICANTE.MIN} y ${NIVEL_PICANTE.MAX}`),
+    // Calorías máximas por porción
+    query('caloriasMax')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('caloriasMax debe ser un número mayor o igual a 0')
+];
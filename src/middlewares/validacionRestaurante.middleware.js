@@ -0,0 +1,196 @@
+// Importa body desde express-validator
+// body valida los datos del cuerpo de la petición (req.body)
+import { body } from 'express-validator';
+// Importa funciones helper de validación
+// esObjectIdValido verifica si un string es un ObjectId válido de MongoDB
+// validarUbicacion verifica la ubicación (texto libre u objeto con lat/lng)
+// validarHorario verifica el horario semanal, la zona horaria y los cierres especiales
+// validarInformacionAlimentaria verifica alérgenos, dietas, nivel de picante e información nutricional de un plato
+// esMonedaValida verifica el código ISO 4217 de la moneda de los precios
+import { esObjectIdValido, validarUbicacion, validarHorario, validarInformacionAlimentaria, esMonedaValida } from '../utils/helpers.js';
+// Importa constantes de validación
+// VALIDATION_LIMITS contiene los límites máximos para campos (NOMBRE_MAX_LENGTH, DESCRIPCION_MAX_LENGTH, etc.)
+// FORMATO_CLAVE_ATRIBUTO: formato de las claves del vocabulario de atributos
+import { VALIDATION_LIMITS, FORMATO_CLAVE_ATRIBUTO } from '../utils/constants.js';
+
+// Validaciones de los datos de un restaurante
+// Las usan las rutas de restaurantes y la importación masiva, que no carga la configuración de las rutas
+// (autenticación, rate limiters), así npm run import funciona sin el secreto JWT
+
+// Validación reutilizable de los atributos del restaurante (claves del vocabulario de atributos)
+// Que cada clave exista en el vocabulario lo verifica el modelo
+export const validarAtributos = (atributos) => {
+    if (!Array.isArray(atributos)) {
+        throw new Error('Los atributos deben ser un array de claves');
+    }
+    if (atributos.some((clave) => typeof clave !== 'string' || !FORMATO_CLAVE_ATRIBUTO.test(clave.trim().toLowerCase()))) {
+        throw new Error('Cada atributo debe ser una clave en minúsculas, números y guiones (ej: "pet-friendly")');
+    }
+    return true;
+};
+
+// Validación reutilizable de la moneda de los precios del restaurante (código ISO 4217, ej: "COP", "USD")
+// Se acepta en minúsculas; el modelo la guarda en mayúsculas
+export const validarMoneda = (moneda) => {
+    if (!esMonedaValida(moneda)) {
+        throw new Error('La moneda debe ser un código ISO 4217 válido (ej: COP, USD, EUR)');
+    }
+    return true;
+};
+
+// Validación reutilizable de la imagen del restaurante (URL de imagen o Base64)
+export const validarImagen = (value) => {
+    // Si no se proporciona imagen, es válido (opcional)
+    if (!value) return true;
+    // Aceptar Base64 (data:image/...) o URL
+    // Si la imagen viene en formato Base64 (data:image/png;base64,...)
+    if (value.startsWith('data:image/')) {
+        // Validar formato Base64 básico
+        // Limita el tamaño máximo a ~10MB para evitar sobrecarga
+        if (value.length > 10 * 1024 * 1024) { // ~10MB máximo
+            throw new Error('La imagen Base64 es demasiado grande (máx. ~10MB)');
+        }
+        return true;
+    }
+    // Validar URL si no es Base64
+    // Patrón regex que verifica que sea una URL HTTP/HTTPS con extensión de imagen válida
+    const urlPattern = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|svg)(\?.*)?$/i;
+    if (!urlPattern.test(value)) {
+        throw new Error('La imagen debe ser una URL válida o Base64');
+    }
+    return true;
+};
+
+// Validaciones del cuerpo de POST /restaurantes
+// La importación masiva (admin y npm run import) valida cada fila con estas mismas reglas
+export const validacionesCrearRestaurante = [
+    // Valida el campo nombre del cuerpo de la petición
+    body('nombre')
+        .trim()  // Elimina espacios en blanco al inicio y final
+        .notEmpty().withMessage('El nombre es requerido')  // Verifica que no esté vacío
+        // Verifica que la longitud no exceda el límite máximo
+        .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+        .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+    // Valida el campo descripcion del cuerpo de la petición
+    body('descripcion')
+        .optional()  // El campo es opcional (puede no estar presente)
+        .trim()  // Elimina espacios en blanco al inicio y final
+        // Verifica que la longitud no exceda el límite máximo
+        .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+        .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+    // Valida el campo categoriaId del cuerpo de la petición
+    body('categoriaId')
+        .optional()  // El campo es opcional
+        .custom((value) => {
+            // Validación personalizada: si se proporciona categoriaId, debe ser un ObjectId válido
+            if (value && !esObjectIdValido(value)) {
+                throw new Error('ID de categoría inválido');
+            }
+            return true;
+        }),
+    // Valida el campo cadenaId del cuerpo de la petición
+    // Si se indica, el restaurante se crea como sucursal de esa cadena
+    body('cadenaId')
+        .optional()  // El campo es opcional
+        .custom((value) => {
+            // Validación personalizada: si se proporciona cadenaId, debe ser un ObjectId válido
+            if (value && !esObjectIdValido(value)) {
+                throw new Error('ID de cadena inválido');
+            }
+            return true;
+        }),
+    // Valida el campo ubicacion del cuerpo de la petición
+    // Acepta texto libre o un objeto { direccion, barrio, ciudad, pais, lat, lng }
+    body('ubicacion')
+        .optional()  // El campo es opcional
+        .custom(validarUbicacion),
+    // Valida el campo horario del cuerpo de la petición
+    // Formato: { zonaHoraria, semana: { lunes: [{ apertura, cierre }] }, cierresEspeciales: [...] }
+    body('horario')
+        .optional()  // El campo es opcional (null elimina el horario en una actualización)
+        .custom(validarHorario),
+    // Valida el campo atributos del cuerpo de la petición (ej: ["wifi", "terraza"])
+    body('atributos')
+        .optional()  // El campo es opcional
+        .custom(validarAtributos),
+    // Valida el campo moneda del cuerpo de la petición (por defecto, la moneda de la plataforma)
+    body('moneda')
+        .optional()  // El campo es opcional
+        .custom(validarMoneda),
+    // Valida el campo imagen del cuerpo de la petición
+    body('imagen')
+        .optional()  // El campo es opcional
+        .custom(validarImagen),
+    // Valida el campo confirmarNoDuplicado del cuerpo de la petición
+    // Se envía en true para crear el restaurante aunque existan otros muy parecidos
+    body('confirmarNoDuplicado')
+        .optional()  // El campo es opcional
+        .isBoolean()
+        .withMessage('confirmarNoDuplicado debe ser true o false')
+        .toBoolean(),  // Convierte 'true'/'false' a boolean
+    // Valida el campo platos del cuerpo de la petición
+    // Permite crear restaurante con múltiples platos en una sola petición
+    body('platos')
+        .optional()  // El campo es opcional
+        .custom((platos) => {
+            // Si no se proporcionan platos, es válido (opcional)
+            if (platos === undefined || platos === null) return true;
+            // Verifica que platos sea un array
+            if (!Array.isArray(platos)) {
+                throw new Error('Los platos deben ser un array');
+            }
+            // Limita el número máximo de platos que se pueden crear a la vez
+            // Previene sobrecarga del servidor
+            if (platos.length > 50) {
+                throw new Error('No se pueden crear más de 50 platos a la vez');
+            }
+            // Validar cada plato del array
+            for (let i = 0; i < platos.length; i++) {
+                const plato = platos[i];
+                // Verifica que el plato tenga nombre y no esté vacío
+                if (!plato.nombre || plato.nombre.trim() === '') {
+                    throw new Error(`El nombre del plato ${i + 1} es requerido`);
+                }
+                // Verifica que el nombre no exceda 100 caracteres
+                if (plato.nombre && plato.nombre.length > 100) {
+                    throw new Error(`El nombre del plato ${i + 1} no puede exceder 100 caracteres`);
+                }
+                // Verifica que la descripción (si existe) no exceda 500 caracteres
+                if (plato.descripcion && plato.descripcion.length > 500) {
+                    throw new Error(`La descripción del plato ${i + 1} no puede exceder 500 caracteres`);
+                }
+                // Valida el precio (opcional pero debe ser positivo si se proporciona)
+                if (plato.precio !== undefined && plato.precio !== null) {
+                    // Convierte el precio a número flotante
+                    const precio = parseFloat(plato.precio);
+                    // Verifica que sea un número válido y positivo
+                    if (isNaN(precio) || precio < 0) {
+                        throw new Error(`El precio del plato ${i + 1} debe ser un número positivo`);
+                    }
+                }
+                // Valida la imagen del plato (si se proporciona)
+                if (plato.imagen) {
+                    // Si la imagen es Base64
+                    if (plato.imagen.startsWith('data:image/')) {
+                        // Limita el tamaño máximo a ~10MB
+                        if (plato.imagen.length > 10 * 1024 * 1024) {
+                            throw new Error(`La imagen Base64 del plato ${i + 1} es demasiado grande (máx. ~10MB)`);
+                        }
+                    } else {
+                        // Si no es Base64, valida que sea una URL válida con extensión de imagen
+                        const urlPattern = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|svg)(\?.*)?$/i;
+                        if (!urlPattern.test(plato.imagen)) {
+                            throw new Error(`La imagen del plato ${i + 1} debe ser una URL válida o Base64`);
+                        }
+                    }
+                }
+                // Valida la información alimentaria del plato (mismas reglas que POST /platos)
+                try {
+                    validarInformacionAlimentaria(plato);
+                } catch (error) {
+                    throw new Error(`Plato ${i + 1}: ${error.message}`);
+                }
+            }
+            return true;  // Si todas las validaciones pasan, retorna true
+        })
+];
@@ -0,0 +1,53 @@
+// Importa body y param desde express-validator
+// body valida los datos del cuerpo de la petición (req.body)
+// param valida los parámetros de la URL (req.params)
+import { body, param } from 'express-validator';
+// Importa la función helper que verifica si un string es un ObjectId válido de MongoDB
+import { esObjectIdValido } from '../utils/helpers.js';
+// Importa los límites de los campos y los idiomas soportados
+import { VALIDATION_LIMITS, IDIOMAS } from '../utils/constants.js';
+
+// Idiomas en los que se puede traducir (el original se edita en nombre y descripcion)
+const IDIOMAS_TRADUCIBLES = IDIOMAS.SOPORTADOS.filter((idioma) => idioma !== IDIOMAS.ORIGINAL);
+
+// Validaciones de los parámetros :id e :idioma de las rutas de traducciones
+// Las usan las rutas de restaurantes, platos y categorías
+export const validacionesRutaTraduccion = [
+    // Valida el parámetro id de la URL
+    param('id')
+        .custom((value) => {
+            // Validación personalizada: verifica que el ID sea un ObjectId válido
+            if (!esObjectIdValido(value)) {
+                throw new Error('ID inválido');
+            }
+            return true;
+        }),
+    // Valida el idioma de la traducción
+    param('idioma')
+        .isIn(IDIOMAS_TRADUCIBLES)
+        .withMessage(`Idioma inválido: las traducciones admiten ${IDIOMAS_TRADUCIBLES.join(', ')}`)
+];
+
+// Validaciones del cuerpo de PUT .../traducciones/:idioma
+// Se puede traducir solo el nombre, solo la descripción o ambos
+export const validacionesGuardarTraduccion = [
+    ...validacionesRutaTraduccion,
+    body('nombre')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('El nombre traducido no puede estar vacío')
+        .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+        .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+    body('descripcion')
+        .optional()
+        .trim()
+        .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+        .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+    body()
+        .custom((value) => {
+            if (value.nombre === undefined && value.descripcion === undefined) {
+                throw new Error('Indica el nombre, la descripción o ambos traducidos');
+            }
+            return true;
+        })
+];
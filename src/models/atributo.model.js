@@ -0,0 +1,165 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+
+// Define el nombre de la colección en MongoDB donde se almacena el vocabulario de atributos
+// Esta constante evita errores de tipeo y facilita el mantenimiento
+const COLLECTION = 'atributos';
+
+/**
+ * Crea un nuevo atributo del vocabulario
+ * @param {object} atributoData - Datos del atributo (clave, nombre, descripcion)
+ * @returns {Promise<object>} - Atributo creado
+ */
+// Función asíncrona exportada que agrega un atributo (ej: wifi, terraza, pet-friendly) al vocabulario
+// Los restaurantes solo pueden tener atributos de este vocabulario, que administran los admins
+// Parámetros: atributoData - objeto con clave (única, la que se guarda en los restaurantes), nombre y descripcion
+// Retorna: Promise que se resuelve con el atributo creado incluyendo su _id
+export async function crearAtributo(atributoData) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los campos del atributo usando destructuring
+    const { clave, nombre, descripcion } = atributoData;
+
+    // Verificar si la clave ya existe (la clave identifica al atributo en los restaurantes y en los filtros)
+    const atributoExistente = await db.collection(COLLECTION).findOne({ clave });
+    if (atributoExistente) {
+        throw new Error('Ya existe un atributo con esa clave');
+    }
+
+    // Crea el objeto del nuevo atributo
+    const nuevoAtributo = {
+        clave,  // Clave del atributo (ej: "pet-friendly")
+        nombre,  // Nombre para mostrar (ej: "Pet-friendly")
+        // Descripción es opcional, si no se proporciona usa string vacío
+        descripcion: descripcion || '',
+        fechaCreacion: new Date(),  // Marca de tiempo cuando se creó el atributo
+        fechaActualizacion: new Date()  // Marca de tiempo, inicialmente igual a fechaCreacion
+    };
+
+    // Inserta el nuevo atributo en la colección de MongoDB
+    const resultado = await db.collection(COLLECTION).insertOne(nuevoAtributo);
+    // Retorna el atributo creado incluyendo el _id generado automáticamente por MongoDB
+    return {
+        _id: resultado.insertedId,
+        ...nuevoAtributo
+    };
+}
+
+/**
+ * Obtiene todos los atributos del vocabulario
+ * @returns {Promise<Array>} - Lista de atributos ordenados por nombre
+ */
+// Función asíncrona exportada que lista el vocabulario de atributos
+// El frontend la usa para mostrar los atributos disponibles al crear, editar o filtrar restaurantes
+export async function obtenerAtributos() {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    return await db.collection(COLLECTION)
+        .find({})
+        .sort({ nombre: 1 })
+        .toArray();
+}
+
+/**
+ * Busca un atributo por ID
+ * @param {string} id - ID del atributo
+ * @returns {Promise<object|null>} - Atributo encontrado o null
+ */
+// Función asíncrona exportada que busca un atributo específico por su ID
+// Retorna: Promise que se resuelve con el atributo encontrado o null si no existe o el ID es inválido
+export async function buscarAtributoPorId(id) {
+    // Si el ID no es válido, retorna null inmediatamente sin hacer la consulta
+    if (!esObjectIdValido(id)) {
+        return null;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    return await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id) });
+}
+
+/**
+ * Verifica que todas las claves pertenezcan al vocabulario de atributos
+ * @param {Array<string>} claves - Claves de atributos de un restaurante
+ * @param {object} session - Sesión de transacción MongoDB (opcional)
+ * @returns {Promise<Array<string>>} - Claves normalizadas (minúsculas, sin espacios ni repetidas)
+ */
+// Función asíncrona exportada que usa el modelo de restaurantes al guardar los atributos
+// Lanza un error con la primera clave que no existe en el vocabulario
+export async function verificarAtributos(claves, session = null) {
+    // Normaliza las claves recibidas y elimina repetidas
+    const normalizadas = [...new Set(claves.map((clave) => clave.trim().toLowerCase()))];
+    if (normalizadas.length === 0) {
+        return normalizadas;
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const opciones = session ? { session } : {};
+    const existentes = await db.collection(COLLECTION).distinct('clave', { clave: { $in: normalizadas } }, opciones);
+    const desconocida = normalizadas.find((clave) => !existentes.includes(clave));
+    if (desconocida) {
+        throw new Error(`El atributo "${desconocida}" no existe`);
+    }
+    return normalizadas;
+}
+
+/**
+ * Actualiza un atributo
+ * @param {string} id - ID del atributo
+ * @param {object} datosActualizacion - Datos a actualizar (nombre, descripcion)
+ * @returns {Promise<object|null>} - Atributo actualizado
+ */
+// Función asíncrona exportada que actualiza el nombre o la descripción de un atributo
+// La clave no se puede cambiar: es la que guardan los restaurantes y la que usan los filtros
+// Retorna: Promise que se resuelve con el atributo actualizado o null si no se encontró
+export async function actualizarAtributo(id, datosActualizacion) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Descarta la clave: no se puede renombrar
+    const { clave, ...datos } = datosActualizacion;
+
+    // Actualiza el atributo y retorna el documento actualizado (null si no se encontró)
+    return await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: convertirAObjectId(id) },
+        { $set: { ...datos, fechaActualizacion: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Elimina un atributo del vocabulario
+ * @param {string} id - ID del atributo
+ * @returns {Promise<object|null>} - { restaurantesActualizados } o null si no se encontró
+ */
+// Función asíncrona exportada que elimina un atributo y lo quita de todos los restaurantes que lo tenían
+// A diferencia de una categoría, un atributo es opcional, así que eliminarlo no deja restaurantes inválidos
+export async function eliminarAtributo(id) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const atributo = await db.collection(COLLECTION).findOneAndDelete({ _id: convertirAObjectId(id) });
+    if (!atributo) {
+        return null;
+    }
+
+    // Quita la clave de los restaurantes (incluidos los de la papelera)
+    const resultado = await db.collection('restaurantes').updateMany(
+        { atributos: atributo.clave },
+        { $pull: { atributos: atributo.clave } }
+    );
+    return { restaurantesActualizados: resultado.modifiedCount };
+}
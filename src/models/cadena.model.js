@@ -0,0 +1,533 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// Importa el filtro que excluye los documentos enviados a la papelera
+// CAMPOS_SOBRESCRITURA: campos que una sucursal puede ajustar sobre un plato de la cadena
+import { FILTRO_NO_ELIMINADO, CAMPOS_SOBRESCRITURA } from '../utils/constants.js';
+
+// Define el nombre de la colección en MongoDB donde se almacenan las cadenas (marcas)
+// Esta constante evita errores de tipeo y facilita el mantenimiento
+const COLLECTION = 'cadenas';
+// Colección del menú compartido de cada cadena
+// Se guarda aparte de platos: un plato de cadena no pertenece a ninguna sucursal en particular
+const COLLECTION_PLATOS = 'platosCadena';
+
+/**
+ * Crea una nueva cadena
+ * @param {object} cadenaData - Datos de la cadena (nombre, descripcion, imagen, categoriaId)
+ * @returns {Promise<object>} - Cadena creada
+ */
+// Función asíncrona exportada que crea una marca que agrupa varias sucursales
+// El nombre de la cadena es único; las sucursales pueden repetirlo entre ellas
+// Parámetros: cadenaData - objeto con nombre, descripcion, imagen y categoriaId opcionales
+// Retorna: Promise que se resuelve con la cadena creada incluyendo su _id
+export async function crearCadena(cadenaData) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los campos de la cadena usando destructuring
+    const { nombre, descripcion, imagen, categoriaId } = cadenaData;
+
+    // Verificar si el nombre ya existe
+    const cadenaExistente = await db.collection(COLLECTION).findOne({ nombre });
+    if (cadenaExistente) {
+        throw new Error('Ya existe una cadena con ese nombre');
+    }
+
+    // Si se proporcionó un categoriaId, verifica que la categoría exista
+    if (categoriaId) {
+        if (!esObjectIdValido(categoriaId)) {
+            throw new Error('ID de categoría inválido');
+        }
+        const categoria = await db.collection('categorias').findOne({ _id: convertirAObjectId(categoriaId) });
+        if (!categoria) {
+            throw new Error('La categoría especificada no existe');
+        }
+    }
+
+    // Crea el objeto de la nueva cadena
+    const nuevaCadena = {
+        nombre,  // Nombre de la marca (ej: "Crepes & Waffles")
+        descripcion: descripcion || '',  // Descripción opcional
+        imagen: imagen || null,  // Logo o imagen de la marca (opcional)
+        categoriaId: categoriaId ? convertirAObjectId(categoriaId) : null,  // Categoría principal (opcional)
+        fechaCreacion: new Date(),
+        fechaActualizacion: new Date()
+    };
+
+    // Inserta la cadena en la colección
+    const resultado = await db.collection(COLLECTION).insertOne(nuevaCadena);
+    // Retorna la cadena creada con su _id
+    return {
+        _id: resultado.insertedId,
+        ...nuevaCadena
+    };
+}
+
+/**
+ * Obtiene las cadenas
+ * @param {object} opciones - Opciones de paginación (limite, saltar)
+ * @returns {Promise<Array>} - Lista de cadenas ordenadas por nombre
+ */
+// Función asíncrona exportada que lista las cadenas con su número de sucursales aprobadas
+export async function obtenerCadenas(opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { limite = 50, saltar = 0 } = opciones;
+
+    return await db.collection(COLLECTION).aggregate([
+        // $sort: Orden alfabético
+        { $sort: { nombre: 1 } },
+        // $skip y $limit: paginación
+        { $skip: saltar },
+        { $limit: limite },
+        // $lookup: Cuenta las sucursales aprobadas que no están en la papelera
+        {
+            $lookup: {
+                from: 'restaurantes',
+                let: { cadenaId: '$_id' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $eq: ['$cadenaId', '$$cadenaId'] },
+                            aprobado: true,
+                            ...FILTRO_NO_ELIMINADO
+                        }
+                    },
+                    { $count: 'total' }
+                ],
+                as: 'sucursales'
+            }
+        },
+        // $addFields: Convierte el resultado del conteo en un número
+        { $addFields: { totalSucursales: { $ifNull: [{ $first: '$sucursales.total' }, 0] } } },
+        { $project: { sucursales: 0 } }
+    ]).toArray();
+}
+
+/**
+ * Busca una cadena por ID
+ * @param {string} id - ID de la cadena
+ * @returns {Promise<object|null>} - Cadena encontrada o null
+ */
+// Función asíncrona exportada que busca una cadena específica por su ID
+export async function buscarCadenaPorId(id) {
+    // Si el ID no es válido, retorna null sin hacer la consulta
+    if (!esObjectIdValido(id)) {
+        return null;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    return await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id) });
+}
+
+/**
+ * Obtiene la página de una cadena: sucursales, calificación agregada y menú compartido
+ * @param {string} id - ID de la cadena
+ * @returns {Promise<object|null>} - { cadena, sucursales, calificacion, menu } o null si no existe
+ */
+// Función asíncrona exportada que arma la vista de la cadena
+// La calificación agregada se calcula sobre todas las reseñas activas de las sucursales aprobadas,
+// así una sucursal con muchas reseñas pesa más que una con pocas
+// Parámetros: id - string con el ID de la cadena
+// Retorna: Promise que se resuelve con la página de la cadena o null si no existe
+export async function obtenerPaginaCadena(id) {
+    // Busca la cadena
+    const cadena = await buscarCadenaPorId(id);
+    if (!cadena) {
+        return null;
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+
+    // Sucursales visibles de la cadena, mejor rankeadas primero
+    const sucursales = await db.collection('restaurantes')
+        .find(
+            { cadenaId: cadena._id, aprobado: true, ...FILTRO_NO_ELIMINADO },
+            {
+                projection: {
+                    nombre: 1,
+                    ubicacion: 1,
+                    imagen: 1,
+                    calificacionPromedio: 1,
+                    totalReseñas: 1,
+                    ranking: 1
+                }
+            }
+        )
+        .sort({ ranking: -1, _id: 1 })
+        .toArray();
+
+    // Calificación agregada sobre las reseñas activas de todas las sucursales
+    const [agregado] = await db.collection('reseñas').aggregate([
+        { $match: { restauranteId: { $in: sucursales.map((s) => s._id) }, ...FILTRO_NO_ELIMINADO } },
+        { $group: { _id: null, promedio: { $avg: '$calificacion' }, total: { $sum: 1 } } }
+    ]).toArray();
+
+    return {
+        cadena,
+        calificacion: {
+            // Redondea el promedio a 2 decimales
+            calificacionPromedio: agregado ? Math.round(agregado.promedio * 100) / 100 : 0,
+            totalReseñas: agregado ? agregado.total : 0,
+            totalSucursales: sucursales.length
+        },
+        sucursales,
+        menu: await obtenerPlatosCadena(cadena._id.toString())
+    };
+}
+
+/**
+ * Actualiza una cadena
+ * @param {string} id - ID de la cadena
+ * @param {object} datosActualizacion - Datos a actualizar (nombre, descripcion, imagen, categoriaId)
+ * @returns {Promise<object|null>} - Cadena actualizada o null si no existe
+ */
+// Función asíncrona exportada que actualiza los datos de la marca
+// Cambiar el nombre de la cadena no cambia el nombre de sus sucursales
+export async function actualizarCadena(id, datosActualizacion) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+
+    // Si se actualiza el nombre, verificar que no exista otra cadena con ese nombre
+    if (datosActualizacion.nombre) {
+        const cadenaExistente = await db.collection(COLLECTION).findOne({
+            nombre: datosActualizacion.nombre,
+            _id: { $ne: convertirAObjectId(id) }
+        });
+        if (cadenaExistente) {
+            throw new Error('Ya existe una cadena con ese nombre');
+        }
+    }
+
+    // Si se actualiza la categoría, verificar que existe
+    if (datosActualizacion.categoriaId) {
+        if (!esObjectIdValido(datosActualizacion.categoriaId)) {
+            throw new Error('ID de categoría inválido');
+        }
+        const categoria = await db.collection('categorias').findOne({
+            _id: convertirAObjectId(datosActualizacion.categoriaId)
+        });
+        if (!categoria) {
+            throw new Error('La categoría especificada no existe');
+        }
+        datosActualizacion.categoriaId = convertirAObjectId(datosActualizacion.categoriaId);
+    }
+
+    return await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: convertirAObjectId(id) },
+        { $set: { ...datosActualizacion, fechaActualizacion: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Elimina una cadena
+ * @param {string} id - ID de la cadena
+ * @returns {Promise<boolean>} - True si se eliminó correctamente
+ */
+// Función asíncrona exportada que elimina una cadena y su menú compartido
+// No se puede eliminar mientras tenga sucursales (incluidas las que están en la papelera)
+export async function eliminarCadena(id) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+
+    // Verifica que no queden sucursales asociadas
+    const sucursales = await db.collection('restaurantes').countDocuments({ cadenaId: convertirAObjectId(id) });
+    if (sucursales > 0) {
+        throw new Error('No se puede eliminar la cadena porque tiene sucursales asociadas');
+    }
+
+    // Elimina la cadena y su menú compartido
+    const resultado = await db.collection(COLLECTION).deleteOne({ _id: convertirAObjectId(id) });
+    if (resultado.deletedCount > 0) {
+        await db.collection(COLLECTION_PLATOS).deleteMany({ cadenaId: convertirAObjectId(id) });
+    }
+    return resultado.deletedCount > 0;
+}
+
+/**
+ * Crea un plato en el menú compartido de una cadena
+ * @param {string} cadenaId - ID de la cadena
+ * @param {object} platoData - Datos del plato (nombre, descripcion, imagen, precio)
+ * @returns {Promise<object>} - Plato creado
+ */
+// Función asíncrona exportada que agrega un plato que heredan todas las sucursales de la cadena
+// El nombre del plato es único dentro de la cadena
+export async function crearPlatoCadena(cadenaId, platoData) {
+    // Verifica que la cadena exista
+    const cadena = await buscarCadenaPorId(cadenaId);
+    if (!cadena) {
+        throw new Error('La cadena especificada no existe');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { nombre, descripcion, imagen, precio } = platoData;
+
+    // Verifica que no exista otro plato con ese nombre en la cadena
+    const platoExistente = await db.collection(COLLECTION_PLATOS).findOne({ cadenaId: cadena._id, nombre });
+    if (platoExistente) {
+        throw new Error('Ya existe un plato con ese nombre en el menú de la cadena');
+    }
+
+    // Crea el objeto del nuevo plato
+    const nuevoPlato = {
+        nombre,
+        descripcion: descripcion || '',
+        cadenaId: cadena._id,  // Cadena a cuyo menú pertenece
+        imagen: imagen || null,
+        precio: precio || null,  // Precio de referencia (cada sucursal puede ajustarlo)
+        fechaCreacion: new Date(),
+        fechaActualizacion: new Date()
+    };
+
+    // Inserta el plato en el menú de la cadena
+    const resultado = await db.collection(COLLECTION_PLATOS).insertOne(nuevoPlato);
+    return {
+        _id: resultado.insertedId,
+        ...nuevoPlato
+    };
+}
+
+/**
+ * Obtiene el menú compartido de una cadena
+ * @param {string} cadenaId - ID de la cadena
+ * @returns {Promise<Array>} - Platos de la cadena ordenados por nombre
+ */
+// Función asíncrona exportada que lista los platos que heredan las sucursales
+export async function obtenerPlatosCadena(cadenaId) {
+    // Valida que el cadenaId tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(cadenaId)) {
+        throw new Error('ID de cadena inválido');
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    return await db.collection(COLLECTION_PLATOS)
+        .find({ cadenaId: convertirAObjectId(cadenaId) })
+        .sort({ nombre: 1 })
+        .toArray();
+}
+
+/**
+ * Actualiza un plato del menú de una cadena
+ * @param {string} cadenaId - ID de la cadena
+ * @param {string} platoId - ID del plato
+ * @param {object} datosActualizacion - Datos a actualizar (nombre, descripcion, imagen, precio)
+ * @returns {Promise<object|null>} - Plato actualizado o null si no existe en la cadena
+ */
+// Función asíncrona exportada que modifica un plato compartido
+// Los cambios se ven en todas las sucursales, salvo en los campos que cada una haya ajustado
+export async function actualizarPlatoCadena(cadenaId, platoId, datosActualizacion) {
+    // Valida que los IDs tengan el formato correcto de ObjectId
+    if (!esObjectIdValido(cadenaId) || !esObjectIdValido(platoId)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+
+    // Si se actualiza el nombre, verificar que no exista otro plato con ese nombre en la cadena
+    if (datosActualizacion.nombre) {
+        const platoExistente = await db.collection(COLLECTION_PLATOS).findOne({
+            cadenaId: convertirAObjectId(cadenaId),
+            nombre: datosActualizacion.nombre,
+            _id: { $ne: convertirAObjectId(platoId) }
+        });
+        if (platoExistente) {
+            throw new Error('Ya existe un plato con ese nombre en el menú de la cadena');
+        }
+    }
+
+    return await db.collection(COLLECTION_PLATOS).findOneAndUpdate(
+        { _id: convertirAObjectId(platoId), cadenaId: convertirAObjectId(cadenaId) },
+        { $set: { ...datosActualizacion, fechaActualizacion: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Elimina un plato del menú de una cadena
+ * @param {string} cadenaId - ID de la cadena
+ * @param {string} platoId - ID del plato
+ * @returns {Promise<boolean>} - True si se eliminó correctamente
+ */
+// Función asíncrona exportada que quita un plato del menú compartido
+// También descarta los ajustes que las sucursales tenían sobre ese plato
+export async function eliminarPlatoCadena(cadenaId, platoId) {
+    // Valida que los IDs tengan el formato correcto de ObjectId
+    if (!esObjectIdValido(cadenaId) || !esObjectIdValido(platoId)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const resultado = await db.collection(COLLECTION_PLATOS).deleteOne({
+        _id: convertirAObjectId(platoId),
+        cadenaId: convertirAObjectId(cadenaId)
+    });
+    if (resultado.deletedCount > 0) {
+        // Quita los ajustes de las sucursales sobre el plato eliminado
+        // y su posición en el menú de cada sucursal
+        await db.collection('restaurantes').updateMany(
+            { cadenaId: convertirAObjectId(cadenaId) },
+            {
+                $pull: {
+                    sobrescriturasMenu: { platoId: convertirAObjectId(platoId) },
+                    posicionesMenuCadena: { platoId: convertirAObjectId(platoId) }
+                }
+            }
+        );
+    }
+    return resultado.deletedCount > 0;
+}
+
+/**
+ * Ajusta un plato de la cadena para una sucursal
+ * @param {string} restauranteId - ID de la sucursal
+ * @param {string} platoId - ID del plato de la cadena
+ * @param {object} datos - Campos a ajustar (precio, descripcion, imagen, disponible)
+ * @returns {Promise<object|null>} - Ajuste guardado o null si la sucursal no existe
+ */
+// Función asíncrona exportada que guarda los valores propios de una sucursal para un plato heredado
+// Los campos que no se indican se siguen tomando del plato de la cadena
+// Parámetros:
+//   restauranteId - string con el ID de la sucursal
+//   platoId - string con el ID del plato de la cadena
+//   datos - objeto con los campos de CAMPOS_SOBRESCRITURA a ajustar
+// Retorna: Promise que se resuelve con el ajuste guardado
+export async function sobrescribirPlatoCadena(restauranteId, platoId, datos) {
+    // Valida que los IDs tengan el formato correcto de ObjectId
+    if (!esObjectIdValido(restauranteId) || !esObjectIdValido(platoId)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+
+    // Busca la sucursal (no se puede ajustar el menú de un restaurante en la papelera)
+    const restaurante = await db.collection('restaurantes').findOne({
+        _id: convertirAObjectId(restauranteId),
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (!restaurante) {
+        return null;
+    }
+    if (!restaurante.cadenaId) {
+        throw new Error('El restaurante no pertenece a ninguna cadena');
+    }
+
+    // Verifica que el plato pertenezca al menú de la cadena de la sucursal
+    const plato = await db.collection(COLLECTION_PLATOS).findOne({
+        _id: convertirAObjectId(platoId),
+        cadenaId: restaurante.cadenaId
+    });
+    if (!plato) {
+        throw new Error('El plato no existe en el menú de la cadena');
+    }
+
+    // Combina el ajuste anterior (si existe) con los nuevos valores
+    const ajustes = restaurante.sobrescriturasMenu || [];
+    const anterior = ajustes.find((a) => a.platoId.equals(plato._id)) || {};
+    const ajuste = { ...anterior, platoId: plato._id, fechaActualizacion: new Date() };
+    for (const campo of CAMPOS_SOBRESCRITURA) {
+        if (datos[campo] !== undefined) {
+            ajuste[campo] = datos[campo];
+        }
+    }
+
+    // Reemplaza el ajuste del plato en la sucursal
+    await db.collection('restaurantes').updateOne(
+        { _id: restaurante._id },
+        {
+            $set: {
+                sobrescriturasMenu: [...ajustes.filter((a) => !a.platoId.equals(plato._id)), ajuste],
+                fechaActualizacion: new Date()
+            }
+        }
+    );
+    return ajuste;
+}
+
+/**
+ * Quita el ajuste de una sucursal sobre un plato de la cadena
+ * @param {string} restauranteId - ID de la sucursal
+ * @param {string} platoId - ID del plato de la cadena
+ * @returns {Promise<boolean>} - True si había un ajuste y se quitó
+ */
+// Función asíncrona exportada que vuelve a mostrar el plato tal como lo define la cadena
+export async function quitarSobrescrituraPlatoCadena(restauranteId, platoId) {
+    // Valida que los IDs tengan el formato correcto de ObjectId
+    if (!esObjectIdValido(restauranteId) || !esObjectIdValido(platoId)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const resultado = await db.collection('restaurantes').updateOne(
+        { _id: convertirAObjectId(restauranteId), 'sobrescriturasMenu.platoId': convertirAObjectId(platoId) },
+        {
+            $pull: { sobrescriturasMenu: { platoId: convertirAObjectId(platoId) } },
+            $set: { fechaActualizacion: new Date() }
+        }
+    );
+    return resultado.modifiedCount > 0;
+}
+
+/**
+ * Combina el menú de una sucursal con el menú heredado de su cadena
+ * @param {object} restaurante - Documento de la sucursal (cadenaId, sobrescriturasMenu y posicionesMenuCadena)
+ * @param {Array} platosPropios - Platos propios de la sucursal
+ * @returns {Promise<Array>} - Menú efectivo ordenado por nombre
+ */
+// Función asíncrona exportada que arma el menú que ve el cliente de una sucursal
+// - Los platos de la cadena se marcan con heredado: true y aplican los ajustes de la sucursal
+// - Cada plato heredado toma la sección y el orden que la sucursal le dio en su carta (posicionesMenuCadena)
+// - Los platos con disponible: false en la sucursal no se muestran
+// - Si la sucursal tiene un plato propio con el mismo nombre, el propio reemplaza al heredado
+export async function combinarMenuCadena(restaurante, platosPropios) {
+    // Un restaurante independiente solo tiene sus platos propios
+    if (!restaurante?.cadenaId) {
+        return platosPropios;
+    }
+
+    // Platos de la cadena y ajustes de la sucursal
+    const platosCadena = await obtenerPlatosCadena(restaurante.cadenaId.toString());
+    const ajustes = restaurante.sobrescriturasMenu || [];
+    const posiciones = restaurante.posicionesMenuCadena || [];
+    const nombresPropios = new Set(platosPropios.map((p) => p.nombre));
+
+    const heredados = platosCadena
+        .filter((plato) => !nombresPropios.has(plato.nombre))
+        .map((plato) => {
+            const ajuste = ajustes.find((a) => a.platoId.equals(plato._id));
+            const { platoId, fechaActualizacion, ...valores } = ajuste || {};
+            const posicion = posiciones.find((p) => p.platoId.equals(plato._id));
+            return {
+                ...plato,
+                ...valores,
+                seccionId: posicion?.seccionId ?? null,
+                orden: posicion?.orden ?? null,
+                restauranteId: restaurante._id,
+                heredado: true,
+                sobrescrito: Boolean(ajuste)
+            };
+        })
+        .filter((plato) => plato.disponible !== false);
+
+    return [...platosPropios, ...heredados].sort((a, b) => a.nombre.localeCompare(b.nombre));
+}
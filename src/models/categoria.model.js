@@ -8,6 +8,10 @@ import { ObjectId } from 'mongodb';
 // esObjectIdValido: verifica si un string es un ObjectId válido
 // convertirAObjectId: convierte un string a ObjectId para usar en consultas
 import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// Importa el servicio de slugs
+// generarSlugUnico: slug legible de la categoría (ej: "comida-mexicana")
+// calcularCambioSlug: nuevo slug al cambiar el nombre (el anterior queda como redirección)
+import { generarSlugUnico, calcularCambioSlug } from '../services/slug.service.js';
 
 // Define el nombre de la colección en MongoDB donde se almacenan las categorías
 // Esta constante evita errores de tipeo y facilita el mantenimiento
@@ -41,6 +45,8 @@ export async function crearCategoria(categoriaData) {
     // Crea el objeto de la nueva categoría con los datos proporcionados
     const nuevaCategoria = {
         nombre,  // Nombre de la categoría (ej: "Italiana", "Mexicana")
+        slug: await generarSlugUnico(COLLECTION, nombre),  // Identificador legible en las URLs (ej: "italiana")
+        slugsAnteriores: [],  // Slugs de nombres anteriores (redirigen al slug actual)
         // Descripción es opcional, si no se proporciona usa string vacío
         descripcion: descripcion || '',
         // fechaCreacion: Marca de tiempo cuando se creó la categoría
@@ -141,6 +147,8 @@ export async function actualizarCategoria(id, datosActualizacion) {
     
     // Si se actualiza el nombre, verificar que no exista otra categoría con ese nombre
     // Esta validación previene duplicados cuando se cambia el nombre de una categoría
+    // Un nombre nuevo genera un nuevo slug; el anterior se conserva como redirección
+    let cambioSlug = null;
     if (datosActualizacion.nombre) {
         // Busca si existe otra categoría (diferente a la actual) con el mismo nombre
         // $ne significa "not equal" (no igual), excluye la categoría que se está actualizando
@@ -152,12 +160,21 @@ export async function actualizarCategoria(id, datosActualizacion) {
         if (categoriaExistente) {
             throw new Error('Ya existe una categoría con ese nombre');
         }
+        const actual = await db.collection(COLLECTION).findOne(
+            { _id: convertirAObjectId(id) },
+            { projection: { nombre: 1, slug: 1, slugsAnteriores: 1 } }
+        );
+        if (actual && actual.nombre !== datosActualizacion.nombre) {
+            cambioSlug = await calcularCambioSlug(COLLECTION, actual, datosActualizacion.nombre);
+        }
     }
     
     // Prepara el objeto de actualización combinando los datos nuevos con la fecha de actualización
     const actualizacion = {
         // Spread operator incluye todos los campos de datosActualizacion (nombre, descripcion, etc.)
         ...datosActualizacion,
+        // Slug derivado del nombre (no se edita directamente)
+        ...cambioSlug,
         // Actualiza automáticamente la fecha de modificación
         fechaActualizacion: new Date()
     };
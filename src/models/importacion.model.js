@@ -0,0 +1,282 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// Importa los estados de los trabajos y de sus filas y el tiempo tras el que un trabajo se considera caído
+import { IMPORTACION, ESTADOS_IMPORTACION, ESTADOS_FILA_IMPORTACION } from '../utils/constants.js';
+
+// Define el nombre de las colecciones en MongoDB
+// importaciones guarda cada trabajo; filasImportacion guarda un documento por restaurante del archivo
+// Las filas van aparte para no acercarse al límite de 16MB por documento con archivos grandes
+const COLLECTION = 'importaciones';
+const COLLECTION_FILAS = 'filasImportacion';
+
+/**
+ * Crea un trabajo de importación con sus filas
+ * @param {object} datos - { formato, creadoPor, tamanoLote, filas: [{ numero, datos, errores }] }
+ * @returns {Promise<object>} - Trabajo creado (en proceso) con sus totales
+ */
+// Función asíncrona exportada que registra el trabajo antes de crear ningún restaurante
+// Las filas con errores de validación se guardan como inválidas (quedan en el informe) y no se procesan
+export async function crearImportacion(datos) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { formato, creadoPor, tamanoLote = IMPORTACION.TAMANO_LOTE, filas } = datos;
+    const ahora = new Date();
+
+    const importacion = {
+        formato,  // csv o json
+        estado: ESTADOS_IMPORTACION.EN_PROCESO,
+        tamanoLote,  // Filas que se crean antes de guardar el progreso
+        creadoPor: creadoPor ? convertirAObjectId(creadoPor.toString()) : null,  // Admin que importa (null desde el script)
+        error: null,  // Motivo de la última interrupción
+        fechaCreacion: ahora,
+        fechaActualizacion: ahora,  // Último progreso registrado (detecta trabajos caídos)
+        fechaFin: null
+    };
+    const resultado = await db.collection(COLLECTION).insertOne(importacion);
+    const importacionId = resultado.insertedId;
+
+    if (filas.length > 0) {
+        await db.collection(COLLECTION_FILAS).insertMany(filas.map((fila) => ({
+            importacionId,
+            numero: fila.numero,  // Fila del archivo (CSV) o posición en el array (JSON)
+            datos: fila.datos,  // Restaurante con sus platos, ya validado
+            estado: fila.errores.length > 0 ? ESTADOS_FILA_IMPORTACION.INVALIDA : ESTADOS_FILA_IMPORTACION.PENDIENTE,
+            errores: fila.errores,  // [{ campo, mensaje }]
+            restauranteId: null,  // Restaurante creado
+            fechaInicio: null,  // Inicio de la creación (para reanudar una fila interrumpida)
+            fechaActualizacion: ahora
+        })));
+    }
+
+    return { _id: importacionId, ...importacion, totales: await contarFilasImportacion(importacionId) };
+}
+
+/**
+ * Cuenta las filas de una importación por estado
+ * @param {ObjectId} importacionId - ID de la importación
+ * @returns {Promise<object>} - { filas, pendientes, procesando, creadas, invalidas, fallidas }
+ */
+// Función asíncrona exportada que calcula el progreso del trabajo
+export async function contarFilasImportacion(importacionId) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const conteos = await db.collection(COLLECTION_FILAS).aggregate([
+        { $match: { importacionId } },
+        { $group: { _id: '$estado', total: { $sum: 1 } } }
+    ]).toArray();
+    const porEstado = Object.fromEntries(conteos.map(({ _id, total }) => [_id, total]));
+    return {
+        filas: conteos.reduce((suma, { total }) => suma + total, 0),
+        pendientes: porEstado[ESTADOS_FILA_IMPORTACION.PENDIENTE] || 0,
+        procesando: porEstado[ESTADOS_FILA_IMPORTACION.PROCESANDO] || 0,
+        creadas: porEstado[ESTADOS_FILA_IMPORTACION.CREADA] || 0,
+        invalidas: porEstado[ESTADOS_FILA_IMPORTACION.INVALIDA] || 0,
+        fallidas: porEstado[ESTADOS_FILA_IMPORTACION.FALLIDA] || 0
+    };
+}
+
+/**
+ * Busca una importación por ID con sus totales
+ * @param {string} id - ID de la importación
+ * @returns {Promise<object|null>} - Importación con totales o null si no existe
+ */
+// Función asíncrona exportada que devuelve el estado del trabajo y su progreso
+export async function buscarImportacionPorId(id) {
+    // Si el ID no es válido, retorna null inmediatamente sin hacer la consulta
+    if (!esObjectIdValido(id.toString())) {
+        return null;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const importacion = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id.toString()) });
+    if (!importacion) {
+        return null;
+    }
+    return { ...importacion, totales: await contarFilasImportacion(importacion._id) };
+}
+
+/**
+ * Lista los trabajos de importación (más recientes primero)
+ * @param {object} opciones - { limite, saltar }
+ * @returns {Promise<object>} - { importaciones, total }
+ */
+// Función asíncrona exportada para el historial de importaciones del panel de admin
+// Los totales por fila se consultan en el detalle de cada importación
+export async function obtenerImportaciones(opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { limite = 20, saltar = 0 } = opciones;
+    const [importaciones, total] = await Promise.all([
+        db.collection(COLLECTION).find({}).sort({ fechaCreacion: -1, _id: -1 }).skip(saltar).limit(limite).toArray(),
+        db.collection(COLLECTION).countDocuments({})
+    ]);
+    return { importaciones, total };
+}
+
+/**
+ * Lista las filas de una importación (informe por fila)
+ * @param {string} id - ID de la importación
+ * @param {object} opciones - { estado, limite, saltar }
+ * @returns {Promise<object>} - { filas (sin los datos completos), total }
+ */
+// Función asíncrona exportada que devuelve los errores y el restaurante creado de cada fila
+// Los datos completos no se incluyen: pueden traer imágenes en Base64
+export async function obtenerFilasImportacion(id, opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { estado, limite = 100, saltar = 0 } = opciones;
+    const query = { importacionId: convertirAObjectId(id.toString()) };
+    if (estado) {
+        query.estado = estado;
+    }
+    const [filas, total] = await Promise.all([
+        db.collection(COLLECTION_FILAS)
+            .find(query, {
+                projection: { numero: 1, estado: 1, errores: 1, restauranteId: 1, 'datos.nombre': 1, fechaActualizacion: 1 }
+            })
+            .sort({ numero: 1 })
+            .skip(saltar)
+            .limit(limite)
+            .toArray(),
+        db.collection(COLLECTION_FILAS).countDocuments(query)
+    ]);
+    return { filas, total };
+}
+
+/**
+ * Toma una importación para reanudarla
+ * @param {string} id - ID de la importación
+ * @param {object} opciones - { reintentarFallidas }
+ * @returns {Promise<object|null>} - Importación marcada en proceso o null si no existe
+ */
+// Función asíncrona exportada que evita que dos procesos trabajen a la vez sobre la misma importación
+// Se puede reanudar una importación interrumpida, o una en proceso que lleva MINUTOS_SIN_PROGRESO sin
+// avanzar (el servidor se cayó); con reintentarFallidas también una completada, y sus filas fallidas
+// vuelven a quedar pendientes
+export async function tomarImportacionParaReanudar(id, opciones = {}) {
+    // Si el ID no es válido, lanza un error antes de hacer la consulta
+    if (!esObjectIdValido(id.toString())) {
+        throw new Error('ID inválido');
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { reintentarFallidas = false } = opciones;
+    const importacionId = convertirAObjectId(id.toString());
+    const ahora = new Date();
+    const limiteSinProgreso = new Date(ahora.getTime() - IMPORTACION.MINUTOS_SIN_PROGRESO * 60 * 1000);
+
+    const estadosReanudables = [ESTADOS_IMPORTACION.INTERRUMPIDA];
+    if (reintentarFallidas) {
+        estadosReanudables.push(ESTADOS_IMPORTACION.COMPLETADA);
+    }
+    const importacion = await db.collection(COLLECTION).findOneAndUpdate(
+        {
+            _id: importacionId,
+            $or: [
+                { estado: { $in: estadosReanudables } },
+                { estado: ESTADOS_IMPORTACION.EN_PROCESO, fechaActualizacion: { $lt: limiteSinProgreso } }
+            ]
+        },
+        { $set: { estado: ESTADOS_IMPORTACION.EN_PROCESO, error: null, fechaActualizacion: ahora, fechaFin: null } },
+        { returnDocument: 'after' }
+    );
+
+    if (!importacion) {
+        // Distingue una importación inexistente de una que no se puede reanudar
+        const existente = await db.collection(COLLECTION).findOne({ _id: importacionId }, { projection: { estado: 1 } });
+        if (!existente) {
+            return null;
+        }
+        throw new Error(existente.estado === ESTADOS_IMPORTACION.EN_PROCESO
+            ? 'La importación sigue en proceso'
+            : 'La importación ya está completada (usa reintentarFallidas para reintentar las filas fallidas)');
+    }
+
+    if (reintentarFallidas) {
+        await db.collection(COLLECTION_FILAS).updateMany(
+            { importacionId, estado: ESTADOS_FILA_IMPORTACION.FALLIDA },
+            { $set: { estado: ESTADOS_FILA_IMPORTACION.PENDIENTE, errores: [], fechaActualizacion: ahora } }
+        );
+    }
+    return importacion;
+}
+
+/**
+ * Obtiene el siguiente lote de filas por procesar
+ * @param {ObjectId} importacionId - ID de la importación
+ * @param {number} tamanoLote - Cantidad de filas del lote
+ * @returns {Promise<Array>} - Filas pendientes o interrumpidas a mitad de creación, en orden del archivo
+ */
+export async function obtenerLoteImportacion(importacionId, tamanoLote) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    return await db.collection(COLLECTION_FILAS)
+        .find({
+            importacionId,
+            estado: { $in: [ESTADOS_FILA_IMPORTACION.PENDIENTE, ESTADOS_FILA_IMPORTACION.PROCESANDO] }
+        })
+        .sort({ numero: 1 })
+        .limit(tamanoLote)
+        .toArray();
+}
+
+/**
+ * Actualiza el estado de una fila
+ * @param {ObjectId} filaId - ID de la fila
+ * @param {object} cambios - { estado, errores, restauranteId, fechaInicio }
+ * @returns {Promise<void>}
+ */
+export async function actualizarFilaImportacion(filaId, cambios) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    await db.collection(COLLECTION_FILAS).updateOne(
+        { _id: filaId },
+        { $set: { ...cambios, fechaActualizacion: new Date() } }
+    );
+}
+
+/**
+ * Busca el restaurante que creó una fila interrumpida a mitad de creación
+ * @param {object} fila - Fila en estado procesando
+ * @returns {Promise<object|null>} - Restaurante creado para la fila o null si no llegó a crearse
+ */
+// Si el proceso se cayó después de crear el restaurante pero antes de marcar la fila como creada,
+// al reanudar se encuentra el restaurante (mismo nombre, creado después de empezar la fila)
+// en lugar de intentar crearlo otra vez
+export async function buscarRestauranteDeFila(fila) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    if (!fila.fechaInicio) {
+        return null;
+    }
+    return await db.collection('restaurantes').findOne(
+        { nombre: fila.datos.nombre, fechaCreacion: { $gte: fila.fechaInicio } },
+        { projection: { _id: 1 } }
+    );
+}
+
+/**
+ * Registra el progreso de una importación
+ * @param {ObjectId} importacionId - ID de la importación
+ * @param {object} cambios - Campos a actualizar (estado, error, fechaFin)
+ * @returns {Promise<object|null>} - Importación actualizada con sus totales
+ */
+// Función asíncrona exportada que se llama después de cada lote y al terminar o interrumpirse el trabajo
+export async function actualizarImportacion(importacionId, cambios = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const importacion = await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: importacionId },
+        { $set: { ...cambios, fechaActualizacion: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (!importacion) {
+        return null;
+    }
+    return { ...importacion, totales: await contarFilasImportacion(importacionId) };
+}
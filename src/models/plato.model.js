@@ -1,18 +1,169 @@
 // Importa la función obtenerBD desde el módulo de configuración de base de datos
 // obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
 import { obtenerBD } from '../config/db.js';
-// Importa ObjectId desde mongodb (aunque no se usa directamente en este archivo, podría ser útil)
+// Importa ObjectId desde mongodb para generar el _id de las secciones del menú
 // ObjectId es el tipo de dato que MongoDB usa para los identificadores únicos
 import { ObjectId } from 'mongodb';
 // Importa funciones helper para validar y convertir ObjectIds
 // esObjectIdValido: verifica si un string es un ObjectId válido
 // convertirAObjectId: convierte un string a ObjectId para usar en consultas
-import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// construirFiltroCursor y separarPagina: paginación por cursor del ranking de platos
+// construirFiltroMoneda: restaurantes que cobran en una moneda (filtro de precio del ranking)
+import { esObjectIdValido, convertirAObjectId, construirFiltroCursor, separarPagina, construirFiltroMoneda } from '../utils/helpers.js';
+// Importa el filtro que excluye los documentos enviados a la papelera
+// ALERGENOS_INCOMPATIBLES_DIETA: alérgenos que contradicen cada dieta (ej: un plato vegano con lácteos)
+// MONEDA_DEFECTO: moneda de los restaurantes que no indican la suya (historial de precios)
+import { FILTRO_NO_ELIMINADO, ENTIDADES_REVISION, ORIGENES_REVISION, ALERGENOS_INCOMPATIBLES_DIETA, MONEDA_DEFECTO } from '../utils/constants.js';
+// Importa la función que agrega al menú de una sucursal los platos heredados de su cadena
+import { combinarMenuCadena } from './cadena.model.js';
+// Importa el filtro que excluye los restaurantes cerrados (ranking de platos)
+import { construirFiltroEnOperacion } from '../services/horario.service.js';
+// Importa las funciones del historial de revisiones
+// registrarRevision: guarda los cambios por campo de cada edición
+// calcularValoresAntesDeRevision: valores que tenía el plato antes de una revisión (para revertir)
+import { registrarRevision, calcularValoresAntesDeRevision } from './revision.model.js';
+// Importa el servicio de transacciones: el plato y sus reseñas entran y salen juntos de la papelera
+import { ejecutarTransaccion } from '../services/transacciones.service.js';
 
 // Define el nombre de la colección en MongoDB donde se almacenan los platos
 // Esta constante evita errores de tipeo y facilita el mantenimiento
 const COLLECTION = 'platos';
 
+// Función privada que verifica que ningún otro plato del restaurante (activo o en la papelera) use el nombre
+// Parámetros: db, restauranteId (ObjectId), nombre y excluirId (ObjectId del plato que se edita)
+async function verificarNombrePlatoDisponible(db, restauranteId, nombre, excluirId) {
+    // Busca si existe otro plato (diferente al actual) con el mismo nombre en el mismo restaurante
+    // $ne significa "not equal" (no igual), excluye el plato que se está actualizando
+    const platoExistente = await db.collection(COLLECTION).findOne({
+        restauranteId,  // Mismo restaurante
+        nombre,  // Mismo nombre
+        _id: { $ne: excluirId }  // Pero diferente plato
+    });
+    // Si ya existe otro plato con ese nombre en el mismo restaurante (activo o en la papelera), lanza un error
+    if (platoExistente) {
+        throw new Error(platoExistente.eliminado
+            ? 'Ya existe un plato con ese nombre en la papelera de este restaurante'
+            : 'Ya existe un plato con ese nombre en este restaurante');
+    }
+}
+
+// Función privada que verifica que las dietas del plato no contradigan sus alérgenos
+// Parámetros: alergenos (array o null si no se declararon) y dietas (array)
+function verificarDietasCompatibles(alergenos, dietas) {
+    for (const dieta of dietas || []) {
+        const conflicto = (alergenos || []).find((alergeno) => (ALERGENOS_INCOMPATIBLES_DIETA[dieta] || []).includes(alergeno));
+        if (conflicto) {
+            throw new Error(`La dieta ${dieta} es incompatible con el alérgeno ${conflicto}`);
+        }
+    }
+}
+
+// Función privada que construye la consulta de MongoDB de los filtros alimentarios de los listados de platos
+// dietas: el plato debe tenerlas todas
+// sinAlergenos: el plato debe haber declarado sus alérgenos (no null) y no contener ninguno de los indicados
+// picanteMax y caloriasMax: los platos sin nivel de picante o sin calorías informadas quedan fuera
+// Retorna un objeto vacío si no hay filtros
+function construirFiltroAlimentario(filtros = {}) {
+    const { dietas = [], sinAlergenos = [], picanteMax, caloriasMax } = filtros;
+    const query = {};
+    if (dietas.length > 0) {
+        query.dietas = { $all: dietas };
+    }
+    if (sinAlergenos.length > 0) {
+        query.alergenos = { $ne: null, $nin: sinAlergenos };
+    }
+    if (picanteMax !== undefined) {
+        query.nivelPicante = { $lte: picanteMax };
+    }
+    if (caloriasMax !== undefined) {
+        query['nutricion.calorias'] = { $lte: caloriasMax };
+    }
+    return query;
+}
+
+// Función privada que obtiene la moneda de los precios de un restaurante
+async function obtenerMonedaRestaurante(db, restauranteId) {
+    const restaurante = await db.collection('restaurantes').findOne({ _id: restauranteId }, { projection: { moneda: 1 } });
+    return restaurante?.moneda || MONEDA_DEFECTO;
+}
+
+// Función privada que obtiene el historial de precios guardado de un plato
+// Los platos creados antes del historial solo tienen su precio actual, con inicio desconocido (vigenteDesde null)
+function obtenerHistorialGuardado(plato, moneda) {
+    if (plato.historialPrecios) {
+        return plato.historialPrecios;
+    }
+    return plato.precio ? [{ precio: Number(plato.precio), moneda, vigenteDesde: null, vigenteHasta: null }] : [];
+}
+
+// Función privada que agrega un precio al historial de precios de un plato
+// Cierra el precio vigente (vigenteHasta = fecha) y abre uno nuevo desde la fecha del cambio
+// Si el precio y la moneda no cambian, retorna el mismo historial; quitar el precio (null) no abre uno nuevo
+function agregarPrecioAlHistorial(historial, precio, moneda, fecha) {
+    // Algunos clientes envían el precio como texto
+    const valor = precio === null || precio === undefined || precio === '' ? null : Number(precio);
+    const vigente = historial.find((entrada) => entrada.vigenteHasta === null);
+    if ((vigente?.precio ?? null) === valor && (valor === null || vigente.moneda === moneda)) {
+        return historial;
+    }
+    const cerrado = historial.map((entrada) => (entrada === vigente ? { ...entrada, vigenteHasta: fecha } : entrada));
+    return valor === null
+        ? cerrado
+        : [...cerrado, { precio: valor, moneda, vigenteDesde: fecha, vigenteHasta: null }];
+}
+
+// Función privada que verifica que una sección pertenezca al menú del restaurante
+// Retorna el ObjectId de la sección, o null si seccionId es null (plato sin sección)
+function verificarSeccionMenu(restaurante, seccionId) {
+    if (seccionId === null || seccionId === undefined) {
+        return null;
+    }
+    if (!esObjectIdValido(seccionId.toString())) {
+        throw new Error('ID de sección inválido');
+    }
+    const seccion = (restaurante.seccionesMenu || []).find((s) => s._id.equals(seccionId.toString()));
+    if (!seccion) {
+        throw new Error('La sección especificada no existe en el menú del restaurante');
+    }
+    return seccion._id;
+}
+
+// Función privada que ordena los platos como en la carta: por sección y, dentro de cada sección, por orden
+// Los platos sin sección (o cuya sección ya no existe) van al final; a igual orden, por nombre
+function ordenarMenu(platos, secciones) {
+    const ordenSecciones = new Map(secciones.map((seccion) => [seccion._id.toString(), seccion.orden]));
+    const ordenSeccion = (plato) => ordenSecciones.get(plato.seccionId?.toString()) ?? Infinity;
+    // Infinity - Infinity es NaN (falsy): en ese caso decide el criterio siguiente
+    return platos.sort((a, b) =>
+        (ordenSeccion(a) - ordenSeccion(b))
+        || ((a.orden ?? Infinity) - (b.orden ?? Infinity))
+        || a.nombre.localeCompare(b.nombre)
+    );
+}
+
+// Función privada que agrupa un menú ya ordenado en sus secciones
+// Las secciones sin platos también se incluyen (el propietario las ve vacías al armar la carta)
+function agruparMenuPorSeccion(platos, secciones) {
+    const grupos = [...secciones]
+        .sort((a, b) => a.orden - b.orden)
+        .map((seccion) => ({ ...seccion, platos: [] }));
+    const sinSeccion = [];
+    for (const plato of platos) {
+        const grupo = plato.seccionId && grupos.find((g) => g._id.equals(plato.seccionId));
+        (grupo ? grupo.platos : sinSeccion).push(plato);
+    }
+    return { secciones: grupos, sinSeccion };
+}
+
+// Función privada que calcula el orden de un plato nuevo: al final de su sección
+async function calcularSiguienteOrden(db, restauranteId, seccionId, opciones) {
+    const ultimo = await db.collection(COLLECTION).findOne(
+        { restauranteId, seccionId, orden: { $ne: null } },
+        { ...opciones, sort: { orden: -1 }, projection: { orden: 1 } }
+    );
+    return ultimo ? ultimo.orden + 1 : 0;
+}
+
 /**
  * Crea un nuevo plato
  * @param {object} platoData - Datos del plato
@@ -21,7 +172,8 @@ const COLLECTION = 'platos';
  */
 // Función asíncrona exportada que crea un nuevo plato en la base de datos
 // Parámetros:
-//   platoData - objeto con los datos del plato (nombre, descripcion, restauranteId, imagen, precio)
+//   platoData - objeto con los datos del plato (nombre, descripcion, restauranteId, imagen, precio,
+//               alergenos, dietas, nivelPicante y nutricion)
 //   session - sesión de transacción MongoDB opcional para operaciones atómicas
 // Retorna: Promise que se resuelve con el objeto del plato creado incluyendo su _id
 export async function crearPlato(platoData, session = null) {
@@ -29,7 +181,9 @@ export async function crearPlato(platoData, session = null) {
     const db = obtenerBD();
     // Extrae los campos del objeto platoData usando destructuring
     // Esto permite acceder fácilmente a estos campos sin usar platoData.nombre
-    const { nombre, descripcion, restauranteId, imagen, precio } = platoData;
+    const { nombre, descripcion, restauranteId, imagen, precio, seccionId, orden } = platoData;
+    // Información alimentaria (ya validada por la ruta con validarInformacionAlimentaria)
+    const { alergenos, dietas, nivelPicante, nutricion } = platoData;
     
     // Valida que el restauranteId tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
@@ -45,14 +199,21 @@ export async function crearPlato(platoData, session = null) {
     // Verificar que el restaurante existe
     // Antes de crear el plato, verifica que el restaurante al que se asocia realmente existe
     // Esto mantiene la integridad referencial de los datos
+    // Un restaurante en la papelera se considera inexistente
     const restaurante = await db.collection('restaurantes').findOne({
-        _id: convertirAObjectId(restauranteId)
+        _id: convertirAObjectId(restauranteId),
+        ...FILTRO_NO_ELIMINADO
     }, opciones);
     // Si el restaurante no existe, lanza un error
     if (!restaurante) {
         throw new Error('El restaurante especificado no existe');
     }
     
+    // Verifica que la sección (opcional) sea una del menú del restaurante
+    const seccionMenuId = verificarSeccionMenu(restaurante, seccionId);
+    // Verifica que las dietas no contradigan los alérgenos declarados
+    verificarDietasCompatibles(alergenos, dietas);
+    
     // Verificar si ya existe un plato con ese nombre en el restaurante
     // Esta validación previene duplicados dentro del mismo restaurante
     // El mismo nombre puede existir en diferentes restaurantes, pero no en el mismo
@@ -61,8 +222,11 @@ export async function crearPlato(platoData, session = null) {
         nombre
     }, opciones);
     // Si ya existe un plato con ese nombre en el restaurante, lanza un error
+    // Los platos en la papelera también reservan su nombre hasta que se purgan
     if (platoExistente) {
-        throw new Error('Ya existe un plato con ese nombre en este restaurante');
+        throw new Error(platoExistente.eliminado
+            ? 'Ya existe un plato con ese nombre en la papelera de este restaurante'
+            : 'Ya existe un plato con ese nombre en este restaurante');
     }
     
     // Crea el objeto del nuevo plato con los datos proporcionados
@@ -76,6 +240,25 @@ export async function crearPlato(platoData, session = null) {
         imagen: imagen || null,
         // Precio es opcional, si no se proporciona usa null
         precio: precio || null,
+        // Precios del plato con su moneda y vigencia; el primero es el precio inicial (si tiene)
+        historialPrecios: agregarPrecioAlHistorial([], precio || null, restaurante.moneda || MONEDA_DEFECTO, new Date()),
+        // Sección del menú (Entradas, Postres...) y posición dentro de ella; sin orden, va al final de la sección
+        seccionId: seccionMenuId,
+        orden: orden ?? await calcularSiguienteOrden(db, restaurante._id, seccionMenuId, opciones),
+        // Información alimentaria: alergenos null = sin declarar ([] = no contiene ninguno)
+        alergenos: alergenos ? [...new Set(alergenos)] : null,
+        dietas: [...new Set(dietas || [])],
+        nivelPicante: nivelPicante ?? null,
+        nutricion: nutricion ?? null,
+        // Estadísticas de las reseñas del plato (las recalcula actualizarRankingPlato)
+        calificacionPromedio: 0,
+        totalReseñas: 0,
+        ranking: 0,
+        // eliminado: true mientras el plato está en la papelera
+        eliminado: false,
+        // fechaEliminacion y eliminadoPor: cuándo y quién lo envió a la papelera
+        fechaEliminacion: null,
+        eliminadoPor: null,
         // fechaCreacion: Marca de tiempo cuando se creó el plato
         fechaCreacion: new Date(),
         // fechaActualizacion: Marca de tiempo, inicialmente igual a fechaCreacion
@@ -98,12 +281,19 @@ export async function crearPlato(platoData, session = null) {
 /**
  * Obtiene platos de un restaurante
  * @param {string} restauranteId - ID del restaurante
- * @returns {Promise<Array>} - Lista de platos
+ * @param {object} opciones - { agruparPorSeccion } para retornar el menú agrupado por sección,
+ *                            y los filtros alimentarios { dietas, sinAlergenos, picanteMax, caloriasMax }
+ * @returns {Promise<Array|object>} - Lista de platos, o { secciones, sinSeccion } si se agrupa
  */
 // Función asíncrona exportada que obtiene todos los platos de un restaurante específico
-// Parámetros: restauranteId - string con el ID del restaurante
-// Retorna: Promise que se resuelve con un array de platos del restaurante ordenados por nombre
-export async function obtenerPlatosPorRestaurante(restauranteId) {
+// Si el restaurante es sucursal de una cadena, incluye los platos heredados del menú de la cadena
+// (marcados con heredado: true) con los ajustes de la sucursal aplicados
+// Parámetros:
+//   restauranteId - string con el ID del restaurante
+//   opciones - agruparPorSeccion (default false) y filtros alimentarios (ver construirFiltroAlimentario)
+// Retorna: Promise que se resuelve con los platos en el orden de la carta (sección, orden y nombre)
+// Los platos heredados de la cadena no tienen información alimentaria: con filtros alimentarios no se incluyen
+export async function obtenerPlatosPorRestaurante(restauranteId, opciones = {}) {
     // Valida que el restauranteId tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
     if (!esObjectIdValido(restauranteId)) {
@@ -114,23 +304,119 @@ export async function obtenerPlatosPorRestaurante(restauranteId) {
     const db = obtenerBD();
     // Busca todos los platos que pertenezcan al restaurante especificado
     // find() busca documentos que coincidan con el filtro
-    // sort({ nombre: 1 }) ordena los resultados por nombre en orden ascendente (1 = ascendente, -1 = descendente)
     // toArray() convierte el cursor de MongoDB a un array de JavaScript
-    return await db.collection(COLLECTION)
-        .find({ restauranteId: convertirAObjectId(restauranteId) })
-        .sort({ nombre: 1 })
+    const filtroAlimentario = construirFiltroAlimentario(opciones);
+    const platos = await db.collection(COLLECTION)
+        .find({ restauranteId: convertirAObjectId(restauranteId), ...FILTRO_NO_ELIMINADO, ...filtroAlimentario })
+        .toArray();
+    
+    // Agrega el menú heredado si el restaurante pertenece a una cadena
+    const restaurante = await db.collection('restaurantes').findOne(
+        { _id: convertirAObjectId(restauranteId) },
+        { projection: { cadenaId: 1, sobrescriturasMenu: 1, posicionesMenuCadena: 1, seccionesMenu: 1 } }
+    );
+    const secciones = restaurante?.seccionesMenu || [];
+    const filtrado = Object.keys(filtroAlimentario).length > 0;
+    const menu = ordenarMenu(filtrado ? platos : await combinarMenuCadena(restaurante, platos), secciones);
+    return opciones.agruparPorSeccion ? agruparMenuPorSeccion(menu, secciones) : menu;
+}
+
+/**
+ * Obtiene el ranking de platos
+ * @param {object} filtros - { categoriaId, restauranteId, precioMin, precioMax, moneda, incluirCerrados, ordenarPor, orden }
+ *                           y los filtros alimentarios { dietas, sinAlergenos, picanteMax, caloriasMax }
+ * @param {object} opciones - Opciones de paginación (limite, saltar o cursor)
+ * @returns {Promise<object>} - { platos, total, hasMore, nextCursor }
+ */
+// Función asíncrona exportada que lista los platos con al menos una reseña, ordenados por su ranking
+// Solo platos de restaurantes aprobados y, salvo incluirCerrados, en operación
+// categoriaId es la categoría del restaurante; precioMin y precioMax se comparan con el precio del plato,
+// solo entre restaurantes que cobran en moneda (con un filtro de precio, default MONEDA_DEFECTO)
+// Cada plato incluye un resumen de su restaurante (nombre, slug y categoría)
+export async function obtenerRankingPlatos(filtros = {}, opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { categoriaId, restauranteId, precioMin, precioMax, moneda, incluirCerrados = false } = filtros;
+    const { ordenarPor = 'ranking', orden = 'desc' } = filtros;
+    const { limite = 50, cursor } = opciones;
+    const saltar = cursor ? 0 : (opciones.saltar || 0);
+    
+    // Restaurantes cuyos platos participan en el ranking
+    const queryRestaurantes = {
+        aprobado: true,
+        ...FILTRO_NO_ELIMINADO,
+        ...(incluirCerrados ? {} : construirFiltroEnOperacion())
+    };
+    if (categoriaId) {
+        queryRestaurantes.categoriaId = convertirAObjectId(categoriaId);
+    }
+    if (restauranteId) {
+        queryRestaurantes._id = convertirAObjectId(restauranteId);
+    }
+    // Un precio solo se compara con los de su misma moneda (sin tasas de cambio)
+    if (moneda || precioMin !== undefined || precioMax !== undefined) {
+        queryRestaurantes.moneda = construirFiltroMoneda(moneda || MONEDA_DEFECTO);
+    }
+    const restauranteIds = await db.collection('restaurantes').distinct('_id', queryRestaurantes);
+    
+    // Platos reseñados de esos restaurantes dentro del rango de precio y que cumplen los filtros alimentarios
+    const query = {
+        restauranteId: { $in: restauranteIds },
+        totalReseñas: { $gt: 0 },
+        ...FILTRO_NO_ELIMINADO,
+        ...construirFiltroAlimentario(filtros)
+    };
+    if (precioMin !== undefined || precioMax !== undefined) {
+        query.precio = {};
+        if (precioMin !== undefined) {
+            query.precio.$gte = precioMin;
+        }
+        if (precioMax !== undefined) {
+            query.precio.$lte = precioMax;
+        }
+    }
+    
+    // _id desempata los platos con el mismo valor para que las páginas sean estables
+    const direccion = orden === 'desc' ? -1 : 1;
+    const [documentos, total] = await Promise.all([
+        db.collection(COLLECTION)
+            .find({ ...query, ...construirFiltroCursor(cursor, ordenarPor, orden) })
+            .sort({ [ordenarPor]: direccion, _id: direccion })
+            .skip(saltar)
+            .limit(limite + 1)
+            .toArray(),
+        db.collection(COLLECTION).countDocuments(query)
+    ]);
+    const { pagina, hasMore, nextCursor } = separarPagina(documentos, limite, ordenarPor, orden);
+    
+    // Resumen del restaurante de cada plato de la página
+    const restaurantes = await db.collection('restaurantes')
+        .find(
+            { _id: { $in: pagina.map((plato) => plato.restauranteId) } },
+            { projection: { nombre: 1, slug: 1, categoriaId: 1, traducciones: 1 } }
+        )
         .toArray();
+    const restaurantePorId = new Map(restaurantes.map((restaurante) => [restaurante._id.toString(), restaurante]));
+    const platos = pagina.map((plato) => ({
+        ...plato,
+        restaurante: restaurantePorId.get(plato.restauranteId.toString()) || null
+    }));
+    
+    return { platos, total, hasMore, nextCursor };
 }
 
 /**
  * Busca un plato por ID
  * @param {string} id - ID del plato
+ * @param {object} opciones - { incluirEliminados } para buscar también en la papelera
  * @returns {Promise<object|null>} - Plato encontrado o null
  */
 // Función asíncrona exportada que busca un plato específico por su ID
-// Parámetros: id - string con el ID del plato a buscar
+// Parámetros:
+//   id - string con el ID del plato a buscar
+//   opciones - objeto con incluirEliminados (default false: los platos en la papelera no se encuentran)
 // Retorna: Promise que se resuelve con el plato encontrado o null si no existe o el ID es inválido
-export async function buscarPlatoPorId(id) {
+export async function buscarPlatoPorId(id, opciones = {}) {
     // Valida que el ID tenga el formato correcto de ObjectId de MongoDB
     // Si el ID no es válido, retorna null inmediatamente sin hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -138,24 +424,93 @@ export async function buscarPlatoPorId(id) {
     }
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
+    // Extrae la opción para incluir platos eliminados (usada por la papelera)
+    const { incluirEliminados = false } = opciones;
     // Busca un plato por su _id
     // convertirAObjectId() convierte el string del ID a ObjectId para la consulta
     // findOne() retorna el documento encontrado o null si no existe
-    return await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id) });
+    return await db.collection(COLLECTION).findOne({
+        _id: convertirAObjectId(id),
+        ...(incluirEliminados ? {} : FILTRO_NO_ELIMINADO)
+    });
+}
+
+/**
+ * Obtiene el historial de precios de un plato
+ * @param {string} id - ID del plato
+ * @returns {Promise<object|null>} - { platoId, nombre, restauranteId, precio, moneda, historial } o null si no existe
+ */
+// Función asíncrona exportada que lista los precios que tuvo el plato, del más antiguo al vigente
+// Cada precio indica su moneda y su vigencia (vigenteDesde, y vigenteHasta null en el precio actual)
+// moneda es la moneda actual del restaurante
+export async function obtenerHistorialPreciosPlato(id) {
+    const plato = await buscarPlatoPorId(id);
+    if (!plato) {
+        return null;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const moneda = await obtenerMonedaRestaurante(db, plato.restauranteId);
+    return {
+        platoId: plato._id,
+        nombre: plato.nombre,
+        restauranteId: plato.restauranteId,
+        precio: plato.precio ? Number(plato.precio) : null,
+        moneda,
+        historial: obtenerHistorialGuardado(plato, moneda)
+    };
+}
+
+/**
+ * Registra en el historial de precios de los platos un cambio de moneda del restaurante
+ * @param {ObjectId} restauranteId - ID del restaurante
+ * @param {string} monedaAnterior - Moneda que tenía el restaurante
+ * @param {string} monedaNueva - Moneda nueva
+ * @param {object} session - Sesión de transacción MongoDB (opcional)
+ * @returns {Promise<void>}
+ */
+// Función asíncrona exportada que se llama al cambiar la moneda de un restaurante
+// El mismo número en otra moneda es otro precio: cierra el precio vigente de cada plato y abre uno
+// en la nueva moneda. Incluye los platos de la papelera, para que al restaurarlos su historial siga completo
+// Se ejecuta en la misma transacción que el cambio de moneda del restaurante
+export async function registrarCambioMonedaPlatos(restauranteId, monedaAnterior, monedaNueva, session = null) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const opciones = session ? { session } : {};
+    const ahora = new Date();
+    const platos = await db.collection(COLLECTION)
+        .find({ restauranteId }, { ...opciones, projection: { precio: 1, historialPrecios: 1 } })
+        .toArray();
+    const operaciones = platos.map((plato) => ({
+        updateOne: {
+            filter: { _id: plato._id },
+            update: {
+                $set: {
+                    historialPrecios: agregarPrecioAlHistorial(obtenerHistorialGuardado(plato, monedaAnterior), plato.precio, monedaNueva, ahora)
+                }
+            }
+        }
+    }));
+    if (operaciones.length > 0) {
+        await db.collection(COLLECTION).bulkWrite(operaciones, { ...opciones, ordered: false });
+    }
 }
 
 /**
  * Actualiza un plato
  * @param {string} id - ID del plato
  * @param {object} datosActualizacion - Datos a actualizar
+ * @param {object} opciones - { usuarioId } para el historial de revisiones
  * @returns {Promise<object|null>} - Plato actualizado
  */
 // Función asíncrona exportada que actualiza un plato existente
+// Cada edición queda registrada como revisión (quién, cuándo y valor anterior/nuevo por campo)
 // Parámetros:
 //   id - string con el ID del plato a actualizar
 //   datosActualizacion - objeto con los campos a actualizar (nombre, descripcion, precio, imagen, etc.)
+//   opciones - usuarioId del autor del cambio
 // Retorna: Promise que se resuelve con el plato actualizado o null si no se encontró
-export async function actualizarPlato(id, datosActualizacion) {
+export async function actualizarPlato(id, datosActualizacion, opciones = {}) {
     // Valida que el ID tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -167,25 +522,54 @@ export async function actualizarPlato(id, datosActualizacion) {
     
     // Si se actualiza el nombre, verificar que no exista otro plato con ese nombre en el mismo restaurante
     // Esta validación previene duplicados cuando se cambia el nombre de un plato dentro del mismo restaurante
-    if (datosActualizacion.nombre) {
+    // Si se cambia la sección, verificar que sea una sección del menú del restaurante
+    // Si se cambian los alérgenos o las dietas, verificar que sigan siendo compatibles
+    // Si se cambia el precio, agregarlo al historial de precios
+    const cambiaDieta = datosActualizacion.alergenos !== undefined || datosActualizacion.dietas !== undefined;
+    const ahora = new Date();
+    let historialPrecios;
+    if (datosActualizacion.nombre || datosActualizacion.seccionId !== undefined || cambiaDieta || datosActualizacion.precio !== undefined) {
         // Primero busca el plato actual para obtener su restauranteId
         // Necesitamos saber a qué restaurante pertenece para validar la unicidad del nombre
-        const plato = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id) });
+        const plato = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO });
         // Si el plato no existe, lanza un error
         if (!plato) {
             throw new Error('Plato no encontrado');
         }
         
-        // Busca si existe otro plato (diferente al actual) con el mismo nombre en el mismo restaurante
-        // $ne significa "not equal" (no igual), excluye el plato que se está actualizando
-        const platoExistente = await db.collection(COLLECTION).findOne({
-            restauranteId: plato.restauranteId,  // Mismo restaurante
-            nombre: datosActualizacion.nombre,    // Mismo nombre
-            _id: { $ne: convertirAObjectId(id) }  // Pero diferente plato
-        });
-        // Si ya existe otro plato con ese nombre en el mismo restaurante, lanza un error
-        if (platoExistente) {
-            throw new Error('Ya existe un plato con ese nombre en este restaurante');
+        // Verifica que el nombre no lo use otro plato del mismo restaurante
+        if (datosActualizacion.nombre) {
+            await verificarNombrePlatoDisponible(db, plato.restauranteId, datosActualizacion.nombre, plato._id);
+        }
+        // Convierte la sección a ObjectId (null quita el plato de su sección)
+        if (datosActualizacion.seccionId !== undefined) {
+            const restaurante = await db.collection('restaurantes').findOne(
+                { _id: plato.restauranteId },
+                { projection: { seccionesMenu: 1 } }
+            );
+            const seccionId = verificarSeccionMenu(restaurante || {}, datosActualizacion.seccionId);
+            datosActualizacion = { ...datosActualizacion, seccionId };
+            // Al cambiar de sección sin indicar orden, el plato pasa al final de la nueva sección
+            if (datosActualizacion.orden === undefined && String(seccionId) !== String(plato.seccionId ?? null)) {
+                datosActualizacion.orden = await calcularSiguienteOrden(db, plato.restauranteId, seccionId, {});
+            }
+        }
+        // Compara los valores nuevos con los guardados que no cambian (sin repetir claves)
+        if (cambiaDieta) {
+            const alergenos = datosActualizacion.alergenos !== undefined ? datosActualizacion.alergenos : plato.alergenos;
+            const dietas = datosActualizacion.dietas !== undefined ? datosActualizacion.dietas : plato.dietas;
+            verificarDietasCompatibles(alergenos, dietas);
+            if (datosActualizacion.alergenos !== undefined) {
+                datosActualizacion = { ...datosActualizacion, alergenos: alergenos ? [...new Set(alergenos)] : null };
+            }
+            if (datosActualizacion.dietas !== undefined) {
+                datosActualizacion = { ...datosActualizacion, dietas: [...new Set(dietas || [])] };
+            }
+        }
+        // El precio anterior se cierra en el historial y el nuevo queda vigente desde ahora
+        if (datosActualizacion.precio !== undefined) {
+            const moneda = await obtenerMonedaRestaurante(db, plato.restauranteId);
+            historialPrecios = agregarPrecioAlHistorial(obtenerHistorialGuardado(plato, moneda), datosActualizacion.precio, moneda, ahora);
         }
     }
     
@@ -193,34 +577,120 @@ export async function actualizarPlato(id, datosActualizacion) {
     const actualizacion = {
         // Spread operator incluye todos los campos de datosActualizacion (nombre, descripcion, precio, etc.)
         ...datosActualizacion,
+        // Historial de precios (se deriva del precio, no forma parte de la revisión)
+        ...(historialPrecios && { historialPrecios }),
         // Actualiza automáticamente la fecha de modificación
-        fechaActualizacion: new Date()
+        fechaActualizacion: ahora
     };
     
     // Actualiza el plato en la base de datos
     // findOneAndUpdate() busca y actualiza en una sola operación
     // Primer parámetro: filtro para encontrar el documento (_id)
     // Segundo parámetro: operación de actualización ($set establece los nuevos valores)
-    // Tercer parámetro: opciones (returnDocument: 'after' retorna el documento actualizado)
-    const resultado = await db.collection(COLLECTION).findOneAndUpdate(
-        { _id: convertirAObjectId(id) },
+    // Tercer parámetro: opciones (returnDocument: 'before' retorna el documento previo, para la revisión)
+    // Los platos en la papelera no se pueden editar (se trata como no encontrado)
+    const anterior = await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
         { $set: actualizacion },
-        { returnDocument: 'after' }
+        { returnDocument: 'before' }
     );
+    if (!anterior) {
+        return null;
+    }
     
-    // Retorna el resultado de la operación (el documento actualizado o null si no se encontró)
+    // $set solo reemplaza campos de primer nivel: el documento actualizado es el anterior con los nuevos valores
+    const resultado = { ...anterior, ...actualizacion };
+    // Registra los campos que cambiaron en el historial de revisiones
+    await registrarRevision({
+        ...opciones,
+        entidad: ENTIDADES_REVISION.PLATO,
+        entidadId: anterior._id,
+        restauranteId: anterior.restauranteId,
+        campos: Object.keys(datosActualizacion),
+        anterior,
+        posterior: resultado
+    });
+    
+    // Retorna el documento actualizado
     return resultado;
 }
 
 /**
- * Elimina un plato
+ * Revierte un plato al estado previo a una revisión (solo admin)
  * @param {string} id - ID del plato
+ * @param {string} revisionId - ID de la revisión a revertir
+ * @param {string} usuarioId - ID del admin que revierte
+ * @returns {Promise<object|null>} - Plato revertido o null si el plato o la revisión no existen
+ */
+// Función asíncrona exportada que restaura los campos cambiados en la revisión y en las posteriores
+// Vuelve a verificar que el nombre anterior no lo use otro plato del restaurante
+// La reversión queda registrada como una nueva revisión (origen reversion), que a su vez se puede revertir
+export async function revertirRevisionPlato(id, revisionId, usuarioId = null) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const plato = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO });
+    const estadoPrevio = await calcularValoresAntesDeRevision(ENTIDADES_REVISION.PLATO, id, revisionId);
+    if (!plato || !estadoPrevio) {
+        return null;
+    }
+    const { revision, valores } = estadoPrevio;
+    
+    // El nombre anterior pudo ocuparlo otro plato después de la revisión
+    if (valores.nombre) {
+        await verificarNombrePlatoDisponible(db, plato.restauranteId, valores.nombre, plato._id);
+    }
+    
+    const actualizacion = { ...valores, fechaActualizacion: new Date() };
+    // El precio restaurado también queda en el historial de precios
+    if (valores.precio !== undefined) {
+        const moneda = await obtenerMonedaRestaurante(db, plato.restauranteId);
+        actualizacion.historialPrecios = agregarPrecioAlHistorial(
+            obtenerHistorialGuardado(plato, moneda), valores.precio, moneda, actualizacion.fechaActualizacion
+        );
+    }
+    const anterior = await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: plato._id, ...FILTRO_NO_ELIMINADO },
+        { $set: actualizacion },
+        { returnDocument: 'before' }
+    );
+    if (!anterior) {
+        return null;
+    }
+    
+    const resultado = { ...anterior, ...actualizacion };
+    await registrarRevision({
+        entidad: ENTIDADES_REVISION.PLATO,
+        entidadId: anterior._id,
+        restauranteId: anterior.restauranteId,
+        campos: Object.keys(valores),
+        anterior,
+        posterior: resultado,
+        usuarioId,
+        origen: ORIGENES_REVISION.REVERSION,
+        revertidaDe: revision._id
+    });
+    return resultado;
+}
+
+/**
+ * Envía un plato a la papelera (eliminación lógica)
+ * @param {string} id - ID del plato
+ * @param {string} usuarioId - ID del usuario que elimina (opcional)
  * @returns {Promise<boolean>} - True si se eliminó correctamente
  */
-// Función asíncrona exportada que elimina un plato de la base de datos
-// Parámetros: id - string con el ID del plato a eliminar
-// Retorna: Promise que se resuelve con true si se eliminó correctamente, false si no se encontró
-export async function eliminarPlato(id) {
+// Función asíncrona exportada que marca un plato como eliminado sin borrarlo de la base de datos
+// El plato deja de aparecer en los listados y búsquedas; el purgado de la papelera lo borra definitivamente
+// Sus reseñas activas van a la papelera con él (marcadas con eliminadoConPlato y la misma fecha)
+// Parámetros:
+//   id - string con el ID del plato a eliminar
+//   usuarioId - ID del usuario que realiza la eliminación
+// Retorna: Promise que se resuelve con true si se eliminó, false si no se encontró o ya estaba en la papelera
+export async function eliminarPlato(id, usuarioId = null) {
     // Valida que el ID tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -229,12 +699,310 @@ export async function eliminarPlato(id) {
     
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
-    // Elimina el plato de la base de datos
-    // deleteOne() elimina un documento que coincida con el filtro
-    // Retorna información sobre la operación incluyendo deletedCount (número de documentos eliminados)
-    const resultado = await db.collection(COLLECTION).deleteOne({ _id: convertirAObjectId(id) });
-    // Retorna true si se eliminó al menos un documento (deletedCount > 0), false en caso contrario
-    // Esto indica si la operación fue exitosa o si no se encontró el plato
-    return resultado.deletedCount > 0;
+    // Campos que marcan un documento como eliminado (misma fecha para el plato y sus reseñas)
+    const marcaEliminado = {
+        eliminado: true,
+        fechaEliminacion: new Date(),
+        eliminadoPor: usuarioId ? convertirAObjectId(usuarioId.toString()) : null
+    };
+    
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+        // Marca el plato como eliminado (solo si no estaba ya en la papelera)
+        const resultado = await db.collection(COLLECTION).updateOne(
+            { _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+            { $set: marcaEliminado },
+            opciones
+        );
+        // Retorna false si el plato no existía o ya estaba eliminado
+        if (resultado.matchedCount === 0) {
+            return false;
+        }
+        // Envía a la papelera las reseñas activas del plato
+        await db.collection('reseñasPlatos').updateMany(
+            { platoId: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+            { $set: { ...marcaEliminado, eliminadoConPlato: true } },
+            opciones
+        );
+        return true;
+    });
+}
+
+/**
+ * Restaura un plato de la papelera
+ * @param {string} id - ID del plato
+ * @returns {Promise<object|null>} - Plato restaurado o null si no está en la papelera
+ */
+// Función asíncrona exportada que saca un plato de la papelera
+// No se puede restaurar un plato cuyo restaurante sigue en la papelera
+// Restaura también las reseñas que se eliminaron junto con él (las eliminadas por separado siguen en la papelera)
+// Parámetros: id - string con el ID del plato
+// Retorna: Promise que se resuelve con el plato restaurado o null si no estaba en la papelera
+export async function restaurarPlato(id) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Busca el plato en la papelera
+    const plato = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id), eliminado: true });
+    if (!plato) {
+        return null;
+    }
+    
+    // Verifica que el restaurante del plato no esté en la papelera
+    const restauranteActivo = await db.collection('restaurantes').countDocuments({
+        _id: plato.restauranteId,
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (restauranteActivo === 0) {
+        throw new Error('El restaurante del plato no existe o está en la papelera; restaura primero el restaurante');
+    }
+    
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+        // Restaura las reseñas eliminadas en cascada con el plato
+        await db.collection('reseñasPlatos').updateMany(
+            { platoId: plato._id, eliminadoConPlato: true, fechaEliminacion: plato.fechaEliminacion },
+            {
+                $set: { eliminado: false, fechaEliminacion: null, eliminadoPor: null },
+                $unset: { eliminadoConPlato: '' }
+            },
+            opciones
+        );
+        // Restaura el plato
+        return await db.collection(COLLECTION).findOneAndUpdate(
+            { _id: plato._id },
+            {
+                $set: {
+                    eliminado: false,
+                    fechaEliminacion: null,
+                    eliminadoPor: null,
+                    fechaActualizacion: new Date()
+                },
+                $unset: { eliminadoConRestaurante: '' }
+            },
+            { ...opciones, returnDocument: 'after' }
+        );
+    });
+}
+
+// Función privada que busca un restaurante activo con sus secciones y la posición de los platos heredados
+async function buscarRestauranteMenu(db, restauranteId) {
+    if (!esObjectIdValido(restauranteId)) {
+        throw new Error('ID de restaurante inválido');
+    }
+    return await db.collection('restaurantes').findOne(
+        { _id: convertirAObjectId(restauranteId), ...FILTRO_NO_ELIMINADO },
+        { projection: { cadenaId: 1, seccionesMenu: 1, posicionesMenuCadena: 1 } }
+    );
 }
 
+// Función privada que verifica que ninguna otra sección del menú use el nombre (sin distinguir mayúsculas)
+function verificarNombreSeccionDisponible(secciones, nombre, excluirId = null) {
+    const existente = secciones.find((seccion) =>
+        seccion.nombre.toLowerCase() === nombre.toLowerCase() && !(excluirId && seccion._id.equals(excluirId))
+    );
+    if (existente) {
+        throw new Error('Ya existe una sección con ese nombre en el menú del restaurante');
+    }
+}
+
+/**
+ * Crea una sección en el menú de un restaurante
+ * @param {string} restauranteId - ID del restaurante
+ * @param {object} datos - { nombre }
+ * @returns {Promise<object|null>} - Sección creada o null si el restaurante no existe
+ */
+// Función asíncrona exportada que agrega una sección (Entradas, Platos fuertes, Postres...) al final de la carta
+// Las secciones se guardan en el restaurante (seccionesMenu); cada plato indica su sección con seccionId
+export async function crearSeccionMenu(restauranteId, datos) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const restaurante = await buscarRestauranteMenu(db, restauranteId);
+    if (!restaurante) {
+        return null;
+    }
+    const secciones = restaurante.seccionesMenu || [];
+    verificarNombreSeccionDisponible(secciones, datos.nombre);
+    
+    const seccion = {
+        _id: new ObjectId(),
+        nombre: datos.nombre,
+        // La nueva sección va después de las existentes
+        orden: secciones.reduce((maximo, s) => Math.max(maximo, s.orden + 1), 0)
+    };
+    await db.collection('restaurantes').updateOne(
+        { _id: restaurante._id },
+        { $push: { seccionesMenu: seccion }, $set: { fechaActualizacion: new Date() } }
+    );
+    return seccion;
+}
+
+/**
+ * Renombra una sección del menú de un restaurante
+ * @param {string} restauranteId - ID del restaurante
+ * @param {string} seccionId - ID de la sección
+ * @param {object} datos - { nombre }
+ * @returns {Promise<object|null>} - Sección actualizada o null si el restaurante o la sección no existen
+ */
+// Función asíncrona exportada que cambia el nombre de una sección (el orden se cambia con reordenarMenu)
+export async function actualizarSeccionMenu(restauranteId, seccionId, datos) {
+    if (!esObjectIdValido(seccionId)) {
+        throw new Error('ID de sección inválido');
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const restaurante = await buscarRestauranteMenu(db, restauranteId);
+    const seccion = restaurante?.seccionesMenu?.find((s) => s._id.equals(seccionId));
+    if (!seccion) {
+        return null;
+    }
+    verificarNombreSeccionDisponible(restaurante.seccionesMenu, datos.nombre, seccion._id);
+    
+    await db.collection('restaurantes').updateOne(
+        { _id: restaurante._id, 'seccionesMenu._id': seccion._id },
+        { $set: { 'seccionesMenu.$.nombre': datos.nombre, fechaActualizacion: new Date() } }
+    );
+    return { ...seccion, nombre: datos.nombre };
+}
+
+/**
+ * Elimina una sección del menú de un restaurante
+ * @param {string} restauranteId - ID del restaurante
+ * @param {string} seccionId - ID de la sección
+ * @returns {Promise<boolean>} - True si la sección existía y se eliminó
+ */
+// Función asíncrona exportada que quita una sección de la carta
+// Sus platos (propios y heredados de la cadena) no se eliminan: quedan sin sección
+export async function eliminarSeccionMenu(restauranteId, seccionId) {
+    if (!esObjectIdValido(seccionId)) {
+        throw new Error('ID de sección inválido');
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const restaurante = await buscarRestauranteMenu(db, restauranteId);
+    const seccion = restaurante?.seccionesMenu?.find((s) => s._id.equals(seccionId));
+    if (!seccion) {
+        return false;
+    }
+    
+    await db.collection('restaurantes').updateOne(
+        { _id: restaurante._id },
+        {
+            $pull: {
+                seccionesMenu: { _id: seccion._id },
+                posicionesMenuCadena: { seccionId: seccion._id }
+            },
+            $set: { fechaActualizacion: new Date() }
+        }
+    );
+    // Los platos de la sección (también los de la papelera) quedan sin sección
+    await db.collection(COLLECTION).updateMany(
+        { restauranteId: restaurante._id, seccionId: seccion._id },
+        { $set: { seccionId: null, fechaActualizacion: new Date() } }
+    );
+    return true;
+}
+
+/**
+ * Reordena en bloque las secciones y los platos del menú de un restaurante
+ * @param {string} restauranteId - ID del restaurante
+ * @param {object} orden - { secciones: [seccionId], platos: [{ platoId, seccionId }] }
+ * @returns {Promise<object|null>} - Menú agrupado por sección o null si el restaurante no existe
+ */
+// Función asíncrona exportada que aplica el orden que el propietario arma en la carta
+// - secciones: todas las secciones del menú, en el orden en que se muestran
+// - platos: platos en el orden en que se muestran; cada uno con su sección (null = sin sección).
+//   El orden de cada plato es su posición entre los platos indicados de la misma sección, así que
+//   para fijar el orden completo de una sección hay que enviar todos sus platos
+// Los platos heredados de la cadena también se pueden ubicar; su posición se guarda en la sucursal
+// (posicionesMenuCadena) porque el plato pertenece al menú compartido
+// Reordenar no es una edición del contenido: no se registra en el historial de revisiones
+export async function reordenarMenu(restauranteId, orden) {
+    const { secciones, platos } = orden;
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const restaurante = await buscarRestauranteMenu(db, restauranteId);
+    if (!restaurante) {
+        return null;
+    }
+    const actualizacionRestaurante = {};
+    
+    // Orden de las secciones: debe incluir cada sección del menú exactamente una vez
+    if (secciones) {
+        const actuales = restaurante.seccionesMenu || [];
+        const ids = new Set(secciones.map(String));
+        if (ids.size !== secciones.length || ids.size !== actuales.length || actuales.some((s) => !ids.has(s._id.toString()))) {
+            throw new Error('Orden de secciones inválido: debe incluir cada sección del menú exactamente una vez');
+        }
+        actualizacionRestaurante.seccionesMenu = actuales.map((seccion) => ({
+            ...seccion,
+            orden: secciones.map(String).indexOf(seccion._id.toString())
+        }));
+    }
+    
+    if (platos) {
+        const ids = platos.map(({ platoId }) => String(platoId));
+        if (new Set(ids).size !== ids.length) {
+            throw new Error('Orden de platos inválido: un plato aparece más de una vez');
+        }
+        const objectIds = ids.map((id) => convertirAObjectId(id));
+        
+        // Platos propios activos del restaurante y platos del menú de su cadena
+        const propios = await db.collection(COLLECTION)
+            .find({ _id: { $in: objectIds }, restauranteId: restaurante._id, ...FILTRO_NO_ELIMINADO }, { projection: { _id: 1 } })
+            .toArray();
+        const deCadena = restaurante.cadenaId
+            ? await db.collection('platosCadena')
+                .find({ _id: { $in: objectIds }, cadenaId: restaurante.cadenaId }, { projection: { _id: 1 } })
+                .toArray()
+            : [];
+        const idsPropios = new Set(propios.map((p) => p._id.toString()));
+        const idsCadena = new Set(deCadena.map((p) => p._id.toString()));
+        
+        // Calcula la sección y la posición de cada plato dentro de su sección
+        const siguientePorSeccion = new Map();
+        const operaciones = [];
+        const posiciones = new Map((restaurante.posicionesMenuCadena || []).map((p) => [p.platoId.toString(), p]));
+        for (const { platoId, seccionId } of platos) {
+            const id = String(platoId);
+            if (!idsPropios.has(id) && !idsCadena.has(id)) {
+                throw new Error(`El plato ${id} no existe en el menú del restaurante`);
+            }
+            const seccionMenuId = verificarSeccionMenu(restaurante, seccionId);
+            const clave = String(seccionMenuId);
+            const posicion = siguientePorSeccion.get(clave) ?? 0;
+            siguientePorSeccion.set(clave, posicion + 1);
+            
+            if (idsPropios.has(id)) {
+                operaciones.push({
+                    updateOne: {
+                        filter: { _id: convertirAObjectId(id) },
+                        update: { $set: { seccionId: seccionMenuId, orden: posicion, fechaActualizacion: new Date() } }
+                    }
+                });
+            } else {
+                posiciones.set(id, { platoId: convertirAObjectId(id), seccionId: seccionMenuId, orden: posicion });
+            }
+        }
+        if (operaciones.length > 0) {
+            await db.collection(COLLECTION).bulkWrite(operaciones, { ordered: false });
+        }
+        if (idsCadena.size > 0) {
+            actualizacionRestaurante.posicionesMenuCadena = [...posiciones.values()];
+        }
+    }
+    
+    if (Object.keys(actualizacionRestaurante).length > 0) {
+        await db.collection('restaurantes').updateOne(
+            { _id: restaurante._id },
+            { $set: { ...actualizacionRestaurante, fechaActualizacion: new Date() } }
+        );
+    }
+    return await obtenerPlatosPorRestaurante(restaurante._id.toString(), { agruparPorSeccion: true });
+}
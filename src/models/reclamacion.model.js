@@ -0,0 +1,280 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// Importa constantes de roles y estados de reclamación
+import { ROLES, ESTADOS_RECLAMACION, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
+// Importa el servicio de transacciones
+// ejecutarTransaccion ejecuta varias operaciones de forma atómica (o sin transacción si no está disponible)
+import { ejecutarTransaccion } from '../services/transacciones.service.js';
+
+// Define el nombre de la colección en MongoDB donde se almacenan las reclamaciones de propiedad
+// Esta constante evita errores de tipeo y facilita el mantenimiento
+const COLLECTION = 'reclamaciones';
+
+/**
+ * Crea una reclamación de propiedad de un restaurante
+ * @param {object} reclamacionData - Datos de la reclamación (restauranteId, usuarioId, mensaje)
+ * @returns {Promise<object>} - Reclamación creada
+ */
+// Función asíncrona exportada que registra que un usuario dice ser el dueño de un restaurante
+// La reclamación queda pendiente hasta que un administrador la verifique o la rechace
+// Parámetros: reclamacionData - objeto con restauranteId, usuarioId y mensaje (evidencia opcional)
+// Retorna: Promise que se resuelve con la reclamación creada incluyendo su _id
+export async function crearReclamacion(reclamacionData) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los campos de la reclamación usando destructuring
+    const { restauranteId, usuarioId, mensaje } = reclamacionData;
+
+    // Valida que el restauranteId tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(restauranteId)) {
+        throw new Error('ID de restaurante inválido');
+    }
+
+    // Verifica que el restaurante exista y no esté en la papelera
+    const restaurante = await db.collection('restaurantes').findOne({
+        _id: convertirAObjectId(restauranteId),
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (!restaurante) {
+        throw new Error('El restaurante especificado no existe');
+    }
+
+    // Un restaurante solo puede tener un propietario verificado
+    if (restaurante.propietarioId) {
+        throw new Error('El restaurante ya tiene un propietario verificado');
+    }
+
+    // Evita reclamaciones duplicadas del mismo usuario mientras una sigue pendiente
+    const reclamacionExistente = await db.collection(COLLECTION).findOne({
+        restauranteId: convertirAObjectId(restauranteId),
+        usuarioId: convertirAObjectId(usuarioId),
+        estado: ESTADOS_RECLAMACION.PENDIENTE
+    });
+    if (reclamacionExistente) {
+        throw new Error('Ya existe una reclamación pendiente tuya para este restaurante');
+    }
+
+    // Crea el objeto de la nueva reclamación
+    const nuevaReclamacion = {
+        restauranteId: convertirAObjectId(restauranteId),  // Restaurante reclamado
+        usuarioId: convertirAObjectId(usuarioId),  // Usuario que dice ser el dueño
+        // Mensaje con la evidencia de propiedad (opcional)
+        mensaje: mensaje || '',
+        estado: ESTADOS_RECLAMACION.PENDIENTE,  // Toda reclamación empieza pendiente
+        motivoResolucion: null,  // Motivo indicado por el admin al resolver
+        resueltoPor: null,  // Admin que verificó o rechazó la reclamación
+        fechaResolucion: null,  // Fecha en que se resolvió
+        fechaCreacion: new Date()  // Marca de tiempo de la reclamación
+    };
+
+    // Inserta la reclamación en la colección
+    const resultado = await db.collection(COLLECTION).insertOne(nuevaReclamacion);
+    // Retorna la reclamación creada con su _id
+    return {
+        _id: resultado.insertedId,
+        ...nuevaReclamacion
+    };
+}
+
+/**
+ * Obtiene reclamaciones con filtros
+ * @param {object} filtros - Filtros (estado, usuarioId)
+ * @param {object} opciones - Opciones de paginación (limite, saltar)
+ * @returns {Promise<Array>} - Lista de reclamaciones (más antiguas primero)
+ */
+// Función asíncrona exportada que lista reclamaciones con los datos básicos del restaurante y del usuario
+// Se ordenan de la más antigua a la más reciente para atenderlas en orden de llegada
+// Parámetros:
+//   filtros - objeto con estado (pendiente/verificada/rechazada) y usuarioId opcionales
+//   opciones - objeto con opciones de paginación (limite, saltar)
+// Retorna: Promise que se resuelve con un array de reclamaciones
+export async function obtenerReclamaciones(filtros = {}, opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los filtros y las opciones de paginación
+    const { estado, usuarioId } = filtros;
+    const { limite = 50, saltar = 0 } = opciones;
+
+    // Construye el filtro de la consulta
+    const query = {};
+    if (estado) {
+        query.estado = estado;
+    }
+    if (usuarioId && esObjectIdValido(usuarioId.toString())) {
+        query.usuarioId = convertirAObjectId(usuarioId.toString());
+    }
+
+    // Agregación que une cada reclamación con su restaurante y su usuario
+    return await db.collection(COLLECTION).aggregate([
+        // $match: Filtra las reclamaciones por estado y/o usuario
+        { $match: query },
+        // $sort: Más antiguas primero
+        { $sort: { fechaCreacion: 1, _id: 1 } },
+        // $skip y $limit: paginación
+        { $skip: saltar },
+        { $limit: limite },
+        // $lookup: Trae el restaurante reclamado
+        {
+            $lookup: {
+                from: 'restaurantes',
+                localField: 'restauranteId',
+                foreignField: '_id',
+                as: 'restaurante'
+            }
+        },
+        // $lookup: Trae el usuario que reclama
+        {
+            $lookup: {
+                from: 'usuarios',
+                localField: 'usuarioId',
+                foreignField: '_id',
+                as: 'usuario'
+            }
+        },
+        // $unwind: Convierte los arrays en objetos (se conservan aunque el documento ya no exista)
+        { $unwind: { path: '$restaurante', preserveNullAndEmptyArrays: true } },
+        { $unwind: { path: '$usuario', preserveNullAndEmptyArrays: true } },
+        // $project: Solo los campos necesarios (nunca el password del usuario)
+        {
+            $project: {
+                restauranteId: 1,
+                usuarioId: 1,
+                mensaje: 1,
+                estado: 1,
+                motivoResolucion: 1,
+                resueltoPor: 1,
+                fechaResolucion: 1,
+                fechaCreacion: 1,
+                'restaurante.nombre': 1,
+                'usuario.nombre': 1,
+                'usuario.email': 1
+            }
+        }
+    ]).toArray();
+}
+
+/**
+ * Resuelve una reclamación de propiedad (solo admin)
+ * @param {string} id - ID de la reclamación
+ * @param {object} resolucion - { verificar (boolean), adminId, motivo }
+ * @returns {Promise<object>} - Reclamación resuelta
+ */
+// Función asíncrona exportada que verifica o rechaza una reclamación pendiente
+// Al verificarla, en una sola transacción:
+//   - asigna propietarioId al restaurante
+//   - cambia el rol del usuario a propietario (si era un usuario normal)
+//   - rechaza las demás reclamaciones pendientes del mismo restaurante
+// Parámetros:
+//   id - string con el ID de la reclamación
+//   resolucion - objeto con verificar (true = verificar, false = rechazar), adminId y motivo opcional
+// Retorna: Promise que se resuelve con la reclamación actualizada
+export async function resolverReclamacion(id, resolucion) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los datos de la resolución
+    const { verificar, adminId, motivo } = resolucion;
+
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+
+        // Busca la reclamación y verifica que siga pendiente
+        const reclamacion = await db.collection(COLLECTION).findOne(
+            { _id: convertirAObjectId(id) },
+            opciones
+        );
+        if (!reclamacion) {
+            throw new Error('La reclamación no existe');
+        }
+        if (reclamacion.estado !== ESTADOS_RECLAMACION.PENDIENTE) {
+            throw new Error('La reclamación ya fue resuelta');
+        }
+
+        const ahora = new Date();
+
+        if (verificar) {
+            // Asigna el propietario solo si el restaurante todavía no tiene uno
+            const restaurante = await db.collection('restaurantes').findOneAndUpdate(
+                { _id: reclamacion.restauranteId, propietarioId: null },
+                { $set: { propietarioId: reclamacion.usuarioId, fechaActualizacion: ahora } },
+                { ...opciones, returnDocument: 'after' }
+            );
+            if (!restaurante) {
+                throw new Error('El restaurante no existe o ya tiene un propietario verificado');
+            }
+
+            // Cambia el rol del usuario a propietario (los administradores conservan su rol)
+            await db.collection('usuarios').updateOne(
+                { _id: reclamacion.usuarioId, rol: ROLES.USUARIO },
+                { $set: { rol: ROLES.PROPIETARIO, fechaActualizacion: ahora } },
+                opciones
+            );
+
+            // Rechaza las demás reclamaciones pendientes del mismo restaurante
+            await db.collection(COLLECTION).updateMany(
+                {
+                    restauranteId: reclamacion.restauranteId,
+                    estado: ESTADOS_RECLAMACION.PENDIENTE,
+                    _id: { $ne: reclamacion._id }
+                },
+                {
+                    $set: {
+                        estado: ESTADOS_RECLAMACION.RECHAZADA,
+                        motivoResolucion: 'Se verificó otra reclamación para este restaurante',
+                        resueltoPor: convertirAObjectId(adminId),
+                        fechaResolucion: ahora
+                    }
+                },
+                opciones
+            );
+        }
+
+        // Marca la reclamación como verificada o rechazada
+        return await db.collection(COLLECTION).findOneAndUpdate(
+            { _id: reclamacion._id },
+            {
+                $set: {
+                    estado: verificar ? ESTADOS_RECLAMACION.VERIFICADA : ESTADOS_RECLAMACION.RECHAZADA,
+                    motivoResolucion: motivo || null,
+                    resueltoPor: convertirAObjectId(adminId),
+                    fechaResolucion: ahora
+                }
+            },
+            { ...opciones, returnDocument: 'after' }
+        );
+    });
+}
+
+/**
+ * Verifica si un usuario es el propietario verificado de un restaurante
+ * @param {string} restauranteId - ID del restaurante
+ * @param {string} usuarioId - ID del usuario
+ * @returns {Promise<boolean>} - True si el usuario es el propietario
+ */
+// Función asíncrona exportada que compara el propietarioId del restaurante con el usuario
+// Parámetros: restauranteId y usuarioId como strings u ObjectId
+// Retorna: Promise que se resuelve con true si el usuario es el propietario verificado
+export async function esPropietarioDeRestaurante(restauranteId, usuarioId) {
+    // Sin IDs válidos no puede haber propiedad
+    if (!restauranteId || !usuarioId || !esObjectIdValido(restauranteId.toString())) {
+        return false;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Cuenta si existe el restaurante con ese propietario
+    const coincidencias = await db.collection('restaurantes').countDocuments({
+        _id: convertirAObjectId(restauranteId.toString()),
+        propietarioId: convertirAObjectId(usuarioId.toString())
+    });
+    return coincidencias > 0;
+}
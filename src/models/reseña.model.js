@@ -7,10 +7,15 @@ import { ObjectId } from 'mongodb';
 // Importa funciones helper para validar y convertir ObjectIds
 // esObjectIdValido: verifica si un string es un ObjectId válido
 // convertirAObjectId: convierte un string a ObjectId para usar en consultas
-import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// construirFiltroCursor y separarPagina: paginación por cursor de los listados
+import { esObjectIdValido, convertirAObjectId, construirFiltroCursor, separarPagina } from '../utils/helpers.js';
 // Importa constantes de validación desde el módulo de constants
 // VALIDATION_LIMITS: límites de validación (ej: RATING_MIN, RATING_MAX para calificaciones)
-import { VALIDATION_LIMITS } from '../utils/constants.js';
+// FILTRO_NO_ELIMINADO: excluye los documentos enviados a la papelera
+// ESTADOS_OPERATIVOS: un restaurante cerrado no admite nuevas reseñas
+import { VALIDATION_LIMITS, FILTRO_NO_ELIMINADO, ESTADOS_OPERATIVOS } from '../utils/constants.js';
+// Importa la función que calcula el estado operativo vigente (un cierre temporal vencido cuenta como abierto)
+import { calcularEstadoOperativo } from '../services/horario.service.js';
 
 // Define el nombre de la colección en MongoDB donde se almacenan las reseñas
 // Esta constante evita errores de tipeo y facilita el mantenimiento
@@ -52,21 +57,27 @@ export async function crearReseña(reseñaData, session = null) {
     // aprobado: true asegura que solo se pueden hacer reseñas de restaurantes aprobados
     // Si hay sesión, la incluye para que la consulta forme parte de la transacción
     const restaurante = await db.collection('restaurantes').findOne(
-        { _id: convertirAObjectId(restauranteId), aprobado: true },
+        { _id: convertirAObjectId(restauranteId), aprobado: true, ...FILTRO_NO_ELIMINADO },
         session ? { session } : {}
     );
     // Si el restaurante no existe o no está aprobado, lanza un error
     if (!restaurante) {
         throw new Error('El restaurante especificado no existe o no está aprobado');
     }
+    // Un restaurante cerrado (temporal o permanentemente) sigue visible, pero no recibe reseñas nuevas
+    if (calcularEstadoOperativo(restaurante) !== ESTADOS_OPERATIVOS.ABIERTO) {
+        throw new Error('El restaurante está cerrado y no admite nuevas reseñas');
+    }
     
     // Verificar que el usuario no haya hecho ya una reseña para este restaurante
     // Esta validación previene que un usuario haga múltiples reseñas para el mismo restaurante
     // Busca una reseña existente con el mismo restauranteId y usuarioId
+    // Las reseñas en la papelera no cuentan: el usuario puede volver a reseñar tras eliminar la suya
     const reseñaExistente = await db.collection(COLLECTION).findOne(
         {
             restauranteId: convertirAObjectId(restauranteId),
-            usuarioId: convertirAObjectId(usuarioId)
+            usuarioId: convertirAObjectId(usuarioId),
+            ...FILTRO_NO_ELIMINADO
         },
         session ? { session } : {}
     );
@@ -85,6 +96,9 @@ export async function crearReseña(reseñaData, session = null) {
         dislikes: 0,  // Inicializa el contador de dislikes en 0
         usuariosQueLiked: [],  // Array vacío que almacenará los IDs de usuarios que dieron like
         usuariosQueDisliked: [],  // Array vacío que almacenará los IDs de usuarios que dieron dislike
+        eliminado: false,  // true mientras la reseña está en la papelera
+        fechaEliminacion: null,  // Fecha en que se envió a la papelera (la usa el purgado)
+        eliminadoPor: null,  // Usuario que la envió a la papelera
         fechaCreacion: new Date(),  // Marca de tiempo cuando se creó la reseña
         fechaActualizacion: new Date()  // Marca de tiempo, inicialmente igual a fechaCreacion
     };
@@ -109,13 +123,13 @@ export async function crearReseña(reseñaData, session = null) {
  * Obtiene reseñas de un restaurante
  * @param {string} restauranteId - ID del restaurante
  * @param {object} opciones - Opciones de paginación y ordenamiento
- * @returns {Promise<Array>} - Lista de reseñas
+ * @returns {Promise<object>} - { reseñas, total, hasMore, nextCursor }
  */
 // Función asíncrona exportada que obtiene todas las reseñas de un restaurante específico
 // Parámetros:
 //   restauranteId - string con el ID del restaurante
-//   opciones - objeto opcional con opciones de paginación (limite, saltar, ordenarPor, orden)
-// Retorna: Promise que se resuelve con un array de reseñas incluyendo información del usuario
+//   opciones - objeto opcional con opciones de paginación (limite, saltar o cursor, ordenarPor, orden)
+// Retorna: Promise que se resuelve con la página de reseñas (con información del usuario) y los datos para la paginación
 export async function obtenerReseñasPorRestaurante(restauranteId, opciones = {}) {
     // Valida que el restauranteId tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
@@ -127,22 +141,32 @@ export async function obtenerReseñasPorRestaurante(restauranteId, opciones = {}
     const db = obtenerBD();
     // Extrae las opciones de paginación y ordenamiento con valores por defecto
     // limite: número máximo de resultados (default 50)
-    // saltar: número de resultados a omitir para paginación (default 0)
+    // saltar: número de resultados a omitir para paginación (default 0, se ignora si hay cursor)
+    // cursor: posición de la última reseña de la página anterior
     // ordenarPor: campo por el cual ordenar (default 'fechaCreacion')
     // orden: dirección del ordenamiento 'desc' o 'asc' (default 'desc')
-    const { limite = 50, saltar = 0, ordenarPor = 'fechaCreacion', orden = 'desc' } = opciones;
+    const { limite = 50, cursor, ordenarPor = 'fechaCreacion', orden = 'desc' } = opciones;
+    const saltar = cursor ? 0 : (opciones.saltar || 0);
     
     // Construye el objeto de opciones de ordenamiento
-    // sortOptions[ordenarPor] = -1 si es descendente, 1 si es ascendente
-    const sortOptions = {};
-    sortOptions[ordenarPor] = orden === 'desc' ? -1 : 1;
+    // _id desempata las reseñas con el mismo valor para que las páginas no se muevan al llegar reseñas nuevas
+    const direccion = orden === 'desc' ? -1 : 1;
+    const sortOptions = { [ordenarPor]: direccion, _id: direccion };
+    
+    // Reseñas del restaurante especificado (sin las que están en la papelera)
+    const query = { restauranteId: convertirAObjectId(restauranteId), ...FILTRO_NO_ELIMINADO };
     
     // Incluir información del usuario que hizo la reseña
     // Usa agregación de MongoDB para hacer un JOIN con la colección de usuarios
-    const reseñas = await db.collection(COLLECTION)
+    const consulta = db.collection(COLLECTION)
         .aggregate([
-            // $match: Filtra las reseñas del restaurante especificado
-            { $match: { restauranteId: convertirAObjectId(restauranteId) } },
+            // $match: Filtra las reseñas del restaurante que siguen al cursor
+            { $match: { ...query, ...construirFiltroCursor(cursor, ordenarPor, orden) } },
+            // $sort, $skip y $limit: paginación antes de los JOINs (primero se omiten, luego se limitan)
+            // Se pide una reseña más que el límite para saber si hay otra página
+            { $sort: sortOptions },
+            { $skip: saltar },
+            { $limit: limite + 1 },
             // $lookup: Hace un JOIN con la colección 'usuarios'
             // Busca usuarios donde usuarioId de la reseña coincida con _id del usuario
             {
@@ -163,47 +187,56 @@ export async function obtenerReseñasPorRestaurante(restauranteId, opciones = {}
                     'usuario.password': 0
                 }
             },
-            // $sort: Ordena los resultados según las opciones configuradas
-            { $sort: sortOptions },
-            // $limit: Limita el número de resultados
-            { $limit: limite },
-            // $skip: Omite los primeros N resultados (para paginación)
-            { $skip: saltar }
+            // $sort: Mantiene el orden después de los JOINs
+            { $sort: sortOptions }
         ])
         .toArray();
     
-    // Retorna el array de reseñas con la información del usuario incluida
-    return reseñas;
+    // Ejecuta la página y el total de reseñas del restaurante en paralelo
+    const [documentos, total] = await Promise.all([consulta, db.collection(COLLECTION).countDocuments(query)]);
+    const { pagina, hasMore, nextCursor } = separarPagina(documentos, limite, ordenarPor, orden);
+    
+    // Retorna la página de reseñas con la información del usuario incluida
+    return { reseñas: pagina, total, hasMore, nextCursor };
 }
 
 /**
  * Obtiene todas las reseñas con paginación (para admin)
  * @param {object} opciones - Opciones de paginación y ordenamiento
- * @returns {Promise<Array>} - Lista de reseñas
+ * @returns {Promise<object>} - { reseñas, total, hasMore, nextCursor }
  */
 // Función asíncrona exportada que obtiene todas las reseñas del sistema (para administradores)
 // Parámetros:
-//   opciones - objeto opcional con opciones de paginación (limite, saltar, ordenarPor, orden)
-// Retorna: Promise que se resuelve con un array de todas las reseñas incluyendo información de usuario y restaurante
+//   opciones - objeto opcional con opciones de paginación (limite, saltar o cursor, ordenarPor, orden)
+// Retorna: Promise que se resuelve con la página de reseñas (con información de usuario y restaurante) y los datos para la paginación
 export async function obtenerTodasLasReseñas(opciones = {}) {
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
     // Extrae las opciones de paginación y ordenamiento con valores por defecto
     // limite: número máximo de resultados (default 50)
-    // saltar: número de resultados a omitir para paginación (default 0)
+    // saltar: número de resultados a omitir para paginación (default 0, se ignora si hay cursor)
+    // cursor: posición de la última reseña de la página anterior
     // ordenarPor: campo por el cual ordenar (default 'fechaCreacion')
     // orden: dirección del ordenamiento 'desc' o 'asc' (default 'desc')
-    const { limite = 50, saltar = 0, ordenarPor = 'fechaCreacion', orden = 'desc' } = opciones;
+    const { limite = 50, cursor, ordenarPor = 'fechaCreacion', orden = 'desc' } = opciones;
+    const saltar = cursor ? 0 : (opciones.saltar || 0);
     
     // Construye el objeto de opciones de ordenamiento
-    // sortOptions[ordenarPor] = -1 si es descendente, 1 si es ascendente
-    const sortOptions = {};
-    sortOptions[ordenarPor] = orden === 'desc' ? -1 : 1;
+    // _id desempata las reseñas con el mismo valor para que las páginas no se muevan al llegar reseñas nuevas
+    const direccion = orden === 'desc' ? -1 : 1;
+    const sortOptions = { [ordenarPor]: direccion, _id: direccion };
     
     // Incluir información del usuario y restaurante
     // Usa agregación de MongoDB para hacer JOINs con las colecciones de usuarios y restaurantes
-    const reseñas = await db.collection(COLLECTION)
+    const consulta = db.collection(COLLECTION)
         .aggregate([
+            // $match: Excluye las reseñas que están en la papelera y continúa después del cursor
+            { $match: { ...FILTRO_NO_ELIMINADO, ...construirFiltroCursor(cursor, ordenarPor, orden) } },
+            // $sort, $skip y $limit: paginación antes de los JOINs (primero se omiten, luego se limitan)
+            // Se pide una reseña más que el límite para saber si hay otra página
+            { $sort: sortOptions },
+            { $skip: saltar },
+            { $limit: limite + 1 },
             // Primer $lookup: Hace un JOIN con la colección 'usuarios'
             // Busca usuarios donde usuarioId de la reseña coincida con _id del usuario
             {
@@ -237,28 +270,31 @@ export async function obtenerTodasLasReseñas(opciones = {}) {
                     'usuario.password': 0
                 }
             },
-            // $sort: Ordena los resultados según las opciones configuradas
-            { $sort: sortOptions },
-            // $limit: Limita el número de resultados
-            { $limit: limite },
-            // $skip: Omite los primeros N resultados (para paginación)
-            { $skip: saltar }
+            // $sort: Mantiene el orden después de los JOINs
+            { $sort: sortOptions }
         ])
         .toArray();
     
-    // Retorna el array de reseñas con la información del usuario y restaurante incluida
-    return reseñas;
+    // Ejecuta la página y el total de reseñas en paralelo
+    const [documentos, total] = await Promise.all([consulta, db.collection(COLLECTION).countDocuments(FILTRO_NO_ELIMINADO)]);
+    const { pagina, hasMore, nextCursor } = separarPagina(documentos, limite, ordenarPor, orden);
+    
+    // Retorna la página de reseñas con la información del usuario y restaurante incluida
+    return { reseñas: pagina, total, hasMore, nextCursor };
 }
 
 /**
  * Busca una reseña por ID
  * @param {string} id - ID de la reseña
+ * @param {object} opciones - { incluirEliminados } para buscar también en la papelera
  * @returns {Promise<object|null>} - Reseña encontrada o null
  */
 // Función asíncrona exportada que busca una reseña específica por su ID
-// Parámetros: id - string con el ID de la reseña a buscar
+// Parámetros:
+//   id - string con el ID de la reseña a buscar
+//   opciones - objeto con incluirEliminados (default false: las reseñas en la papelera no se encuentran)
 // Retorna: Promise que se resuelve con la reseña encontrada o null si no existe o el ID es inválido
-export async function buscarReseñaPorId(id) {
+export async function buscarReseñaPorId(id, opciones = {}) {
     // Valida que el ID tenga el formato correcto de ObjectId de MongoDB
     // Si el ID no es válido, retorna null inmediatamente sin hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -266,10 +302,15 @@ export async function buscarReseñaPorId(id) {
     }
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
+    // Extrae la opción para incluir reseñas eliminadas (usada por la papelera)
+    const { incluirEliminados = false } = opciones;
     // Busca una reseña por su _id
     // convertirAObjectId() convierte el string del ID a ObjectId para la consulta
     // findOne() retorna el documento encontrado o null si no existe
-    return await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id) });
+    return await db.collection(COLLECTION).findOne({
+        _id: convertirAObjectId(id),
+        ...(incluirEliminados ? {} : FILTRO_NO_ELIMINADO)
+    });
 }
 
 /**
@@ -328,8 +369,9 @@ export async function actualizarReseña(id, datosActualizacion, session = null)
     // Primer parámetro: filtro para encontrar el documento (_id)
     // Segundo parámetro: operación de actualización ($set establece los nuevos valores)
     // Tercer parámetro: opciones (returnDocument: 'after' retorna el documento actualizado, session si existe)
+    // Las reseñas en la papelera no se pueden editar (se trata como no encontrada)
     const resultado = await db.collection(COLLECTION).findOneAndUpdate(
-        { _id: convertirAObjectId(id) },
+        { _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
         { $set: actualizacion },
         opciones
     );
@@ -368,7 +410,7 @@ export async function darLike(reseñaId, usuarioId, session = null) {
     // Obtener la reseña
     // Busca la reseña en la base de datos, incluyendo la sesión si existe
     const reseña = await db.collection(COLLECTION).findOne(
-        { _id: reseñaObjectId },
+        { _id: reseñaObjectId, ...FILTRO_NO_ELIMINADO },
         session ? { session } : {}
     );
     
@@ -473,7 +515,7 @@ export async function darDislike(reseñaId, usuarioId, session = null) {
     // Obtener la reseña
     // Busca la reseña en la base de datos, incluyendo la sesión si existe
     const reseña = await db.collection(COLLECTION).findOne(
-        { _id: reseñaObjectId },
+        { _id: reseñaObjectId, ...FILTRO_NO_ELIMINADO },
         session ? { session } : {}
     );
     
@@ -568,8 +610,8 @@ export async function obtenerEstadisticasReseñas(restauranteId) {
     
     // Usa agregación de MongoDB para calcular estadísticas
     const estadisticas = await db.collection(COLLECTION).aggregate([
-        // $match: Filtra las reseñas del restaurante especificado
-        { $match: { restauranteId: convertirAObjectId(restauranteId) } },
+        // $match: Filtra las reseñas del restaurante especificado (sin las que están en la papelera)
+        { $match: { restauranteId: convertirAObjectId(restauranteId), ...FILTRO_NO_ELIMINADO } },
         // $group: Agrupa todas las reseñas y calcula agregaciones
         {
             $group: {
@@ -600,17 +642,20 @@ export async function obtenerEstadisticasReseñas(restauranteId) {
 }
 
 /**
- * Elimina una reseña (transaccional)
+ * Envía una reseña a la papelera (eliminación lógica, transaccional)
  * @param {string} id - ID de la reseña
  * @param {object} session - Sesión de transacción MongoDB
+ * @param {string} usuarioId - ID del usuario que elimina (opcional)
  * @returns {Promise<boolean>} - True si se eliminó correctamente
  */
-// Función asíncrona exportada que elimina una reseña de la base de datos
+// Función asíncrona exportada que marca una reseña como eliminada sin borrarla de la base de datos
+// La reseña deja de contar en promedios, rankings y estadísticas; el purgado la borra definitivamente
 // Parámetros:
 //   id - string con el ID de la reseña a eliminar
 //   session - sesión de transacción MongoDB opcional para operaciones atómicas
-// Retorna: Promise que se resuelve con true si se eliminó correctamente, false si no se encontró
-export async function eliminarReseña(id, session = null) {
+//   usuarioId - ID del usuario que realiza la eliminación (autor o admin)
+// Retorna: Promise que se resuelve con true si se eliminó, false si no se encontró o ya estaba en la papelera
+export async function eliminarReseña(id, session = null, usuarioId = null) {
     // Valida que el ID tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -619,18 +664,81 @@ export async function eliminarReseña(id, session = null) {
     
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
-    // Prepara las opciones para la operación de eliminación
+    // Prepara las opciones para la operación de actualización
     // Si hay una sesión de transacción, la incluye; sino usa objeto vacío
     const opciones = session ? { session } : {};
-    // Elimina la reseña de la base de datos
-    // deleteOne() elimina un documento que coincida con el filtro
-    // Retorna información sobre la operación incluyendo deletedCount (número de documentos eliminados)
-    const resultado = await db.collection(COLLECTION).deleteOne(
-        { _id: convertirAObjectId(id) },
+    // Marca la reseña como eliminada (solo si no estaba ya en la papelera)
+    const resultado = await db.collection(COLLECTION).updateOne(
+        { _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+        {
+            $set: {
+                eliminado: true,
+                fechaEliminacion: new Date(),
+                eliminadoPor: usuarioId ? convertirAObjectId(usuarioId.toString()) : null
+            }
+        },
         opciones
     );
-    // Retorna true si se eliminó al menos un documento (deletedCount > 0), false en caso contrario
-    // Esto indica si la operación fue exitosa o si no se encontró la reseña
-    return resultado.deletedCount > 0;
+    // Retorna true si se marcó la reseña, false si no existía o ya estaba eliminada
+    return resultado.matchedCount > 0;
 }
 
+/**
+ * Restaura una reseña de la papelera
+ * @param {string} id - ID de la reseña
+ * @returns {Promise<object|null>} - Reseña restaurada o null si no está en la papelera
+ */
+// Función asíncrona exportada que saca una reseña de la papelera
+// No se puede restaurar si su restaurante sigue en la papelera
+// ni si el autor ya publicó otra reseña para el mismo restaurante
+// El promedio y el ranking del restaurante se recalculan después con actualizarRankingRestaurante
+// Parámetros: id - string con el ID de la reseña
+// Retorna: Promise que se resuelve con la reseña restaurada o null si no estaba en la papelera
+export async function restaurarReseña(id) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Busca la reseña en la papelera
+    const reseña = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id), eliminado: true });
+    if (!reseña) {
+        return null;
+    }
+    
+    // Verifica que el restaurante de la reseña no esté en la papelera
+    const restauranteActivo = await db.collection('restaurantes').countDocuments({
+        _id: reseña.restauranteId,
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (restauranteActivo === 0) {
+        throw new Error('El restaurante de la reseña no existe o está en la papelera; restaura primero el restaurante');
+    }
+    
+    // Un usuario solo puede tener una reseña activa por restaurante
+    const reseñaActiva = await db.collection(COLLECTION).countDocuments({
+        restauranteId: reseña.restauranteId,
+        usuarioId: reseña.usuarioId,
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (reseñaActiva > 0) {
+        throw new Error('El autor ya tiene otra reseña activa para este restaurante');
+    }
+    
+    // Restaura la reseña
+    return await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: reseña._id },
+        {
+            $set: {
+                eliminado: false,
+                fechaEliminacion: null,
+                eliminadoPor: null,
+                fechaActualizacion: new Date()
+            },
+            $unset: { eliminadoConRestaurante: '' }
+        },
+        { returnDocument: 'after' }
+    );
+}
@@ -0,0 +1,328 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds y para paginar
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+// construirFiltroCursor y separarPagina: paginación por cursor de los listados
+import { esObjectIdValido, convertirAObjectId, construirFiltroCursor, separarPagina } from '../utils/helpers.js';
+// Importa constantes de validación, el filtro de la papelera y los estados operativos
+import { VALIDATION_LIMITS, FILTRO_NO_ELIMINADO, ESTADOS_OPERATIVOS } from '../utils/constants.js';
+// Importa la función que calcula el estado operativo vigente (un cierre temporal vencido cuenta como abierto)
+import { calcularEstadoOperativo } from '../services/horario.service.js';
+
+// Define el nombre de la colección en MongoDB donde se almacenan las reseñas de platos
+// Se guardan aparte de las reseñas de restaurantes: no cuentan en la calificación ni en el ranking del restaurante
+const COLLECTION = 'reseñasPlatos';
+
+// Función privada que verifica que la calificación esté en el rango permitido (1-5)
+function verificarCalificacion(calificacion) {
+    if (calificacion < VALIDATION_LIMITS.RATING_MIN || calificacion > VALIDATION_LIMITS.RATING_MAX) {
+        throw new Error(`La calificación debe estar entre ${VALIDATION_LIMITS.RATING_MIN} y ${VALIDATION_LIMITS.RATING_MAX}`);
+    }
+}
+
+/**
+ * Crea una nueva reseña de un plato
+ * @param {object} reseñaData - Datos de la reseña (comentario, calificacion, platoId, usuarioId)
+ * @param {object} session - Sesión de transacción MongoDB
+ * @returns {Promise<object>} - Reseña creada
+ */
+// Función asíncrona exportada que registra la calificación de un usuario a un plato
+// Mismas reglas que las reseñas de restaurantes: una reseña activa por usuario y plato,
+// el restaurante debe estar aprobado y abierto, y la reseña guarda likes/dislikes propios
+// restauranteId se copia del plato para poder filtrar y borrar las reseñas junto con el restaurante
+export async function crearReseñaPlato(reseñaData, session = null) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { comentario, calificacion, platoId, usuarioId } = reseñaData;
+    const opciones = session ? { session } : {};
+
+    verificarCalificacion(calificacion);
+    if (!esObjectIdValido(platoId) || !esObjectIdValido(usuarioId)) {
+        throw new Error('IDs inválidos');
+    }
+
+    // El plato debe existir fuera de la papelera (los platos heredados de una cadena no se reseñan)
+    const plato = await db.collection('platos').findOne(
+        { _id: convertirAObjectId(platoId), ...FILTRO_NO_ELIMINADO },
+        { ...opciones, projection: { restauranteId: 1 } }
+    );
+    if (!plato) {
+        throw new Error('El plato especificado no existe');
+    }
+    // Su restaurante debe estar aprobado y en operación
+    const restaurante = await db.collection('restaurantes').findOne(
+        { _id: plato.restauranteId, aprobado: true, ...FILTRO_NO_ELIMINADO },
+        opciones
+    );
+    if (!restaurante) {
+        throw new Error('El restaurante del plato no existe o no está aprobado');
+    }
+    if (calcularEstadoOperativo(restaurante) !== ESTADOS_OPERATIVOS.ABIERTO) {
+        throw new Error('El restaurante está cerrado y no admite nuevas reseñas');
+    }
+
+    // Un usuario solo puede tener una reseña activa por plato
+    const reseñaExistente = await db.collection(COLLECTION).findOne(
+        { platoId: plato._id, usuarioId: convertirAObjectId(usuarioId), ...FILTRO_NO_ELIMINADO },
+        opciones
+    );
+    if (reseñaExistente) {
+        throw new Error('Ya has creado una reseña para este plato');
+    }
+
+    const nuevaReseña = {
+        comentario: comentario || '',
+        calificacion,
+        platoId: plato._id,
+        restauranteId: plato.restauranteId,
+        usuarioId: convertirAObjectId(usuarioId),
+        likes: 0,
+        dislikes: 0,
+        usuariosQueLiked: [],
+        usuariosQueDisliked: [],
+        eliminado: false,  // true mientras la reseña está en la papelera
+        fechaEliminacion: null,
+        eliminadoPor: null,
+        fechaCreacion: new Date(),
+        fechaActualizacion: new Date()
+    };
+    const resultado = await db.collection(COLLECTION).insertOne(nuevaReseña, opciones);
+    return { _id: resultado.insertedId, ...nuevaReseña };
+}
+
+/**
+ * Obtiene las reseñas de un plato
+ * @param {string} platoId - ID del plato
+ * @param {object} opciones - Opciones de paginación y ordenamiento (limite, saltar o cursor, ordenarPor, orden)
+ * @returns {Promise<object>} - { reseñas, total, hasMore, nextCursor }
+ */
+// Función asíncrona exportada que lista las reseñas de un plato con el autor (sin su contraseña)
+export async function obtenerReseñasPorPlato(platoId, opciones = {}) {
+    if (!esObjectIdValido(platoId)) {
+        throw new Error('ID de plato inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { limite = 50, cursor, ordenarPor = 'fechaCreacion', orden = 'desc' } = opciones;
+    const saltar = cursor ? 0 : (opciones.saltar || 0);
+    // _id desempata las reseñas con el mismo valor para que las páginas no se muevan
+    const direccion = orden === 'desc' ? -1 : 1;
+    const sortOptions = { [ordenarPor]: direccion, _id: direccion };
+    const query = { platoId: convertirAObjectId(platoId), ...FILTRO_NO_ELIMINADO };
+
+    const consulta = db.collection(COLLECTION)
+        .aggregate([
+            { $match: { ...query, ...construirFiltroCursor(cursor, ordenarPor, orden) } },
+            // Paginación antes del JOIN (una reseña más que el límite para saber si hay otra página)
+            { $sort: sortOptions },
+            { $skip: saltar },
+            { $limit: limite + 1 },
+            { $lookup: { from: 'usuarios', localField: 'usuarioId', foreignField: '_id', as: 'usuario' } },
+            { $unwind: { path: '$usuario', preserveNullAndEmptyArrays: true } },
+            { $project: { 'usuario.password': 0 } },
+            { $sort: sortOptions }
+        ])
+        .toArray();
+
+    const [documentos, total] = await Promise.all([consulta, db.collection(COLLECTION).countDocuments(query)]);
+    const { pagina, hasMore, nextCursor } = separarPagina(documentos, limite, ordenarPor, orden);
+    return { reseñas: pagina, total, hasMore, nextCursor };
+}
+
+/**
+ * Busca una reseña de plato por ID
+ * @param {string} id - ID de la reseña
+ * @param {object} opciones - { incluirEliminados } para buscar también en la papelera
+ * @returns {Promise<object|null>} - Reseña encontrada o null
+ */
+export async function buscarReseñaPlatoPorId(id, opciones = {}) {
+    if (!esObjectIdValido(id)) {
+        return null;
+    }
+    const db = obtenerBD();
+    const { incluirEliminados = false } = opciones;
+    return await db.collection(COLLECTION).findOne({
+        _id: convertirAObjectId(id),
+        ...(incluirEliminados ? {} : FILTRO_NO_ELIMINADO)
+    });
+}
+
+/**
+ * Actualiza el comentario o la calificación de una reseña de plato
+ * @param {string} id - ID de la reseña
+ * @param {object} datosActualizacion - { comentario, calificacion }
+ * @returns {Promise<object|null>} - Reseña actualizada o null si no existe
+ */
+// Función asíncrona exportada que edita una reseña (el promedio y el ranking del plato se recalculan
+// después con actualizarRankingPlato desde el controlador)
+export async function actualizarReseñaPlato(id, datosActualizacion) {
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    if (datosActualizacion.calificacion !== undefined) {
+        verificarCalificacion(datosActualizacion.calificacion);
+    }
+
+    const db = obtenerBD();
+    // Solo se editan el comentario y la calificación
+    const { comentario, calificacion } = datosActualizacion;
+    const actualizacion = { fechaActualizacion: new Date() };
+    if (comentario !== undefined) {
+        actualizacion.comentario = comentario;
+    }
+    if (calificacion !== undefined) {
+        actualizacion.calificacion = calificacion;
+    }
+    return await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+        { $set: actualizacion },
+        { returnDocument: 'after' }
+    );
+}
+
+// Función privada que aplica un like o un dislike con la misma lógica de toggle que las reseñas de restaurantes:
+// repetir la reacción la quita y la reacción contraria la reemplaza; el autor no puede reaccionar a su reseña
+// Parámetros: reseñaId, usuarioId, tipo ('like' o 'dislike') y session (transacción opcional)
+async function registrarReaccion(reseñaId, usuarioId, tipo, session = null) {
+    if (!esObjectIdValido(reseñaId) || !esObjectIdValido(usuarioId)) {
+        throw new Error('IDs inválidos');
+    }
+
+    const db = obtenerBD();
+    const reseñaObjectId = convertirAObjectId(reseñaId);
+    const usuarioObjectId = convertirAObjectId(usuarioId);
+    const opciones = session ? { session } : {};
+
+    const reseña = await db.collection(COLLECTION).findOne({ _id: reseñaObjectId, ...FILTRO_NO_ELIMINADO }, opciones);
+    if (!reseña) {
+        throw new Error('Reseña no encontrada');
+    }
+    if (reseña.usuarioId.toString() === usuarioId) {
+        throw new Error(`No puedes dar ${tipo} a tu propia reseña`);
+    }
+
+    // Contador y lista de la reacción pedida y de la contraria
+    const [contador, lista, contadorOpuesto, listaOpuesta] = tipo === 'like'
+        ? ['likes', 'usuariosQueLiked', 'dislikes', 'usuariosQueDisliked']
+        : ['dislikes', 'usuariosQueDisliked', 'likes', 'usuariosQueLiked'];
+    const incluye = (usuarios) => usuarios.some((id) => id.toString() === usuarioId);
+
+    let actualizacion;
+    if (incluye(reseña[listaOpuesta])) {
+        // Cambia la reacción contraria por la pedida
+        actualizacion = {
+            $pull: { [listaOpuesta]: usuarioObjectId },
+            $inc: { [contadorOpuesto]: -1, [contador]: 1 },
+            $push: { [lista]: usuarioObjectId }
+        };
+    } else if (!incluye(reseña[lista])) {
+        // Agrega la reacción
+        actualizacion = { $push: { [lista]: usuarioObjectId }, $inc: { [contador]: 1 } };
+    } else {
+        // Ya había reaccionado igual: la quita (toggle off)
+        actualizacion = { $pull: { [lista]: usuarioObjectId }, $inc: { [contador]: -1 } };
+    }
+    await db.collection(COLLECTION).updateOne(
+        { _id: reseñaObjectId },
+        { ...actualizacion, $set: { fechaActualizacion: new Date() } },
+        opciones
+    );
+
+    return await db.collection(COLLECTION).findOne({ _id: reseñaObjectId }, opciones);
+}
+
+/**
+ * Da like a una reseña de plato (toggle)
+ * @param {string} reseñaId - ID de la reseña
+ * @param {string} usuarioId - ID del usuario que da like
+ * @param {object} session - Sesión de transacción MongoDB
+ * @returns {Promise<object>} - Reseña actualizada
+ */
+export async function darLikeReseñaPlato(reseñaId, usuarioId, session = null) {
+    return await registrarReaccion(reseñaId, usuarioId, 'like', session);
+}
+
+/**
+ * Da dislike a una reseña de plato (toggle)
+ * @param {string} reseñaId - ID de la reseña
+ * @param {string} usuarioId - ID del usuario que da dislike
+ * @param {object} session - Sesión de transacción MongoDB
+ * @returns {Promise<object>} - Reseña actualizada
+ */
+export async function darDislikeReseñaPlato(reseñaId, usuarioId, session = null) {
+    return await registrarReaccion(reseñaId, usuarioId, 'dislike', session);
+}
+
+/**
+ * Envía una reseña de plato a la papelera (eliminación lógica)
+ * @param {string} id - ID de la reseña
+ * @param {string} usuarioId - ID del usuario que elimina (opcional)
+ * @returns {Promise<boolean>} - True si se eliminó, false si no existía o ya estaba en la papelera
+ */
+export async function eliminarReseñaPlato(id, usuarioId = null) {
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    const db = obtenerBD();
+    const resultado = await db.collection(COLLECTION).updateOne(
+        { _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+        {
+            $set: {
+                eliminado: true,
+                fechaEliminacion: new Date(),
+                eliminadoPor: usuarioId ? convertirAObjectId(usuarioId.toString()) : null
+            }
+        }
+    );
+    return resultado.matchedCount > 0;
+}
+
+/**
+ * Restaura una reseña de plato de la papelera
+ * @param {string} id - ID de la reseña
+ * @returns {Promise<object|null>} - Reseña restaurada o null si no está en la papelera
+ */
+// Función asíncrona exportada que saca una reseña de plato de la papelera
+// No se puede restaurar si su plato sigue en la papelera ni si el autor ya publicó otra reseña del mismo plato
+// El promedio y el ranking del plato se recalculan después con actualizarRankingPlato
+export async function restaurarReseñaPlato(id) {
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+
+    const db = obtenerBD();
+    const reseña = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id), eliminado: true });
+    if (!reseña) {
+        return null;
+    }
+
+    const platoActivo = await db.collection('platos').countDocuments({ _id: reseña.platoId, ...FILTRO_NO_ELIMINADO });
+    if (platoActivo === 0) {
+        throw new Error('El plato de la reseña no existe o está en la papelera; restaura primero el plato');
+    }
+    const reseñaActiva = await db.collection(COLLECTION).countDocuments({
+        platoId: reseña.platoId,
+        usuarioId: reseña.usuarioId,
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (reseñaActiva > 0) {
+        throw new Error('El autor ya tiene otra reseña activa para este plato');
+    }
+
+    return await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: reseña._id },
+        {
+            $set: {
+                eliminado: false,
+                fechaEliminacion: null,
+                eliminadoPor: null,
+                fechaActualizacion: new Date()
+            },
+            $unset: { eliminadoConPlato: '', eliminadoConRestaurante: '' }
+        },
+        { returnDocument: 'after' }
+    );
+}
@@ -7,15 +7,193 @@ import { ObjectId } from 'mongodb';
 // Importa funciones helper para validar y convertir ObjectIds
 // esObjectIdValido: verifica si un string es un ObjectId válido
 // convertirAObjectId: convierte un string a ObjectId para usar en consultas
-import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// normalizarUbicacion: convierte la ubicación recibida al formato estructurado con punto GeoJSON
+// normalizarHorario: completa el horario semanal (siete días, zona horaria, cierres ordenados)
+// construirFiltroCursor y separarPagina: paginación por cursor del listado
+// construirFiltroMoneda: restaurantes que cobran en una moneda (filtros de precio)
+import { esObjectIdValido, convertirAObjectId, normalizarUbicacion, normalizarHorario, construirFiltroCursor, separarPagina, construirFiltroMoneda } from '../utils/helpers.js';
+// Importa el servicio de horarios
+// agregarEstadoHorario: agrega a cada restaurante si está abierto y cuándo abre o cierra
+// construirFiltroEnOperacion: excluye los restaurantes cerrados temporal o permanentemente
+// calcularEstadoOperativo: estado vigente del restaurante (un cierre temporal vencido cuenta como abierto)
+import { agregarEstadoHorario, construirFiltroEnOperacion, calcularEstadoOperativo } from '../services/horario.service.js';
+// Importa los estados y transiciones del flujo de aprobación de restaurantes
+// FILTRO_NO_ELIMINADO: excluye los restaurantes que están en la papelera
+// SIMBOLOS_NIVEL_PRECIO y CALIFICACIONES_FACETA: valores de las facetas de precio y calificación
+import { ESTADOS_RESTAURANTE, TRANSICIONES_RESTAURANTE, ESTADOS_CON_MOTIVO, FILTRO_NO_ELIMINADO, SIMBOLOS_NIVEL_PRECIO, CALIFICACIONES_FACETA, ENTIDADES_REVISION, ORIGENES_REVISION, ESTADOS_OPERATIVOS, MONEDA_DEFECTO } from '../utils/constants.js';
+// Importa el servicio de transacciones
+// ejecutarTransaccion ejecuta varias operaciones de forma atómica (o sin transacción si no está disponible)
+import { ejecutarTransaccion } from '../services/transacciones.service.js';
 // Importa la función crearPlato desde el modelo de platos
 // Se usa para crear platos cuando se crea un restaurante con platos en una transacción
-import { crearPlato } from './plato.model.js';
+// registrarCambioMonedaPlatos: pasa el precio vigente de los platos a la nueva moneda del restaurante
+import { crearPlato, registrarCambioMonedaPlatos } from './plato.model.js';
+// Importa la función que recalcula el rango y el nivel de precio (depende de la moneda)
+import { actualizarPreciosRestaurante } from '../services/precio.service.js';
+// Importa la función que recalcula las estadísticas de los autores de reseñas
+// Se usa cuando las reseñas de un restaurante se eliminan o se restauran en bloque
+import { actualizarEstadisticasUsuario } from './usuario.model.js';
+// Importa la función que verifica que los atributos pertenezcan al vocabulario controlado
+import { verificarAtributos } from './atributo.model.js';
+// Importa las funciones del historial de revisiones
+// registrarRevision: guarda los cambios por campo de cada edición
+// calcularValoresAntesDeRevision: valores que tenía el restaurante antes de una revisión (para revertir)
+import { registrarRevision, calcularValoresAntesDeRevision } from './revision.model.js';
+// Importa el servicio de slugs
+// generarSlugUnico: slug legible del restaurante (ej: "la-trattoria")
+// calcularCambioSlug: nuevo slug al cambiar el nombre (el anterior queda como redirección)
+import { generarSlugUnico, calcularCambioSlug } from '../services/slug.service.js';
 
 // Define el nombre de la colección en MongoDB donde se almacenan los restaurantes
 // Esta constante evita errores de tipeo y facilita el mantenimiento
 const COLLECTION = 'restaurantes';
 
+// Función privada que guarda la edición (o reversión) de un restaurante junto con su revisión
+// Si cambia la moneda, en la misma transacción los platos cierran su precio vigente y abren uno en la nueva moneda
+// El rango y el nivel de precio (que solo existe en MONEDA_DEFECTO) se recalculan después, a partir de los platos
+// Parámetros:
+//   restauranteId - ObjectId del restaurante
+//   actualizacion - campos a guardar con $set
+//   revision - datos de registrarRevision salvo la entidad y los documentos anterior y posterior
+//   session - sesión de una transacción en curso (opcional); sin ella se abre una transacción propia
+// Retorna el restaurante actualizado o null si no existe o está en la papelera
+async function guardarEdicionRestaurante(restauranteId, actualizacion, revision, sessionExterna = null) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const guardar = async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+        // returnDocument: 'before' retorna el documento previo, para la revisión
+        // Los restaurantes en la papelera no se pueden editar (se trata como no encontrado)
+        const anterior = await db.collection(COLLECTION).findOneAndUpdate(
+            { _id: restauranteId, ...FILTRO_NO_ELIMINADO },
+            { $set: actualizacion },
+            { ...opciones, returnDocument: 'before' }
+        ).catch((error) => {
+            throw traducirNombreDuplicado(error);
+        });
+        if (!anterior) {
+            return null;
+        }
+        
+        // $set solo reemplaza campos de primer nivel: el documento actualizado es el anterior con los nuevos valores
+        const resultado = { ...anterior, ...actualizacion };
+        // Registra los campos que cambiaron en el historial de revisiones
+        await registrarRevision({
+            ...revision,
+            entidad: ENTIDADES_REVISION.RESTAURANTE,
+            entidadId: anterior._id,
+            restauranteId: anterior._id,
+            anterior,
+            posterior: resultado
+        }, session);
+        
+        const monedaAnterior = anterior.moneda || MONEDA_DEFECTO;
+        const monedaNueva = resultado.moneda || MONEDA_DEFECTO;
+        if (monedaNueva !== monedaAnterior) {
+            await registrarCambioMonedaPlatos(anterior._id, monedaAnterior, monedaNueva, session);
+        }
+        return { resultado, cambioMoneda: monedaNueva !== monedaAnterior };
+    };
+    // Dentro de la transacción de quien llama, la edición forma parte de ella
+    const guardado = sessionExterna ? await guardar(sessionExterna) : await ejecutarTransaccion(guardar);
+    if (!guardado) {
+        return null;
+    }
+    
+    const { resultado, cambioMoneda } = guardado;
+    // Con otra moneda el restaurante se retorna con el rango y el nivel de precio recalculados
+    // (con una sesión externa los platos aún no están confirmados: el recálculo queda a cargo de quien la confirma)
+    return cambioMoneda && !sessionExterna
+        ? { ...resultado, ...await actualizarPreciosRestaurante(resultado._id) }
+        : resultado;
+}
+
+// Función privada que verifica que el nombre de un restaurante esté disponible
+// El nombre es único, salvo entre sucursales de una misma cadena: varias sucursales pueden
+// compartir el nombre de la marca siempre que estén en direcciones distintas
+// Los restaurantes en la papelera también reservan su nombre hasta que se purgan
+// Parámetros:
+//   db - referencia a la base de datos
+//   datos - { nombre, cadenaId (ObjectId o null), direccion, excluirId (ObjectId del propio restaurante) }
+//   opciones - opciones de MongoDB (sesión de transacción)
+async function verificarNombreDisponible(db, datos, opciones = {}) {
+    const { nombre, cadenaId = null, direccion = '', excluirId = null } = datos;
+    // Restaurantes con el mismo nombre (excepto el que se está editando)
+    const query = { nombre };
+    if (excluirId) {
+        query._id = { $ne: excluirId };
+    }
+    const coincidencias = await db.collection(COLLECTION)
+        .find(query, { ...opciones, projection: { cadenaId: 1, ubicacion: 1, eliminado: 1 } })
+        .toArray();
+    for (const existente of coincidencias) {
+        // Solo las sucursales de la misma cadena pueden compartir nombre
+        const mismaCadena = cadenaId && existente.cadenaId && existente.cadenaId.equals(cadenaId);
+        if (!mismaCadena) {
+            throw new Error(existente.eliminado
+                ? 'Ya existe un restaurante con ese nombre en la papelera'
+                : 'Ya existe un restaurante con ese nombre');
+        }
+        // Dos sucursales de la misma cadena no pueden estar en la misma dirección
+        const direccionExistente = (existente.ubicacion?.direccion || '').trim().toLowerCase();
+        if (direccionExistente === direccion.trim().toLowerCase()) {
+            throw new Error(existente.eliminado
+                ? 'Ya existe una sucursal de la cadena con ese nombre y dirección en la papelera'
+                : 'Ya existe una sucursal de la cadena con ese nombre y dirección');
+        }
+    }
+}
+
+// Función privada que traduce el error del índice único de nombres de los restaurantes sin cadena
+// Dos altas o ediciones simultáneas pueden pasar ambas verificarNombreDisponible: el índice rechaza la segunda
+// y se responde con el mismo mensaje que la verificación
+function traducirNombreDuplicado(error) {
+    if (error.code === 11000 && error.keyPattern?.nombre) {
+        return new Error('Ya existe un restaurante con ese nombre');
+    }
+    return error;
+}
+
+// Función privada que completa los campos del estado operativo antes de guardarlos
+// estadoOperativo manda; cerradoPermanentemente (el campo de las sugerencias) se deriva de él, y si solo llega
+// cerradoPermanentemente (sugerencia aceptada) se traduce al estado operativo correspondiente
+// cerradoPermanentemente: false solo reabre un restaurante cerrado permanentemente; en otro estado
+// (ej: un cierre temporal) se conserva el estado actual
+// La fecha de reapertura solo aplica al cierre temporal (obligatoria y futura) y el motivo solo a los cierres
+// Parámetros:
+//   datos - campos a actualizar (se modifican en el propio objeto)
+//   actual - restaurante actual (estadoOperativo, cerradoPermanentemente, fechaReapertura), o null
+function normalizarEstadoOperativo(datos, actual = null) {
+    if (datos.estadoOperativo === undefined && datos.cerradoPermanentemente === true) {
+        datos.estadoOperativo = ESTADOS_OPERATIVOS.CERRADO_PERMANENTEMENTE;
+    }
+    if (datos.estadoOperativo === undefined && datos.cerradoPermanentemente !== undefined) {
+        if (!actual || calcularEstadoOperativo(actual) !== ESTADOS_OPERATIVOS.CERRADO_PERMANENTEMENTE) {
+            delete datos.cerradoPermanentemente;
+            return;
+        }
+        datos.estadoOperativo = ESTADOS_OPERATIVOS.ABIERTO;
+    }
+    if (datos.estadoOperativo === undefined) {
+        return;
+    }
+    if (!Object.values(ESTADOS_OPERATIVOS).includes(datos.estadoOperativo)) {
+        throw new Error('Estado operativo inválido');
+    }
+    if (datos.estadoOperativo === ESTADOS_OPERATIVOS.CERRADO_TEMPORALMENTE) {
+        const fechaReapertura = datos.fechaReapertura ? new Date(datos.fechaReapertura) : null;
+        if (!fechaReapertura || Number.isNaN(fechaReapertura.getTime()) || fechaReapertura <= new Date()) {
+            throw new Error('Fecha de reapertura inválida: un cierre temporal requiere una fecha futura');
+        }
+        datos.fechaReapertura = fechaReapertura;
+    } else {
+        datos.fechaReapertura = null;
+    }
+    datos.motivoCierre = datos.estadoOperativo === ESTADOS_OPERATIVOS.ABIERTO ? null : (datos.motivoCierre || null);
+    datos.cerradoPermanentemente = datos.estadoOperativo === ESTADOS_OPERATIVOS.CERRADO_PERMANENTEMENTE;
+}
+
 /**
  * Crea un nuevo restaurante
  * @param {object} restauranteData - Datos del restaurante
@@ -24,7 +202,7 @@ const COLLECTION = 'restaurantes';
  */
 // Función asíncrona exportada que crea un nuevo restaurante en la base de datos
 // Parámetros:
-//   restauranteData - objeto con los datos del restaurante (nombre, descripcion, categoriaId, ubicacion, imagen)
+//   restauranteData - objeto con los datos del restaurante (nombre, descripcion, categoriaId, cadenaId, ubicacion, imagen, horario, atributos, moneda, creadoPor)
 //   session - sesión de transacción MongoDB opcional para operaciones atómicas
 // Retorna: Promise que se resuelve con el objeto del restaurante creado incluyendo su _id
 export async function crearRestaurante(restauranteData, session = null) {
@@ -32,23 +210,36 @@ export async function crearRestaurante(restauranteData, session = null) {
     const db = obtenerBD();
     // Extrae los campos del objeto restauranteData usando destructuring
     // Esto permite acceder fácilmente a estos campos sin usar restauranteData.nombre
-    const { nombre, descripcion, categoriaId, ubicacion, imagen } = restauranteData;
+    const { nombre, descripcion, categoriaId, cadenaId, ubicacion, imagen, horario, atributos = [], moneda, creadoPor } = restauranteData;
     
     // Prepara las opciones para las operaciones de MongoDB
     // Si hay una sesión de transacción, la incluye; sino usa objeto vacío
     // Las sesiones permiten agrupar múltiples operaciones en transacciones atómicas
     const opciones = session ? { session } : {};
     
-    // Verificar si el nombre ya existe
-    // Busca en la colección si ya existe un restaurante con el mismo nombre
-    // findOne() retorna el primer documento que coincida o null si no encuentra nada
-    const restauranteExistente = await db.collection(COLLECTION).findOne({ nombre }, opciones);
-    // Si ya existe un restaurante con ese nombre, lanza un error
-    // Esto previene duplicados ya que el nombre debe ser único
-    if (restauranteExistente) {
-        throw new Error('Ya existe un restaurante con ese nombre');
+    // Si el restaurante es una sucursal, verifica que la cadena exista
+    if (cadenaId && !esObjectIdValido(cadenaId.toString())) {
+        throw new Error('ID de cadena inválido');
+    }
+    if (cadenaId) {
+        const cadena = await db.collection('cadenas').findOne({ _id: convertirAObjectId(cadenaId.toString()) }, opciones);
+        if (!cadena) {
+            throw new Error('La cadena especificada no existe');
+        }
     }
     
+    // Ubicación estructurada (dirección, barrio, ciudad, país y coordenadas GeoJSON)
+    // Si se envía texto libre, se guarda como dirección sin coordenadas
+    const ubicacionNormalizada = normalizarUbicacion(ubicacion);
+    
+    // Verificar si el nombre ya existe
+    // El nombre debe ser único, salvo entre sucursales de la misma cadena en direcciones distintas
+    await verificarNombreDisponible(db, {
+        nombre,
+        cadenaId: cadenaId ? convertirAObjectId(cadenaId.toString()) : null,
+        direccion: ubicacionNormalizada.direccion
+    }, opciones);
+    
     // Verificar que la categoría existe
     // Si se proporcionó un categoriaId, valida que tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
@@ -69,30 +260,80 @@ export async function crearRestaurante(restauranteData, session = null) {
         }
     }
     
+    // Verifica que los atributos existan en el vocabulario (claves normalizadas y sin repetir)
+    const atributosVerificados = await verificarAtributos(atributos, session);
+    
+    // Slug único para las URLs legibles (las sucursales de una cadena reciben sufijo: marca, marca-2...)
+    const slug = await generarSlugUnico(COLLECTION, nombre, { session });
+    
+    // Fecha de creación, usada también como fecha de entrada al estado pendiente
+    const ahora = new Date();
+    // Usuario que envió el restaurante (null si se crea desde scripts)
+    const autorId = creadoPor ? convertirAObjectId(creadoPor.toString()) : null;
+    
     // Crea el objeto del nuevo restaurante con los datos proporcionados
     const nuevoRestaurante = {
         nombre,  // Nombre del restaurante (ej: "La Trattoria", "El Mexicano")
+        slug,  // Identificador legible en las URLs (ej: "la-trattoria")
+        slugsAnteriores: [],  // Slugs de nombres anteriores (redirigen al slug actual)
         // Descripción es opcional, si no se proporciona usa string vacío
         descripcion: descripcion || '',
         // Si hay categoriaId, lo convierte a ObjectId; sino usa null
         categoriaId: categoriaId ? convertirAObjectId(categoriaId) : null,
-        // Ubicación es opcional, si no se proporciona usa string vacío
-        ubicacion: ubicacion || '',
+        // Cadena a la que pertenece la sucursal (null si es un restaurante independiente)
+        cadenaId: cadenaId ? convertirAObjectId(cadenaId.toString()) : null,
+        // Ajustes de la sucursal sobre el menú compartido de la cadena
+        sobrescriturasMenu: [],
+        // Secciones de la carta (Entradas, Postres...) y ubicación en ellas de los platos heredados de la cadena
+        seccionesMenu: [],
+        posicionesMenuCadena: [],
+        // Ubicación normalizada
+        ubicacion: ubicacionNormalizada,
         // Imagen es opcional, si no se proporciona usa null
         imagen: imagen || null,
+        // Horario de apertura semanal con cierres especiales; null si no se proporciona
+        horario: normalizarHorario(horario),
+        // Claves de atributos del vocabulario (ej: ["wifi", "terraza"])
+        atributos: atributosVerificados,
+        // Moneda de los precios de sus platos (código ISO 4217, ej: "COP")
+        moneda: moneda ? moneda.toUpperCase() : MONEDA_DEFECTO,
+        propietarioId: null,  // Propietario verificado (se asigna al verificar una reclamación)
+        creadoPor: autorId,  // Usuario que envió el restaurante (puede consultar el estado del envío)
         aprobado: false,  // Requiere aprobación de admin
         // Los nuevos restaurantes empiezan sin aprobar hasta que un administrador los apruebe
+        estado: ESTADOS_RESTAURANTE.PENDIENTE,  // Estado del flujo de aprobación
+        motivoEstado: null,  // Motivo de la última transición (rechazo, cambios, suspensión)
+        fechaEstado: ahora,  // Fecha de entrada al estado actual (ordena la cola de pendientes)
+        // Historial completo de transiciones de estado
+        historialEstados: [{
+            de: null,
+            a: ESTADOS_RESTAURANTE.PENDIENTE,
+            motivo: null,
+            usuarioId: autorId,
+            fecha: ahora
+        }],
         calificacionPromedio: 0,  // Inicializa el promedio de calificaciones en 0
         totalReseñas: 0,  // Inicializa el contador de reseñas en 0
         ranking: 0,  // Inicializa el ranking en 0 (se calculará basado en calificaciones)
-        fechaCreacion: new Date(),  // Marca de tiempo cuando se creó el restaurante
-        fechaActualizacion: new Date()  // Marca de tiempo, inicialmente igual a fechaCreacion
+        rangoPrecios: null,  // Mínimo, mediana y máximo del precio de los platos (se calcula con el menú)
+        nivelPrecio: null,  // Nivel de precio de 1 ($) a 4 ($$$$) según la mediana
+        estadoOperativo: ESTADOS_OPERATIVOS.ABIERTO,  // Abierto, cerrado temporalmente o cerrado permanentemente
+        fechaReapertura: null,  // Fecha en que termina un cierre temporal
+        motivoCierre: null,  // Motivo del cierre que se muestra en el aviso
+        cerradoPermanentemente: false,  // Sincronizado con estadoOperativo (lo usan las sugerencias)
+        eliminado: false,  // true mientras el restaurante está en la papelera
+        fechaEliminacion: null,  // Fecha en que se envió a la papelera (la usa el purgado)
+        eliminadoPor: null,  // Usuario que lo envió a la papelera
+        fechaCreacion: ahora,  // Marca de tiempo cuando se creó el restaurante
+        fechaActualizacion: ahora  // Marca de tiempo, inicialmente igual a fechaCreacion
     };
     
     // Inserta el nuevo restaurante en la colección de MongoDB
     // insertOne() inserta un documento y retorna información sobre la operación
     // Si hay una sesión, las operaciones forman parte de una transacción
-    const resultado = await db.collection(COLLECTION).insertOne(nuevoRestaurante, opciones);
+    const resultado = await db.collection(COLLECTION).insertOne(nuevoRestaurante, opciones).catch((error) => {
+        throw traducirNombreDuplicado(error);
+    });
     // Retorna el restaurante creado incluyendo el _id generado automáticamente por MongoDB
     // resultado.insertedId contiene el ObjectId generado para el nuevo documento
     // El spread operator (...) incluye todas las propiedades de nuevoRestaurante
@@ -125,61 +366,17 @@ export async function crearRestauranteConPlatos(restauranteData, platosData = []
     
     // Crear restaurante y platos en transacción si está disponible
     // Importación dinámica del servicio de transacciones (solo se importa si es necesario)
-    const { ejecutarTransaccion } = await import('../services/transacciones.service.js');
+    const { ejecutarTransaccion, esErrorTransaccionNoDisponible } = await import('../services/transacciones.service.js');
     
-    try {
-        // Intenta ejecutar la operación en una transacción
-        // ejecutarTransaccion ejecuta una función callback con una sesión de transacción
-        // Si algo falla, toda la transacción se revierte (rollback)
-        return await ejecutarTransaccion(async (session) => {
-            // Crear restaurante
-            // Crea el restaurante usando la sesión de transacción
-            const restaurante = await crearRestaurante(restauranteData, session);
-            // Convierte el ObjectId a string para usarlo en los platos
-            const restauranteId = restaurante._id.toString();
-            
-            // Crear platos si se proporcionaron
-            // Array que almacenará los platos creados exitosamente
-            const platosCreados = [];
-            // Verifica que haya platos para crear
-            if (platos && platos.length > 0) {
-                // Itera sobre cada plato a crear
-                for (const platoData of platos) {
-                    try {
-                        // Crea el plato usando la función crearPlato del modelo de platos
-                        // Agrega el restauranteId al objeto del plato y pasa la sesión
-                        const plato = await crearPlato({
-                            ...platoData,  // Spread operator incluye todos los campos del plato
-                            restauranteId  // Agrega el ID del restaurante recién creado
-                        }, session);
-                        // Agrega el plato creado al array de platos creados
-                        platosCreados.push(plato);
-                    } catch (error) {
-                        // Si hay un error creando un plato, lo registra en consola
-                        console.error(`Error creando plato ${platoData.nombre}:`, error);
-                        // Lanza el error para que la transacción se revierta completamente
-                        // Esto asegura que si un plato falla, todo el restaurante y platos se revierten
-                        throw new Error(`Error al crear plato "${platoData.nombre}": ${error.message}`);
-                    }
-                }
-            }
-            
-            // Retorna el restaurante y los platos creados
-            return {
-                restaurante,
-                platos: platosCreados
-            };
-        });
-    } catch (error) {
-        // Si las transacciones no están disponibles, crear sin transacción
-        // Fallback: si las transacciones fallan (por ejemplo, en MongoDB standalone), crea sin transacción
-        // Esto permite que la funcionalidad siga trabajando aunque no haya soporte de transacciones
-        console.warn('Transacciones no disponibles, creando sin transacción');
-        // Crea el restaurante sin sesión de transacción
-        const restaurante = await crearRestaurante(restauranteData);
+    // Función que crea el restaurante y sus platos (con sesión dentro de la transacción, o null sin ella)
+    const crearTodo = async (session) => {
+        // Crear restaurante
+        // Crea el restaurante usando la sesión de transacción
+        const restaurante = await crearRestaurante(restauranteData, session);
         // Convierte el ObjectId a string para usarlo en los platos
         const restauranteId = restaurante._id.toString();
         
+        // Crear platos si se proporcionaron
         // Array que almacenará los platos creados exitosamente
         const platosCreados = [];
         // Verifica que haya platos para crear
@@ -187,97 +384,476 @@ export async function crearRestauranteConPlatos(restauranteData, platosData = []
             // Itera sobre cada plato a crear
             for (const platoData of platos) {
                 try {
-                    // Crea el plato sin sesión de transacción
+                    // Crea el plato usando la función crearPlato del modelo de platos
+                    // Agrega el restauranteId al objeto del plato y pasa la sesión
                     const plato = await crearPlato({
                         ...platoData,  // Spread operator incluye todos los campos del plato
                         restauranteId  // Agrega el ID del restaurante recién creado
-                    });
+                    }, session);
                     // Agrega el plato creado al array de platos creados
                     platosCreados.push(plato);
                 } catch (error) {
-                    // Si hay un error creando un plato, lo registra pero continúa con los demás
-                    // Sin transacciones, los platos que se crearon exitosamente permanecen
+                    // Si hay un error creando un plato, lo registra en consola
                     console.error(`Error creando plato ${platoData.nombre}:`, error);
+                    // Sin transacción no hay rollback: elimina a mano el restaurante y los platos ya creados
+                    if (!session) {
+                        await obtenerBD().collection('platos').deleteMany({ restauranteId: restaurante._id });
+                        await obtenerBD().collection(COLLECTION).deleteOne({ _id: restaurante._id });
+                    }
+                    // Lanza el error para que la transacción se revierta completamente
+                    // Esto asegura que si un plato falla, todo el restaurante y platos se revierten
+                    throw new Error(`Error al crear plato "${platoData.nombre}": ${error.message}`);
                 }
             }
         }
         
-        // Retorna el restaurante y los platos que se pudieron crear
+        // Retorna el restaurante y los platos creados
         return {
             restaurante,
             platos: platosCreados
         };
+    };
+    
+    try {
+        // Intenta ejecutar la operación en una transacción
+        // ejecutarTransaccion ejecuta una función callback con una sesión de transacción
+        // Si algo falla, toda la transacción se revierte (rollback)
+        return await ejecutarTransaccion(crearTodo);
+    } catch (error) {
+        // Cualquier error que no sea la falta de soporte de transacciones se relanza
+        // (un plato inválido o un nombre duplicado hacen fallar la creación completa)
+        if (!esErrorTransaccionNoDisponible(error)) {
+            throw error;
+        }
+        // Fallback: si las transacciones no están disponibles (por ejemplo, en MongoDB standalone), crea sin transacción
+        console.warn('Transacciones no disponibles, creando sin transacción');
+        return await crearTodo(null);
     }
 }
 
+// Función privada que construye la consulta de MongoDB para los filtros del listado de restaurantes
+// La comparten el listado (obtenerRestaurantes) y las facetas (obtenerFacetasRestaurantes)
+// Los restaurantes en la papelera nunca aparecen en los listados
+// Parámetros: filtros - objeto con:
+//   soloAprobados: si mostrar solo restaurantes aprobados (default true)
+//   categoriaId: ID opcional de categoría para filtrar
+//   cadenaId: ID opcional de cadena para listar solo sus sucursales
+//   precioMin, precioMax: límites opcionales para la mediana del precio de los platos
+//   moneda: solo restaurantes que cobran en esa moneda (con precioMin o precioMax, default MONEDA_DEFECTO)
+//   nivelPrecio: nivel de precio opcional (1 = $ ... 4 = $$$$)
+//   atributos: claves de atributos que el restaurante debe tener todas
+//   calificacionMin: calificación promedio mínima
+//   dietas, minPlatosDieta: el restaurante debe tener al menos minPlatosDieta platos de cada dieta (default 1)
+//   excluirCerrados: si omitir los restaurantes cerrados temporal o permanentemente (default false; el ranking lo activa)
+function construirQueryListado(filtros = {}) {
+    const { categoriaId, cadenaId, soloAprobados = true, precioMin, precioMax, moneda, nivelPrecio, atributos = [], calificacionMin, excluirCerrados = false } = filtros;
+    const { dietas = [], minPlatosDieta = 1 } = filtros;
+    const query = { ...FILTRO_NO_ELIMINADO };
+    
+    // Si soloAprobados es true, filtra solo restaurantes aprobados
+    // Por defecto solo muestra restaurantes aprobados a los usuarios
+    if (soloAprobados) {
+        query.aprobado = true;
+    }
+    
+    // Solo restaurantes en operación (los cierres temporales vencidos vuelven a contar como abiertos)
+    if (excluirCerrados) {
+        Object.assign(query, construirFiltroEnOperacion());
+    }
+    
+    // Si se proporcionó un categoriaId válido, lo agrega al filtro
+    if (categoriaId && esObjectIdValido(categoriaId)) {
+        query.categoriaId = convertirAObjectId(categoriaId);
+    }
+    
+    // Si se proporcionó un cadenaId válido, solo lista las sucursales de esa cadena
+    if (cadenaId && esObjectIdValido(cadenaId)) {
+        query.cadenaId = convertirAObjectId(cadenaId);
+    }
+    
+    // Filtros de presupuesto sobre la mediana del precio de los platos
+    // Los restaurantes sin platos con precio no tienen mediana y quedan fuera al filtrar por precio
+    // Un precio solo se compara con los de su misma moneda (sin tasas de cambio): la indicada o MONEDA_DEFECTO
+    const filtraPorPrecio = precioMin !== undefined || precioMax !== undefined;
+    if (moneda || filtraPorPrecio) {
+        query.moneda = construirFiltroMoneda(moneda || MONEDA_DEFECTO);
+    }
+    if (filtraPorPrecio) {
+        query['rangoPrecios.mediana'] = {};
+        if (precioMin !== undefined) {
+            query['rangoPrecios.mediana'].$gte = precioMin;
+        }
+        if (precioMax !== undefined) {
+            query['rangoPrecios.mediana'].$lte = precioMax;
+        }
+    }
+    if (nivelPrecio !== undefined) {
+        query.nivelPrecio = nivelPrecio;
+    }
+    
+    // El restaurante debe tener todos los atributos pedidos (ej: wifi y terraza)
+    if (atributos.length > 0) {
+        query.atributos = { $all: atributos };
+    }
+    
+    // Calificación promedio mínima
+    if (calificacionMin !== undefined) {
+        query.calificacionPromedio = { $gte: calificacionMin };
+    }
+    
+    // Cantidad mínima de platos de cada dieta pedida (ej: al menos 3 platos veganos)
+    // platosPorDieta lo mantiene actualizarPreciosRestaurante cada vez que cambia el menú
+    for (const dieta of dietas) {
+        query[`platosPorDieta.${dieta}`] = { $gte: minPlatosDieta };
+    }
+    
+    return query;
+}
+
 /**
  * Obtiene restaurantes con filtros y ordenamiento
  * @param {object} filtros - Filtros de búsqueda
- * @param {object} opciones - Opciones de ordenamiento y paginación
- * @returns {Promise<Array>} - Lista de restaurantes
+ * @param {object} opciones - Opciones de paginación (limite, saltar o cursor)
+ * @returns {Promise<object>} - { restaurantes, total, hasMore, nextCursor }
  */
 // Función asíncrona exportada que obtiene restaurantes con filtros, ordenamiento y paginación
 // Parámetros:
-//   filtros - objeto con filtros de búsqueda (ordenarPor, orden, categoriaId, soloAprobados)
-//   opciones - objeto con opciones de paginación (limite, saltar)
-// Retorna: Promise que se resuelve con un array de restaurantes que cumplen los filtros
+//   filtros - objeto con ordenarPor, orden, abiertoEn y los filtros de construirQueryListado
+//   opciones - objeto con opciones de paginación: limite y saltar (por página) o cursor (nextCursor de la página anterior)
+// Retorna: Promise que se resuelve con la página de restaurantes y los datos para la paginación
+// Cada restaurante incluye estadoHorario calculado para abiertoEn (o para el momento actual)
 export async function obtenerRestaurantes(filtros = {}, opciones = {}) {
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
-    // Extrae los filtros con valores por defecto
+    // Extrae el ordenamiento y el filtro de horario (el resto de filtros los aplica construirQueryListado)
     // ordenarPor: campo por el cual ordenar (default 'ranking')
     // orden: dirección del ordenamiento 'desc' o 'asc' (default 'desc')
-    // categoriaId: ID opcional de categoría para filtrar
-    // soloAprobados: si mostrar solo restaurantes aprobados (default true)
-    const { ordenarPor = 'ranking', orden = 'desc', categoriaId, soloAprobados = true } = filtros;
+    // abiertoEn: fecha opcional; si se indica, solo retorna restaurantes abiertos en ese instante
+    const { ordenarPor = 'ranking', orden = 'desc', abiertoEn } = filtros;
     // Extrae las opciones de paginación con valores por defecto
     // limite: número máximo de resultados (default 50)
-    // saltar: número de resultados a omitir para paginación (default 0)
-    const { limite = 50, saltar = 0 } = opciones;
+    // saltar: número de resultados a omitir para paginación (default 0, se ignora si hay cursor)
+    // cursor: posición del último restaurante de la página anterior
+    const { limite = 50, cursor } = opciones;
+    const saltar = cursor ? 0 : (opciones.saltar || 0);
     
     // Construye el objeto de consulta (query) para MongoDB
-    const query = {};
+    const query = construirQueryListado(filtros);
+    // Condición que continúa después del cursor (vacía si no hay cursor)
+    const filtroCursor = construirFiltroCursor(cursor, ordenarPor, orden);
     
-    // Si soloAprobados es true, filtra solo restaurantes aprobados
-    // Por defecto solo muestra restaurantes aprobados a los usuarios
-    if (soloAprobados) {
-        query.aprobado = true;
+    // Construye el objeto de opciones de ordenamiento
+    // _id desempata los restaurantes con el mismo valor para que las páginas sean estables
+    const direccion = orden === 'desc' ? -1 : 1;
+    const sortOptions = { [ordenarPor]: direccion, _id: direccion };
+    
+    // Instante para el que se calcula el estado de apertura de cada restaurante
+    const fechaHorario = abiertoEn || new Date();
+    
+    // Si se filtra por restaurantes abiertos, el estado depende del horario y la zona horaria
+    // de cada restaurante, así que se recorre el cursor ordenado y se pagina en memoria
+    // El total no se calcula porque exigiría evaluar el horario de todos los restaurantes
+    if (abiertoEn) {
+        // Solo se consideran restaurantes con horario definido
+        const cursorBD = db.collection(COLLECTION)
+            .find({ ...query, ...filtroCursor, horario: { $ne: null } })
+            .sort(sortOptions);
+        // Restaurantes abiertos dentro de la página solicitada (más uno para saber si hay más)
+        const abiertos = [];
+        // Contador de restaurantes abiertos omitidos por la paginación (saltar)
+        let omitidos = 0;
+        for await (const restaurante of cursorBD) {
+            const conEstado = agregarEstadoHorario(restaurante, fechaHorario);
+            // Descarta los restaurantes cerrados en el instante consultado
+            if (!conEstado.estadoHorario.abierto) {
+                continue;
+            }
+            // Omite los primeros 'saltar' restaurantes abiertos
+            if (omitidos < saltar) {
+                omitidos++;
+                continue;
+            }
+            abiertos.push(conEstado);
+            // Detiene el recorrido al completar la página
+            if (abiertos.length > limite) {
+                break;
+            }
+        }
+        const { pagina, hasMore, nextCursor } = separarPagina(abiertos, limite, ordenarPor, orden);
+        return { restaurantes: pagina, total: null, hasMore, nextCursor };
     }
     
+    // Ejecuta la consulta con filtros, ordenamiento y paginación
+    // skip() omite los primeros N resultados y luego limit() toma la página (más uno para saber si hay más)
+    const [documentos, total] = await Promise.all([
+        db.collection(COLLECTION)
+            .find({ ...query, ...filtroCursor })
+            .sort(sortOptions)
+            .skip(saltar)
+            .limit(limite + 1)
+            .toArray(),
+        // Total de restaurantes que cumplen los filtros (sin contar la posición del cursor)
+        db.collection(COLLECTION).countDocuments(query)
+    ]);
+    const { pagina, hasMore, nextCursor } = separarPagina(documentos, limite, ordenarPor, orden);
+    // Agrega el estado de apertura (abierto, próxima apertura y próximo cierre) a cada restaurante
+    return {
+        restaurantes: pagina.map((restaurante) => agregarEstadoHorario(restaurante, fechaHorario)),
+        total,
+        hasMore,
+        nextCursor
+    };
+}
+
+/**
+ * Obtiene los conteos por faceta para los filtros del listado
+ * @param {object} filtros - Mismos filtros que obtenerRestaurantes (sin ordenamiento, paginación ni horario)
+ * @returns {Promise<object>} - { total, categorias, atributos, nivelesPrecio, calificaciones }
+ */
+// Función asíncrona exportada que cuenta cuántos restaurantes devolvería cada opción de filtro
+// El frontend la usa para mostrar solo los filtros que tienen resultados
+// En las facetas de una sola opción (categoría, nivel de precio y calificación) no se aplica el filtro
+// de la propia faceta, para poder contar las alternativas; los atributos se combinan entre sí (todos
+// deben cumplirse), así que su faceta sí aplica los atributos ya elegidos
+// Parámetros: filtros - objeto con los filtros de construirQueryListado
+// Retorna: Promise que se resuelve con el total y los conteos de cada faceta (solo opciones con resultados)
+export async function obtenerFacetasRestaurantes(filtros = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const restaurantes = db.collection(COLLECTION);
+    
+    const [total, categorias, atributos, nivelesPrecio, calificaciones] = await Promise.all([
+        // Total de restaurantes con todos los filtros aplicados
+        restaurantes.countDocuments(construirQueryListado(filtros)),
+        // Categorías: conteo por categoría con su nombre
+        restaurantes.aggregate([
+            { $match: { ...construirQueryListado({ ...filtros, categoriaId: undefined }), categoriaId: { $ne: null } } },
+            { $group: { _id: '$categoriaId', total: { $sum: 1 } } },
+            { $lookup: { from: 'categorias', localField: '_id', foreignField: '_id', as: 'categoria' } },
+            { $unwind: '$categoria' },
+            { $project: { _id: 0, categoriaId: '$_id', nombre: '$categoria.nombre', total: 1 } },
+            { $sort: { total: -1, nombre: 1 } }
+        ]).toArray(),
+        // Atributos: conteo por clave con el nombre del vocabulario
+        restaurantes.aggregate([
+            { $match: construirQueryListado(filtros) },
+            { $unwind: '$atributos' },
+            { $group: { _id: '$atributos', total: { $sum: 1 } } },
+            { $lookup: { from: 'atributos', localField: '_id', foreignField: 'clave', as: 'atributo' } },
+            { $unwind: '$atributo' },
+            { $project: { _id: 0, clave: '$_id', nombre: '$atributo.nombre', total: 1 } },
+            { $sort: { total: -1, nombre: 1 } }
+        ]).toArray(),
+        // Niveles de precio: conteo por nivel (los restaurantes sin precios no tienen nivel)
+        restaurantes.aggregate([
+            { $match: { ...construirQueryListado({ ...filtros, nivelPrecio: undefined }), nivelPrecio: { $ne: null } } },
+            { $group: { _id: '$nivelPrecio', total: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ]).toArray(),
+        // Calificaciones: cuántos restaurantes tienen al menos cada calificación ("4 o más", "3 o más", ...)
+        restaurantes.aggregate([
+            { $match: construirQueryListado({ ...filtros, calificacionMin: undefined }) },
+            {
+                $group: Object.fromEntries([
+                    ['_id', null],
+                    ...CALIFICACIONES_FACETA.map((minimo) => [
+                        `desde${minimo}`,
+                        { $sum: { $cond: [{ $gte: ['$calificacionPromedio', minimo] }, 1, 0] } }
+                    ])
+                ])
+            }
+        ]).toArray()
+    ]);
+    
+    return {
+        total,
+        categorias,
+        atributos,
+        nivelesPrecio: nivelesPrecio.map(({ _id, total: conteo }) => ({
+            nivelPrecio: _id,
+            simbolo: SIMBOLOS_NIVEL_PRECIO[_id - 1],
+            total: conteo
+        })),
+        calificaciones: CALIFICACIONES_FACETA
+            .map((minimo) => ({ calificacionMin: minimo, total: calificaciones[0]?.[`desde${minimo}`] || 0 }))
+            .filter((faceta) => faceta.total > 0)
+    };
+}
+
+/**
+ * Abre un cursor sobre todos los restaurantes que cumplen los filtros del listado (exportación)
+ * @param {object} filtros - Mismos filtros y ordenamiento que obtenerRestaurantes
+ * @param {object} opciones - { incluirPlatos, incluirCategoria, incluirCalificaciones }
+ * @returns {AggregationCursor} - Cursor de MongoDB que se recorre documento a documento
+ */
+// Función exportada que usa la exportación de restaurantes para no cargar el catálogo en memoria
+// Sin paginación: el cursor entrega los restaurantes por lotes a medida que se leen
+// Las imágenes no se incluyen (pueden ser Base64) y el filtro de horario (abiertoEn) lo aplica quien lo recorre
+// Con incluirPlatos agrega los platos propios; con incluirCategoria el nombre de la categoría; con
+// incluirCalificaciones la cantidad de reseñas por calificación (1 a 5)
+export function obtenerCursorExportacion(filtros = {}, opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { ordenarPor = 'ranking', orden = 'desc', abiertoEn } = filtros;
+    const { incluirPlatos = false, incluirCategoria = false, incluirCalificaciones = false } = opciones;
+    const direccion = orden === 'desc' ? -1 : 1;
+
+    const query = construirQueryListado(filtros);
+    // Solo los restaurantes con horario definido pueden estar abiertos
+    if (abiertoEn) {
+        query.horario = { $ne: null };
+    }
+
+    const pipeline = [
+        { $match: query },
+        // Mismo orden que el listado (_id desempata)
+        { $sort: { [ordenarPor]: direccion, _id: direccion } },
+        // Las imágenes, el historial de estados y los datos de la papelera no se exportan
+        { $project: { imagen: 0, historialEstados: 0, eliminado: 0, fechaEliminacion: 0, eliminadoPor: 0 } }
+    ];
+    if (incluirCategoria) {
+        pipeline.push(
+            {
+                $lookup: {
+                    from: 'categorias',
+                    localField: 'categoriaId',
+                    foreignField: '_id',
+                    as: 'categoria',
+                    pipeline: [{ $project: { _id: 0, nombre: 1 } }]
+                }
+            },
+            // Se conserva el restaurante aunque su categoría ya no exista
+            { $unwind: { path: '$categoria', preserveNullAndEmptyArrays: true } }
+        );
+    }
+    if (incluirPlatos) {
+        pipeline.push({
+            $lookup: {
+                from: 'platos',
+                let: { restauranteId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$restauranteId', '$$restauranteId'] }, ...FILTRO_NO_ELIMINADO } },
+                    { $sort: { nombre: 1 } },
+                    { $project: { nombre: 1, descripcion: 1, precio: 1 } }
+                ],
+                as: 'platos'
+            }
+        });
+    }
+    if (incluirCalificaciones) {
+        pipeline.push({
+            $lookup: {
+                from: 'reseñas',
+                let: { restauranteId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$restauranteId', '$$restauranteId'] }, ...FILTRO_NO_ELIMINADO } },
+                    { $group: { _id: '$calificacion', total: { $sum: 1 } } }
+                ],
+                as: 'distribucionCalificaciones'
+            }
+        });
+    }
+
+    // allowDiskUse: el ordenamiento de todo el catálogo puede superar el límite de memoria de MongoDB
+    return db.collection(COLLECTION).aggregate(pipeline, { allowDiskUse: true });
+}
+
+/**
+ * Obtiene restaurantes aprobados cercanos a un punto, ordenados por distancia
+ * @param {object} filtros - Punto de búsqueda (lat, lng), radio en km y filtros de listado
+ * @param {object} opciones - Opciones de paginación
+ * @returns {Promise<object>} - { restaurantes (con su distancia en km), total, hasMore }
+ */
+// Función asíncrona exportada que busca restaurantes dentro de un radio alrededor de un punto
+// Usa la etapa $geoNear de agregación, que requiere el índice 2dsphere sobre ubicacion.coordenadas
+// Parámetros:
+//   filtros - objeto con lat, lng, radio (km), categoriaId, ordenarPor, orden e incluirCerrados
+//   opciones - objeto con opciones de paginación (limite, saltar)
+// Retorna: Promise que se resuelve con la página de restaurantes (con el campo distanciaKm), el total y si hay más
+export async function obtenerRestaurantesCercanos(filtros = {}, opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los filtros con valores por defecto
+    // radio: distancia máxima en kilómetros (default 5)
+    // ordenarPor: por defecto ordena por distancia (más cercano primero)
+    const { lat, lng, radio = 5, categoriaId, ordenarPor = 'distancia', orden, incluirCerrados = false } = filtros;
+    // Extrae las opciones de paginación con valores por defecto
+    const { limite = 50, saltar = 0 } = opciones;
+    
+    // Construye el filtro que se aplica dentro de $geoNear
+    // Solo se consideran restaurantes aprobados y fuera de la papelera, igual que en el listado público
+    // Los cerrados (temporal o permanentemente) se omiten salvo incluirCerrados, igual que en la búsqueda
+    const query = {
+        aprobado: true,
+        ...FILTRO_NO_ELIMINADO,
+        ...(incluirCerrados ? {} : construirFiltroEnOperacion())
+    };
+    
     // Si se proporcionó un categoriaId válido, lo agrega al filtro
-    // Esto permite filtrar restaurantes por categoría
     if (categoriaId && esObjectIdValido(categoriaId)) {
         query.categoriaId = convertirAObjectId(categoriaId);
     }
     
-    // Construye el objeto de opciones de ordenamiento
-    // sortOptions[ordenarPor] = -1 si es descendente, 1 si es ascendente
-    const sortOptions = {};
-    sortOptions[ordenarPor] = orden === 'desc' ? -1 : 1;
+    // Construye el ordenamiento
+    // Por distancia el orden por defecto es ascendente (más cercano primero)
+    // Para los demás campos el orden por defecto es descendente, igual que en obtenerRestaurantes
+    const direccion = orden ? (orden === 'desc' ? -1 : 1) : (ordenarPor === 'distancia' ? 1 : -1);
+    const campoOrden = ordenarPor === 'distancia' ? 'distanciaKm' : ordenarPor;
+    // Se agrega _id como desempate para que la paginación sea estable
+    const sortOptions = { [campoOrden]: direccion, _id: 1 };
     
-    // Ejecuta la consulta con filtros, ordenamiento y paginación
-    // find() busca documentos que coincidan con el query
-    // sort() ordena los resultados según sortOptions
-    // limit() limita el número de resultados
-    // skip() omite los primeros N resultados (para paginación)
-    // toArray() convierte el cursor de MongoDB a un array de JavaScript
-    return await db.collection(COLLECTION)
-        .find(query)
-        .sort(sortOptions)
-        .limit(limite)
-        .skip(saltar)
-        .toArray();
+    // $geoNear debe ser la primera etapa del pipeline
+    // near: punto GeoJSON de búsqueda en formato [longitud, latitud]
+    // maxDistance: radio en metros (el parámetro radio viene en km)
+    // distanceMultiplier: convierte la distancia calculada de metros a kilómetros
+    const etapaGeoNear = {
+        $geoNear: {
+            near: { type: 'Point', coordinates: [Number(lng), Number(lat)] },
+            key: 'ubicacion.coordenadas',
+            distanceField: 'distanciaKm',
+            maxDistance: Number(radio) * 1000,
+            distanceMultiplier: 0.001,
+            spherical: true,
+            query
+        }
+    };
+    
+    // Ejecuta la agregación geoespacial y cuenta el total de restaurantes dentro del radio
+    const [documentos, resultadoTotal] = await Promise.all([
+        db.collection(COLLECTION)
+            .aggregate([
+                etapaGeoNear,
+                // $sort: Ordena los resultados según el campo solicitado
+                { $sort: sortOptions },
+                // $skip y $limit: paginación (se toma uno más que el límite para saber si hay más)
+                { $skip: saltar },
+                { $limit: limite + 1 }
+            ])
+            .toArray(),
+        db.collection(COLLECTION).aggregate([etapaGeoNear, { $count: 'total' }]).toArray()
+    ]);
+    // Este listado no admite cursor: solo se usa si hay una página siguiente
+    const { pagina, hasMore } = separarPagina(documentos, limite, campoOrden, direccion === 1 ? 'asc' : 'desc');
+    // Agrega el estado de apertura actual a cada restaurante
+    return {
+        restaurantes: pagina.map((restaurante) => agregarEstadoHorario(restaurante)),
+        total: resultadoTotal[0]?.total ?? 0,
+        hasMore
+    };
 }
 
 /**
  * Busca un restaurante por ID
  * @param {string} id - ID del restaurante
+ * @param {object} opciones - { incluirEliminados } para buscar también en la papelera
  * @returns {Promise<object|null>} - Restaurante encontrado o null
  */
 // Función asíncrona exportada que busca un restaurante específico por su ID
-// Parámetros: id - string con el ID del restaurante a buscar
+// Parámetros:
+//   id - string con el ID del restaurante a buscar
+//   opciones - objeto con incluirEliminados (default false: los restaurantes en la papelera no se encuentran)
 // Retorna: Promise que se resuelve con el restaurante encontrado o null si no existe o el ID es inválido
-export async function buscarRestaurantePorId(id) {
+export async function buscarRestaurantePorId(id, opciones = {}) {
     // Valida que el ID tenga el formato correcto de ObjectId de MongoDB
     // Si el ID no es válido, retorna null inmediatamente sin hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -285,24 +861,33 @@ export async function buscarRestaurantePorId(id) {
     }
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
+    // Extrae la opción para incluir restaurantes eliminados (usada por la papelera)
+    const { incluirEliminados = false } = opciones;
     // Busca un restaurante por su _id
     // convertirAObjectId() convierte el string del ID a ObjectId para la consulta
     // findOne() retorna el documento encontrado o null si no existe
-    return await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id) });
+    return await db.collection(COLLECTION).findOne({
+        _id: convertirAObjectId(id),
+        ...(incluirEliminados ? {} : FILTRO_NO_ELIMINADO)
+    });
 }
 
 /**
  * Actualiza un restaurante
  * @param {string} id - ID del restaurante
  * @param {object} datosActualizacion - Datos a actualizar
+ * @param {object} opciones - { usuarioId, origen, sugerenciaId } para el historial de revisiones y session opcional
  * @returns {Promise<object|null>} - Restaurante actualizado
  */
 // Función asíncrona exportada que actualiza un restaurante existente
+// Cada edición queda registrada como revisión (quién, cuándo y valor anterior/nuevo por campo)
 // Parámetros:
 //   id - string con el ID del restaurante a actualizar
 //   datosActualizacion - objeto con los campos a actualizar (nombre, descripcion, categoriaId, etc.)
+//   opciones - usuarioId (autor del cambio), origen (ORIGENES_REVISION) y sugerenciaId si viene de una sugerencia;
+//              session para aplicar la edición dentro de una transacción en curso (ej: al aceptar una sugerencia)
 // Retorna: Promise que se resuelve con el restaurante actualizado o null si no se encontró
-export async function actualizarRestaurante(id, datosActualizacion) {
+export async function actualizarRestaurante(id, datosActualizacion, opciones = {}) {
     // Valida que el ID tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -311,19 +896,35 @@ export async function actualizarRestaurante(id, datosActualizacion) {
     
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
+    // Separa la sesión de los datos de la revisión
+    const { session = null, ...revision } = opciones;
+    const opcionesSesion = session ? { session } : {};
     
-    // Si se actualiza el nombre, verificar que no exista otro restaurante con ese nombre
-    // Esta validación previene duplicados cuando se cambia el nombre de un restaurante
-    if (datosActualizacion.nombre) {
-        // Busca si existe otro restaurante (diferente al actual) con el mismo nombre
-        // $ne significa "not equal" (no igual), excluye el restaurante que se está actualizando
-        const restauranteExistente = await db.collection(COLLECTION).findOne({
-            nombre: datosActualizacion.nombre,
-            _id: { $ne: convertirAObjectId(id) }
-        });
-        // Si ya existe otro restaurante con ese nombre, lanza un error
-        if (restauranteExistente) {
-            throw new Error('Ya existe un restaurante con ese nombre');
+    // Si se actualiza la ubicación, la normaliza al formato estructurado con punto GeoJSON
+    if (datosActualizacion.ubicacion !== undefined) {
+        datosActualizacion.ubicacion = normalizarUbicacion(datosActualizacion.ubicacion);
+    }
+    
+    // Si se actualiza el nombre o la dirección, verificar que el nombre siga disponible
+    // Esta validación previene duplicados (y sucursales repetidas en la misma dirección)
+    // Un nombre nuevo genera un nuevo slug; el anterior se conserva como redirección
+    let cambioSlug = null;
+    if (datosActualizacion.nombre || datosActualizacion.ubicacion !== undefined) {
+        // Restaurante actual, para completar el nombre, la cadena y la dirección que no cambian
+        const actual = await db.collection(COLLECTION).findOne(
+            { _id: convertirAObjectId(id) },
+            { ...opcionesSesion, projection: { nombre: 1, cadenaId: 1, ubicacion: 1, slug: 1, slugsAnteriores: 1 } }
+        );
+        if (actual) {
+            await verificarNombreDisponible(db, {
+                nombre: datosActualizacion.nombre || actual.nombre,
+                cadenaId: actual.cadenaId || null,
+                direccion: (datosActualizacion.ubicacion || actual.ubicacion)?.direccion || '',
+                excluirId: actual._id
+            }, opcionesSesion);
+            if (datosActualizacion.nombre && datosActualizacion.nombre !== actual.nombre) {
+                cambioSlug = await calcularCambioSlug(COLLECTION, actual, datosActualizacion.nombre, session);
+            }
         }
     }
     
@@ -337,7 +938,7 @@ export async function actualizarRestaurante(id, datosActualizacion) {
         // Busca la categoría en la base de datos
         const categoria = await db.collection('categorias').findOne({
             _id: convertirAObjectId(datosActualizacion.categoriaId)
-        });
+        }, opcionesSesion);
         // Si la categoría no existe, lanza un error
         // Esto mantiene la integridad referencial de los datos
         if (!categoria) {
@@ -347,67 +948,318 @@ export async function actualizarRestaurante(id, datosActualizacion) {
         datosActualizacion.categoriaId = convertirAObjectId(datosActualizacion.categoriaId);
     }
     
+    // Si se actualiza el horario, lo normaliza (null elimina el horario del restaurante)
+    if (datosActualizacion.horario !== undefined) {
+        datosActualizacion.horario = normalizarHorario(datosActualizacion.horario);
+    }
+    
+    // Si se actualizan los atributos, verifica que existan en el vocabulario (reemplazan a los anteriores)
+    if (datosActualizacion.atributos !== undefined) {
+        datosActualizacion.atributos = await verificarAtributos(datosActualizacion.atributos || [], session);
+    }
+    
+    // Estado operativo (PATCH /:id/estado-operativo o una sugerencia de cierre permanente aceptada)
+    // Una sugerencia de reapertura necesita el estado actual: solo deshace un cierre permanente
+    const estadoActual = datosActualizacion.estadoOperativo === undefined && datosActualizacion.cerradoPermanentemente === false
+        ? await db.collection(COLLECTION).findOne(
+            { _id: convertirAObjectId(id) },
+            { ...opcionesSesion, projection: { estadoOperativo: 1, cerradoPermanentemente: 1, fechaReapertura: 1 } }
+        )
+        : null;
+    normalizarEstadoOperativo(datosActualizacion, estadoActual);
+    
+    // La moneda se guarda en mayúsculas (ISO 4217)
+    if (datosActualizacion.moneda !== undefined) {
+        datosActualizacion.moneda = datosActualizacion.moneda.toUpperCase();
+    }
+    
     // Prepara el objeto de actualización combinando los datos nuevos con la fecha de actualización
     const actualizacion = {
         // Spread operator incluye todos los campos de datosActualizacion (nombre, descripcion, etc.)
         ...datosActualizacion,
+        // Slug derivado del nombre (no es un campo editable, no forma parte de la revisión)
+        ...cambioSlug,
         // Actualiza automáticamente la fecha de modificación
         fechaActualizacion: new Date()
     };
     
-    // Actualiza el restaurante en la base de datos
-    // findOneAndUpdate() busca y actualiza en una sola operación
-    // Primer parámetro: filtro para encontrar el documento (_id)
-    // Segundo parámetro: operación de actualización ($set establece los nuevos valores)
-    // Tercer parámetro: opciones (returnDocument: 'after' retorna el documento actualizado)
-    const resultado = await db.collection(COLLECTION).findOneAndUpdate(
-        { _id: convertirAObjectId(id) },
-        { $set: actualizacion },
-        { returnDocument: 'after' }
-    );
+    // Actualiza el restaurante y registra los campos que cambiaron en el historial de revisiones
+    // Retorna el documento actualizado (con el nivel de precio recalculado si cambió la moneda)
+    return await guardarEdicionRestaurante(convertirAObjectId(id), actualizacion, {
+        ...revision,
+        campos: Object.keys(datosActualizacion)
+    }, session);
+}
+
+/**
+ * Revierte un restaurante al estado previo a una revisión (solo admin)
+ * @param {string} id - ID del restaurante
+ * @param {string} revisionId - ID de la revisión a revertir
+ * @param {string} usuarioId - ID del admin que revierte
+ * @returns {Promise<object|null>} - Restaurante revertido o null si el restaurante o la revisión no existen
+ */
+// Función asíncrona exportada que restaura los campos cambiados en la revisión y en las posteriores
+// Los valores guardados en el historial ya están normalizados, así que se aplican tal cual, pero se
+// vuelve a verificar que el nombre siga disponible y que la categoría y los atributos sigan existiendo
+// La reversión queda registrada como una nueva revisión (origen reversion), que a su vez se puede revertir
+export async function revertirRevisionRestaurante(id, revisionId, usuarioId = null) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
     
-    // Retorna el resultado de la operación (el documento actualizado o null si no se encontró)
-    return resultado;
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const restaurante = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO });
+    const estadoPrevio = await calcularValoresAntesDeRevision(ENTIDADES_REVISION.RESTAURANTE, id, revisionId);
+    if (!restaurante || !estadoPrevio) {
+        return null;
+    }
+    const { revision, valores } = estadoPrevio;
+    
+    // El nombre anterior pudo ocuparlo otro restaurante después de la revisión
+    if (valores.nombre !== undefined || valores.ubicacion !== undefined) {
+        await verificarNombreDisponible(db, {
+            nombre: valores.nombre ?? restaurante.nombre,
+            cadenaId: restaurante.cadenaId || null,
+            direccion: (valores.ubicacion !== undefined ? valores.ubicacion : restaurante.ubicacion)?.direccion || '',
+            excluirId: restaurante._id
+        });
+    }
+    // La categoría anterior pudo eliminarse
+    if (valores.categoriaId) {
+        const categoria = await db.collection('categorias').findOne({ _id: valores.categoriaId });
+        if (!categoria) {
+            throw new Error('La categoría de la revisión ya no existe');
+        }
+    }
+    // Los atributos anteriores deben seguir en el vocabulario
+    if (valores.atributos) {
+        valores.atributos = await verificarAtributos(valores.atributos);
+    }
+    
+    // Si la reversión restaura el nombre anterior, el slug también cambia (el actual queda como redirección)
+    const cambioSlug = valores.nombre && valores.nombre !== restaurante.nombre
+        ? await calcularCambioSlug(COLLECTION, restaurante, valores.nombre)
+        : null;
+    
+    const actualizacion = { ...valores, ...cambioSlug, fechaActualizacion: new Date() };
+    // La moneda restaurada también se aplica al historial de precios de los platos
+    return await guardarEdicionRestaurante(restaurante._id, actualizacion, {
+        campos: Object.keys(valores),
+        usuarioId,
+        origen: ORIGENES_REVISION.REVERSION,
+        revertidaDe: revision._id
+    });
 }
 
 /**
- * Aprueba un restaurante (solo admin)
+ * Obtiene el estado de aprobación de un restaurante
+ * @param {object} restaurante - Documento del restaurante
+ * @returns {string} - Estado del flujo de aprobación
+ */
+// Función exportada que retorna el estado del restaurante
+// Los restaurantes creados antes del flujo de estados solo tienen el campo aprobado
+export function obtenerEstadoRestaurante(restaurante) {
+    if (restaurante.estado) {
+        return restaurante.estado;
+    }
+    return restaurante.aprobado ? ESTADOS_RESTAURANTE.APROBADO : ESTADOS_RESTAURANTE.PENDIENTE;
+}
+
+/**
+ * Cambia el estado de aprobación de un restaurante
  * @param {string} id - ID del restaurante
- * @returns {Promise<object|null>} - Restaurante actualizado
+ * @param {string} nuevoEstado - Estado destino
+ * @param {object} datos - { usuarioId, motivo } del usuario que realiza la transición
+ * @returns {Promise<object|null>} - Restaurante actualizado o null si no existe
  */
-// Función asíncrona exportada que aprueba un restaurante (solo para administradores)
-// Cuando un restaurante se aprueba, puede ser visible para todos los usuarios
-// Parámetros: id - string con el ID del restaurante a aprobar
+// Función asíncrona exportada que aplica una transición del flujo de aprobación
+// Valida la transición con TRANSICIONES_RESTAURANTE, exige motivo cuando corresponde
+// y agrega la transición al historial (de, a, motivo, usuario y fecha)
+// El campo aprobado se sincroniza para que las consultas existentes sigan funcionando
+// Parámetros:
+//   id - string con el ID del restaurante
+//   nuevoEstado - uno de ESTADOS_RESTAURANTE
+//   datos - objeto con usuarioId (admin o autor que actúa) y motivo
 // Retorna: Promise que se resuelve con el restaurante actualizado o null si no se encontró
-export async function aprobarRestaurante(id) {
+export async function cambiarEstadoRestaurante(id, nuevoEstado, datos = {}) {
     // Valida que el ID tenga el formato correcto de ObjectId
-    // Si el ID no es válido, lanza un error antes de hacer la consulta
     if (!esObjectIdValido(id)) {
         throw new Error('ID inválido');
     }
     
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
-    // Actualiza el restaurante marcándolo como aprobado
-    // findOneAndUpdate() busca y actualiza en una sola operación
-    // Primer parámetro: filtro para encontrar el documento (_id)
-    // Segundo parámetro: operación de actualización ($set establece aprobado: true y fechaActualizacion)
-    // Tercer parámetro: opciones (returnDocument: 'after' retorna el documento actualizado)
+    // Extrae el usuario que actúa y el motivo de la transición
+    const { usuarioId = null, motivo = null } = datos;
+    
+    // Busca el restaurante para conocer su estado actual (los que están en la papelera no cambian de estado)
+    const restaurante = await db.collection(COLLECTION).findOne({
+        _id: convertirAObjectId(id),
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (!restaurante) {
+        return null;
+    }
+    
+    // Verifica que la transición esté permitida desde el estado actual
+    const estadoActual = obtenerEstadoRestaurante(restaurante);
+    if (!(TRANSICIONES_RESTAURANTE[estadoActual] || []).includes(nuevoEstado)) {
+        throw new Error(`Transición de estado no permitida: ${estadoActual} → ${nuevoEstado}`);
+    }
+    
+    // Rechazar, pedir cambios o suspender requiere explicar el motivo al autor
+    if (ESTADOS_CON_MOTIVO.includes(nuevoEstado) && !motivo) {
+        throw new Error(`El motivo es requerido para el estado ${nuevoEstado}`);
+    }
+    
+    const ahora = new Date();
+    // Aplica la transición y la registra en el historial
+    // El filtro incluye el estado actual para no sobrescribir una transición concurrente
     const resultado = await db.collection(COLLECTION).findOneAndUpdate(
-        { _id: convertirAObjectId(id) },
-        { 
-            $set: { 
-                aprobado: true,  // Marca el restaurante como aprobado
-                fechaActualizacion: new Date()  // Actualiza la fecha de modificación
+        {
+            _id: restaurante._id,
+            estado: restaurante.estado === undefined ? { $exists: false } : restaurante.estado
+        },
+        {
+            $set: {
+                estado: nuevoEstado,  // Nuevo estado del flujo
+                aprobado: nuevoEstado === ESTADOS_RESTAURANTE.APROBADO,  // Solo aprobado es visible
+                motivoEstado: motivo || null,  // Motivo visible para el autor
+                fechaEstado: ahora,  // Fecha de entrada al nuevo estado
+                fechaActualizacion: ahora  // Actualiza la fecha de modificación
+            },
+            $push: {
+                // Agrega la transición al historial completo
+                historialEstados: {
+                    de: estadoActual,
+                    a: nuevoEstado,
+                    motivo: motivo || null,
+                    usuarioId: usuarioId ? convertirAObjectId(usuarioId.toString()) : null,
+                    fecha: ahora
+                }
             }
         },
         { returnDocument: 'after' }
     );
     
-    // Retorna el resultado de la operación (el documento actualizado o null si no se encontró)
+    // Si no se actualizó, otra petición cambió el estado entre la lectura y la escritura
+    if (!resultado) {
+        throw new Error('El estado del restaurante cambió durante la operación, intenta de nuevo');
+    }
     return resultado;
 }
 
+/**
+ * Aprueba un restaurante (solo admin)
+ * @param {string} id - ID del restaurante
+ * @param {string} adminId - ID del administrador que aprueba (opcional)
+ * @returns {Promise<object|null>} - Restaurante actualizado
+ */
+// Función asíncrona exportada que aprueba un restaurante (solo para administradores)
+// Atajo de cambiarEstadoRestaurante hacia el estado aprobado (desde pendiente o suspendido)
+// Parámetros: id - string con el ID del restaurante; adminId - admin que aprueba
+// Retorna: Promise que se resuelve con el restaurante actualizado o null si no se encontró
+export async function aprobarRestaurante(id, adminId = null) {
+    return await cambiarEstadoRestaurante(id, ESTADOS_RESTAURANTE.APROBADO, { usuarioId: adminId });
+}
+
+/**
+ * Obtiene la cola de restaurantes pendientes de revisión (solo admin)
+ * @param {object} opciones - Opciones de paginación (limite, saltar)
+ * @returns {Promise<object>} - { restaurantes (los más antiguos primero), total, hasMore }
+ */
+// Función asíncrona exportada que lista los envíos pendientes de revisión
+// Se ordenan por la fecha en que entraron a pendiente (los reenvíos vuelven al final de la cola)
+// Parámetros: opciones - objeto con limite y saltar
+// Retorna: Promise que se resuelve con la página de restaurantes pendientes, el total de la cola y si hay más
+export async function obtenerRestaurantesPendientes(opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae las opciones de paginación con valores por defecto
+    const { limite = 50, saltar = 0 } = opciones;
+    
+    // Incluye los restaurantes anteriores al flujo de estados que siguen sin aprobar
+    // Los envíos en la papelera no forman parte de la cola
+    const query = {
+        ...FILTRO_NO_ELIMINADO,
+        $or: [
+            { estado: ESTADOS_RESTAURANTE.PENDIENTE },
+            { estado: { $exists: false }, aprobado: false }
+        ]
+    };
+    
+    // Se consulta uno más que el límite para saber si hay una página siguiente
+    const [documentos, total] = await Promise.all([
+        db.collection(COLLECTION)
+            .find(query)
+            .sort({ fechaEstado: 1, fechaCreacion: 1, _id: 1 })
+            .skip(saltar)
+            .limit(limite + 1)
+            .toArray(),
+        db.collection(COLLECTION).countDocuments(query)
+    ]);
+    // Este listado no admite cursor: solo se usa si hay una página siguiente
+    const { pagina, hasMore } = separarPagina(documentos, limite, 'fechaEstado', 'asc');
+    return { restaurantes: pagina, total, hasMore };
+}
+
+/**
+ * Obtiene los restaurantes enviados por un usuario con su estado de aprobación
+ * @param {string} usuarioId - ID del usuario autor
+ * @returns {Promise<Array>} - Restaurantes del usuario con estado, motivo e historial
+ */
+// Función asíncrona exportada que permite al autor seguir el estado de sus envíos
+// Parámetros: usuarioId - string u ObjectId del usuario que creó los restaurantes
+// Retorna: Promise que se resuelve con un array de restaurantes (más recientes primero)
+export async function obtenerRestaurantesPorAutor(usuarioId) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    return await db.collection(COLLECTION)
+        .find(
+            { creadoPor: convertirAObjectId(usuarioId.toString()), ...FILTRO_NO_ELIMINADO },
+            {
+                projection: {
+                    nombre: 1,
+                    estado: 1,
+                    aprobado: 1,
+                    motivoEstado: 1,
+                    fechaEstado: 1,
+                    historialEstados: 1,
+                    fechaCreacion: 1,
+                    fechaActualizacion: 1
+                }
+            }
+        )
+        .sort({ fechaCreacion: -1 })
+        .toArray();
+}
+
+/**
+ * Verifica si un usuario puede corregir su envío (estado cambios_solicitados)
+ * @param {string} restauranteId - ID del restaurante
+ * @param {string} usuarioId - ID del usuario
+ * @returns {Promise<boolean>} - True si el usuario es el autor y se le pidieron cambios
+ */
+// Función asíncrona exportada usada por el middleware de propiedad
+// El autor de un envío puede editarlo mientras el admin le haya solicitado cambios
+export async function puedeCorregirEnvio(restauranteId, usuarioId) {
+    // Sin IDs válidos no puede corregir nada
+    if (!restauranteId || !usuarioId || !esObjectIdValido(restauranteId.toString())) {
+        return false;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const coincidencias = await db.collection(COLLECTION).countDocuments({
+        _id: convertirAObjectId(restauranteId.toString()),
+        creadoPor: convertirAObjectId(usuarioId.toString()),
+        estado: ESTADOS_RESTAURANTE.CAMBIOS_SOLICITADOS,
+        ...FILTRO_NO_ELIMINADO
+    });
+    return coincidencias > 0;
+}
+
 /**
  * Actualiza la calificación promedio de un restaurante
  * @param {string} id - ID del restaurante
@@ -454,14 +1306,20 @@ export async function actualizarCalificacionPromedio(id, nuevaCalificacion, tota
 }
 
 /**
- * Elimina un restaurante
+ * Envía un restaurante a la papelera (eliminación lógica)
  * @param {string} id - ID del restaurante
+ * @param {string} usuarioId - ID del usuario que elimina (opcional)
  * @returns {Promise<boolean>} - True si se eliminó correctamente
  */
-// Función asíncrona exportada que elimina un restaurante de la base de datos
-// Parámetros: id - string con el ID del restaurante a eliminar
-// Retorna: Promise que se resuelve con true si se eliminó correctamente, false si no se encontró
-export async function eliminarRestaurante(id) {
+// Función asíncrona exportada que marca un restaurante como eliminado sin borrarlo de la base de datos
+// En una sola transacción también envía a la papelera sus platos, reseñas y reseñas de platos activos,
+// marcándolos con eliminadoConRestaurante para poder restaurarlos junto con el restaurante
+// El borrado definitivo lo hace el purgado de la papelera al cumplirse el periodo de retención
+// Parámetros:
+//   id - string con el ID del restaurante a eliminar
+//   usuarioId - ID del usuario que realiza la eliminación
+// Retorna: Promise que se resuelve con true si se eliminó, false si no se encontró o ya estaba en la papelera
+export async function eliminarRestaurante(id, usuarioId = null) {
     // Valida que el ID tenga el formato correcto de ObjectId
     // Si el ID no es válido, lanza un error antes de hacer la consulta
     if (!esObjectIdValido(id)) {
@@ -470,34 +1328,480 @@ export async function eliminarRestaurante(id) {
     
     // Obtiene la referencia a la base de datos MongoDB
     const db = obtenerBD();
+    // Misma fecha para el restaurante y sus dependencias (identifica qué se eliminó en cascada)
+    const ahora = new Date();
+    // Campos que marcan un documento como eliminado
+    const marcaEliminado = {
+        eliminado: true,
+        fechaEliminacion: ahora,
+        eliminadoPor: usuarioId ? convertirAObjectId(usuarioId.toString()) : null
+    };
     
-    // Verificar si hay platos o reseñas asociados
-    // Antes de eliminar, verifica que no haya platos o reseñas que dependan de este restaurante
-    // Esto previene la eliminación de restaurantes que tienen datos asociados (integridad referencial)
-    // countDocuments() cuenta cuántos documentos coinciden con el filtro
-    const platosAsociados = await db.collection('platos').countDocuments({
-        // Busca platos que tengan este restauranteId
-        restauranteId: convertirAObjectId(id)
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+        
+        // Marca el restaurante como eliminado (solo si no estaba ya en la papelera)
+        const resultado = await db.collection(COLLECTION).updateOne(
+            { _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+            { $set: { ...marcaEliminado, fechaActualizacion: ahora } },
+            opciones
+        );
+        if (resultado.matchedCount === 0) {
+            return false;
+        }
+        
+        // Autores de las reseñas activas (sus estadísticas cambian al ocultarlas)
+        const autores = await db.collection('reseñas').distinct(
+            'usuarioId',
+            { restauranteId: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+            opciones
+        );
+        
+        // Envía a la papelera los platos, las reseñas y las reseñas de platos activos del restaurante
+        // Los que ya estaban en la papelera conservan su propia fecha de eliminación
+        for (const coleccion of ['platos', 'reseñas', 'reseñasPlatos']) {
+            await db.collection(coleccion).updateMany(
+                { restauranteId: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO },
+                { $set: { ...marcaEliminado, eliminadoConRestaurante: true } },
+                opciones
+            );
+        }
+        
+        // Recalcula las estadísticas de los autores sin las reseñas eliminadas
+        for (const autorId of autores) {
+            await actualizarEstadisticasUsuario(autorId, session);
+        }
+        return true;
     });
+}
+
+/**
+ * Restaura un restaurante de la papelera
+ * @param {string} id - ID del restaurante
+ * @returns {Promise<object|null>} - Restaurante restaurado o null si no está en la papelera
+ */
+// Función asíncrona exportada que saca un restaurante de la papelera
+// Restaura también los platos, reseñas y reseñas de platos que se eliminaron junto con él (misma fecha de eliminación)
+// Los que se habían eliminado por separado siguen en la papelera
+// La calificación, el total de reseñas y el ranking se recalculan después con actualizarRankingRestaurante
+// Parámetros: id - string con el ID del restaurante
+// Retorna: Promise que se resuelve con el restaurante restaurado o null si no estaba en la papelera
+export async function restaurarRestaurante(id) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
     
-    // Cuenta las reseñas asociadas al restaurante
-    const reseñasAsociadas = await db.collection('reseñas').countDocuments({
-        // Busca reseñas que tengan este restauranteId
-        restauranteId: convertirAObjectId(id)
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+        
+        // Busca el restaurante en la papelera
+        const restaurante = await db.collection(COLLECTION).findOne(
+            { _id: convertirAObjectId(id), eliminado: true },
+            opciones
+        );
+        if (!restaurante) {
+            return null;
+        }
+        // Un duplicado fusionado ya entregó sus platos y reseñas a otro restaurante
+        if (restaurante.fusionadoCon) {
+            throw new Error('El restaurante se fusionó con otro y no puede salir de la papelera');
+        }
+        
+        // Platos, reseñas y reseñas de platos eliminados en cascada con el restaurante
+        const filtroCascada = {
+            restauranteId: restaurante._id,
+            eliminadoConRestaurante: true,
+            fechaEliminacion: restaurante.fechaEliminacion
+        };
+        // Autores de las reseñas que se restauran (sus estadísticas vuelven a incluirlas)
+        const autores = await db.collection('reseñas').distinct('usuarioId', filtroCascada, opciones);
+        
+        // Restaura los platos, reseñas y reseñas de platos eliminados en cascada con el restaurante
+        for (const coleccion of ['platos', 'reseñas', 'reseñasPlatos']) {
+            await db.collection(coleccion).updateMany(
+                filtroCascada,
+                {
+                    $set: { eliminado: false, fechaEliminacion: null, eliminadoPor: null },
+                    $unset: { eliminadoConRestaurante: '' }
+                },
+                opciones
+            );
+        }
+        
+        // Recalcula las estadísticas de los autores con las reseñas restauradas
+        for (const autorId of autores) {
+            await actualizarEstadisticasUsuario(autorId, session);
+        }
+        
+        // Restaura el restaurante
+        return await db.collection(COLLECTION).findOneAndUpdate(
+            { _id: restaurante._id },
+            {
+                $set: {
+                    eliminado: false,
+                    fechaEliminacion: null,
+                    eliminadoPor: null,
+                    fechaActualizacion: new Date()
+                }
+            },
+            { ...opciones, returnDocument: 'after' }
+        );
     });
+}
+
+/**
+ * Elimina definitivamente un restaurante con sus platos, reseñas (también las de sus platos) y reacciones (solo admin)
+ * @param {string} id - ID del restaurante
+ * @param {object} opciones - { dryRun } para solo calcular el impacto sin eliminar nada
+ * @returns {Promise<object|null>} - Informe de lo eliminado (o de lo que se eliminaría) o null si no existe
+ */
+// Función asíncrona exportada para borrar restaurantes spam que ya recibieron reseñas
+// Todo ocurre en una sola llamada a ejecutarTransaccion: lectura del impacto, borrado y
+// recálculo de las estadísticas de los autores afectados
+// Con dryRun el informe se calcula con la misma consulta que el borrado, así que describe
+// exactamente lo que se eliminaría, pero no se modifica ningún documento
+// Incluye también los restaurantes que ya estaban en la papelera
+// Parámetros:
+//   id - string con el ID del restaurante
+//   opciones - objeto con dryRun (default false)
+// Retorna: Promise que se resuelve con el informe o null si el restaurante no existe
+export async function eliminarRestauranteEnCascada(id, opciones = {}) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { dryRun = false } = opciones;
+    const restauranteId = convertirAObjectId(id);
     
-    // Si hay platos o reseñas asociados, no se puede eliminar
-    // Esto mantiene la integridad de los datos y evita referencias rotas
-    if (platosAsociados > 0 || reseñasAsociadas > 0) {
-        throw new Error('No se puede eliminar el restaurante porque tiene platos o reseñas asociados');
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opcionesSesion = session ? { session } : {};
+        
+        // Busca el restaurante (activo o en la papelera)
+        const restaurante = await db.collection(COLLECTION).findOne(
+            { _id: restauranteId },
+            { ...opcionesSesion, projection: { nombre: 1, eliminado: 1 } }
+        );
+        if (!restaurante) {
+            return null;
+        }
+        
+        // Platos y reseñas del restaurante, incluidos los que están en la papelera
+        const platos = await db.collection('platos')
+            .find({ restauranteId }, { ...opcionesSesion, projection: { nombre: 1, eliminado: 1 } })
+            .toArray();
+        const reseñas = await db.collection('reseñas')
+            .find(
+                { restauranteId },
+                {
+                    ...opcionesSesion,
+                    projection: {
+                        usuarioId: 1,
+                        calificacion: 1,
+                        eliminado: 1,
+                        usuariosQueLiked: 1,
+                        usuariosQueDisliked: 1
+                    }
+                }
+            )
+            .toArray();
+        const reseñasPlatos = await db.collection('reseñasPlatos').countDocuments({ restauranteId }, opcionesSesion);
+        const reclamaciones = await db.collection('reclamaciones').countDocuments({ restauranteId }, opcionesSesion);
+        const sugerencias = await db.collection('sugerencias').countDocuments({ restauranteId }, opcionesSesion);
+        
+        // Reacciones (likes/dislikes) de los usuarios sobre las reseñas que se eliminan
+        const totalLikes = reseñas.reduce((total, r) => total + (r.usuariosQueLiked || []).length, 0);
+        const totalDislikes = reseñas.reduce((total, r) => total + (r.usuariosQueDisliked || []).length, 0);
+        const usuariosQueReaccionaron = new Set(
+            reseñas.flatMap((r) => [...(r.usuariosQueLiked || []), ...(r.usuariosQueDisliked || [])])
+                .map((usuarioId) => usuarioId.toString())
+        );
+        // Autores de las reseñas: sus estadísticas se recalculan tras el borrado
+        const autores = [...new Set(reseñas.map((r) => r.usuarioId.toString()))];
+        
+        // Informe del impacto de la eliminación
+        const informe = {
+            dryRun,
+            restaurante,
+            platos: platos.map(({ _id, nombre, eliminado }) => ({ _id, nombre, eliminado: Boolean(eliminado) })),
+            reseñas: reseñas.map(({ _id, usuarioId, calificacion, eliminado }) => ({
+                _id,
+                usuarioId,
+                calificacion,
+                eliminado: Boolean(eliminado)
+            })),
+            reacciones: {
+                likes: totalLikes,
+                dislikes: totalDislikes,
+                usuarios: usuariosQueReaccionaron.size
+            },
+            reseñadoresAfectados: autores,
+            totales: {
+                restaurantes: 1,
+                platos: platos.length,
+                reseñas: reseñas.length,
+                reseñasPlatos,
+                reacciones: totalLikes + totalDislikes,
+                reclamaciones,
+                sugerencias
+            }
+        };
+        
+        // En modo dryRun solo se informa, sin modificar nada
+        if (dryRun) {
+            return informe;
+        }
+        
+        // Elimina las reseñas (y con ellas las reacciones), las reseñas de los platos, los platos, las reclamaciones,
+        // las sugerencias de edición, el historial de revisiones y el restaurante
+        await db.collection('reseñas').deleteMany({ restauranteId }, opcionesSesion);
+        await db.collection('reseñasPlatos').deleteMany({ restauranteId }, opcionesSesion);
+        await db.collection('platos').deleteMany({ restauranteId }, opcionesSesion);
+        await db.collection('reclamaciones').deleteMany({ restauranteId }, opcionesSesion);
+        await db.collection('sugerencias').deleteMany({ restauranteId }, opcionesSesion);
+        await db.collection('revisiones').deleteMany({ restauranteId }, opcionesSesion);
+        await db.collection(COLLECTION).deleteOne({ _id: restauranteId }, opcionesSesion);
+        
+        // Recalcula las estadísticas de los autores afectados
+        for (const autorId of autores) {
+            await actualizarEstadisticasUsuario(autorId, session);
+        }
+        
+        return informe;
+    });
+}
+
+/**
+ * Fusiona un restaurante duplicado en otro (solo admin)
+ * @param {string} id - ID del restaurante que se conserva
+ * @param {string} duplicadoId - ID del restaurante duplicado
+ * @param {string} usuarioId - ID del admin que fusiona
+ * @returns {Promise<object|null>} - Informe de la fusión o null si alguno no existe
+ */
+// Función asíncrona exportada que mueve los platos y reseñas activos del duplicado al restaurante
+// que se conserva y envía el duplicado a la papelera (marcado con fusionadoCon), todo en una transacción
+// Conflictos:
+// - Un plato con el mismo nombre que uno del restaurante conservado no se mueve: va a la papelera con sus reseñas
+// - Si un usuario reseñó ambos restaurantes se conserva su reseña más reciente y la otra va a la papelera
+// La calificación, el ranking y los precios del restaurante conservado se recalculan después
+// (actualizarRankingRestaurante y actualizarPreciosRestaurante) desde el controlador
+export async function fusionarRestaurantes(id, duplicadoId, usuarioId = null) {
+    // Valida que los IDs tengan el formato correcto de ObjectId
+    if (!esObjectIdValido(id) || !esObjectIdValido(duplicadoId)) {
+        throw new Error('ID inválido');
+    }
+    if (id === duplicadoId) {
+        throw new Error('Un restaurante no puede fusionarse consigo mismo');
     }
     
-    // Elimina el restaurante de la base de datos
-    // deleteOne() elimina un documento que coincida con el filtro
-    // Retorna información sobre la operación incluyendo deletedCount (número de documentos eliminados)
-    const resultado = await db.collection(COLLECTION).deleteOne({ _id: convertirAObjectId(id) });
-    // Retorna true si se eliminó al menos un documento (deletedCount > 0), false en caso contrario
-    // Esto indica si la operación fue exitosa o si no se encontró el restaurante
-    return resultado.deletedCount > 0;
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const restauranteId = convertirAObjectId(id);
+    const duplicadoObjectId = convertirAObjectId(duplicadoId);
+    // Misma fecha para todo lo que se envía a la papelera en la fusión
+    const ahora = new Date();
+    const marcaEliminado = {
+        eliminado: true,
+        fechaEliminacion: ahora,
+        eliminadoPor: usuarioId ? convertirAObjectId(usuarioId.toString()) : null
+    };
+    
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+        
+        // Ambos restaurantes deben existir fuera de la papelera
+        // (las consultas van una tras otra: una sesión en transacción no admite operaciones en paralelo)
+        const restaurante = await db.collection(COLLECTION)
+            .findOne({ _id: restauranteId, ...FILTRO_NO_ELIMINADO }, { ...opciones, projection: { nombre: 1 } });
+        const duplicado = await db.collection(COLLECTION)
+            .findOne({ _id: duplicadoObjectId, ...FILTRO_NO_ELIMINADO }, { ...opciones, projection: { nombre: 1 } });
+        if (!restaurante || !duplicado) {
+            return null;
+        }
+        
+        // Platos: se mueven salvo los que chocan con un nombre del restaurante conservado
+        // (el índice único restauranteId + nombre incluye los platos de la papelera)
+        const nombresExistentes = new Set(
+            await db.collection('platos').distinct('nombre', { restauranteId }, opciones)
+        );
+        const platosDuplicado = await db.collection('platos')
+            .find({ restauranteId: duplicadoObjectId, ...FILTRO_NO_ELIMINADO }, { ...opciones, projection: { nombre: 1 } })
+            .toArray();
+        const platosMovidos = platosDuplicado.filter((plato) => !nombresExistentes.has(plato.nombre));
+        const platosDescartados = platosDuplicado.filter((plato) => nombresExistentes.has(plato.nombre));
+        if (platosMovidos.length > 0) {
+            await db.collection('platos').updateMany(
+                { _id: { $in: platosMovidos.map((plato) => plato._id) } },
+                // Las secciones del duplicado no existen en el restaurante conservado: los platos quedan sin sección
+                { $set: { restauranteId, seccionId: null, fechaActualizacion: ahora } },
+                opciones
+            );
+            // El historial de los platos movidos pasa al restaurante conservado
+            await db.collection('revisiones').updateMany(
+                { entidadId: { $in: platosMovidos.map((plato) => plato._id) } },
+                { $set: { restauranteId } },
+                opciones
+            );
+            // Sus reseñas también (el promedio y el ranking de cada plato no cambian)
+            await db.collection('reseñasPlatos').updateMany(
+                { platoId: { $in: platosMovidos.map((plato) => plato._id) } },
+                { $set: { restauranteId } },
+                opciones
+            );
+        }
+        if (platosDescartados.length > 0) {
+            await db.collection('platos').updateMany(
+                { _id: { $in: platosDescartados.map((plato) => plato._id) } },
+                { $set: marcaEliminado },
+                opciones
+            );
+            // Sus reseñas activas van a la papelera con ellos (igual que al eliminar un plato)
+            await db.collection('reseñasPlatos').updateMany(
+                { platoId: { $in: platosDescartados.map((plato) => plato._id) }, ...FILTRO_NO_ELIMINADO },
+                { $set: { ...marcaEliminado, eliminadoConPlato: true } },
+                opciones
+            );
+        }
+        
+        // Reseñas: un usuario solo puede tener una reseña activa por restaurante
+        const proyeccionReseña = { projection: { usuarioId: 1, fechaCreacion: 1 } };
+        const reseñasRestaurante = await db.collection('reseñas')
+            .find({ restauranteId, ...FILTRO_NO_ELIMINADO }, { ...opciones, ...proyeccionReseña })
+            .toArray();
+        const reseñasDuplicado = await db.collection('reseñas')
+            .find({ restauranteId: duplicadoObjectId, ...FILTRO_NO_ELIMINADO }, { ...opciones, ...proyeccionReseña })
+            .toArray();
+        const reseñaPorUsuario = new Map(reseñasRestaurante.map((reseña) => [reseña.usuarioId.toString(), reseña]));
+        const reseñasMovidas = [];
+        const reseñasDescartadas = [];
+        for (const reseña of reseñasDuplicado) {
+            const existente = reseñaPorUsuario.get(reseña.usuarioId.toString());
+            if (!existente) {
+                reseñasMovidas.push(reseña);
+            } else if (reseña.fechaCreacion > existente.fechaCreacion) {
+                // La reseña del duplicado es más reciente: se conserva y la anterior va a la papelera
+                reseñasMovidas.push(reseña);
+                reseñasDescartadas.push(existente);
+            } else {
+                reseñasDescartadas.push(reseña);
+            }
+        }
+        if (reseñasDescartadas.length > 0) {
+            await db.collection('reseñas').updateMany(
+                { _id: { $in: reseñasDescartadas.map((reseña) => reseña._id) } },
+                { $set: marcaEliminado },
+                opciones
+            );
+        }
+        if (reseñasMovidas.length > 0) {
+            await db.collection('reseñas').updateMany(
+                { _id: { $in: reseñasMovidas.map((reseña) => reseña._id) } },
+                { $set: { restauranteId } },
+                opciones
+            );
+        }
+        
+        // Envía el duplicado (ya sin platos ni reseñas activos) a la papelera
+        await db.collection(COLLECTION).updateOne(
+            { _id: duplicadoObjectId },
+            { $set: { ...marcaEliminado, fusionadoCon: restauranteId, fechaActualizacion: ahora } },
+            opciones
+        );
+        
+        // Las reseñas descartadas dejan de contar en las estadísticas de sus autores
+        const autores = new Set(reseñasDescartadas.map((reseña) => reseña.usuarioId.toString()));
+        for (const autorId of autores) {
+            await actualizarEstadisticasUsuario(autorId, session);
+        }
+        
+        // Informe de la fusión
+        return {
+            restaurante,
+            duplicado,
+            platosMovidos: platosMovidos.length,
+            platosDescartados: platosDescartados.map(({ _id, nombre }) => ({ _id, nombre })),
+            reseñasMovidas: reseñasMovidas.length,
+            reseñasDescartadas: reseñasDescartadas.map(({ _id, usuarioId: autorId }) => ({ _id, usuarioId: autorId }))
+        };
+    });
 }
 
+/**
+ * Asigna un restaurante a una cadena o lo deja como restaurante independiente
+ * @param {string} id - ID del restaurante
+ * @param {string|null} cadenaId - ID de la cadena, o null para quitarlo de su cadena
+ * @returns {Promise<object|null>} - Restaurante actualizado o null si no existe
+ */
+// Función asíncrona exportada que convierte un restaurante en sucursal de una cadena (o lo separa)
+// Vuelve a verificar el nombre: dentro de la cadena puede compartirlo con otras sucursales,
+// pero al separarse de la cadena el nombre debe volver a ser único
+// Al cambiar de cadena se descartan los ajustes que la sucursal tenía sobre el menú de la cadena anterior
+// Parámetros:
+//   id - string con el ID del restaurante
+//   cadenaId - string con el ID de la cadena o null
+// Retorna: Promise que se resuelve con el restaurante actualizado o null si no se encontró
+export async function asignarCadenaRestaurante(id, cadenaId) {
+    // Valida que los IDs tengan el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    if (cadenaId && !esObjectIdValido(cadenaId)) {
+        throw new Error('ID de cadena inválido');
+    }
+    
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    
+    // Busca el restaurante (los restaurantes en la papelera no se pueden asignar)
+    const restaurante = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO });
+    if (!restaurante) {
+        return null;
+    }
+    
+    // Verifica que la cadena exista
+    const nuevaCadenaId = cadenaId ? convertirAObjectId(cadenaId) : null;
+    if (nuevaCadenaId) {
+        const cadena = await db.collection('cadenas').findOne({ _id: nuevaCadenaId });
+        if (!cadena) {
+            throw new Error('La cadena especificada no existe');
+        }
+        if (restaurante.cadenaId && !restaurante.cadenaId.equals(nuevaCadenaId)) {
+            throw new Error('El restaurante ya es sucursal de otra cadena');
+        }
+    }
+    
+    // Verifica que el nombre siga disponible con la nueva cadena
+    await verificarNombreDisponible(db, {
+        nombre: restaurante.nombre,
+        cadenaId: nuevaCadenaId,
+        direccion: restaurante.ubicacion?.direccion || '',
+        excluirId: restaurante._id
+    });
+    
+    // Conserva los ajustes y la ubicación de los platos heredados solo si la cadena no cambia
+    const mismaCadena = nuevaCadenaId && restaurante.cadenaId && restaurante.cadenaId.equals(nuevaCadenaId);
+    return await db.collection(COLLECTION).findOneAndUpdate(
+        { _id: restaurante._id },
+        {
+            $set: {
+                cadenaId: nuevaCadenaId,
+                sobrescriturasMenu: mismaCadena ? (restaurante.sobrescriturasMenu || []) : [],
+                posicionesMenuCadena: mismaCadena ? (restaurante.posicionesMenuCadena || []) : [],
+                fechaActualizacion: new Date()
+            }
+        },
+        { returnDocument: 'after' }
+    ).catch((error) => {
+        throw traducirNombreDuplicado(error);
+    });
+}
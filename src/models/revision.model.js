@@ -0,0 +1,171 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// Importa el origen por defecto de una revisión
+import { ORIGENES_REVISION } from '../utils/constants.js';
+
+// Define el nombre de la colección en MongoDB donde se almacena el historial de revisiones
+// Esta constante evita errores de tipeo y facilita el mantenimiento
+const COLLECTION = 'revisiones';
+
+// Función privada que lleva un valor de campo a una forma comparable
+// Los ObjectId y las fechas se comparan por su representación JSON; un campo ausente equivale a null
+function valorComparable(valor) {
+    return JSON.stringify(valor === undefined ? null : valor);
+}
+
+/**
+ * Registra una revisión con los cambios por campo de una edición
+ * @param {object} datos - { entidad, entidadId, restauranteId, campos, anterior, posterior, usuarioId, origen, revertidaDe, sugerenciaId }
+ * @param {object} session - Sesión de transacción MongoDB (opcional)
+ * @returns {Promise<object|null>} - Revisión creada o null si ningún campo cambió
+ */
+// Función asíncrona exportada que usan los modelos de restaurantes y platos después de cada edición
+// Solo guarda los campos editados cuyo valor realmente cambió, con el valor anterior y el nuevo
+// restauranteId permite borrar el historial junto con el restaurante (y los platos de un restaurante)
+export async function registrarRevision(datos, session = null) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const opciones = session ? { session } : {};
+    const {
+        entidad, entidadId, restauranteId, campos, anterior, posterior,
+        usuarioId = null, origen = ORIGENES_REVISION.EDICION, revertidaDe = null, sugerenciaId = null
+    } = datos;
+
+    // Diferencia por campo entre el documento anterior y el posterior
+    const cambios = campos
+        .filter((campo) => valorComparable(anterior[campo]) !== valorComparable(posterior[campo]))
+        .map((campo) => ({
+            campo,
+            anterior: anterior[campo] === undefined ? null : anterior[campo],
+            nuevo: posterior[campo] === undefined ? null : posterior[campo]
+        }));
+    // Una edición que deja todo igual no genera revisión
+    if (cambios.length === 0) {
+        return null;
+    }
+
+    const revision = {
+        entidad,  // 'restaurante' o 'plato'
+        entidadId,  // ID del restaurante o plato editado
+        restauranteId,  // Restaurante al que pertenece (el propio restaurante o el del plato)
+        cambios,  // [{ campo, anterior, nuevo }]
+        usuarioId: usuarioId ? convertirAObjectId(usuarioId.toString()) : null,  // Quién hizo el cambio
+        origen,  // edicion, sugerencia o reversion
+        revertidaDe,  // Revisión revertida (solo en las reversiones)
+        sugerenciaId,  // Sugerencia aceptada (solo si el cambio vino de la comunidad)
+        fecha: posterior.fechaActualizacion || new Date()
+    };
+    const resultado = await db.collection(COLLECTION).insertOne(revision, opciones);
+    return { _id: resultado.insertedId, ...revision };
+}
+
+/**
+ * Obtiene el historial de revisiones de un restaurante o plato
+ * @param {string} entidad - 'restaurante' o 'plato'
+ * @param {string} entidadId - ID del restaurante o plato
+ * @param {object} opciones - { limite, saltar }
+ * @returns {Promise<object>} - { revisiones (más recientes primero), total }
+ */
+// Función asíncrona exportada que lista quién cambió qué y cuándo, con el nombre del autor
+export async function obtenerRevisiones(entidad, entidadId, opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const { limite = 20, saltar = 0 } = opciones;
+    const query = { entidad, entidadId: convertirAObjectId(entidadId.toString()) };
+
+    const [revisiones, total] = await Promise.all([
+        db.collection(COLLECTION).aggregate([
+            // $match: Solo las revisiones de la entidad
+            { $match: query },
+            // $sort: Más recientes primero
+            { $sort: { fecha: -1, _id: -1 } },
+            // $skip y $limit: paginación
+            { $skip: saltar },
+            { $limit: limite },
+            // $lookup: Trae el usuario que hizo el cambio
+            {
+                $lookup: {
+                    from: 'usuarios',
+                    localField: 'usuarioId',
+                    foreignField: '_id',
+                    as: 'usuario'
+                }
+            },
+            // $unwind: Se conserva la revisión aunque el usuario ya no exista
+            { $unwind: { path: '$usuario', preserveNullAndEmptyArrays: true } },
+            // $project: Solo los campos necesarios (nunca el password del usuario)
+            {
+                $project: {
+                    entidad: 1,
+                    entidadId: 1,
+                    cambios: 1,
+                    usuarioId: 1,
+                    origen: 1,
+                    revertidaDe: 1,
+                    sugerenciaId: 1,
+                    fecha: 1,
+                    'usuario.nombre': 1
+                }
+            }
+        ]).toArray(),
+        db.collection(COLLECTION).countDocuments(query)
+    ]);
+    return { revisiones, total };
+}
+
+/**
+ * Calcula los valores que tenía una entidad justo antes de una revisión
+ * @param {string} entidad - 'restaurante' o 'plato'
+ * @param {string} entidadId - ID del restaurante o plato
+ * @param {string} revisionId - ID de la revisión a revertir
+ * @returns {Promise<object|null>} - { revision, valores } o null si la revisión no es de esa entidad
+ */
+// Función asíncrona exportada que usan las reversiones de restaurantes y platos
+// Recorre la revisión indicada y todas las posteriores, de la más reciente a la más antigua,
+// tomando el valor anterior de cada campo: así se deshacen también los cambios hechos después
+// y la entidad vuelve exactamente al estado previo a esa revisión
+export async function calcularValoresAntesDeRevision(entidad, entidadId, revisionId) {
+    // Sin IDs válidos no hay revisión
+    if (!esObjectIdValido(entidadId) || !esObjectIdValido(revisionId)) {
+        return null;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const entidadObjectId = convertirAObjectId(entidadId);
+
+    const revision = await db.collection(COLLECTION).findOne({
+        _id: convertirAObjectId(revisionId),
+        entidad,
+        entidadId: entidadObjectId
+    });
+    if (!revision) {
+        return null;
+    }
+
+    // La revisión y las posteriores (misma fecha: desempata el _id)
+    const revisiones = await db.collection(COLLECTION)
+        .find({
+            entidad,
+            entidadId: entidadObjectId,
+            $or: [
+                { fecha: { $gt: revision.fecha } },
+                { fecha: revision.fecha, _id: { $gte: revision._id } }
+            ]
+        })
+        .sort({ fecha: -1, _id: -1 })
+        .toArray();
+
+    // La más antigua (la revisión indicada) se aplica al final y deja su valor anterior
+    const valores = {};
+    for (const { cambios } of revisiones) {
+        for (const { campo, anterior } of cambios) {
+            valores[campo] = anterior;
+        }
+    }
+    return { revision, valores };
+}
@@ -0,0 +1,307 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds y normalizar ubicaciones
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+// normalizarUbicacion: convierte la ubicación al formato que se guarda (para comparar con la actual)
+// separarPagina: separa la página del documento extra consultado para saber si hay más
+import { esObjectIdValido, convertirAObjectId, normalizarUbicacion, separarPagina } from '../utils/helpers.js';
+// Importa constantes de estados y campos de sugerencia
+import { ESTADOS_SUGERENCIA, CAMPOS_SUGERENCIA, FILTRO_NO_ELIMINADO, ORIGENES_REVISION } from '../utils/constants.js';
+// Importa la función que actualiza restaurantes
+// Al aceptar una sugerencia los cambios se aplican con las mismas validaciones que PUT /restaurantes/:id
+import { actualizarRestaurante } from './restaurante.model.js';
+// Importa el servicio de transacciones: la resolución y los cambios aplicados se guardan juntos
+import { ejecutarTransaccion } from '../services/transacciones.service.js';
+
+// Define el nombre de la colección en MongoDB donde se almacenan las sugerencias de edición
+// Esta constante evita errores de tipeo y facilita el mantenimiento
+const COLLECTION = 'sugerencias';
+
+// Función privada que lleva un valor de campo a una forma comparable
+// La ubicación se normaliza igual que al guardarla y los ObjectId se comparan como texto
+function valorComparable(campo, valor) {
+    if (campo === 'ubicacion') {
+        return normalizarUbicacion(valor);
+    }
+    if (campo === 'cerradoPermanentemente') {
+        return valor === true;
+    }
+    if (valor === undefined || valor === null) {
+        return null;
+    }
+    return campo === 'categoriaId' ? valor.toString() : valor;
+}
+
+/**
+ * Calcula la diferencia por campo entre el restaurante y los cambios propuestos
+ * @param {object} restaurante - Documento actual del restaurante
+ * @param {object} cambios - Valores propuestos por campo
+ * @returns {Array} - Lista de { campo, valorActual, valorPropuesto } solo con los campos que cambian
+ */
+// Función exportada que arma el diff que ve quien revisa la sugerencia
+// Los campos que no pertenecen a CAMPOS_SUGERENCIA o que no cambian se descartan
+export function calcularDiferencias(restaurante, cambios) {
+    return CAMPOS_SUGERENCIA
+        .filter((campo) => cambios[campo] !== undefined)
+        .map((campo) => ({
+            campo,
+            valorActual: valorComparable(campo, restaurante[campo]),
+            valorPropuesto: valorComparable(campo, cambios[campo])
+        }))
+        .filter(({ valorActual, valorPropuesto }) => JSON.stringify(valorActual) !== JSON.stringify(valorPropuesto));
+}
+
+/**
+ * Crea una sugerencia de edición de un restaurante
+ * @param {object} sugerenciaData - Datos de la sugerencia (restauranteId, usuarioId, cambios, comentario)
+ * @returns {Promise<object>} - Sugerencia creada con el diff contra el restaurante actual
+ */
+// Función asíncrona exportada que registra los cambios que un usuario propone para un restaurante
+// Se guardan los valores propuestos tal como llegaron (para aplicarlos al aceptar)
+// y la diferencia por campo contra el documento actual (para revisarla)
+// Parámetros: sugerenciaData - objeto con restauranteId, usuarioId, cambios y comentario opcional
+// Retorna: Promise que se resuelve con la sugerencia creada incluyendo su _id
+export async function crearSugerencia(sugerenciaData) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los campos de la sugerencia usando destructuring
+    const { restauranteId, usuarioId, cambios = {}, comentario } = sugerenciaData;
+
+    // Valida que el restauranteId tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(restauranteId)) {
+        throw new Error('ID de restaurante inválido');
+    }
+
+    // Verifica que el restaurante exista y no esté en la papelera
+    const restaurante = await db.collection('restaurantes').findOne({
+        _id: convertirAObjectId(restauranteId),
+        ...FILTRO_NO_ELIMINADO
+    });
+    if (!restaurante) {
+        throw new Error('El restaurante especificado no existe');
+    }
+
+    // Solo se guardan los campos que realmente cambian
+    const diferencias = calcularDiferencias(restaurante, cambios);
+    if (diferencias.length === 0) {
+        throw new Error('La sugerencia no propone ningún cambio sobre los datos actuales');
+    }
+
+    // Crea el objeto de la nueva sugerencia
+    const nuevaSugerencia = {
+        restauranteId: restaurante._id,  // Restaurante al que se proponen los cambios
+        usuarioId: convertirAObjectId(usuarioId),  // Usuario que propone los cambios
+        // Valores propuestos, solo de los campos que cambian
+        cambios: Object.fromEntries(diferencias.map(({ campo }) => [campo, cambios[campo]])),
+        diferencias,  // Diff por campo contra el restaurante en el momento de la sugerencia
+        comentario: comentario || '',  // Explicación o fuente del cambio (opcional)
+        estado: ESTADOS_SUGERENCIA.PENDIENTE,  // Toda sugerencia empieza pendiente
+        motivoResolucion: null,  // Motivo indicado al resolver
+        resueltoPor: null,  // Admin o propietario que aceptó o rechazó la sugerencia
+        fechaResolucion: null,  // Fecha en que se resolvió
+        fechaCreacion: new Date()  // Marca de tiempo de la sugerencia
+    };
+
+    // Inserta la sugerencia en la colección
+    const resultado = await db.collection(COLLECTION).insertOne(nuevaSugerencia);
+    // Retorna la sugerencia creada con su _id
+    return {
+        _id: resultado.insertedId,
+        ...nuevaSugerencia
+    };
+}
+
+/**
+ * Obtiene sugerencias con filtros
+ * @param {object} filtros - Filtros (estado, restauranteId, usuarioId)
+ * @param {object} opciones - Opciones de paginación (limite, saltar)
+ * @returns {Promise<object>} - { sugerencias (más antiguas primero), total, hasMore }
+ */
+// Función asíncrona exportada que lista sugerencias con los datos básicos del restaurante y del usuario
+// Se ordenan de la más antigua a la más reciente para atenderlas en orden de llegada
+// Parámetros:
+//   filtros - objeto con estado (pendiente/aceptada/rechazada), restauranteId y usuarioId opcionales
+//   opciones - objeto con opciones de paginación (limite, saltar)
+// Retorna: Promise que se resuelve con la página de sugerencias, el total y si hay más
+export async function obtenerSugerencias(filtros = {}, opciones = {}) {
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los filtros y las opciones de paginación
+    const { estado, restauranteId, usuarioId } = filtros;
+    const { limite = 50, saltar = 0 } = opciones;
+
+    // Construye el filtro de la consulta
+    const query = {};
+    if (estado) {
+        query.estado = estado;
+    }
+    if (restauranteId && esObjectIdValido(restauranteId.toString())) {
+        query.restauranteId = convertirAObjectId(restauranteId.toString());
+    }
+    if (usuarioId && esObjectIdValido(usuarioId.toString())) {
+        query.usuarioId = convertirAObjectId(usuarioId.toString());
+    }
+
+    // Agregación que une cada sugerencia con su restaurante y su usuario
+    const consulta = db.collection(COLLECTION).aggregate([
+        // $match: Filtra las sugerencias por estado, restaurante y/o usuario
+        { $match: query },
+        // $sort: Más antiguas primero
+        { $sort: { fechaCreacion: 1, _id: 1 } },
+        // $skip y $limit: paginación (uno más que el límite para saber si hay más)
+        { $skip: saltar },
+        { $limit: limite + 1 },
+        // $lookup: Trae el restaurante
+        {
+            $lookup: {
+                from: 'restaurantes',
+                localField: 'restauranteId',
+                foreignField: '_id',
+                as: 'restaurante'
+            }
+        },
+        // $lookup: Trae el usuario que propone los cambios
+        {
+            $lookup: {
+                from: 'usuarios',
+                localField: 'usuarioId',
+                foreignField: '_id',
+                as: 'usuario'
+            }
+        },
+        // $unwind: Convierte los arrays en objetos (se conservan aunque el documento ya no exista)
+        { $unwind: { path: '$restaurante', preserveNullAndEmptyArrays: true } },
+        { $unwind: { path: '$usuario', preserveNullAndEmptyArrays: true } },
+        // $project: Solo los campos necesarios (nunca el password del usuario)
+        {
+            $project: {
+                restauranteId: 1,
+                usuarioId: 1,
+                diferencias: 1,
+                comentario: 1,
+                estado: 1,
+                motivoResolucion: 1,
+                resueltoPor: 1,
+                fechaResolucion: 1,
+                fechaCreacion: 1,
+                'restaurante.nombre': 1,
+                'usuario.nombre': 1
+            }
+        }
+    ]).toArray();
+    const [documentos, total] = await Promise.all([consulta, db.collection(COLLECTION).countDocuments(query)]);
+    // Este listado no admite cursor: solo se usa si hay una página siguiente
+    const { pagina, hasMore } = separarPagina(documentos, limite, 'fechaCreacion', 'asc');
+    return { sugerencias: pagina, total, hasMore };
+}
+
+/**
+ * Obtiene el restaurante al que pertenece una sugerencia
+ * @param {string} id - ID de la sugerencia
+ * @returns {Promise<ObjectId|null>} - ID del restaurante o null si la sugerencia no existe
+ */
+// Función asíncrona exportada que usan las rutas para verificar si quien resuelve es el propietario
+export async function obtenerRestauranteDeSugerencia(id) {
+    // Sin un ID válido no hay sugerencia
+    if (!esObjectIdValido(id)) {
+        return null;
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const sugerencia = await db.collection(COLLECTION).findOne(
+        { _id: convertirAObjectId(id) },
+        { projection: { restauranteId: 1 } }
+    );
+    return sugerencia ? sugerencia.restauranteId : null;
+}
+
+/**
+ * Resuelve una sugerencia de edición (admin o propietario verificado)
+ * @param {string} id - ID de la sugerencia
+ * @param {object} resolucion - { aceptar (boolean), revisorId, motivo }
+ * @returns {Promise<object>} - { sugerencia, restaurante } (restaurante solo si se aceptó)
+ */
+// Función asíncrona exportada que acepta o rechaza una sugerencia pendiente
+// Al aceptarla, los cambios propuestos se aplican con actualizarRestaurante, que valida
+// el nombre duplicado, la categoría y normaliza la ubicación igual que una edición normal
+// La sugerencia se reclama antes de aplicar los cambios y solo si sigue pendiente
+// (dos revisores no la resuelven ni la aplican dos veces)
+// Parámetros:
+//   id - string con el ID de la sugerencia
+//   resolucion - objeto con aceptar (true = aceptar, false = rechazar), revisorId y motivo opcional
+// Retorna: Promise que se resuelve con la sugerencia actualizada y el restaurante resultante
+export async function resolverSugerencia(id, resolucion) {
+    // Valida que el ID tenga el formato correcto de ObjectId
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    // Extrae los datos de la resolución
+    const { aceptar, revisorId, motivo } = resolucion;
+
+    // Busca la sugerencia y verifica que siga pendiente
+    const sugerencia = await db.collection(COLLECTION).findOne({ _id: convertirAObjectId(id) });
+    if (!sugerencia) {
+        throw new Error('La sugerencia no existe');
+    }
+    if (sugerencia.estado !== ESTADOS_SUGERENCIA.PENDIENTE) {
+        throw new Error('La sugerencia ya fue resuelta');
+    }
+
+    // La resolución y los cambios aplicados se guardan en una sola transacción:
+    // si los cambios no se pueden aplicar (nombre duplicado, categoría inexistente...), la sugerencia sigue pendiente
+    return await ejecutarTransaccion(async (session) => {
+        // Prepara las opciones con la sesión si hay transacción
+        const opciones = session ? { session } : {};
+
+        // Reclama la sugerencia: solo se marca como resuelta si sigue pendiente
+        // Así, si dos revisores la aceptan a la vez, solo uno aplica los cambios
+        const sugerenciaResuelta = await db.collection(COLLECTION).findOneAndUpdate(
+            { _id: sugerencia._id, estado: ESTADOS_SUGERENCIA.PENDIENTE },
+            {
+                $set: {
+                    estado: aceptar ? ESTADOS_SUGERENCIA.ACEPTADA : ESTADOS_SUGERENCIA.RECHAZADA,
+                    motivoResolucion: motivo || null,
+                    resueltoPor: convertirAObjectId(revisorId),
+                    fechaResolucion: new Date()
+                }
+            },
+            { ...opciones, returnDocument: 'after' }
+        );
+        if (!sugerenciaResuelta) {
+            throw new Error('La sugerencia ya fue resuelta');
+        }
+
+        let restaurante = null;
+        if (aceptar) {
+            try {
+                // Aplica los cambios propuestos (copia, porque actualizarRestaurante modifica el objeto recibido)
+                // La revisión registra al revisor que la aceptó y la sugerencia de origen
+                restaurante = await actualizarRestaurante(sugerencia.restauranteId.toString(), { ...sugerencia.cambios }, {
+                    usuarioId: revisorId,
+                    origen: ORIGENES_REVISION.SUGERENCIA,
+                    sugerenciaId: sugerencia._id,
+                    session
+                });
+                if (!restaurante) {
+                    throw new Error('El restaurante de la sugerencia no existe o está en la papelera');
+                }
+            } catch (error) {
+                // Sin transacción (MongoDB standalone) no hay rollback: la sugerencia vuelve a quedar pendiente a mano
+                if (!session) {
+                    await db.collection(COLLECTION).updateOne(
+                        { _id: sugerencia._id, estado: ESTADOS_SUGERENCIA.ACEPTADA },
+                        { $set: { estado: ESTADOS_SUGERENCIA.PENDIENTE, motivoResolucion: null, resueltoPor: null, fechaResolucion: null } }
+                    );
+                }
+                throw error;
+            }
+        }
+
+        return { sugerencia: sugerenciaResuelta, restaurante };
+    });
+}
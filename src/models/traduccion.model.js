@@ -0,0 +1,151 @@
+// Importa la función obtenerBD desde el módulo de configuración de base de datos
+// obtenerBD retorna la referencia a la base de datos MongoDB para realizar operaciones
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper para validar y convertir ObjectIds
+// esObjectIdValido: verifica si un string es un ObjectId válido
+// convertirAObjectId: convierte un string a ObjectId para usar en consultas
+import { esObjectIdValido, convertirAObjectId } from '../utils/helpers.js';
+// Importa la función que registra las ediciones en el historial de revisiones
+import { registrarRevision } from './revision.model.js';
+// Importa los idiomas, los campos traducibles, las entidades y el filtro de la papelera
+import { IDIOMAS, CAMPOS_TRADUCIBLES, ENTIDADES_TRADUCCION, ENTIDADES_REVISION, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
+
+// Colección en la que se guarda cada entidad traducible
+const COLECCIONES = {
+    [ENTIDADES_TRADUCCION.RESTAURANTE]: 'restaurantes',
+    [ENTIDADES_TRADUCCION.PLATO]: 'platos',
+    [ENTIDADES_TRADUCCION.CATEGORIA]: 'categorias'
+};
+
+// Función privada que verifica que el idioma admita traducciones
+// El idioma original se edita directamente en nombre y descripcion
+function verificarIdiomaTraducible(idioma) {
+    if (!IDIOMAS.SOPORTADOS.includes(idioma) || idioma === IDIOMAS.ORIGINAL) {
+        throw new Error(`Idioma inválido: las traducciones admiten ${IDIOMAS.SOPORTADOS.filter((i) => i !== IDIOMAS.ORIGINAL).join(', ')}`);
+    }
+}
+
+// Función privada que reemplaza las traducciones de un documento y registra la revisión
+// Restaurantes y platos guardan el cambio en su historial (campo traducciones); las categorías no tienen historial
+async function reemplazarTraducciones(db, entidad, documento, traducciones, usuarioId) {
+    const fechaActualizacion = new Date();
+    await db.collection(COLECCIONES[entidad]).updateOne(
+        { _id: documento._id },
+        { $set: { traducciones, fechaActualizacion } }
+    );
+    const resultado = { ...documento, traducciones, fechaActualizacion };
+    if (Object.values(ENTIDADES_REVISION).includes(entidad)) {
+        await registrarRevision({
+            entidad,
+            entidadId: documento._id,
+            restauranteId: entidad === ENTIDADES_REVISION.PLATO ? documento.restauranteId : documento._id,
+            campos: ['traducciones'],
+            anterior: documento,
+            posterior: resultado,
+            usuarioId
+        });
+    }
+    return resultado;
+}
+
+/**
+ * Guarda la traducción de un restaurante, plato o categoría
+ * @param {string} entidad - Valor de ENTIDADES_TRADUCCION
+ * @param {string} id - ID del documento
+ * @param {string} idioma - Idioma de la traducción (distinto del original)
+ * @param {object} datos - { nombre, descripcion } (los campos que no se indican se conservan)
+ * @param {object} opciones - { usuarioId } para el historial de revisiones
+ * @returns {Promise<object|null>} - Documento actualizado o null si no existe
+ */
+// Función asíncrona exportada que crea o actualiza traducciones.<idioma> del documento
+export async function guardarTraduccion(entidad, id, idioma, datos, opciones = {}) {
+    verificarIdiomaTraducible(idioma);
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const documento = await db.collection(COLECCIONES[entidad]).findOne({ _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO });
+    if (!documento) {
+        return null;
+    }
+
+    // Combina la traducción anterior con los campos indicados
+    const traduccion = { ...(documento.traducciones?.[idioma] || {}) };
+    for (const campo of CAMPOS_TRADUCIBLES) {
+        if (datos[campo] !== undefined) {
+            traduccion[campo] = datos[campo];
+        }
+    }
+    const traducciones = { ...(documento.traducciones || {}), [idioma]: traduccion };
+    return await reemplazarTraducciones(db, entidad, documento, traducciones, opciones.usuarioId);
+}
+
+/**
+ * Elimina la traducción de un restaurante, plato o categoría en un idioma
+ * @param {string} entidad - Valor de ENTIDADES_TRADUCCION
+ * @param {string} id - ID del documento
+ * @param {string} idioma - Idioma de la traducción
+ * @param {object} opciones - { usuarioId } para el historial de revisiones
+ * @returns {Promise<boolean>} - True si la traducción existía y se eliminó
+ */
+// Función asíncrona exportada que quita traducciones.<idioma>: el documento vuelve a mostrarse en el original
+export async function eliminarTraduccion(entidad, id, idioma, opciones = {}) {
+    verificarIdiomaTraducible(idioma);
+    if (!esObjectIdValido(id)) {
+        throw new Error('ID inválido');
+    }
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+    const documento = await db.collection(COLECCIONES[entidad]).findOne({ _id: convertirAObjectId(id), ...FILTRO_NO_ELIMINADO });
+    if (!documento?.traducciones?.[idioma]) {
+        return false;
+    }
+    const { [idioma]: eliminada, ...traducciones } = documento.traducciones;
+    await reemplazarTraducciones(db, entidad, documento, traducciones, opciones.usuarioId);
+    return true;
+}
+
+/**
+ * Lista el contenido al que le falta traducción en un idioma (solo admin)
+ * @param {string} entidad - Valor de ENTIDADES_TRADUCCION
+ * @param {string} idioma - Idioma a revisar (distinto del original)
+ * @param {object} opciones - { limite, saltar }
+ * @returns {Promise<object>} - { elementos: [{ _id, nombre, descripcion, restauranteId, faltantes }], total }
+ */
+// Función asíncrona exportada para el trabajo de los traductores
+// Un documento está incompleto si le falta el nombre traducido, o la descripción traducida cuando tiene descripción
+// faltantes indica qué campos hay que traducir en cada documento
+export async function obtenerContenidoSinTraducir(entidad, idioma, opciones = {}) {
+    verificarIdiomaTraducible(idioma);
+    const { limite = 20, saltar = 0 } = opciones;
+    // Obtiene la referencia a la base de datos MongoDB
+    const db = obtenerBD();
+
+    const filtro = {
+        ...FILTRO_NO_ELIMINADO,
+        $or: [
+            { [`traducciones.${idioma}.nombre`]: { $in: [null, ''] } },
+            { descripcion: { $nin: [null, ''] }, [`traducciones.${idioma}.descripcion`]: { $in: [null, ''] } }
+        ]
+    };
+    const coleccion = db.collection(COLECCIONES[entidad]);
+    const [documentos, total] = await Promise.all([
+        coleccion
+            .find(filtro, { projection: { nombre: 1, descripcion: 1, restauranteId: 1, traducciones: 1 } })
+            .sort({ nombre: 1, _id: 1 })
+            .skip(saltar)
+            .limit(limite)
+            .toArray(),
+        coleccion.countDocuments(filtro)
+    ]);
+
+    const elementos = documentos.map(({ traducciones, ...documento }) => {
+        const traduccion = traducciones?.[idioma] || {};
+        return {
+            ...documento,
+            faltantes: CAMPOS_TRADUCIBLES.filter((campo) => documento[campo] && !traduccion[campo])
+        };
+    });
+    return { elementos, total };
+}
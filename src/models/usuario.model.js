@@ -5,7 +5,8 @@ import { ObjectId } from 'mongodb';
 // Importa bcrypt para hashear y comparar contraseñas de forma segura
 import bcrypt from 'bcrypt';
 // Importa la constante ROLES que contiene los diferentes roles de usuario
-import { ROLES } from '../utils/constants.js';
+// FILTRO_NO_ELIMINADO: excluye las reseñas que están en la papelera de los conteos
+import { ROLES, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
 
 // Define el nombre de la colección de usuarios en MongoDB
 const COLLECTION = 'usuarios';
@@ -177,7 +178,7 @@ export async function obtenerTodosLosUsuarios(opciones = {}) {
         usuarios.map(async (usuario) => {
             // Cuenta el número total de reseñas que tiene este usuario
             const totalReseñas = await db.collection('reseñas')
-                .countDocuments({ usuarioId: usuario._id }); // Busca reseñas donde el usuarioId coincida con el _id del usuario
+                .countDocuments({ usuarioId: usuario._id, ...FILTRO_NO_ELIMINADO }); // Reseñas del usuario que no están en la papelera
             
             // Retorna el usuario con la información adicional del total de reseñas
             return {
@@ -192,3 +193,83 @@ export async function obtenerTodosLosUsuarios(opciones = {}) {
 }
 
 
+
+/**
+ * Recalcula y guarda las estadísticas de reseñas de un usuario
+ * @param {string|ObjectId} usuarioId - ID del usuario autor de las reseñas
+ * @param {object} session - Sesión de transacción MongoDB (opcional)
+ * @returns {Promise<object>} - Estadísticas calculadas
+ */
+export async function actualizarEstadisticasUsuario(usuarioId, session = null) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    // Prepara las opciones con la sesión si hay transacción
+    const opciones = session ? { session } : {};
+    // Acepta el ID como string u ObjectId
+    const usuarioObjectId = new ObjectId(usuarioId.toString());
+    
+    // Agrupa las reseñas activas del usuario (las de la papelera no cuentan)
+    const resultado = await db.collection('reseñas').aggregate([
+        // Filtra las reseñas del usuario que no están en la papelera
+        { $match: { usuarioId: usuarioObjectId, ...FILTRO_NO_ELIMINADO } },
+        {
+            $group: {
+                // Agrupa todas las reseñas en un solo resultado
+                _id: null,
+                // Cuenta las reseñas publicadas
+                totalReseñas: { $sum: 1 },
+                // Promedio de las calificaciones que dio
+                calificacionPromedio: { $avg: '$calificacion' },
+                // Suma los likes recibidos en sus reseñas
+                likesRecibidos: { $sum: '$likes' },
+                // Suma los dislikes recibidos en sus reseñas
+                dislikesRecibidos: { $sum: '$dislikes' }
+            }
+        }
+    ], opciones).toArray();
+    
+    // Si el usuario no tiene reseñas activas, todas las estadísticas quedan en 0
+    const { _id, ...estadisticas } = resultado[0] || {
+        _id: null,
+        totalReseñas: 0,
+        calificacionPromedio: 0,
+        likesRecibidos: 0,
+        dislikesRecibidos: 0
+    };
+    // Redondea el promedio a 2 decimales
+    estadisticas.calificacionPromedio = Math.round((estadisticas.calificacionPromedio || 0) * 100) / 100;
+    // Registra cuándo se calcularon las estadísticas
+    estadisticas.fechaActualizacion = new Date();
+    
+    // Guarda las estadísticas en el documento del usuario (se muestran en su perfil)
+    await db.collection(COLLECTION).updateOne(
+        { _id: usuarioObjectId },
+        { $set: { estadisticas } },
+        opciones
+    );
+    
+    // Retorna las estadísticas calculadas
+    return estadisticas;
+}
+
+
+/**
+ * Calcula las estadísticas de los usuarios que todavía no las tienen
+ * @returns {Promise<number>} - Número de usuarios actualizados
+ */
+export async function asignarEstadisticasFaltantes() {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    // Busca solo los IDs de los usuarios sin estadísticas (creados antes de existir el campo)
+    const usuarios = await db.collection(COLLECTION)
+        .find({ estadisticas: { $exists: false } }, { projection: { _id: 1 } })
+        .toArray();
+    
+    // Recalcula las estadísticas de cada usuario, uno a la vez para no saturar la base de datos
+    for (const usuario of usuarios) {
+        await actualizarEstadisticasUsuario(usuario._id);
+    }
+    
+    // Retorna cuántos usuarios se actualizaron
+    return usuarios.length;
+}
@@ -0,0 +1,141 @@
+// Importa Router desde express
+// Router permite definir rutas modulares y reutilizables para la aplicación
+import { Router } from 'express';
+// Importa body y param desde express-validator
+import { body, param } from 'express-validator';
+// Importa los controladores de atributos
+import {
+    crear,  // Controlador para agregar un atributo al vocabulario (solo admin)
+    obtenerTodos,  // Controlador para listar el vocabulario
+    obtenerPorId,  // Controlador para obtener un atributo por ID
+    actualizar,  // Controlador para actualizar un atributo (solo admin)
+    eliminar  // Controlador para eliminar un atributo (solo admin)
+} from '../controllers/atributo.controller.js';
+// Importa el middleware de validación
+// validacionMiddleware procesa los errores de validación de express-validator
+import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware de autenticación
+// autenticacionMiddleware verifica que el usuario tenga un token JWT válido
+import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
+// Importa el middleware de roles
+// requiereAdmin verifica que el usuario tenga rol de administrador
+import { requiereAdmin } from '../middlewares/roles.middleware.js';
+// Importa el rate limiter para acciones administrativas
+import { limiterAdmin } from '../config/limiters.js';
+// Importa la función helper que valida ObjectIds
+import { esObjectIdValido } from '../utils/helpers.js';
+// Importa constantes de validación y el formato de la clave de los atributos
+import { VALIDATION_LIMITS, FORMATO_CLAVE_ATRIBUTO } from '../utils/constants.js';
+
+// Crea una instancia de Router para definir las rutas de atributos
+// Este router se montará en la ruta base /api/v1/atributos
+const router = Router();
+
+// Validación reutilizable del parámetro id de la URL
+const validarId = param('id')
+    .custom((value) => {
+        // Validación personalizada: verifica que el ID sea un ObjectId válido
+        if (!esObjectIdValido(value)) {
+            throw new Error('ID inválido');
+        }
+        return true;
+    });
+
+// Validación reutilizable de la descripción (opcional)
+const validarDescripcion = body('descripcion')
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+    .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`);
+
+/**
+ * @route POST /api/v1/atributos
+ * @desc Agregar un atributo al vocabulario (solo admin)
+ * @access Private/Admin
+ */
+router.post(
+    '/',
+    limiterAdmin,
+    autenticacionMiddleware,
+    requiereAdmin,
+    [
+        // Valida la clave: es la que se guarda en los restaurantes y se usa en los filtros
+        body('clave')
+            .trim()
+            .toLowerCase()
+            .notEmpty().withMessage('La clave es requerida')
+            .matches(FORMATO_CLAVE_ATRIBUTO)
+            .withMessage('La clave solo puede tener minúsculas, números y guiones (ej: "pet-friendly")'),
+        // Valida el nombre para mostrar
+        body('nombre')
+            .trim()
+            .notEmpty().withMessage('El nombre es requerido')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+        validarDescripcion
+    ],
+    validacionMiddleware,
+    crear
+);
+
+/**
+ * @route GET /api/v1/atributos
+ * @desc Obtener el vocabulario de atributos
+ * @access Public
+ */
+router.get('/', obtenerTodos);
+
+/**
+ * @route GET /api/v1/atributos/:id
+ * @desc Obtener atributo por ID
+ * @access Public
+ */
+router.get(
+    '/:id',
+    [validarId],
+    validacionMiddleware,
+    obtenerPorId
+);
+
+/**
+ * @route PUT /api/v1/atributos/:id
+ * @desc Actualizar nombre o descripción de un atributo (solo admin; la clave no cambia)
+ * @access Private/Admin
+ */
+router.put(
+    '/:id',
+    limiterAdmin,
+    autenticacionMiddleware,
+    requiereAdmin,
+    [
+        validarId,
+        // Valida el nombre (opcional en actualización)
+        body('nombre')
+            .optional()
+            .trim()
+            .notEmpty().withMessage('El nombre no puede estar vacío')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+        validarDescripcion
+    ],
+    validacionMiddleware,
+    actualizar
+);
+
+/**
+ * @route DELETE /api/v1/atributos/:id
+ * @desc Eliminar atributo del vocabulario y de los restaurantes que lo tenían (solo admin)
+ * @access Private/Admin
+ */
+router.delete(
+    '/:id',
+    limiterAdmin,
+    autenticacionMiddleware,
+    requiereAdmin,
+    [validarId],
+    validacionMiddleware,
+    eliminar
+);
+
+// Exporta el router para que pueda ser montado en la aplicación principal
+export default router;
@@ -0,0 +1,57 @@
+// Importa Router desde express
+// Router permite definir rutas modulares y reutilizables para la aplicación
+import { Router } from 'express';
+// Importa query desde express-validator
+// query valida los parámetros de la query string (query parameters) de las URLs
+import { query } from 'express-validator';
+// Importa el controlador de búsqueda
+// buscar maneja la lógica de la búsqueda global
+import { buscar } from '../controllers/busqueda.controller.js';
+// Importa el middleware de validación
+// validacionMiddleware procesa los errores de validación de express-validator
+import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el rate limiter general para limitar peticiones de búsqueda
+import { limiterGeneral } from '../config/limiters.js';
+
+// Crea una instancia de Router para definir las rutas de búsqueda
+// Este router se montará en la ruta base /api/v1/buscar
+const router = Router();
+
+/**
+ * @route GET /api/v1/buscar?q=
+ * @desc Buscar restaurantes, platos y categorías (ignora acentos y mayúsculas)
+ * @access Public
+ */
+// Define la ruta GET para la búsqueda global
+// Esta ruta es pública, no requiere autenticación
+router.get(
+    '/',  // Ruta relativa: se completa con /api/v1/buscar
+    limiterGeneral,  // Aplica rate limiting general
+    [
+        // Valida el parámetro q (término de búsqueda) de la query string
+        query('q')
+            .trim()  // Elimina espacios en blanco al inicio y final
+            .notEmpty().withMessage('El término de búsqueda es requerido')  // Verifica que no esté vacío
+            // Verifica que el término tenga entre 2 y 100 caracteres
+            .isLength({ min: 2, max: 100 })
+            .withMessage('El término de búsqueda debe tener entre 2 y 100 caracteres'),
+        // Valida el parámetro limite de la query string (resultados por tipo)
+        query('limite')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea un número entero entre 1 y 50
+            .isInt({ min: 1, max: 50 })
+            .withMessage('El límite debe ser un número entre 1 y 50'),  // Mensaje de error
+        // Valida el parámetro incluirCerrados (por defecto los restaurantes cerrados no aparecen)
+        query('incluirCerrados')
+            .optional()
+            .isBoolean()
+            .withMessage('incluirCerrados debe ser true o false')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que maneja la lógica de la búsqueda
+    buscar
+);
+
+// Exporta el router para que pueda ser montado en la aplicación principal
+export default router;
@@ -0,0 +1,326 @@
+// Importa Router desde express
+// Router permite definir rutas modulares y reutilizables para la aplicación
+import { Router } from 'express';
+// Importa body, param y query desde express-validator
+import { body, param, query } from 'express-validator';
+// Importa los controladores de cadenas
+import {
+    crear,  // Controlador para crear una cadena (solo admin)
+    obtenerTodas,  // Controlador para listar las cadenas
+    obtenerPorId,  // Controlador para la página de una cadena
+    actualizar,  // Controlador para actualizar una cadena (solo admin)
+    eliminar,  // Controlador para eliminar una cadena sin sucursales (solo admin)
+    agregarSucursal,  // Controlador para convertir un restaurante en sucursal (solo admin)
+    quitarSucursal,  // Controlador para separar una sucursal de la cadena (solo admin)
+    crearPlato,  // Controlador para agregar un plato al menú compartido (solo admin)
+    actualizarPlato,  // Controlador para modificar un plato del menú compartido (solo admin)
+    eliminarPlato  // Controlador para quitar un plato del menú compartido (solo admin)
+} from '../controllers/cadena.controller.js';
+// Importa el middleware de validación
+// validacionMiddleware procesa los errores de validación de express-validator
+import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware de autenticación
+// autenticacionMiddleware verifica que el usuario tenga un token JWT válido
+import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
+// Importa el middleware de roles
+// requiereAdmin verifica que el usuario tenga rol de administrador
+import { requiereAdmin } from '../middlewares/roles.middleware.js';
+// Importa los rate limiters
+// limiterGeneral: limiter general para rutas normales
+// limiterAdmin: limiter para acciones administrativas
+import { limiterGeneral, limiterAdmin } from '../config/limiters.js';
+// Importa la función helper que valida ObjectIds
+import { esObjectIdValido } from '../utils/helpers.js';
+// Importa constantes de validación
+import { VALIDATION_LIMITS } from '../utils/constants.js';
+
+// Crea una instancia de Router para definir las rutas de cadenas
+// Este router se montará en la ruta base /api/v1/cadenas
+const router = Router();
+
+// Función privada que construye la validación de un ObjectId en la URL
+const validarIdParam = (nombre, mensaje) => param(nombre)
+    .custom((value) => {
+        // Validación personalizada: verifica que el ID sea un ObjectId válido
+        if (!esObjectIdValido(value)) {
+            throw new Error(mensaje);
+        }
+        return true;
+    });
+
+// Validaciones de los datos de la cadena (nombre obligatorio al crear)
+const validarDatosCadena = (nombreRequerido) => [
+    // Valida el nombre de la cadena
+    nombreRequerido
+        ? body('nombre')
+            .trim()
+            .notEmpty().withMessage('El nombre es requerido')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`)
+        : body('nombre')
+            .optional()
+            .trim()
+            .notEmpty().withMessage('El nombre no puede estar vacío')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+    // Valida la descripción (opcional)
+    body('descripcion')
+        .optional()
+        .trim()
+        .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+        .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+    // Valida la categoría principal (opcional)
+    body('categoriaId')
+        .optional()
+        .custom((value) => {
+            // Si se proporciona categoriaId, debe ser un ObjectId válido
+            if (value && !esObjectIdValido(value)) {
+                throw new Error('ID de categoría inválido');
+            }
+            return true;
+        })
+];
+
+// Validaciones de un plato del menú compartido (nombre obligatorio al crear)
+const validarDatosPlato = (nombreRequerido) => [
+    // Valida el nombre del plato
+    nombreRequerido
+        ? body('nombre')
+            .trim()
+            .notEmpty().withMessage('El nombre es requerido')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`)
+        : body('nombre')
+            .optional()
+            .trim()
+            .notEmpty().withMessage('El nombre no puede estar vacío')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+    // Valida la descripción (opcional)
+    body('descripcion')
+        .optional()
+        .trim()
+        .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+        .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+    // Valida el precio de referencia (opcional)
+    body('precio')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('El precio debe ser un número mayor o igual a 0')
+];
+
+/**
+ * @route GET /api/v1/cadenas
+ * @desc Listar cadenas con su número de sucursales
+ * @access Public
+ */
+router.get(
+    '/',  // Ruta relativa: /api/v1/cadenas
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    [
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista las cadenas
+    obtenerTodas
+);
+
+/**
+ * @route POST /api/v1/cadenas
+ * @desc Crear cadena (marca con varias sucursales)
+ * @access Private/Admin
+ */
+router.post(
+    '/',  // Ruta relativa: /api/v1/cadenas
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    validarDatosCadena(true),
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que crea la cadena
+    crear
+);
+
+/**
+ * @route GET /api/v1/cadenas/:id
+ * @desc Página de la cadena: sucursales, calificación agregada y menú compartido
+ * @access Public
+ */
+router.get(
+    '/:id',  // Ruta relativa: /api/v1/cadenas/:id
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    [validarIdParam('id', 'ID inválido')],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que arma la página de la cadena
+    obtenerPorId
+);
+
+/**
+ * @route PUT /api/v1/cadenas/:id
+ * @desc Actualizar cadena
+ * @access Private/Admin
+ */
+router.put(
+    '/:id',  // Ruta relativa: /api/v1/cadenas/:id
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [validarIdParam('id', 'ID inválido'), ...validarDatosCadena(false)],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que actualiza la cadena
+    actualizar
+);
+
+/**
+ * @route DELETE /api/v1/cadenas/:id
+ * @desc Eliminar cadena sin sucursales (junto con su menú compartido)
+ * @access Private/Admin
+ */
+router.delete(
+    '/:id',  // Ruta relativa: /api/v1/cadenas/:id
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [validarIdParam('id', 'ID inválido')],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que elimina la cadena
+    eliminar
+);
+
+/**
+ * @route POST /api/v1/cadenas/:id/sucursales
+ * @desc Convertir un restaurante existente en sucursal de la cadena
+ * @access Private/Admin
+ */
+router.post(
+    '/:id/sucursales',  // Ruta relativa: /api/v1/cadenas/:id/sucursales
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        validarIdParam('id', 'ID inválido'),
+        // Valida el restaurante que pasa a ser sucursal
+        body('restauranteId')
+            .custom((value) => {
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID de restaurante inválido');
+                }
+                return true;
+            })
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que agrega la sucursal
+    agregarSucursal
+);
+
+/**
+ * @route DELETE /api/v1/cadenas/:id/sucursales/:restauranteId
+ * @desc Separar una sucursal de la cadena (vuelve a ser un restaurante independiente)
+ * @access Private/Admin
+ */
+router.delete(
+    '/:id/sucursales/:restauranteId',
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [validarIdParam('id', 'ID inválido'), validarIdParam('restauranteId', 'ID de restaurante inválido')],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que separa la sucursal
+    quitarSucursal
+);
+
+/**
+ * @route POST /api/v1/cadenas/:id/platos
+ * @desc Agregar un plato al menú compartido (lo heredan todas las sucursales)
+ * @access Private/Admin
+ */
+router.post(
+    '/:id/platos',  // Ruta relativa: /api/v1/cadenas/:id/platos
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [validarIdParam('id', 'ID inválido'), ...validarDatosPlato(true)],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que crea el plato de la cadena
+    crearPlato
+);
+
+/**
+ * @route PUT /api/v1/cadenas/:id/platos/:platoId
+ * @desc Actualizar un plato del menú compartido
+ * @access Private/Admin
+ */
+router.put(
+    '/:id/platos/:platoId',
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [validarIdParam('id', 'ID inválido'), validarIdParam('platoId', 'ID de plato inválido'), ...validarDatosPlato(false)],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que actualiza el plato de la cadena
+    actualizarPlato
+);
+
+/**
+ * @route DELETE /api/v1/cadenas/:id/platos/:platoId
+ * @desc Quitar un plato del menú compartido (y los ajustes de las sucursales sobre él)
+ * @access Private/Admin
+ */
+router.delete(
+    '/:id/platos/:platoId',
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [validarIdParam('id', 'ID inválido'), validarIdParam('platoId', 'ID de plato inválido')],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que elimina el plato de la cadena
+    eliminarPlato
+);
+
+// Exporta el router para que pueda ser montado en la aplicación principal
+export default router;
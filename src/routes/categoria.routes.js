@@ -14,9 +14,18 @@ import {
     actualizar,  // Controlador para actualizar una categoría
     eliminar  // Controlador para eliminar una categoría
 } from '../controllers/categoria.controller.js';
+// Importa los controladores de las traducciones del contenido
+import {
+    guardarDeCategoria as guardarTraduccion,  // Controlador para guardar la traducción en un idioma
+    eliminarDeCategoria as eliminarTraduccion  // Controlador para eliminar la traducción en un idioma
+} from '../controllers/traduccion.controller.js';
+// Importa las validaciones de las rutas de traducciones (:id, :idioma y cuerpo)
+import { validacionesRutaTraduccion, validacionesGuardarTraduccion } from '../middlewares/validacionTraduccion.middleware.js';
 // Importa el middleware de validación
 // validacionMiddleware procesa los errores de validación de express-validator
 import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware que acepta un slug en lugar del ID
+import { aceptarSlug } from '../middlewares/slug.middleware.js';
 // Importa el middleware de autenticación
 // autenticacionMiddleware verifica que el usuario tenga un token JWT válido
 import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
@@ -89,13 +98,15 @@ router.get('/', obtenerTodas);
 
 /**
  * @route GET /api/v1/categorias/:id
- * @desc Obtener categoría por ID
+ * @desc Obtener categoría por ID o slug
  * @access Public
  */
 // Define la ruta GET para obtener una categoría específica por su ID
 // Esta ruta es pública, no requiere autenticación
 router.get(
     '/:id',  // Ruta relativa con parámetro dinámico: /api/v1/categorias/:id
+    // Acepta el slug de la categoría (un slug anterior redirige con 301 al actual)
+    aceptarSlug('categorias'),
     [
         // Valida el parámetro id de la URL
         param('id')
@@ -160,6 +171,47 @@ router.put(
     actualizar
 );
 
+/**
+ * @route PUT /api/v1/categorias/:id/traducciones/:idioma
+ * @desc Guardar la traducción de la categoría (nombre y/o descripción) en un idioma
+ * @access Private/Admin
+ */
+// Define la ruta PUT para traducir el contenido de la categoría (se muestra con ?lang= o Accept-Language)
+router.put(
+    '/:id/traducciones/:idioma',  // Ruta relativa: /api/v1/categorias/:id/traducciones/:idioma
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    validacionesGuardarTraduccion,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que guarda la traducción
+    guardarTraduccion
+);
+
+/**
+ * @route DELETE /api/v1/categorias/:id/traducciones/:idioma
+ * @desc Eliminar la traducción de la categoría en un idioma (vuelve a mostrarse el original)
+ * @access Private/Admin
+ */
+router.delete(
+    '/:id/traducciones/:idioma',  // Ruta relativa: /api/v1/categorias/:id/traducciones/:idioma
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    validacionesRutaTraduccion,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que elimina la traducción
+    eliminarTraduccion
+);
+
 /**
  * @route DELETE /api/v1/categorias/:id
  * @desc Eliminar categoría (solo admin)
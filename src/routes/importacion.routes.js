@@ -0,0 +1,190 @@
+// Importa Router desde express
+// Router permite definir rutas modulares y reutilizables para la aplicación
+// json y text parsean el archivo subido con el límite de tamaño de las importaciones
+import { Router, json, text } from 'express';
+// Importa param y query desde express-validator
+import { param, query } from 'express-validator';
+// Importa los controladores de importaciones
+import {
+    importar,  // Controlador para importar un archivo CSV o JSON
+    obtenerTodas,  // Controlador para listar las importaciones
+    obtenerPorId,  // Controlador para obtener el progreso de una importación
+    obtenerFilas,  // Controlador para obtener el informe por fila
+    reanudar  // Controlador para reanudar una importación interrumpida
+} from '../controllers/importacion.controller.js';
+// Importa el middleware de validación
+// validacionMiddleware procesa los errores de validación de express-validator
+import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware de autenticación
+// autenticacionMiddleware verifica que el usuario tenga un token JWT válido
+import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
+// Importa el middleware de roles
+// requiereAdmin verifica que el usuario tenga rol de administrador
+import { requiereAdmin } from '../middlewares/roles.middleware.js';
+// Importa el rate limiter para acciones administrativas
+import { limiterAdmin } from '../config/limiters.js';
+// Importa la función helper que valida ObjectIds
+import { esObjectIdValido } from '../utils/helpers.js';
+// Importa los estados posibles de una fila importada y el tamaño máximo del archivo
+import { ESTADOS_FILA_IMPORTACION, IMPORTACION } from '../utils/constants.js';
+
+// Crea una instancia de Router para definir las rutas de importación
+// Este router se montará en la ruta base /api/v1/admin/importaciones
+const router = Router();
+
+// Validación compartida del parámetro id de la URL
+const validarIdImportacion = param('id')
+    .custom((value) => {
+        // Validación personalizada: verifica que el ID sea un ObjectId válido
+        if (!esObjectIdValido(value)) {
+            throw new Error('ID inválido');
+        }
+        return true;
+    });
+
+/**
+ * @route POST /api/v1/admin/importaciones
+ * @desc Importar restaurantes (con sus platos) desde un CSV (text/csv) o un JSON; con dryRun=true solo valida
+ * @access Private/Admin
+ */
+router.post(
+    '/',  // Ruta relativa: /api/v1/admin/importaciones
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    // Parsea el archivo (JSON o text/csv) solo después de autenticar, con un límite mayor que el resto de la API
+    json({ limit: IMPORTACION.LIMITE_ARCHIVO }),
+    text({ type: 'text/csv', limit: IMPORTACION.LIMITE_ARCHIVO }),
+    [
+        // Valida el modo de prueba (opcional)
+        query('dryRun')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('dryRun debe ser true o false')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que valida el archivo e inicia la importación
+    importar
+);
+
+/**
+ * @route GET /api/v1/admin/importaciones
+ * @desc Listar las importaciones (más recientes primero)
+ * @access Private/Admin
+ */
+router.get(
+    '/',  // Ruta relativa: /api/v1/admin/importaciones
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista las importaciones
+    obtenerTodas
+);
+
+/**
+ * @route GET /api/v1/admin/importaciones/:id
+ * @desc Obtener el estado de una importación con los totales por estado de fila
+ * @access Private/Admin
+ */
+router.get(
+    '/:id',  // Ruta relativa: /api/v1/admin/importaciones/:id
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [validarIdImportacion],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que retorna la importación
+    obtenerPorId
+);
+
+/**
+ * @route GET /api/v1/admin/importaciones/:id/filas
+ * @desc Informe por fila: estado, errores y restaurante creado
+ * @access Private/Admin
+ */
+router.get(
+    '/:id/filas',  // Ruta relativa: /api/v1/admin/importaciones/:id/filas
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        validarIdImportacion,
+        // Valida el filtro de estado (opcional)
+        query('estado')
+            .optional()
+            .isIn(Object.values(ESTADOS_FILA_IMPORTACION))
+            .withMessage(`El estado debe ser uno de: ${Object.values(ESTADOS_FILA_IMPORTACION).join(', ')}`),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 500 })
+            .withMessage('El límite debe ser un número entre 1 y 500'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista las filas
+    obtenerFilas
+);
+
+/**
+ * @route POST /api/v1/admin/importaciones/:id/reanudar
+ * @desc Reanudar una importación interrumpida (reintentarFallidas=true reintenta también las filas fallidas)
+ * @access Private/Admin
+ */
+router.post(
+    '/:id/reanudar',  // Ruta relativa: /api/v1/admin/importaciones/:id/reanudar
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        validarIdImportacion,
+        // Valida si se reintentan las filas fallidas (opcional)
+        query('reintentarFallidas')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('reintentarFallidas debe ser true o false')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que reanuda la importación
+    reanudar
+);
+
+// Exporta el router para que pueda ser montado en la aplicación principal
+export default router;
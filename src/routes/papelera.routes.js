@@ -0,0 +1,129 @@
+// Importa Router desde express
+// Router permite definir rutas modulares y reutilizables para la aplicación
+import { Router } from 'express';
+// Importa body, param y query desde express-validator
+import { body, param, query } from 'express-validator';
+// Importa los controladores de la papelera
+import {
+    obtenerTodo,  // Controlador para listar los elementos eliminados
+    restaurar,  // Controlador para restaurar un elemento
+    purgar  // Controlador para purgar los elementos vencidos
+} from '../controllers/papelera.controller.js';
+// Importa el middleware de validación
+// validacionMiddleware procesa los errores de validación de express-validator
+import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware de autenticación
+// autenticacionMiddleware verifica que el usuario tenga un token JWT válido
+import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
+// Importa el middleware de roles
+// requiereAdmin verifica que el usuario tenga rol de administrador
+import { requiereAdmin } from '../middlewares/roles.middleware.js';
+// Importa el rate limiter para acciones administrativas
+import { limiterAdmin } from '../config/limiters.js';
+// Importa la función helper que valida ObjectIds
+import { esObjectIdValido } from '../utils/helpers.js';
+// Importa los tipos de elementos que pueden estar en la papelera
+import { TIPOS_PAPELERA } from '../utils/constants.js';
+
+// Crea una instancia de Router para definir las rutas de la papelera
+// Este router se montará en la ruta base /api/v1/admin/papelera
+const router = Router();
+
+/**
+ * @route GET /api/v1/admin/papelera
+ * @desc Listar restaurantes, platos y reseñas eliminados (más recientes primero)
+ * @access Private/Admin
+ */
+router.get(
+    '/',  // Ruta relativa: /api/v1/admin/papelera
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el tipo de elemento (opcional: sin tipo lista todos)
+        query('tipo')
+            .optional()
+            .isIn(Object.keys(TIPOS_PAPELERA))
+            .withMessage(`El tipo debe ser uno de: ${Object.keys(TIPOS_PAPELERA).join(', ')}`),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista la papelera
+    obtenerTodo
+);
+
+/**
+ * @route POST /api/v1/admin/papelera/purgar
+ * @desc Eliminar definitivamente los elementos más antiguos que la retención
+ * @access Private/Admin
+ */
+router.post(
+    '/purgar',  // Ruta relativa: /api/v1/admin/papelera/purgar
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida la retención opcional en días (default PAPELERA_RETENCION_DIAS)
+        body('retencionDias')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('La retención debe ser un número de días mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que purga la papelera
+    purgar
+);
+
+/**
+ * @route PATCH /api/v1/admin/papelera/:tipo/:id/restaurar
+ * @desc Restaurar un restaurante, plato o reseña (recalcula calificación y ranking)
+ * @access Private/Admin
+ */
+router.patch(
+    '/:tipo/:id/restaurar',  // Ruta relativa: /api/v1/admin/papelera/:tipo/:id/restaurar
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el tipo de elemento
+        param('tipo')
+            .isIn(Object.keys(TIPOS_PAPELERA))
+            .withMessage(`El tipo debe ser uno de: ${Object.keys(TIPOS_PAPELERA).join(', ')}`),
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            })
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que restaura el elemento
+    restaurar
+);
+
+// Exporta el router para que pueda ser montado en la aplicación principal
+export default router;
@@ -4,7 +4,8 @@ import { Router } from 'express';
 // Importa body y param desde express-validator
 // body valida los datos del cuerpo de la petición (req.body)
 // param valida los parámetros de la URL (req.params)
-import { body, param } from 'express-validator';
+// query valida los parámetros de la query string (req.query)
+import { body, param, query } from 'express-validator';
 // Importa los controladores de platos
 // Estas funciones manejan la lógica de negocio para las operaciones CRUD de platos
 import {
@@ -12,20 +13,50 @@ import {
     obtenerPorRestaurante,  // Controlador para obtener platos de un restaurante
     obtenerPorId,  // Controlador para obtener un plato por ID
     actualizar,  // Controlador para actualizar un plato
-    eliminar  // Controlador para eliminar un plato
+    eliminar,  // Controlador para eliminar un plato
+    crearSeccion,  // Controlador para agregar una sección a la carta
+    actualizarSeccion,  // Controlador para renombrar una sección
+    eliminarSeccion,  // Controlador para quitar una sección
+    reordenar,  // Controlador para reordenar en bloque secciones y platos
+    obtenerPrecios,  // Controlador para obtener el historial de precios de un plato
+    compararPrecios  // Controlador para comparar el precio de platos parecidos entre restaurantes
 } from '../controllers/plato.controller.js';
+// Importa los controladores de las traducciones del contenido
+import {
+    guardarDePlato as guardarTraduccion,  // Controlador para guardar la traducción en un idioma
+    eliminarDePlato as eliminarTraduccion  // Controlador para eliminar la traducción en un idioma
+} from '../controllers/traduccion.controller.js';
+// Importa las validaciones de las rutas de traducciones (:id, :idioma y cuerpo)
+import { validacionesRutaTraduccion, validacionesGuardarTraduccion } from '../middlewares/validacionTraduccion.middleware.js';
+// Importa los controladores del historial de revisiones
+import {
+    obtenerDePlato as obtenerRevisiones,  // Controlador para listar las revisiones del plato
+    revertirPlato as revertirRevision  // Controlador para revertir una revisión (solo admin)
+} from '../controllers/revision.controller.js';
 // Importa el middleware de validación
 // validacionMiddleware procesa los errores de validación de express-validator
 import { validacionMiddleware } from '../middlewares/validationDTO.js';
 // Importa el middleware de autenticación
 // autenticacionMiddleware verifica que el usuario tenga un token JWT válido
 import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
-// Importa el rate limiter general
+// Importa los middlewares de roles
+// requiereAdmin verifica que el usuario tenga rol de administrador
+// requierePropietarioOAdmin verifica que el usuario sea admin o propietario verificado del restaurante
+import { requiereAdmin, requierePropietarioOAdmin } from '../middlewares/roles.middleware.js';
+// Importa la búsqueda de platos para conocer el restaurante al que pertenece el plato editado
+import { buscarPlatoPorId } from '../models/plato.model.js';
+// Importa el middleware que acepta un slug en lugar del ID del restaurante
+import { aceptarSlug } from '../middlewares/slug.middleware.js';
+// Importa los rate limiters
 // limiterGeneral limita el número de peticiones por IP para prevenir abuso
-import { limiterGeneral } from '../config/limiters.js';
+// limiterAdmin: limiter para acciones administrativas
+import { limiterGeneral, limiterAdmin } from '../config/limiters.js';
 // Importa función helper para validar ObjectIds
 // esObjectIdValido verifica si un string es un ObjectId válido de MongoDB
-import { esObjectIdValido } from '../utils/helpers.js';
+// validarInformacionAlimentaria verifica alérgenos, dietas, nivel de picante e información nutricional
+import { esObjectIdValido, validarInformacionAlimentaria, esMonedaValida } from '../utils/helpers.js';
+// Importa las validaciones de los filtros alimentarios (compartidas con el ranking de platos)
+import { validacionesFiltrosAlimentarios } from '../middlewares/validacionPlato.middleware.js';
 // Importa constantes de validación
 // VALIDATION_LIMITS contiene los límites máximos para campos (NOMBRE_MAX_LENGTH, DESCRIPCION_MAX_LENGTH, etc.)
 import { VALIDATION_LIMITS } from '../utils/constants.js';
@@ -34,6 +65,59 @@ import { VALIDATION_LIMITS } from '../utils/constants.js';
 // Este router se montará en la ruta base /api/v1/platos
 const router = Router();
 
+// Obtiene el restaurante dueño del plato indicado en la URL (null si el plato no existe)
+// Se usa para verificar la propiedad en las rutas de edición y eliminación de platos
+const restauranteDelPlato = async (req) => (await buscarPlatoPorId(req.params.id))?.restauranteId;
+
+// Obtiene el restaurante indicado en la URL (rutas de secciones y orden de la carta)
+const restauranteDeLaRuta = (req) => req.params.restauranteId;
+
+// Validador de la sección de un plato: un ObjectId o null (plato sin sección)
+const validarSeccionId = (value) => {
+    if (value !== null && !esObjectIdValido(String(value))) {
+        throw new Error('ID de sección inválido');
+    }
+    return true;
+};
+
+// Validador del parámetro restauranteId de la URL
+const validarRestauranteIdRuta = param('restauranteId')
+    .custom((value) => {
+        // Validación personalizada: verifica que el ID sea un ObjectId válido
+        if (!esObjectIdValido(value)) {
+            throw new Error('ID de restaurante inválido');
+        }
+        return true;
+    });
+
+// Validaciones de la información alimentaria del plato (crear y actualizar)
+// null borra el valor: alergenos vuelve a "sin declarar", nivelPicante y nutricion a "sin informar"
+const validacionesInformacionAlimentaria = [
+    // Alérgenos que contiene el plato (ej: ["gluten", "lacteos"]; [] = ninguno)
+    body('alergenos')
+        .optional()
+        .custom((alergenos) => validarInformacionAlimentaria({ alergenos })),
+    // Dietas a las que se ajusta el plato (ej: ["vegano", "sin-gluten"])
+    body('dietas')
+        .optional()
+        .custom((dietas) => validarInformacionAlimentaria({ dietas })),
+    // Nivel de picante de 0 (no pica) a 3 (muy picante)
+    body('nivelPicante')
+        .optional()
+        .custom((nivelPicante) => validarInformacionAlimentaria({ nivelPicante })),
+    // Información nutricional por porción (ej: { calorias: 520, proteinas: 30 })
+    body('nutricion')
+        .optional()
+        .custom((nutricion) => validarInformacionAlimentaria({ nutricion }))
+];
+
+// Validaciones del nombre de una sección del menú
+const validarNombreSeccion = body('nombre')
+    .trim()  // Elimina espacios en blanco al inicio y final
+    .notEmpty().withMessage('El nombre de la sección es requerido')
+    .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+    .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`);
+
 /**
  * @route POST /api/v1/platos
  * @desc Crear nuevo plato
@@ -80,7 +164,18 @@ router.post(
         body('precio')
             .optional()  // El campo es opcional
             // Verifica que sea un número flotante mayor o igual a 0
-            .isFloat({ min: 0 }).withMessage('El precio debe ser un número positivo')
+            .isFloat({ min: 0 }).withMessage('El precio debe ser un número positivo'),
+        // Valida la sección del menú del plato (opcional, null = sin sección)
+        body('seccionId')
+            .optional()
+            .custom(validarSeccionId),
+        // Valida la posición del plato dentro de su sección (opcional, por defecto al final)
+        body('orden')
+            .optional()
+            .isInt({ min: 0 }).withMessage('El orden debe ser un número entero mayor o igual a 0')
+            .toInt(),
+        // Valida alérgenos, dietas, nivel de picante e información nutricional (opcionales)
+        ...validacionesInformacionAlimentaria
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
@@ -90,13 +185,16 @@ router.post(
 
 /**
  * @route GET /api/v1/platos/restaurante/:restauranteId
- * @desc Obtener platos de un restaurante
+ * @desc Obtener platos de un restaurante en el orden de la carta (incluye los heredados de su cadena); con agruparPorSeccion=true, agrupados por sección
+ *       Filtros opcionales: dietas, sinAlergenos, picanteMax y caloriasMax
  * @access Public
  */
 // Define la ruta GET para obtener todos los platos de un restaurante específico
 // Esta ruta es pública, no requiere autenticación
 router.get(
     '/restaurante/:restauranteId',  // Ruta relativa con parámetro dinámico: /api/v1/platos/restaurante/:restauranteId
+    // Acepta el slug del restaurante (un slug anterior redirige con 301 al actual)
+    aceptarSlug('restaurantes', 'restauranteId'),
     [
         // Valida el parámetro restauranteId de la URL
         param('restauranteId')
@@ -106,7 +204,14 @@ router.get(
                     throw new Error('ID de restaurante inválido');
                 }
                 return true;
-            })
+            }),
+        // Valida la opción de agrupar la carta por sección
+        query('agruparPorSeccion')
+            .optional()
+            .isBoolean()
+            .withMessage('agruparPorSeccion debe ser true o false'),
+        // Valida los filtros de dietas, alérgenos, picante y calorías
+        ...validacionesFiltrosAlimentarios
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
@@ -114,6 +219,188 @@ router.get(
     obtenerPorRestaurante
 );
 
+/**
+ * @route POST /api/v1/platos/restaurante/:restauranteId/secciones
+ * @desc Agregar una sección a la carta del restaurante (va al final)
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta POST para crear secciones como Entradas, Platos fuertes, Postres o Bebidas
+router.post(
+    '/restaurante/:restauranteId/secciones',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Acepta el slug del restaurante en lugar de su ID
+    aceptarSlug('restaurantes', 'restauranteId'),
+    [validarRestauranteIdRuta, validarNombreSeccion],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que crea la sección
+    crearSeccion
+);
+
+/**
+ * @route PUT /api/v1/platos/restaurante/:restauranteId/secciones/:seccionId
+ * @desc Renombrar una sección de la carta
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta PUT para cambiar el nombre de una sección (el orden se cambia con /orden)
+router.put(
+    '/restaurante/:restauranteId/secciones/:seccionId',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Acepta el slug del restaurante en lugar de su ID
+    aceptarSlug('restaurantes', 'restauranteId'),
+    [
+        validarRestauranteIdRuta,
+        // Valida el parámetro seccionId de la URL
+        param('seccionId').custom(validarSeccionId),
+        validarNombreSeccion
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que renombra la sección
+    actualizarSeccion
+);
+
+/**
+ * @route DELETE /api/v1/platos/restaurante/:restauranteId/secciones/:seccionId
+ * @desc Quitar una sección de la carta (sus platos quedan sin sección)
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta DELETE para eliminar una sección sin eliminar sus platos
+router.delete(
+    '/restaurante/:restauranteId/secciones/:seccionId',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Acepta el slug del restaurante en lugar de su ID
+    aceptarSlug('restaurantes', 'restauranteId'),
+    [
+        validarRestauranteIdRuta,
+        // Valida el parámetro seccionId de la URL
+        param('seccionId').custom(validarSeccionId)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que elimina la sección
+    eliminarSeccion
+);
+
+/**
+ * @route PUT /api/v1/platos/restaurante/:restauranteId/orden
+ * @desc Reordenar en bloque las secciones y los platos de la carta (y mover platos entre secciones)
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta PUT que usa el editor de la carta al arrastrar secciones y platos
+// Body: { secciones: [seccionId, ...], platos: [{ platoId, seccionId }, ...] } (ambos opcionales, en orden de aparición)
+router.put(
+    '/restaurante/:restauranteId/orden',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Acepta el slug del restaurante en lugar de su ID
+    aceptarSlug('restaurantes', 'restauranteId'),
+    [
+        validarRestauranteIdRuta,
+        // Valida el orden de las secciones: lista de IDs de sección
+        body('secciones')
+            .optional()
+            .isArray().withMessage('secciones debe ser una lista de IDs de sección'),
+        body('secciones.*')
+            .custom((value) => {
+                if (!esObjectIdValido(String(value))) {
+                    throw new Error('ID de sección inválido');
+                }
+                return true;
+            }),
+        // Valida el orden de los platos: lista de { platoId, seccionId }
+        body('platos')
+            .optional()
+            .isArray().withMessage('platos debe ser una lista de { platoId, seccionId }'),
+        body('platos.*.platoId')
+            .custom((value) => {
+                if (!esObjectIdValido(String(value))) {
+                    throw new Error('ID de plato inválido');
+                }
+                return true;
+            }),
+        body('platos.*.seccionId')
+            .custom((value) => validarSeccionId(value ?? null)),
+        // Al menos una de las dos listas
+        body()
+            .custom((value) => {
+                if (!value.secciones && !value.platos) {
+                    throw new Error('Indica el orden de las secciones, de los platos o de ambos');
+                }
+                return true;
+            })
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que aplica el nuevo orden
+    reordenar
+);
+
+/**
+ * @route GET /api/v1/platos/comparar-precios
+ * @desc Comparar el precio de los platos con un nombre parecido en distintos restaurantes (índice de precio por categoría)
+ * @access Public
+ */
+// Define la ruta GET para comparar precios (ej: ?nombre=Pizza Margherita)
+// Debe ir antes de /:id para que "comparar-precios" no se tome como un ID
+router.get(
+    '/comparar-precios',  // Ruta relativa: /api/v1/platos/comparar-precios
+    [
+        // Valida el nombre del plato a comparar
+        query('nombre')
+            .trim()
+            .notEmpty().withMessage('El nombre del plato es requerido')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+        // Valida el parámetro categoriaId (categoría del restaurante)
+        query('categoriaId')
+            .optional()
+            .custom((value) => {
+                if (value && !esObjectIdValido(value)) {
+                    throw new Error('ID de categoría inválido');
+                }
+                return true;
+            }),
+        // Valida la moneda de los precios a comparar (por defecto, la moneda de la plataforma)
+        query('moneda')
+            .optional()
+            .custom((value) => {
+                if (!esMonedaValida(value)) {
+                    throw new Error('La moneda debe ser un código ISO 4217 válido (ej: COP, USD, EUR)');
+                }
+                return true;
+            }),
+        // Valida el parámetro incluirCerrados (por defecto no cuentan los restaurantes cerrados)
+        query('incluirCerrados')
+            .optional()
+            .isBoolean()
+            .withMessage('incluirCerrados debe ser "true" o "false"')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que arma la comparación
+    compararPrecios
+);
+
 /**
  * @route GET /api/v1/platos/:id
  * @desc Obtener plato por ID
@@ -140,10 +427,148 @@ router.get(
     obtenerPorId
 );
 
+/**
+ * @route GET /api/v1/platos/:id/precios
+ * @desc Historial de precios del plato, con la moneda y la vigencia de cada precio
+ * @access Public
+ */
+// Define la ruta GET para consultar cómo cambió el precio del plato
+router.get(
+    '/:id/precios',  // Ruta relativa: /api/v1/platos/:id/precios
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            })
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que retorna el historial de precios
+    obtenerPrecios
+);
+
+/**
+ * @route PUT /api/v1/platos/:id/traducciones/:idioma
+ * @desc Guardar la traducción del plato (nombre y/o descripción) en un idioma
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta PUT para traducir el contenido del plato (se muestra con ?lang= o Accept-Language)
+router.put(
+    '/:id/traducciones/:idioma',  // Ruta relativa: /api/v1/platos/:id/traducciones/:idioma
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    validacionesGuardarTraduccion,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDelPlato),
+    // Controlador que guarda la traducción
+    guardarTraduccion
+);
+
+/**
+ * @route DELETE /api/v1/platos/:id/traducciones/:idioma
+ * @desc Eliminar la traducción del plato en un idioma (vuelve a mostrarse el original)
+ * @access Private/Propietario o Admin
+ */
+router.delete(
+    '/:id/traducciones/:idioma',  // Ruta relativa: /api/v1/platos/:id/traducciones/:idioma
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    validacionesRutaTraduccion,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDelPlato),
+    // Controlador que elimina la traducción
+    eliminarTraduccion
+);
+
+/**
+ * @route GET /api/v1/platos/:id/revisiones
+ * @desc Historial de revisiones del plato: autor, fecha y valor anterior/nuevo de cada campo
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta GET para consultar quién cambió qué en el plato
+router.get(
+    '/:id/revisiones',  // Ruta relativa: /api/v1/platos/:id/revisiones
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDelPlato),
+    // Controlador que lista el historial
+    obtenerRevisiones
+);
+
+/**
+ * @route POST /api/v1/platos/:id/revisiones/:revId/revertir
+ * @desc Restaurar el plato al estado previo a una revisión (deshace también las posteriores)
+ * @access Private/Admin
+ */
+// Define la ruta POST para deshacer ediciones no deseadas (vandalismo, errores)
+router.post(
+    '/:id/revisiones/:revId/revertir',
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario sea administrador
+    requiereAdmin,
+    [
+        // Valida los parámetros id y revId de la URL
+        param(['id', 'revId'])
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            })
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que revierte la revisión
+    revertirRevision
+);
+
 /**
  * @route PUT /api/v1/platos/:id
  * @desc Actualizar plato
- * @access Private
+ * @access Private/Propietario o Admin
  */
 // Define la ruta PUT para actualizar un plato existente
 // Esta ruta requiere autenticación (usuario logueado)
@@ -186,18 +611,31 @@ router.put(
         body('precio')
             .optional()  // El campo es opcional
             // Verifica que sea un número flotante mayor o igual a 0
-            .isFloat({ min: 0 }).withMessage('El precio debe ser un número positivo')
+            .isFloat({ min: 0 }).withMessage('El precio debe ser un número positivo'),
+        // Valida la sección del menú del plato (opcional, null quita el plato de su sección)
+        body('seccionId')
+            .optional()
+            .custom(validarSeccionId),
+        // Valida la posición del plato dentro de su sección (opcional)
+        body('orden')
+            .optional()
+            .isInt({ min: 0 }).withMessage('El orden debe ser un número entero mayor o igual a 0')
+            .toInt(),
+        // Valida alérgenos, dietas, nivel de picante e información nutricional (opcionales)
+        ...validacionesInformacionAlimentaria
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDelPlato),
     // Controlador que maneja la lógica de actualizar el plato
     actualizar
 );
 
 /**
  * @route DELETE /api/v1/platos/:id
- * @desc Eliminar plato
- * @access Private
+ * @desc Eliminar plato (lo envía a la papelera)
+ * @access Private/Propietario o Admin
  */
 // Define la ruta DELETE para eliminar un plato
 // Esta ruta requiere autenticación (usuario logueado)
@@ -220,6 +658,8 @@ router.delete(
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDelPlato),
     // Controlador que maneja la lógica de eliminar el plato
     eliminar
 );
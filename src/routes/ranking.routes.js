@@ -6,13 +6,21 @@ import { Router } from 'express';
 import { query } from 'express-validator';
 // Importa el controlador de ranking
 // obtenerRanking maneja la lógica para obtener el ranking de restaurantes
-import { obtenerRanking } from '../controllers/ranking.controller.js';
+// obtenerRankingDePlatos maneja la lógica para obtener el ranking de platos
+import { obtenerRanking, obtenerRankingDePlatos } from '../controllers/ranking.controller.js';
 // Importa el middleware de validación
 // validacionMiddleware procesa los errores de validación de express-validator
 import { validacionMiddleware } from '../middlewares/validationDTO.js';
 // Importa función helper para validar ObjectIds
 // esObjectIdValido verifica si un string es un ObjectId válido de MongoDB
-import { esObjectIdValido } from '../utils/helpers.js';
+// decodificarCursor verifica que el cursor de paginación sea válido
+import { esObjectIdValido, decodificarCursor } from '../utils/helpers.js';
+// Importa las validaciones de los filtros alimentarios de los listados de platos
+import { validacionesFiltrosAlimentarios } from '../middlewares/validacionPlato.middleware.js';
+// Importa la validación de la moneda (código ISO 4217) de los filtros de precio
+import { validarMoneda } from '../middlewares/validacionRestaurante.middleware.js';
+// Importa los símbolos de nivel de precio ($ a $$$$) aceptados en el filtro nivelPrecio
+import { SIMBOLOS_NIVEL_PRECIO } from '../utils/constants.js';
 
 // Crea una instancia de Router para definir las rutas de ranking
 // Este router se montará en la ruta base /api/v1/ranking
@@ -20,7 +28,7 @@ const router = Router();
 
 /**
  * @route GET /api/v1/ranking/restaurantes
- * @desc Obtener ranking de restaurantes
+ * @desc Obtener ranking de restaurantes (sin los cerrados temporal o permanentemente, salvo incluirCerrados=true)
  * @access Public
  */
 // Define la ruta GET para obtener el ranking de restaurantes
@@ -61,7 +69,58 @@ router.get(
             .optional()  // El parámetro es opcional
             // Verifica que sea un número entero mayor o igual a 0
             .isInt({ min: 0 })
-            .withMessage('Saltar debe ser un número mayor o igual a 0')  // Mensaje de error
+            .withMessage('Saltar debe ser un número mayor o igual a 0'),  // Mensaje de error
+        // Valida el parámetro cursor de la query string (paginación por cursor)
+        query('cursor')
+            .optional()  // El parámetro es opcional
+            .custom((value) => {
+                // Validación personalizada: debe ser un nextCursor devuelto por el propio listado
+                decodificarCursor(value);
+                return true;
+            }),
+        // Valida el parámetro abiertoAhora de la query string
+        query('abiertoAhora')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea 'true' o 'false'
+            .isBoolean()
+            .withMessage('abiertoAhora debe ser "true" o "false"'),
+        // Valida el parámetro abiertoEn de la query string
+        query('abiertoEn')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea una fecha en formato ISO 8601
+            .isISO8601()
+            .withMessage('abiertoEn debe ser una fecha ISO 8601 válida'),
+        // Valida el precio mínimo (mediana del precio de los platos)
+        query('precioMin')
+            .optional()  // El parámetro es opcional
+            .isFloat({ min: 0 })
+            .withMessage('precioMin debe ser un número mayor o igual a 0'),
+        // Valida el precio máximo (mediana del precio de los platos)
+        query('precioMax')
+            .optional()  // El parámetro es opcional
+            .isFloat({ min: 0 })
+            .withMessage('precioMax debe ser un número mayor o igual a 0')
+            .custom((value, { req }) => {
+                // El rango no puede estar invertido
+                if (req.query.precioMin !== undefined && parseFloat(value) < parseFloat(req.query.precioMin)) {
+                    throw new Error('precioMax debe ser mayor o igual a precioMin');
+                }
+                return true;
+            }),
+        // Valida la moneda de los precios (con precioMin o precioMax, por defecto la moneda de la plataforma)
+        query('moneda')
+            .optional()  // El parámetro es opcional
+            .custom(validarMoneda),
+        // Valida el nivel de precio: número de 1 a 4 o su símbolo ($ a $$$$)
+        query('nivelPrecio')
+            .optional()  // El parámetro es opcional
+            .isIn(['1', '2', '3', '4', ...SIMBOLOS_NIVEL_PRECIO])
+            .withMessage('nivelPrecio debe ser un número de 1 a 4 o un símbolo de $ a $$$$'),
+        // Valida el parámetro incluirCerrados (por defecto los restaurantes cerrados no aparecen)
+        query('incluirCerrados')
+            .optional()  // El parámetro es opcional
+            .isBoolean()
+            .withMessage('incluirCerrados debe ser "true" o "false"')
     ],
     // Middleware que verifica si hay errores de validación
     // Si hay errores, los retorna; si no, continúa al siguiente middleware
@@ -71,6 +130,96 @@ router.get(
     obtenerRanking
 );
 
+/**
+ * @route GET /api/v1/ranking/platos
+ * @desc Obtener ranking de platos reseñados (filtros por categoría, restaurante, precio e información alimentaria)
+ * @access Public
+ */
+// Define la ruta GET para obtener el ranking de platos
+// Esta ruta es pública, no requiere autenticación
+router.get(
+    '/platos',  // Ruta relativa: se completa con /api/v1/ranking/platos
+    [
+        // Valida el parámetro categoriaId (categoría del restaurante del plato)
+        query('categoriaId')
+            .optional()
+            .custom((value) => {
+                if (value && !esObjectIdValido(value)) {
+                    throw new Error('ID de categoría inválido');
+                }
+                return true;
+            }),
+        // Valida el parámetro restauranteId
+        query('restauranteId')
+            .optional()
+            .custom((value) => {
+                if (value && !esObjectIdValido(value)) {
+                    throw new Error('ID de restaurante inválido');
+                }
+                return true;
+            }),
+        // Valida el parámetro ordenarPor de la query string
+        query('ordenarPor')
+            .optional()
+            .isIn(['ranking', 'calificacionPromedio', 'totalReseñas', 'precio'])
+            .withMessage('Ordenamiento inválido'),
+        // Valida el parámetro orden de la query string
+        query('orden')
+            .optional()
+            .isIn(['asc', 'desc'])
+            .withMessage('Orden debe ser "asc" o "desc"'),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0'),
+        // Valida el parámetro cursor de la query string (paginación por cursor)
+        query('cursor')
+            .optional()
+            .custom((value) => {
+                decodificarCursor(value);
+                return true;
+            }),
+        // Valida el precio mínimo del plato
+        query('precioMin')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('precioMin debe ser un número mayor o igual a 0'),
+        // Valida el precio máximo del plato
+        query('precioMax')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('precioMax debe ser un número mayor o igual a 0')
+            .custom((value, { req }) => {
+                // El rango no puede estar invertido
+                if (req.query.precioMin !== undefined && parseFloat(value) < parseFloat(req.query.precioMin)) {
+                    throw new Error('precioMax debe ser mayor o igual a precioMin');
+                }
+                return true;
+            }),
+        // Valida la moneda del precio del plato (con precioMin o precioMax, por defecto la moneda de la plataforma)
+        query('moneda')
+            .optional()
+            .custom(validarMoneda),
+        // Valida el parámetro incluirCerrados (por defecto no aparecen los platos de restaurantes cerrados)
+        query('incluirCerrados')
+            .optional()
+            .isBoolean()
+            .withMessage('incluirCerrados debe ser "true" o "false"'),
+        // Valida los filtros de dietas, alérgenos, picante y calorías
+        ...validacionesFiltrosAlimentarios
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que maneja la lógica de obtener el ranking de platos
+    obtenerRankingDePlatos
+);
+
 // Exporta el router para que pueda ser montado en la aplicación principal
 // Se importará en el archivo principal de rutas (app.js o server.js)
 export default router;
@@ -21,6 +21,8 @@ import {
 // Importa el middleware de validación
 // validacionMiddleware procesa los errores de validación de express-validator
 import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware que acepta un slug en lugar del ID del restaurante
+import { aceptarSlug } from '../middlewares/slug.middleware.js';
 // Importa el middleware de autenticación
 // autenticacionMiddleware verifica que el usuario tenga un token JWT válido
 import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
@@ -33,7 +35,8 @@ import { requiereAdmin } from '../middlewares/roles.middleware.js';
 import { limiterReseñas, limiterGeneral } from '../config/limiters.js';
 // Importa función helper para validar ObjectIds
 // esObjectIdValido verifica si un string es un ObjectId válido de MongoDB
-import { esObjectIdValido } from '../utils/helpers.js';
+// decodificarCursor verifica que el cursor de paginación sea válido
+import { esObjectIdValido, decodificarCursor } from '../utils/helpers.js';
 // Importa constantes de validación
 // VALIDATION_LIMITS contiene los límites para campos (DESCRIPCION_MAX_LENGTH, RATING_MIN, RATING_MAX, etc.)
 import { VALIDATION_LIMITS } from '../utils/constants.js';
@@ -116,6 +119,14 @@ router.get(
             // Verifica que sea un número entero mayor o igual a 0
             .isInt({ min: 0 })
             .withMessage('Saltar debe ser un número mayor o igual a 0'),  // Mensaje de error
+        // Valida el parámetro cursor de la query string (paginación por cursor)
+        query('cursor')
+            .optional()  // El parámetro es opcional
+            .custom((value) => {
+                // Validación personalizada: debe ser un nextCursor devuelto por el propio listado
+                decodificarCursor(value);
+                return true;
+            }),
         // Valida el parámetro ordenarPor de la query string
         query('ordenarPor')
             .optional()  // El parámetro es opcional
@@ -144,6 +155,8 @@ router.get(
 // Esta ruta es pública, no requiere autenticación
 router.get(
     '/restaurante/:restauranteId',  // Ruta relativa con parámetro dinámico: /api/v1/reseñas/restaurante/:restauranteId
+    // Acepta el slug del restaurante (un slug anterior redirige con 301 al actual)
+    aceptarSlug('restaurantes', 'restauranteId'),
     [
         // Valida el parámetro restauranteId de la URL
         param('restauranteId')
@@ -166,6 +179,14 @@ router.get(
             // Verifica que sea un número entero mayor o igual a 0
             .isInt({ min: 0 })
             .withMessage('Saltar debe ser un número mayor o igual a 0'),  // Mensaje de error
+        // Valida el parámetro cursor de la query string (paginación por cursor)
+        query('cursor')
+            .optional()  // El parámetro es opcional
+            .custom((value) => {
+                // Validación personalizada: debe ser un nextCursor devuelto por el propio listado
+                decodificarCursor(value);
+                return true;
+            }),
         // Valida el parámetro ordenarPor de la query string
         query('ordenarPor')
             .optional()  // El parámetro es opcional
@@ -321,7 +342,7 @@ router.post(
 /**
  * @route DELETE /api/v1/reseñas/:id
  * @desc Eliminar reseña
- * @access Private
+ * @desc Eliminar reseña (la envía a la papelera; deja de contar en el promedio)
  */
 // Define la ruta DELETE para eliminar una reseña
 // Esta ruta requiere autenticación (solo el dueño de la reseña o admin puede eliminarla)
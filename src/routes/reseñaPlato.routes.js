@@ -0,0 +1,221 @@
+// Importa Router desde express
+// Router permite definir rutas modulares y reutilizables para la aplicación
+import { Router } from 'express';
+// Importa body, param y query desde express-validator
+import { body, param, query } from 'express-validator';
+// Importa los controladores de reseñas de platos
+import {
+    crear,  // Controlador para crear una reseña de un plato
+    obtenerPorPlato,  // Controlador para listar las reseñas de un plato
+    obtenerPorId,  // Controlador para obtener una reseña de plato por ID
+    actualizar,  // Controlador para editar una reseña de plato
+    like,  // Controlador para dar like a una reseña de plato
+    dislike,  // Controlador para dar dislike a una reseña de plato
+    eliminar  // Controlador para enviar una reseña de plato a la papelera
+} from '../controllers/reseñaPlato.controller.js';
+// Importa el middleware de validación
+// validacionMiddleware procesa los errores de validación de express-validator
+import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware de autenticación
+// autenticacionMiddleware verifica que el usuario tenga un token JWT válido
+import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
+// Importa los rate limiters (el de reseñas limita también las reseñas de platos)
+import { limiterReseñas, limiterGeneral } from '../config/limiters.js';
+// Importa funciones helper
+// esObjectIdValido verifica si un string es un ObjectId válido de MongoDB
+// decodificarCursor verifica que el cursor de paginación sea válido
+import { esObjectIdValido, decodificarCursor } from '../utils/helpers.js';
+// Importa los límites de validación (longitud del comentario y rango de la calificación)
+import { VALIDATION_LIMITS } from '../utils/constants.js';
+
+// Crea una instancia de Router para definir las rutas de reseñas de platos
+// Este router se montará en la ruta base /api/v1/resenas-platos
+const router = Router();
+
+// Validación del parámetro :id (ID de la reseña), común a las rutas de una reseña
+const validarIdReseña = param('id')
+    .custom((value) => {
+        if (!esObjectIdValido(value)) {
+            throw new Error('ID inválido');
+        }
+        return true;
+    });
+
+/**
+ * @route POST /api/v1/resenas-platos
+ * @desc Calificar un plato (una reseña por usuario y plato)
+ * @access Private
+ */
+router.post(
+    '/',  // Ruta relativa: se completa con /api/v1/resenas-platos
+    // Rate limiter específico para reseñas (previene spam)
+    limiterReseñas,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el plato reseñado
+        body('platoId')
+            .notEmpty().withMessage('El ID del plato es requerido')
+            .custom((value) => {
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID de plato inválido');
+                }
+                return true;
+            }),
+        // Valida el comentario (opcional)
+        body('comentario')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El comentario no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+        // Valida la calificación (entero de 1 a 5)
+        body('calificacion')
+            .notEmpty().withMessage('La calificación es requerida')
+            .isInt({ min: VALIDATION_LIMITS.RATING_MIN, max: VALIDATION_LIMITS.RATING_MAX })
+            .withMessage(`La calificación debe estar entre ${VALIDATION_LIMITS.RATING_MIN} y ${VALIDATION_LIMITS.RATING_MAX}`)
+            .toInt()
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que crea la reseña y recalcula el ranking del plato
+    crear
+);
+
+/**
+ * @route GET /api/v1/resenas-platos/plato/:platoId
+ * @desc Obtener las reseñas de un plato
+ * @access Public
+ */
+router.get(
+    '/plato/:platoId',  // Ruta relativa: /api/v1/resenas-platos/plato/:platoId
+    [
+        // Valida el parámetro platoId de la URL
+        param('platoId')
+            .custom((value) => {
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID de plato inválido');
+                }
+                return true;
+            }),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0'),
+        // Valida el parámetro cursor de la query string (paginación por cursor)
+        query('cursor')
+            .optional()
+            .custom((value) => {
+                decodificarCursor(value);
+                return true;
+            }),
+        // Valida el campo de ordenamiento
+        query('ordenarPor')
+            .optional()
+            .isIn(['fechaCreacion', 'calificacion', 'likes'])
+            .withMessage('Ordenamiento inválido'),
+        // Valida la dirección del ordenamiento
+        query('orden')
+            .optional()
+            .isIn(['asc', 'desc'])
+            .withMessage('Orden debe ser "asc" o "desc"')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista las reseñas del plato
+    obtenerPorPlato
+);
+
+/**
+ * @route GET /api/v1/resenas-platos/:id
+ * @desc Obtener una reseña de plato por ID
+ * @access Public
+ */
+router.get(
+    '/:id',  // Ruta relativa: /api/v1/resenas-platos/:id
+    [validarIdReseña],
+    validacionMiddleware,
+    obtenerPorId
+);
+
+/**
+ * @route PUT /api/v1/resenas-platos/:id
+ * @desc Editar una reseña de plato (autor o admin)
+ * @access Private
+ */
+router.put(
+    '/:id',  // Ruta relativa: /api/v1/resenas-platos/:id
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        validarIdReseña,
+        // Valida el comentario (opcional en actualización)
+        body('comentario')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El comentario no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+        // Valida la calificación (opcional en actualización)
+        body('calificacion')
+            .optional()
+            .isInt({ min: VALIDATION_LIMITS.RATING_MIN, max: VALIDATION_LIMITS.RATING_MAX })
+            .withMessage(`La calificación debe estar entre ${VALIDATION_LIMITS.RATING_MIN} y ${VALIDATION_LIMITS.RATING_MAX}`)
+            .toInt()
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que edita la reseña (recalcula el ranking del plato si cambia la calificación)
+    actualizar
+);
+
+/**
+ * @route POST /api/v1/resenas-platos/:id/like
+ * @desc Dar like a una reseña de plato (toggle, transaccional)
+ * @access Private
+ */
+router.post(
+    '/:id/like',  // Ruta relativa: /api/v1/resenas-platos/:id/like
+    limiterGeneral,
+    autenticacionMiddleware,
+    [validarIdReseña],
+    validacionMiddleware,
+    like
+);
+
+/**
+ * @route POST /api/v1/resenas-platos/:id/dislike
+ * @desc Dar dislike a una reseña de plato (toggle, transaccional)
+ * @access Private
+ */
+router.post(
+    '/:id/dislike',  // Ruta relativa: /api/v1/resenas-platos/:id/dislike
+    limiterGeneral,
+    autenticacionMiddleware,
+    [validarIdReseña],
+    validacionMiddleware,
+    dislike
+);
+
+/**
+ * @route DELETE /api/v1/resenas-platos/:id
+ * @desc Eliminar una reseña de plato (la envía a la papelera; deja de contar en el promedio del plato)
+ * @access Private
+ */
+router.delete(
+    '/:id',  // Ruta relativa: /api/v1/resenas-platos/:id
+    limiterGeneral,
+    autenticacionMiddleware,
+    [validarIdReseña],
+    validacionMiddleware,
+    eliminar
+);
+
+// Exporta el router para que pueda ser montado en la aplicación principal
+export default router;
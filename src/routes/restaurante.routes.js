@@ -11,228 +11,1164 @@ import { body, param, query } from 'express-validator';
 import {
     crear,  // Controlador para crear un nuevo restaurante
     obtenerTodos,  // Controlador para obtener restaurantes con filtros
+    obtenerCercanos,  // Controlador para obtener restaurantes cercanos a un punto
+    obtenerFacetas,  // Controlador para los conteos por faceta del listado
+    exportar,  // Controlador para exportar el catálogo en CSV, NDJSON o GeoJSON (solo admin)
+    obtenerSimilares,  // Controlador para las recomendaciones de restaurantes similares
+    obtenerAnaliticas,  // Controlador para las analíticas por período (propietario o admin)
     obtenerPorId,  // Controlador para obtener un restaurante por ID
     actualizar,  // Controlador para actualizar un restaurante
     aprobar,  // Controlador para aprobar un restaurante (solo admin)
-    eliminar  // Controlador para eliminar un restaurante
+    cambiarEstado,  // Controlador para cambiar el estado de aprobación (solo admin)
+    cambiarEstadoOperativo,  // Controlador para marcar un restaurante como abierto o cerrado (propietario o admin)
+    obtenerPendientes,  // Controlador para la cola de envíos pendientes (solo admin)
+    obtenerMios,  // Controlador para que el autor vea el estado de sus envíos
+    eliminar,  // Controlador para eliminar un restaurante
+    fusionar  // Controlador para fusionar un restaurante duplicado en otro (solo admin)
 } from '../controllers/restaurante.controller.js';
+// Importa los controladores de reclamaciones de propiedad
+// Permiten que un usuario reclame un restaurante y que un admin verifique o rechace la reclamación
+import {
+    reclamar,  // Controlador para reclamar la propiedad de un restaurante
+    obtenerTodas as obtenerReclamaciones,  // Controlador para listar reclamaciones (solo admin)
+    obtenerMias as obtenerMisReclamaciones,  // Controlador para listar las reclamaciones del usuario
+    verificar as verificarReclamacion,  // Controlador para verificar una reclamación (solo admin)
+    rechazar as rechazarReclamacion  // Controlador para rechazar una reclamación (solo admin)
+} from '../controllers/reclamacion.controller.js';
+// Importa los controladores de sugerencias de edición
+// Permiten que cualquier usuario proponga cambios y que el admin o el propietario los acepte o rechace
+import {
+    sugerir,  // Controlador para proponer cambios a un restaurante
+    obtenerTodas as obtenerSugerencias,  // Controlador para listar sugerencias (admin o propietario)
+    obtenerMias as obtenerMisSugerencias,  // Controlador para listar las sugerencias del usuario
+    aceptar as aceptarSugerencia,  // Controlador para aplicar una sugerencia
+    rechazar as rechazarSugerencia  // Controlador para rechazar una sugerencia
+} from '../controllers/sugerencia.controller.js';
+// Importa los controladores de los ajustes de una sucursal sobre el menú de su cadena
+import {
+    sobrescribirPlato as sobrescribirPlatoCadena,  // Controlador para ajustar un plato heredado
+    quitarSobrescritura as quitarSobrescrituraPlatoCadena  // Controlador para volver a los valores de la cadena
+} from '../controllers/cadena.controller.js';
+// Importa los controladores de las traducciones del contenido
+import {
+    guardarDeRestaurante as guardarTraduccion,  // Controlador para guardar la traducción en un idioma
+    eliminarDeRestaurante as eliminarTraduccion  // Controlador para eliminar la traducción en un idioma
+} from '../controllers/traduccion.controller.js';
+// Importa las validaciones de las rutas de traducciones (:id, :idioma y cuerpo)
+import { validacionesRutaTraduccion, validacionesGuardarTraduccion } from '../middlewares/validacionTraduccion.middleware.js';
+// Importa los controladores del historial de revisiones
+import {
+    obtenerDeRestaurante as obtenerRevisiones,  // Controlador para listar las revisiones del restaurante
+    revertirRestaurante as revertirRevision  // Controlador para revertir una revisión (solo admin)
+} from '../controllers/revision.controller.js';
+// Importa la función que obtiene el restaurante de una sugerencia (para verificar la propiedad)
+import { obtenerRestauranteDeSugerencia } from '../models/sugerencia.model.js';
 // Importa el middleware de validación
 // validacionMiddleware procesa los errores de validación de express-validator
 import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware que acepta un slug en lugar del ID
+import { aceptarSlug } from '../middlewares/slug.middleware.js';
+// Importa las validaciones de los datos del restaurante
+// validacionesCrearRestaurante: cuerpo de POST /restaurantes (las comparte la importación masiva)
+// validarAtributos, validarImagen y validarMoneda: validaciones de campos que también usan otras rutas
+import { validacionesCrearRestaurante, validarAtributos, validarImagen, validarMoneda } from '../middlewares/validacionRestaurante.middleware.js';
+// Importa la validación de los parámetros de lista con un vocabulario fijo (filtro de dietas)
+import { validarListaQuery } from '../middlewares/validacionPlato.middleware.js';
 // Importa el middleware de autenticación
 // autenticacionMiddleware verifica que el usuario tenga un token JWT válido
 import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
 // Importa el middleware de roles
 // requiereAdmin verifica que el usuario tenga rol de administrador
-import { requiereAdmin } from '../middlewares/roles.middleware.js';
+// requierePropietarioOAdmin verifica que el usuario sea admin o propietario verificado del restaurante
+import { requiereAdmin, requierePropietarioOAdmin } from '../middlewares/roles.middleware.js';
 // Importa los rate limiters
 // limiterGeneral: limiter general para rutas normales
 // limiterAdmin: limiter para acciones administrativas
 import { limiterGeneral, limiterAdmin } from '../config/limiters.js';
-// Importa función helper para validar ObjectIds
+// Importa funciones helper de validación
 // esObjectIdValido verifica si un string es un ObjectId válido de MongoDB
-import { esObjectIdValido } from '../utils/helpers.js';
+// validarUbicacion verifica la ubicación (texto libre u objeto con lat/lng)
+// validarHorario verifica el horario semanal, la zona horaria y los cierres especiales
+// convertirListaQuery convierte un parámetro de lista (separado por comas o repetido) en array
+// decodificarCursor verifica que el cursor de paginación sea válido
+import { esObjectIdValido, validarUbicacion, validarHorario, convertirListaQuery, decodificarCursor } from '../utils/helpers.js';
 // Importa constantes de validación
 // VALIDATION_LIMITS contiene los límites máximos para campos (NOMBRE_MAX_LENGTH, DESCRIPCION_MAX_LENGTH, etc.)
-import { VALIDATION_LIMITS } from '../utils/constants.js';
+import { VALIDATION_LIMITS, ESTADOS_RECLAMACION, ESTADOS_RESTAURANTE, ESTADOS_SUGERENCIA, SIMBOLOS_NIVEL_PRECIO, FORMATO_CLAVE_ATRIBUTO, FORMATOS_EXPORTACION, INCLUIR_EXPORTACION, RECOMENDACION_SIMILARES, ANALITICAS, ESTADOS_OPERATIVOS, DIETAS } from '../utils/constants.js';
 
 // Crea una instancia de Router para definir las rutas de restaurantes
 // Este router se montará en la ruta base /api/v1/restaurantes
 const router = Router();
 
+// Obtiene el ID del restaurante desde la URL para verificar la propiedad
+const restauranteDeLaRuta = (req) => req.params.id;
+
+// Validación reutilizable del parámetro reclamacionId de la URL
+const validarReclamacionId = param('reclamacionId')
+    .custom((value) => {
+        // Validación personalizada: verifica que el ID sea un ObjectId válido
+        if (!esObjectIdValido(value)) {
+            throw new Error('ID de reclamación inválido');
+        }
+        return true;
+    });
+
+// Validación reutilizable del parámetro sugerenciaId de la URL
+const validarSugerenciaId = param('sugerenciaId')
+    .custom((value) => {
+        // Validación personalizada: verifica que el ID sea un ObjectId válido
+        if (!esObjectIdValido(value)) {
+            throw new Error('ID de sugerencia inválido');
+        }
+        return true;
+    });
+
+// Obtiene el ID del restaurante de la sugerencia para verificar la propiedad
+const restauranteDeLaSugerencia = (req) => obtenerRestauranteDeSugerencia(req.params.sugerenciaId);
+
+// Validaciones reutilizables de los filtros del listado de restaurantes
+// Las comparten GET /restaurantes y GET /restaurantes/facetas, que reciben el mismo conjunto de filtros
+const validarFiltrosListado = [
+    // Valida el parámetro categoriaId de la query string
+    query('categoriaId')
+        .optional()  // El parámetro es opcional
+        .custom((value) => {
+            // Validación personalizada: si se proporciona categoriaId, debe ser un ObjectId válido
+            if (value && !esObjectIdValido(value)) {
+                throw new Error('ID de categoría inválido');
+            }
+            return true;
+        }),
+    // Valida el parámetro cadenaId de la query string (solo sucursales de esa cadena)
+    query('cadenaId')
+        .optional()  // El parámetro es opcional
+        .custom((value) => {
+            // Validación personalizada: si se proporciona cadenaId, debe ser un ObjectId válido
+            if (value && !esObjectIdValido(value)) {
+                throw new Error('ID de cadena inválido');
+            }
+            return true;
+        }),
+    // Valida el precio mínimo (mediana del precio de los platos)
+    query('precioMin')
+        .optional()  // El parámetro es opcional
+        .isFloat({ min: 0 })
+        .withMessage('precioMin debe ser un número mayor o igual a 0'),
+    // Valida el precio máximo (mediana del precio de los platos)
+    query('precioMax')
+        .optional()  // El parámetro es opcional
+        .isFloat({ min: 0 })
+        .withMessage('precioMax debe ser un número mayor o igual a 0')
+        .custom((value, { req }) => {
+            // El rango no puede estar invertido
+            if (req.query.precioMin !== undefined && parseFloat(value) < parseFloat(req.query.precioMin)) {
+                throw new Error('precioMax debe ser mayor o igual a precioMin');
+            }
+            return true;
+        }),
+    // Valida la moneda de los precios (con precioMin o precioMax, por defecto la moneda de la plataforma)
+    query('moneda')
+        .optional()  // El parámetro es opcional
+        .custom(validarMoneda),
+    // Valida el nivel de precio: número de 1 a 4 o su símbolo ($ a $$$$)
+    query('nivelPrecio')
+        .optional()  // El parámetro es opcional
+        .isIn(['1', '2', '3', '4', ...SIMBOLOS_NIVEL_PRECIO])
+        .withMessage('nivelPrecio debe ser un número de 1 a 4 o un símbolo de $ a $$$$'),
+    // Valida los atributos: claves separadas por comas (el restaurante debe tenerlos todos)
+    query('atributos')
+        .optional()  // El parámetro es opcional
+        .custom((value) => {
+            // Acepta ?atributos=wifi,terraza o el parámetro repetido
+            if (convertirListaQuery(value).some((clave) => !FORMATO_CLAVE_ATRIBUTO.test(clave))) {
+                throw new Error('atributos debe ser una lista de claves separadas por comas');
+            }
+            return true;
+        }),
+    // Valida la calificación mínima (promedio de las reseñas)
+    query('calificacionMin')
+        .optional()  // El parámetro es opcional
+        .isFloat({ min: VALIDATION_LIMITS.RATING_MIN, max: VALIDATION_LIMITS.RATING_MAX })
+        .withMessage(`calificacionMin debe ser un número entre ${VALIDATION_LIMITS.RATING_MIN} y ${VALIDATION_LIMITS.RATING_MAX}`),
+    // Valida las dietas: el restaurante debe tener platos de todas (ej: ?dietas=vegano&minPlatosDieta=3)
+    validarListaQuery('dietas', DIETAS),
+    // Valida la cantidad mínima de platos de cada dieta (default 1)
+    query('minPlatosDieta')
+        .optional()  // El parámetro es opcional
+        .isInt({ min: 1 })
+        .withMessage('minPlatosDieta debe ser un entero mayor o igual a 1')
+];
+
+/**
+ * @route POST /api/v1/restaurantes
+ * @desc Crear nuevo restaurante (requiere aprobación admin)
+ * @access Private
+ */
+// Define la ruta POST para crear un nuevo restaurante
+// Esta ruta requiere autenticación (usuario logueado)
+// Soporta crear restaurante solo o restaurante con platos en una sola operación
+router.post(
+    '/',  // Ruta relativa: se completa con /api/v1/restaurantes
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Valida el restaurante (y sus platos, si se envían)
+    validacionesCrearRestaurante,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que maneja la lógica de crear el restaurante (con o sin platos)
+    crear
+);
+
+/**
+ * @route GET /api/v1/restaurantes
+ * @desc Obtener restaurantes con filtros
+ * @access Public
+ */
+// Define la ruta GET para obtener restaurantes con filtros y paginación
+// Esta ruta es pública, no requiere autenticación
+router.get(
+    '/',  // Ruta relativa: se completa con /api/v1/restaurantes
+    [
+        // Filtros compartidos con las facetas (categoría, cadena, precio, atributos y calificación)
+        ...validarFiltrosListado,
+        // Valida el parámetro ordenarPor de la query string
+        query('ordenarPor')
+            .optional()  // El parámetro es opcional
+            // Verifica que el valor esté en la lista permitida de campos para ordenar
+            .isIn(['ranking', 'calificacionPromedio', 'nombre', 'fechaCreacion'])
+            .withMessage('Ordenamiento inválido'),  // Mensaje de error si no está en la lista
+        // Valida el parámetro orden de la query string
+        query('orden')
+            .optional()  // El parámetro es opcional
+            // Verifica que el valor sea 'asc' (ascendente) o 'desc' (descendente)
+            .isIn(['asc', 'desc'])
+            .withMessage('Orden debe ser "asc" o "desc"'),  // Mensaje de error
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea un número entero entre 1 y 100
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),  // Mensaje de error
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea un número entero mayor o igual a 0
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0'),  // Mensaje de error
+        // Valida el parámetro cursor de la query string (paginación por cursor)
+        query('cursor')
+            .optional()  // El parámetro es opcional
+            .custom((value) => {
+                // Validación personalizada: debe ser un nextCursor devuelto por el propio listado
+                decodificarCursor(value);
+                return true;
+            }),
+        // Valida el parámetro abiertoAhora de la query string
+        query('abiertoAhora')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea 'true' o 'false'
+            .isBoolean()
+            .withMessage('abiertoAhora debe ser "true" o "false"'),
+        // Valida el parámetro abiertoEn de la query string
+        query('abiertoEn')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea una fecha en formato ISO 8601
+            .isISO8601()
+            .withMessage('abiertoEn debe ser una fecha ISO 8601 válida')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que maneja la lógica de obtener los restaurantes con filtros
+    obtenerTodos
+);
+
+/**
+ * @route GET /api/v1/restaurantes/facetas
+ * @desc Conteos por categoría, atributo, nivel de precio y calificación para los filtros actuales
+ * @access Public
+ */
+// Define la ruta GET de facetas para que el frontend muestre solo los filtros que devuelven resultados
+// Recibe los mismos filtros que GET /restaurantes (salvo paginación, ordenamiento y horario)
+// Debe declararse antes de /:id para que "facetas" no se interprete como un ID
+// Esta ruta es pública, no requiere autenticación
+router.get(
+    '/facetas',  // Ruta relativa: se completa con /api/v1/restaurantes/facetas
+    validarFiltrosListado,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que calcula los conteos de cada faceta
+    obtenerFacetas
+);
+
+/**
+ * @route GET /api/v1/restaurantes/exportar
+ * @desc Exportar todos los restaurantes que cumplen los filtros del listado en CSV, NDJSON o GeoJSON (streaming)
+ * @access Private/Admin
+ */
+// Define la ruta GET de exportación para los análisis de datos (reemplaza recorrer el listado página a página)
+// Recibe los mismos filtros y ordenamiento que GET /restaurantes, sin paginación
+// Debe declararse antes de /:id para que "exportar" no se interprete como un ID
+router.get(
+    '/exportar',  // Ruta relativa: se completa con /api/v1/restaurantes/exportar
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Filtros compartidos con el listado (categoría, cadena, precio, atributos y calificación)
+        ...validarFiltrosListado,
+        // Valida el formato del archivo (default csv)
+        query('formato')
+            .optional()
+            .isIn(Object.keys(FORMATOS_EXPORTACION))
+            .withMessage(`El formato debe ser uno de: ${Object.keys(FORMATOS_EXPORTACION).join(', ')}`),
+        // Valida los datos opcionales a incluir (separados por comas)
+        query('incluir')
+            .optional()
+            .custom((value) => {
+                if (convertirListaQuery(value).some((dato) => !INCLUIR_EXPORTACION.includes(dato))) {
+                    throw new Error(`incluir solo admite: ${INCLUIR_EXPORTACION.join(', ')}`);
+                }
+                return true;
+            }),
+        // Valida el parámetro ordenarPor de la query string
+        query('ordenarPor')
+            .optional()
+            .isIn(['ranking', 'calificacionPromedio', 'nombre', 'fechaCreacion'])
+            .withMessage('Ordenamiento inválido'),
+        // Valida el parámetro orden de la query string
+        query('orden')
+            .optional()
+            .isIn(['asc', 'desc'])
+            .withMessage('Orden debe ser "asc" o "desc"'),
+        // Valida los filtros de horario
+        query('abiertoAhora')
+            .optional()
+            .isBoolean()
+            .withMessage('abiertoAhora debe ser "true" o "false"'),
+        query('abiertoEn')
+            .optional()
+            .isISO8601()
+            .withMessage('abiertoEn debe ser una fecha ISO 8601 válida')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que envía la exportación en streaming
+    exportar
+);
+
+/**
+ * @route GET /api/v1/restaurantes/cercanos
+ * @desc Obtener restaurantes aprobados cercanos a un punto, ordenados por distancia
+ * @access Public
+ */
+// Define la ruta GET para la búsqueda "cerca de mí"
+// Debe declararse antes de /:id para que "cercanos" no se interprete como un ID
+// Esta ruta es pública, no requiere autenticación
+router.get(
+    '/cercanos',  // Ruta relativa: se completa con /api/v1/restaurantes/cercanos
+    [
+        // Valida el parámetro lat (latitud) de la query string
+        query('lat')
+            .notEmpty().withMessage('La latitud es requerida')  // Verifica que no esté vacío
+            // Verifica que sea un número entre -90 y 90
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('La latitud debe ser un número entre -90 y 90'),
+        // Valida el parámetro lng (longitud) de la query string
+        query('lng')
+            .notEmpty().withMessage('La longitud es requerida')  // Verifica que no esté vacío
+            // Verifica que sea un número entre -180 y 180
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('La longitud debe ser un número entre -180 y 180'),
+        // Valida el parámetro radio (en kilómetros) de la query string
+        query('radio')
+            .optional()  // El parámetro es opcional (default 5 km)
+            // Verifica que sea un número entre 0.1 y 50 km
+            .isFloat({ min: 0.1, max: 50 })
+            .withMessage('El radio debe ser un número entre 0.1 y 50 (km)'),
+        // Valida el parámetro categoriaId de la query string
+        query('categoriaId')
+            .optional()  // El parámetro es opcional
+            .custom((value) => {
+                // Validación personalizada: si se proporciona categoriaId, debe ser un ObjectId válido
+                if (value && !esObjectIdValido(value)) {
+                    throw new Error('ID de categoría inválido');
+                }
+                return true;
+            }),
+        // Valida el parámetro ordenarPor de la query string
+        query('ordenarPor')
+            .optional()  // El parámetro es opcional (default distancia)
+            // Verifica que el valor esté en la lista permitida de campos para ordenar
+            .isIn(['distancia', 'ranking', 'calificacionPromedio', 'nombre', 'fechaCreacion'])
+            .withMessage('Ordenamiento inválido'),  // Mensaje de error si no está en la lista
+        // Valida el parámetro orden de la query string
+        query('orden')
+            .optional()  // El parámetro es opcional
+            // Verifica que el valor sea 'asc' (ascendente) o 'desc' (descendente)
+            .isIn(['asc', 'desc'])
+            .withMessage('Orden debe ser "asc" o "desc"'),  // Mensaje de error
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea un número entero entre 1 y 100
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),  // Mensaje de error
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()  // El parámetro es opcional
+            // Verifica que sea un número entero mayor o igual a 0
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0'),  // Mensaje de error
+        // Valida el parámetro incluirCerrados (por defecto los restaurantes cerrados no aparecen)
+        query('incluirCerrados')
+            .optional()
+            .isBoolean()
+            .withMessage('incluirCerrados debe ser true o false')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que maneja la lógica de obtener los restaurantes cercanos
+    obtenerCercanos
+);
+
+/**
+ * @route GET /api/v1/restaurantes/pendientes
+ * @desc Cola de restaurantes pendientes de revisión (los más antiguos primero)
+ * @access Private/Admin
+ */
+// Define la ruta GET para la cola de revisión del administrador
+// Debe declararse antes de /:id para que "pendientes" no se interprete como un ID
+router.get(
+    '/pendientes',  // Ruta relativa: /api/v1/restaurantes/pendientes
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista los envíos pendientes
+    obtenerPendientes
+);
+
+/**
+ * @route GET /api/v1/restaurantes/mios
+ * @desc Restaurantes enviados por el usuario con su estado de aprobación y motivo
+ * @access Private
+ */
+// Define la ruta GET para que el autor consulte el estado de sus envíos
+router.get(
+    '/mios',  // Ruta relativa: /api/v1/restaurantes/mios
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Controlador que lista los envíos del usuario
+    obtenerMios
+);
+
+/**
+ * @route GET /api/v1/restaurantes/reclamaciones
+ * @desc Listar reclamaciones de propiedad (por defecto pendientes, más antiguas primero)
+ * @access Private/Admin
+ */
+// Define la ruta GET para que el admin revise las reclamaciones de propiedad
+// Debe declararse antes de /:id para que "reclamaciones" no se interprete como un ID
+router.get(
+    '/reclamaciones',  // Ruta relativa: /api/v1/restaurantes/reclamaciones
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro estado de la query string
+        query('estado')
+            .optional()  // El parámetro es opcional (default pendiente)
+            .isIn(Object.values(ESTADOS_RECLAMACION))
+            .withMessage('Estado de reclamación inválido'),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista las reclamaciones
+    obtenerReclamaciones
+);
+
+/**
+ * @route GET /api/v1/restaurantes/reclamaciones/mias
+ * @desc Ver el estado de las reclamaciones del usuario autenticado
+ * @access Private
+ */
+// Define la ruta GET para que el usuario consulte sus reclamaciones
+router.get(
+    '/reclamaciones/mias',  // Ruta relativa: /api/v1/restaurantes/reclamaciones/mias
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Controlador que lista las reclamaciones del usuario
+    obtenerMisReclamaciones
+);
+
+/**
+ * @route PATCH /api/v1/restaurantes/reclamaciones/:reclamacionId/verificar
+ * @desc Verificar reclamación: el usuario pasa a ser propietario del restaurante
+ * @access Private/Admin
+ */
+// Define la ruta PATCH para verificar una reclamación de propiedad
+router.patch(
+    '/reclamaciones/:reclamacionId/verificar',
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro reclamacionId de la URL
+        validarReclamacionId,
+        // Valida el motivo opcional de la resolución
+        body('motivo')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El motivo no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que verifica la reclamación
+    verificarReclamacion
+);
+
+/**
+ * @route PATCH /api/v1/restaurantes/reclamaciones/:reclamacionId/rechazar
+ * @desc Rechazar reclamación de propiedad
+ * @access Private/Admin
+ */
+// Define la ruta PATCH para rechazar una reclamación de propiedad
+router.patch(
+    '/reclamaciones/:reclamacionId/rechazar',
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro reclamacionId de la URL
+        validarReclamacionId,
+        // Valida el motivo opcional del rechazo
+        body('motivo')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El motivo no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que rechaza la reclamación
+    rechazarReclamacion
+);
+
+/**
+ * @route GET /api/v1/restaurantes/sugerencias
+ * @desc Listar sugerencias de edición de todos los restaurantes (por defecto pendientes, más antiguas primero)
+ * @access Private/Admin
+ */
+// Define la ruta GET para que el admin revise la cola global de sugerencias
+// Debe declararse antes de /:id para que "sugerencias" no se interprete como un ID
+router.get(
+    '/sugerencias',  // Ruta relativa: /api/v1/restaurantes/sugerencias
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro estado de la query string
+        query('estado')
+            .optional()  // El parámetro es opcional (default pendiente)
+            .isIn(Object.values(ESTADOS_SUGERENCIA))
+            .withMessage('Estado de sugerencia inválido'),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista las sugerencias
+    obtenerSugerencias
+);
+
+/**
+ * @route GET /api/v1/restaurantes/sugerencias/mias
+ * @desc Ver el estado de las sugerencias de edición del usuario autenticado
+ * @access Private
+ */
+// Define la ruta GET para que el usuario consulte sus sugerencias
+router.get(
+    '/sugerencias/mias',  // Ruta relativa: /api/v1/restaurantes/sugerencias/mias
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Controlador que lista las sugerencias del usuario
+    obtenerMisSugerencias
+);
+
+/**
+ * @route PATCH /api/v1/restaurantes/sugerencias/:sugerenciaId/aceptar
+ * @desc Aceptar sugerencia: aplica los cambios propuestos al restaurante
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta PATCH para aceptar una sugerencia de edición
+router.patch(
+    '/sugerencias/:sugerenciaId/aceptar',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro sugerenciaId de la URL
+        validarSugerenciaId,
+        // Valida el motivo opcional de la resolución
+        body('motivo')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El motivo no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante de la sugerencia
+    requierePropietarioOAdmin(restauranteDeLaSugerencia),
+    // Controlador que acepta la sugerencia
+    aceptarSugerencia
+);
+
+/**
+ * @route PATCH /api/v1/restaurantes/sugerencias/:sugerenciaId/rechazar
+ * @desc Rechazar sugerencia de edición
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta PATCH para rechazar una sugerencia de edición
+router.patch(
+    '/sugerencias/:sugerenciaId/rechazar',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro sugerenciaId de la URL
+        validarSugerenciaId,
+        // Valida el motivo opcional de la resolución
+        body('motivo')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El motivo no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante de la sugerencia
+    requierePropietarioOAdmin(restauranteDeLaSugerencia),
+    // Controlador que rechaza la sugerencia
+    rechazarSugerencia
+);
+
+/**
+ * @route POST /api/v1/restaurantes/:id/reclamar
+ * @desc Reclamar la propiedad de un restaurante (queda pendiente de verificación)
+ * @access Private
+ */
+// Define la ruta POST para que un usuario reclame un restaurante como suyo
+router.post(
+    '/:id/reclamar',  // Ruta relativa: /api/v1/restaurantes/:id/reclamar
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el mensaje con la evidencia de propiedad (opcional)
+        body('mensaje')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El mensaje no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que registra la reclamación
+    reclamar
+);
+
+/**
+ * @route POST /api/v1/restaurantes/:id/sugerencias
+ * @desc Proponer cambios a un restaurante (nombre, descripcion, ubicacion, categoriaId, imagen o cerradoPermanentemente)
+ * @access Private
+ */
+// Define la ruta POST para que cualquier usuario autenticado proponga una corrección
+// La sugerencia queda pendiente con el diff por campo contra el restaurante actual
+router.post(
+    '/:id/sugerencias',  // Ruta relativa: /api/v1/restaurantes/:id/sugerencias
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el nombre propuesto (opcional)
+        body('nombre')
+            .optional()
+            .trim()
+            .notEmpty().withMessage('El nombre no puede estar vacío')
+            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
+            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
+        // Valida la descripción propuesta (opcional)
+        body('descripcion')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+        // Valida la categoría propuesta (opcional)
+        body('categoriaId')
+            .optional()
+            .custom((value) => {
+                // Validación personalizada: si se proporciona categoriaId, debe ser un ObjectId válido
+                if (value && !esObjectIdValido(value)) {
+                    throw new Error('ID de categoría inválido');
+                }
+                return true;
+            }),
+        // Valida la ubicación propuesta (texto libre u objeto { direccion, barrio, ciudad, pais, lat, lng })
+        body('ubicacion')
+            .optional()
+            .custom(validarUbicacion),
+        // Valida la imagen propuesta (URL de imagen o Base64)
+        body('imagen')
+            .optional()
+            .custom(validarImagen),
+        // Valida el reporte de cierre permanente
+        body('cerradoPermanentemente')
+            .optional()
+            .isBoolean()
+            .withMessage('cerradoPermanentemente debe ser true o false')
+            .toBoolean(),  // Convierte "true"/"false" a boolean
+        // Valida el comentario opcional (explicación o fuente del cambio)
+        body('comentario')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El comentario no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que registra la sugerencia
+    sugerir
+);
+
+/**
+ * @route GET /api/v1/restaurantes/:id/sugerencias
+ * @desc Listar las sugerencias de edición de un restaurante (por defecto pendientes)
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta GET para que el admin o el propietario verificado revise las sugerencias de su restaurante
+router.get(
+    '/:id/sugerencias',  // Ruta relativa: /api/v1/restaurantes/:id/sugerencias
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el parámetro estado de la query string
+        query('estado')
+            .optional()  // El parámetro es opcional (default pendiente)
+            .isIn(Object.values(ESTADOS_SUGERENCIA))
+            .withMessage('Estado de sugerencia inválido'),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que lista las sugerencias del restaurante
+    obtenerSugerencias
+);
+
+/**
+ * @route GET /api/v1/restaurantes/:id/analiticas
+ * @desc Evolución por semana o mes: reseñas, calificación, distribución, likes/dislikes y posición en el ranking frente a la categoría
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta GET para el panel de analíticas del propietario
+router.get(
+    '/:id/analiticas',  // Ruta relativa: /api/v1/restaurantes/:id/analiticas
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el inicio del rango (por defecto, los últimos períodos)
+        query('desde')
+            .optional()
+            .isISO8601()
+            .withMessage('desde debe ser una fecha ISO 8601'),
+        // Valida el fin del rango (por defecto, ahora)
+        query('hasta')
+            .optional()
+            .isISO8601()
+            .withMessage('hasta debe ser una fecha ISO 8601'),
+        // Valida el tamaño de cada período
+        query('granularidad')
+            .optional()
+            .isIn(ANALITICAS.GRANULARIDADES)
+            .withMessage(`La granularidad debe ser una de: ${ANALITICAS.GRANULARIDADES.join(', ')}`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que arma la serie de períodos
+    obtenerAnaliticas
+);
+
+/**
+ * @route PUT /api/v1/restaurantes/:id/traducciones/:idioma
+ * @desc Guardar la traducción del restaurante (nombre y/o descripción) en un idioma
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta PUT para traducir el contenido del restaurante (se muestra con ?lang= o Accept-Language)
+router.put(
+    '/:id/traducciones/:idioma',  // Ruta relativa: /api/v1/restaurantes/:id/traducciones/:idioma
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    validacionesGuardarTraduccion,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que guarda la traducción
+    guardarTraduccion
+);
+
 /**
- * @route POST /api/v1/restaurantes
- * @desc Crear nuevo restaurante (requiere aprobación admin)
- * @access Private
+ * @route DELETE /api/v1/restaurantes/:id/traducciones/:idioma
+ * @desc Eliminar la traducción del restaurante en un idioma (vuelve a mostrarse el original)
+ * @access Private/Propietario o Admin
  */
-// Define la ruta POST para crear un nuevo restaurante
-// Esta ruta requiere autenticación (usuario logueado)
-// Soporta crear restaurante solo o restaurante con platos en una sola operación
-router.post(
-    '/',  // Ruta relativa: se completa con /api/v1/restaurantes
+router.delete(
+    '/:id/traducciones/:idioma',  // Ruta relativa: /api/v1/restaurantes/:id/traducciones/:idioma
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    validacionesRutaTraduccion,
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que elimina la traducción
+    eliminarTraduccion
+);
+
+/**
+ * @route GET /api/v1/restaurantes/:id/revisiones
+ * @desc Historial de revisiones del restaurante: autor, fecha y valor anterior/nuevo de cada campo
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta GET para consultar quién cambió qué en el restaurante
+router.get(
+    '/:id/revisiones',  // Ruta relativa: /api/v1/restaurantes/:id/revisiones
     // Rate limiter general para prevenir abuso
     limiterGeneral,
     // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
     autenticacionMiddleware,
     [
-        // Valida el campo nombre del cuerpo de la petición
-        body('nombre')
-            .trim()  // Elimina espacios en blanco al inicio y final
-            .notEmpty().withMessage('El nombre es requerido')  // Verifica que no esté vacío
-            // Verifica que la longitud no exceda el límite máximo
-            .isLength({ max: VALIDATION_LIMITS.NOMBRE_MAX_LENGTH })
-            .withMessage(`El nombre no puede exceder ${VALIDATION_LIMITS.NOMBRE_MAX_LENGTH} caracteres`),
-        // Valida el campo descripcion del cuerpo de la petición
-        body('descripcion')
-            .optional()  // El campo es opcional (puede no estar presente)
-            .trim()  // Elimina espacios en blanco al inicio y final
-            // Verifica que la longitud no exceda el límite máximo
-            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
-            .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
-        // Valida el campo categoriaId del cuerpo de la petición
-        body('categoriaId')
-            .optional()  // El campo es opcional
+        // Valida el parámetro id de la URL
+        param('id')
             .custom((value) => {
-                // Validación personalizada: si se proporciona categoriaId, debe ser un ObjectId válido
-                if (value && !esObjectIdValido(value)) {
-                    throw new Error('ID de categoría inválido');
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
                 }
                 return true;
             }),
-        // Valida el campo ubicacion del cuerpo de la petición
-        body('ubicacion')
-            .optional()  // El campo es opcional
-            .trim(),  // Elimina espacios en blanco al inicio y final
-        // Valida el campo imagen del cuerpo de la petición
-        body('imagen')
-            .optional()  // El campo es opcional
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que lista el historial
+    obtenerRevisiones
+);
+
+/**
+ * @route POST /api/v1/restaurantes/:id/revisiones/:revId/revertir
+ * @desc Restaurar el restaurante al estado previo a una revisión (deshace también las posteriores)
+ * @access Private/Admin
+ */
+// Define la ruta POST para deshacer ediciones no deseadas (vandalismo, errores)
+router.post(
+    '/:id/revisiones/:revId/revertir',
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario sea administrador
+    requiereAdmin,
+    [
+        // Valida los parámetros id y revId de la URL
+        param(['id', 'revId'])
             .custom((value) => {
-                // Si no se proporciona imagen, es válido (opcional)
-                if (!value) return true;
-                // Aceptar Base64 (data:image/...) o URL
-                // Si la imagen viene en formato Base64 (data:image/png;base64,...)
-                if (value.startsWith('data:image/')) {
-                    // Validar formato Base64 básico
-                    // Limita el tamaño máximo a ~10MB para evitar sobrecarga
-                    if (value.length > 10 * 1024 * 1024) { // ~10MB máximo
-                        throw new Error('La imagen Base64 es demasiado grande (máx. ~10MB)');
-                    }
-                    return true;
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
                 }
-                // Validar URL si no es Base64
-                // Patrón regex que verifica que sea una URL HTTP/HTTPS con extensión de imagen válida
-                const urlPattern = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|svg)(\?.*)?$/i;
-                if (!urlPattern.test(value)) {
-                    throw new Error('La imagen debe ser una URL válida o Base64');
+                return true;
+            })
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que revierte la revisión
+    revertirRevision
+);
+
+/**
+ * @route PUT /api/v1/restaurantes/:id/menu-cadena/:platoId
+ * @desc Ajustar en esta sucursal un plato heredado de la cadena (precio, descripcion, imagen, disponible)
+ * @access Private/Propietario o Admin
+ */
+// Define la ruta PUT para que la sucursal ajuste un plato del menú compartido
+// Los campos que no se envían se siguen tomando del plato de la cadena
+router.put(
+    '/:id/menu-cadena/:platoId',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
                 }
                 return true;
             }),
-        // Valida el campo platos del cuerpo de la petición
-        // Permite crear restaurante con múltiples platos en una sola petición
-        body('platos')
-            .optional()  // El campo es opcional
-            .custom((platos) => {
-                // Si no se proporcionan platos, es válido (opcional)
-                if (platos === undefined || platos === null) return true;
-                // Verifica que platos sea un array
-                if (!Array.isArray(platos)) {
-                    throw new Error('Los platos deben ser un array');
+        // Valida el parámetro platoId de la URL (plato del menú de la cadena)
+        param('platoId')
+            .custom((value) => {
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID de plato inválido');
                 }
-                // Limita el número máximo de platos que se pueden crear a la vez
-                // Previene sobrecarga del servidor
-                if (platos.length > 50) {
-                    throw new Error('No se pueden crear más de 50 platos a la vez');
+                return true;
+            }),
+        // Valida el precio propio de la sucursal
+        body('precio')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('El precio debe ser un número mayor o igual a 0'),
+        // Valida la descripción propia de la sucursal
+        body('descripcion')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`La descripción no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`),
+        // Valida la imagen propia de la sucursal (URL de imagen o Base64)
+        body('imagen')
+            .optional()
+            .custom(validarImagen),
+        // Valida la disponibilidad (false oculta el plato en esta sucursal)
+        body('disponible')
+            .optional()
+            .isBoolean()
+            .withMessage('disponible debe ser true o false')
+            .toBoolean()  // Convierte "true"/"false" a boolean
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado de la sucursal
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que guarda el ajuste
+    sobrescribirPlatoCadena
+);
+
+/**
+ * @route DELETE /api/v1/restaurantes/:id/menu-cadena/:platoId
+ * @desc Quitar el ajuste de la sucursal sobre un plato heredado (vuelve a los valores de la cadena)
+ * @access Private/Propietario o Admin
+ */
+router.delete(
+    '/:id/menu-cadena/:platoId',
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
                 }
-                // Validar cada plato del array
-                for (let i = 0; i < platos.length; i++) {
-                    const plato = platos[i];
-                    // Verifica que el plato tenga nombre y no esté vacío
-                    if (!plato.nombre || plato.nombre.trim() === '') {
-                        throw new Error(`El nombre del plato ${i + 1} es requerido`);
-                    }
-                    // Verifica que el nombre no exceda 100 caracteres
-                    if (plato.nombre && plato.nombre.length > 100) {
-                        throw new Error(`El nombre del plato ${i + 1} no puede exceder 100 caracteres`);
-                    }
-                    // Verifica que la descripción (si existe) no exceda 500 caracteres
-                    if (plato.descripcion && plato.descripcion.length > 500) {
-                        throw new Error(`La descripción del plato ${i + 1} no puede exceder 500 caracteres`);
-                    }
-                    // Valida el precio (opcional pero debe ser positivo si se proporciona)
-                    if (plato.precio !== undefined && plato.precio !== null) {
-                        // Convierte el precio a número flotante
-                        const precio = parseFloat(plato.precio);
-                        // Verifica que sea un número válido y positivo
-                        if (isNaN(precio) || precio < 0) {
-                            throw new Error(`El precio del plato ${i + 1} debe ser un número positivo`);
-                        }
-                    }
-                    // Valida la imagen del plato (si se proporciona)
-                    if (plato.imagen) {
-                        // Si la imagen es Base64
-                        if (plato.imagen.startsWith('data:image/')) {
-                            // Limita el tamaño máximo a ~10MB
-                            if (plato.imagen.length > 10 * 1024 * 1024) {
-                                throw new Error(`La imagen Base64 del plato ${i + 1} es demasiado grande (máx. ~10MB)`);
-                            }
-                        } else {
-                            // Si no es Base64, valida que sea una URL válida con extensión de imagen
-                            const urlPattern = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|svg)(\?.*)?$/i;
-                            if (!urlPattern.test(plato.imagen)) {
-                                throw new Error(`La imagen del plato ${i + 1} debe ser una URL válida o Base64`);
-                            }
-                        }
-                    }
+                return true;
+            }),
+        // Valida el parámetro platoId de la URL (plato del menú de la cadena)
+        param('platoId')
+            .custom((value) => {
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID de plato inválido');
                 }
-                return true;  // Si todas las validaciones pasan, retorna true
+                return true;
             })
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
-    // Controlador que maneja la lógica de crear el restaurante (con o sin platos)
-    crear
+    // Middleware de propiedad: solo el admin o el propietario verificado de la sucursal
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que quita el ajuste
+    quitarSobrescrituraPlatoCadena
 );
 
 /**
- * @route GET /api/v1/restaurantes
- * @desc Obtener restaurantes con filtros
+ * @route GET /api/v1/restaurantes/:id/similares
+ * @desc Restaurantes aprobados parecidos (categoría, platos, palabras clave, precio y usuarios en común), con los motivos
  * @access Public
  */
-// Define la ruta GET para obtener restaurantes con filtros y paginación
+// Define la ruta GET para la sección "si te gustó esto" del detalle de un restaurante
 // Esta ruta es pública, no requiere autenticación
 router.get(
-    '/',  // Ruta relativa: se completa con /api/v1/restaurantes
+    '/:id/similares',  // Ruta relativa: /api/v1/restaurantes/:id/similares
+    // Rate limiter general: cada recomendación recorre varios candidatos
+    limiterGeneral,
     [
-        // Valida el parámetro categoriaId de la query string
-        query('categoriaId')
-            .optional()  // El parámetro es opcional
+        // Valida el parámetro id de la URL
+        param('id')
             .custom((value) => {
-                // Validación personalizada: si se proporciona categoriaId, debe ser un ObjectId válido
-                if (value && !esObjectIdValido(value)) {
-                    throw new Error('ID de categoría inválido');
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
                 }
                 return true;
             }),
-        // Valida el parámetro ordenarPor de la query string
-        query('ordenarPor')
-            .optional()  // El parámetro es opcional
-            // Verifica que el valor esté en la lista permitida de campos para ordenar
-            .isIn(['ranking', 'calificacionPromedio', 'nombre', 'fechaCreacion'])
-            .withMessage('Ordenamiento inválido'),  // Mensaje de error si no está en la lista
-        // Valida el parámetro orden de la query string
-        query('orden')
-            .optional()  // El parámetro es opcional
-            // Verifica que el valor sea 'asc' (ascendente) o 'desc' (descendente)
-            .isIn(['asc', 'desc'])
-            .withMessage('Orden debe ser "asc" o "desc"'),  // Mensaje de error
-        // Valida el parámetro limite de la query string (para paginación)
+        // Valida la cantidad de recomendaciones
         query('limite')
-            .optional()  // El parámetro es opcional
-            // Verifica que sea un número entero entre 1 y 100
-            .isInt({ min: 1, max: 100 })
-            .withMessage('El límite debe ser un número entre 1 y 100'),  // Mensaje de error
-        // Valida el parámetro saltar de la query string (para paginación)
-        query('saltar')
-            .optional()  // El parámetro es opcional
-            // Verifica que sea un número entero mayor o igual a 0
-            .isInt({ min: 0 })
-            .withMessage('Saltar debe ser un número mayor o igual a 0')  // Mensaje de error
+            .optional()
+            .isInt({ min: 1, max: RECOMENDACION_SIMILARES.LIMITE_MAXIMO })
+            .withMessage(`El límite debe ser un número entre 1 y ${RECOMENDACION_SIMILARES.LIMITE_MAXIMO}`)
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
-    // Controlador que maneja la lógica de obtener los restaurantes con filtros
-    obtenerTodos
+    // Controlador que calcula las recomendaciones
+    obtenerSimilares
 );
 
 /**
  * @route GET /api/v1/restaurantes/:id
- * @desc Obtener restaurante por ID
+ * @desc Obtener restaurante por ID o slug
  * @access Public
  */
 // Define la ruta GET para obtener un restaurante específico por su ID
 // Esta ruta es pública, no requiere autenticación
 router.get(
     '/:id',  // Ruta relativa con parámetro dinámico: /api/v1/restaurantes/:id
+    // Acepta el slug del restaurante (un slug anterior redirige con 301 al actual)
+    aceptarSlug('restaurantes'),
     [
         // Valida el parámetro id de la URL
         param('id')
@@ -242,7 +1178,12 @@ router.get(
                     throw new Error('ID inválido');
                 }
                 return true;
-            })
+            }),
+        // Valida el parámetro abiertoEn (instante para calcular el estado de apertura)
+        query('abiertoEn')
+            .optional()  // El parámetro es opcional (default: ahora)
+            .isISO8601()
+            .withMessage('abiertoEn debe ser una fecha ISO 8601 válida')
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
@@ -253,7 +1194,7 @@ router.get(
 /**
  * @route PUT /api/v1/restaurantes/:id
  * @desc Actualizar restaurante
- * @access Private
+ * @access Private/Propietario o Admin
  */
 // Define la ruta PUT para actualizar un restaurante existente
 // Esta ruta requiere autenticación (usuario logueado)
@@ -299,36 +1240,33 @@ router.put(
                 return true;
             }),
         // Valida el campo ubicacion del cuerpo de la petición (opcional)
+        // Acepta texto libre o un objeto { direccion, barrio, ciudad, pais, lat, lng }
         body('ubicacion')
             .optional()  // El campo es opcional
-            .trim(),  // Elimina espacios en blanco al inicio y final
+            .custom(validarUbicacion),
+        // Valida el campo horario del cuerpo de la petición
+        // Formato: { zonaHoraria, semana: { lunes: [{ apertura, cierre }] }, cierresEspeciales: [...] }
+        body('horario')
+            .optional()  // El campo es opcional (null elimina el horario en una actualización)
+            .custom(validarHorario),
+        // Valida el campo atributos del cuerpo de la petición (ej: ["wifi", "terraza"])
+        body('atributos')
+            .optional()  // El campo es opcional
+            .custom(validarAtributos),
+        // Valida el campo moneda del cuerpo de la petición (código ISO 4217)
+        // Cambiarla cierra el precio vigente de cada plato y abre uno nuevo en la nueva moneda
+        body('moneda')
+            .optional()  // El campo es opcional
+            .custom(validarMoneda),
         // Valida el campo imagen del cuerpo de la petición (opcional)
         body('imagen')
             .optional()  // El campo es opcional
-            .custom((value) => {
-                // Si no se proporciona imagen, es válido (opcional)
-                if (!value) return true;
-                // Aceptar Base64 (data:image/...) o URL
-                // Si la imagen viene en formato Base64
-                if (value.startsWith('data:image/')) {
-                    // Validar formato Base64 básico
-                    // Limita el tamaño máximo a ~10MB para evitar sobrecarga
-                    if (value.length > 10 * 1024 * 1024) { // ~10MB máximo
-                        throw new Error('La imagen Base64 es demasiado grande (máx. ~10MB)');
-                    }
-                    return true;
-                }
-                // Validar URL si no es Base64
-                // Patrón regex que verifica que sea una URL HTTP/HTTPS con extensión de imagen válida
-                const urlPattern = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|svg)(\?.*)?$/i;
-                if (!urlPattern.test(value)) {
-                    throw new Error('La imagen debe ser una URL válida o Base64');
-                }
-                return true;
-            })
+            .custom(validarImagen)
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
     // Controlador que maneja la lógica de actualizar el restaurante
     actualizar
 );
@@ -366,14 +1304,148 @@ router.patch(
     aprobar
 );
 
+/**
+ * @route PATCH /api/v1/restaurantes/:id/estado
+ * @desc Cambiar el estado de aprobación (aprobado, rechazado, cambios_solicitados, suspendido)
+ * @access Private/Admin
+ */
+// Define la ruta PATCH para aplicar una transición del flujo de aprobación
+// rechazado, cambios_solicitados y suspendido requieren un motivo visible para el autor
+router.patch(
+    '/:id/estado',  // Ruta relativa: /api/v1/restaurantes/:id/estado
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el estado destino
+        body('estado')
+            .notEmpty().withMessage('El estado es requerido')
+            .isIn(Object.values(ESTADOS_RESTAURANTE))
+            .withMessage(`El estado debe ser uno de: ${Object.values(ESTADOS_RESTAURANTE).join(', ')}`),
+        // Valida el motivo de la transición (obligatorio según el estado, se verifica en el modelo)
+        body('motivo')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El motivo no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que aplica la transición de estado
+    cambiarEstado
+);
+
+/**
+ * @route PATCH /api/v1/restaurantes/:id/estado-operativo
+ * @desc Marcar el restaurante como abierto, cerrado temporalmente (con fecha de reapertura) o cerrado permanentemente
+ * @access Private (propietario verificado o admin)
+ */
+// Define la ruta PATCH para cambiar el estado operativo (independiente del estado de aprobación)
+// Un restaurante cerrado sale del ranking y la búsqueda por defecto y no admite reseñas nuevas
+router.patch(
+    '/:id/estado-operativo',  // Ruta relativa: /api/v1/restaurantes/:id/estado-operativo
+    // Rate limiter general para prevenir abuso
+    limiterGeneral,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    [
+        // Valida el parámetro id de la URL
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el estado operativo destino
+        body('estadoOperativo')
+            .notEmpty().withMessage('El estado operativo es requerido')
+            .isIn(Object.values(ESTADOS_OPERATIVOS))
+            .withMessage(`El estado operativo debe ser uno de: ${Object.values(ESTADOS_OPERATIVOS).join(', ')}`),
+        // Valida la fecha de reapertura (obligatoria en el cierre temporal; que sea futura se verifica en el modelo)
+        body('fechaReapertura')
+            .if(body('estadoOperativo').equals(ESTADOS_OPERATIVOS.CERRADO_TEMPORALMENTE))
+            .notEmpty().withMessage('La fecha de reapertura es requerida en un cierre temporal')
+            .isISO8601().withMessage('La fecha de reapertura debe tener formato ISO 8601 (ej: 2025-03-01)'),
+        // Valida el motivo del cierre (se muestra en el aviso del restaurante)
+        body('motivo')
+            .optional()
+            .trim()
+            .isLength({ max: VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH })
+            .withMessage(`El motivo no puede exceder ${VALIDATION_LIMITS.DESCRIPCION_MAX_LENGTH} caracteres`)
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
+    // Controlador que aplica el cambio de estado operativo
+    cambiarEstadoOperativo
+);
+
+/**
+ * @route POST /api/v1/restaurantes/:id/fusionar
+ * @desc Fusionar un restaurante duplicado (duplicadoId) en este: mueve sus platos y reseñas y lo envía a la papelera
+ * @access Private/Admin
+ */
+router.post(
+    '/:id/fusionar',  // Ruta relativa: /api/v1/restaurantes/:id/fusionar
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el parámetro id de la URL (restaurante que se conserva)
+        param('id')
+            .custom((value) => {
+                // Validación personalizada: verifica que el ID sea un ObjectId válido
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID inválido');
+                }
+                return true;
+            }),
+        // Valida el restaurante duplicado que se fusiona
+        body('duplicadoId')
+            .custom((value, { req }) => {
+                if (!esObjectIdValido(value)) {
+                    throw new Error('ID del restaurante duplicado inválido');
+                }
+                if (value === req.params.id) {
+                    throw new Error('Un restaurante no puede fusionarse consigo mismo');
+                }
+                return true;
+            })
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que fusiona los restaurantes
+    fusionar
+);
+
 /**
  * @route DELETE /api/v1/restaurantes/:id
- * @desc Eliminar restaurante
- * @access Private
+ * @desc Eliminar restaurante (lo envía a la papelera con sus platos y reseñas)
+ *       Admin: ?cascada=true lo elimina definitivamente con platos, reseñas y reacciones;
+ *       ?cascada=true&dryRun=true solo informa lo que se eliminaría
+ * @access Private/Propietario o Admin
  */
 // Define la ruta DELETE para eliminar un restaurante
 // Esta ruta requiere autenticación (usuario logueado)
-// Nota: No permite eliminar si hay platos o reseñas asociados
+// Por defecto el restaurante, sus platos y sus reseñas van a la papelera (eliminación lógica)
 router.delete(
     '/:id',  // Ruta relativa con parámetro dinámico: /api/v1/restaurantes/:id
     // Rate limiter general para prevenir abuso
@@ -389,12 +1461,24 @@ router.delete(
                     throw new Error('ID inválido');
                 }
                 return true;
-            })
+            }),
+        // Valida el modo de eliminación en cascada (solo admin, se comprueba en el controlador)
+        query('cascada')
+            .optional()
+            .isBoolean()
+            .withMessage('cascada debe ser "true" o "false"'),
+        // Valida el modo de simulación de la eliminación en cascada
+        query('dryRun')
+            .optional()
+            .isBoolean()
+            .withMessage('dryRun debe ser "true" o "false"')
     ],
     // Middleware que verifica si hay errores de validación
     validacionMiddleware,
+    // Middleware de propiedad: solo el admin o el propietario verificado del restaurante
+    requierePropietarioOAdmin(restauranteDeLaRuta),
     // Controlador que maneja la lógica de eliminar el restaurante
-    // Verifica que no haya platos o reseñas asociados antes de eliminar
+    // Papelera por defecto; en cascada (admin) eliminación definitiva o simulación con dryRun
     eliminar
 );
 
@@ -0,0 +1,70 @@
+// Importa Router desde express
+// Router permite definir rutas modulares y reutilizables para la aplicación
+import { Router } from 'express';
+// Importa query desde express-validator
+import { query } from 'express-validator';
+// Importa el controlador que lista el contenido sin traducir
+import { obtenerFaltantes } from '../controllers/traduccion.controller.js';
+// Importa el middleware de validación
+// validacionMiddleware procesa los errores de validación de express-validator
+import { validacionMiddleware } from '../middlewares/validationDTO.js';
+// Importa el middleware de autenticación
+// autenticacionMiddleware verifica que el usuario tenga un token JWT válido
+import { autenticacionMiddleware } from '../middlewares/autenticacion.middleware.js';
+// Importa el middleware de roles
+// requiereAdmin verifica que el usuario tenga rol de administrador
+import { requiereAdmin } from '../middlewares/roles.middleware.js';
+// Importa el rate limiter para acciones administrativas
+import { limiterAdmin } from '../config/limiters.js';
+// Importa los idiomas y las entidades traducibles
+import { IDIOMAS, ENTIDADES_TRADUCCION } from '../utils/constants.js';
+
+// Crea una instancia de Router para definir las rutas de traducciones
+// Este router se montará en la ruta base /api/v1/admin/traducciones
+// (las traducciones de cada documento se editan en /restaurantes, /platos y /categorias)
+const router = Router();
+
+// Idiomas en los que se puede traducir (el original no tiene traducciones)
+const IDIOMAS_TRADUCIBLES = IDIOMAS.SOPORTADOS.filter((idioma) => idioma !== IDIOMAS.ORIGINAL);
+
+/**
+ * @route GET /api/v1/admin/traducciones/faltantes
+ * @desc Restaurantes, platos o categorías sin traducción (nombre o descripción) en un idioma
+ * @access Private/Admin
+ */
+router.get(
+    '/faltantes',  // Ruta relativa: /api/v1/admin/traducciones/faltantes
+    // Rate limiter para acciones administrativas
+    limiterAdmin,
+    // Middleware de autenticación: verifica que el usuario tenga un token JWT válido
+    autenticacionMiddleware,
+    // Middleware de roles: verifica que el usuario tenga rol de administrador
+    requiereAdmin,
+    [
+        // Valida el idioma a revisar
+        query('idioma')
+            .isIn(IDIOMAS_TRADUCIBLES)
+            .withMessage(`El idioma debe ser uno de: ${IDIOMAS_TRADUCIBLES.join(', ')}`),
+        // Valida el tipo de contenido a revisar
+        query('entidad')
+            .isIn(Object.values(ENTIDADES_TRADUCCION))
+            .withMessage(`La entidad debe ser una de: ${Object.values(ENTIDADES_TRADUCCION).join(', ')}`),
+        // Valida el parámetro limite de la query string (para paginación)
+        query('limite')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('El límite debe ser un número entre 1 y 100'),
+        // Valida el parámetro saltar de la query string (para paginación)
+        query('saltar')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Saltar debe ser un número mayor o igual a 0')
+    ],
+    // Middleware que verifica si hay errores de validación
+    validacionMiddleware,
+    // Controlador que lista el contenido sin traducir
+    obtenerFaltantes
+);
+
+// Exporta el router para que pueda ser montado en la aplicación principal
+export default router;
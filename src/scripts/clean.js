@@ -27,7 +27,7 @@ async function limpiarBD() {
         
         // Define un array con los nombres de todas las colecciones a limpiar
         // Estas son las colecciones principales del sistema
-        const colecciones = ['categorias', 'restaurantes', 'platos', 'usuarios', 'reseñas'];
+        const colecciones = ['categorias', 'restaurantes', 'platos', 'usuarios', 'reseñas', 'reclamaciones'];
         // Objeto para almacenar los resultados de eliminación por colección
         const resultados = {};
         
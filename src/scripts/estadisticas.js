@@ -0,0 +1,47 @@
+/**
+ * Script para calcular las estadísticas de reseñas de los usuarios existentes
+ * Ejecutar con: npm run estadisticas (o node src/scripts/estadisticas.js)
+ *
+ * Los usuarios creados antes de existir las estadísticas no las tienen hasta que crean o reciben una reacción en una reseña.
+ * Este script las calcula a partir de sus reseñas activas.
+ * Se puede ejecutar varias veces: solo procesa los usuarios que todavía no tienen estadísticas.
+ */
+
+// Importa dotenv para cargar variables de entorno desde el archivo .env
+// Esto es necesario para obtener la URI de MongoDB
+import 'dotenv/config';
+// Importa la función de conexión a la base de datos
+import { conectarBD } from '../config/db.js';
+// Importa la función que calcula las estadísticas faltantes
+import { asignarEstadisticasFaltantes } from '../models/usuario.model.js';
+
+/**
+ * Función principal
+ */
+// Función principal que conecta a la base de datos y calcula las estadísticas
+async function main() {
+    try {
+        console.log('📊 Calculando estadísticas de usuarios...\n');
+
+        // Conecta a la base de datos MongoDB usando la configuración del archivo .env
+        await conectarBD();
+
+        // Calcula las estadísticas de los usuarios que no las tienen
+        const actualizados = await asignarEstadisticasFaltantes();
+
+        // Muestra cuántos usuarios se actualizaron
+        console.log(`   ✓ usuarios: ${actualizados} actualizados`);
+        console.log('\n✅ Estadísticas calculadas');
+
+        // Sale del proceso con código de éxito (0)
+        process.exit(0);
+    } catch (error) {
+        // Captura cualquier error que ocurra durante el proceso
+        console.error('❌ Error al calcular las estadísticas:', error);
+        // Sale del proceso con código de error (1)
+        process.exit(1);
+    }
+}
+
+// Ejecuta la función principal al correr el script
+main();
@@ -0,0 +1,130 @@
+/**
+ * Script para importar restaurantes desde un archivo CSV o JSON
+ * Ejecutar con: npm run import -- <archivo.csv|archivo.json> [--dry-run] [--lote N]
+ *          o:   npm run import -- --reanudar <importacionId> [--reintentar-fallidas]
+ *
+ * Usa la misma validación que POST /api/v1/restaurantes. Con --dry-run solo muestra
+ * qué filas se importarían y los errores de las demás, sin guardar nada.
+ * Si la importación se interrumpe, se puede reanudar con --reanudar: las filas ya
+ * creadas no se vuelven a crear.
+ */
+
+// Importa dotenv para cargar variables de entorno desde el archivo .env
+// Esto es necesario para obtener la URI de MongoDB
+import 'dotenv/config';
+// Importa readFile para leer el archivo a importar
+import { readFile } from 'node:fs/promises';
+// Importa extname para deducir el formato a partir de la extensión del archivo
+import { extname } from 'node:path';
+// Importa la función de conexión a la base de datos
+import { conectarBD } from '../config/db.js';
+// Importa el servicio de importación
+// prepararImportacion: lee, valida y registra la importación (o solo informa con dryRun)
+// procesarImportacion: crea los restaurantes de las filas válidas por lotes
+import { prepararImportacion, procesarImportacion } from '../services/importacion.service.js';
+// Importa las funciones del modelo para reanudar y mostrar el informe por fila
+import { tomarImportacionParaReanudar, obtenerFilasImportacion } from '../models/importacion.model.js';
+// Importa los estados de las filas importadas
+import { ESTADOS_FILA_IMPORTACION } from '../utils/constants.js';
+
+// Función privada que lee los argumentos de la línea de comandos
+function leerArgumentos(argv) {
+    const argumentos = { archivo: null, dryRun: false, tamanoLote: undefined, reanudar: null, reintentarFallidas: false };
+    for (let i = 0; i < argv.length; i++) {
+        const argumento = argv[i];
+        if (argumento === '--dry-run') {
+            argumentos.dryRun = true;
+        } else if (argumento === '--reintentar-fallidas') {
+            argumentos.reintentarFallidas = true;
+        } else if (argumento === '--lote') {
+            argumentos.tamanoLote = parseInt(argv[++i]);
+            if (!Number.isInteger(argumentos.tamanoLote) || argumentos.tamanoLote < 1) {
+                throw new Error('--lote debe ser un número entero mayor que 0');
+            }
+        } else if (argumento === '--reanudar') {
+            argumentos.reanudar = argv[++i];
+        } else {
+            argumentos.archivo = argumento;
+        }
+    }
+    if (!argumentos.archivo && !argumentos.reanudar) {
+        throw new Error('Uso: npm run import -- <archivo.csv|archivo.json> [--dry-run] [--lote N] | --reanudar <id> [--reintentar-fallidas]');
+    }
+    return argumentos;
+}
+
+// Función privada que muestra las filas con errores (inválidas o fallidas)
+function mostrarErrores(filas) {
+    for (const fila of filas) {
+        const nombre = fila.nombre || fila.datos?.nombre || '(sin nombre)';
+        for (const error of fila.errores) {
+            console.log(`   ✗ Fila ${fila.numero} (${nombre})${error.campo ? ` [${error.campo}]` : ''}: ${error.mensaje}`);
+        }
+    }
+}
+
+/**
+ * Función principal
+ */
+// Función principal que conecta a la base de datos e importa (o valida) el archivo
+async function main() {
+    try {
+        const argumentos = leerArgumentos(process.argv.slice(2));
+
+        // Conecta a la base de datos MongoDB usando la configuración del archivo .env
+        // También en dry-run: la validación comprueba categorías, cadenas y atributos
+        await conectarBD();
+
+        let importacion;
+        if (argumentos.reanudar) {
+            console.log(`📥 Reanudando importación ${argumentos.reanudar}...\n`);
+            importacion = await tomarImportacionParaReanudar(argumentos.reanudar, {
+                reintentarFallidas: argumentos.reintentarFallidas
+            });
+            if (!importacion) {
+                throw new Error('Importación no encontrada');
+            }
+        } else {
+            const formato = extname(argumentos.archivo).toLowerCase() === '.csv' ? 'csv' : 'json';
+            console.log(`📥 ${argumentos.dryRun ? 'Validando' : 'Importando'} ${argumentos.archivo} (${formato})...\n`);
+            const contenido = await readFile(argumentos.archivo, 'utf8');
+
+            const resultado = await prepararImportacion({
+                contenido,
+                formato,
+                dryRun: argumentos.dryRun,
+                tamanoLote: argumentos.tamanoLote
+            });
+            if (argumentos.dryRun) {
+                // Muestra el informe de validación sin guardar nada
+                mostrarErrores(resultado.filas.filter((fila) => !fila.valida));
+                console.log(`\n✅ Validación completada: ${resultado.totales.validas} válidas, ${resultado.totales.invalidas} inválidas de ${resultado.totales.filas}`);
+                process.exit(0);
+            }
+            importacion = resultado;
+            console.log(`   Importación ${importacion._id} creada`);
+        }
+
+        // Crea los restaurantes por lotes, guardando el progreso después de cada lote
+        const final = await procesarImportacion(importacion);
+
+        // Muestra las filas que no se importaron
+        for (const estado of [ESTADOS_FILA_IMPORTACION.INVALIDA, ESTADOS_FILA_IMPORTACION.FALLIDA]) {
+            const { filas } = await obtenerFilasImportacion(importacion._id, { estado, limite: 0 });
+            mostrarErrores(filas);
+        }
+        const { totales } = final;
+        console.log(`\n✅ Importación ${final._id} ${final.estado}: ${totales.creadas} creadas, ${totales.invalidas} inválidas, ${totales.fallidas} fallidas de ${totales.filas}`);
+
+        // Sale del proceso con código de éxito (0)
+        process.exit(0);
+    } catch (error) {
+        // Captura cualquier error que ocurra durante el proceso
+        console.error('❌ Error en la importación:', error.message);
+        // Sale del proceso con código de error (1)
+        process.exit(1);
+    }
+}
+
+// Ejecuta la función principal al correr el script
+main();
@@ -0,0 +1,54 @@
+/**
+ * Script para purgar la papelera
+ * Ejecutar con: npm run purge (o node src/scripts/purge.js)
+ *
+ * Elimina definitivamente los restaurantes, platos y reseñas que llevan en la papelera
+ * más días que PAPELERA_RETENCION_DIAS (variable de entorno, 30 por defecto).
+ * Pensado para ejecutarse periódicamente (por ejemplo con cron una vez al día).
+ */
+
+// Importa dotenv para cargar variables de entorno desde el archivo .env
+// Esto es necesario para obtener la URI de MongoDB y la retención de la papelera
+import 'dotenv/config';
+// Importa la función de conexión a la base de datos
+import { conectarBD } from '../config/db.js';
+// Importa el servicio de papelera
+// purgarPapelera: elimina definitivamente los elementos vencidos
+// obtenerDiasRetencion: lee PAPELERA_RETENCION_DIAS
+import { purgarPapelera, obtenerDiasRetencion } from '../services/papelera.service.js';
+
+/**
+ * Función principal
+ */
+// Función principal que conecta a la base de datos y purga la papelera
+async function main() {
+    try {
+        // Días de retención configurados
+        const retencionDias = obtenerDiasRetencion();
+        console.log(`🗑️  Purgando papelera (retención: ${retencionDias} días)...\n`);
+
+        // Conecta a la base de datos MongoDB usando la configuración del archivo .env
+        await conectarBD();
+
+        // Elimina definitivamente los elementos vencidos
+        const resultado = await purgarPapelera({ retencionDias });
+
+        // Muestra cuántos documentos se eliminaron por colección
+        console.log(`   ✓ restaurantes: ${resultado.restaurantes} eliminados`);
+        console.log(`   ✓ platos: ${resultado.platos} eliminados`);
+        console.log(`   ✓ reseñas: ${resultado.reseñas} eliminadas`);
+        console.log(`   ✓ reseñas de platos: ${resultado.reseñasPlatos} eliminadas`);
+        console.log(`\n✅ Papelera purgada (elementos eliminados antes de ${resultado.fechaLimite.toISOString()})`);
+
+        // Sale del proceso con código de éxito (0)
+        process.exit(0);
+    } catch (error) {
+        // Captura cualquier error que ocurra durante el proceso
+        console.error('❌ Error al purgar la papelera:', error);
+        // Sale del proceso con código de error (1)
+        process.exit(1);
+    }
+}
+
+// Ejecuta la función principal al correr el script
+main();
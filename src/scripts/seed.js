@@ -29,6 +29,9 @@ import { actualizarCalificacionPromedio } from '../models/restaurante.model.js';
 // Importa el servicio de ranking
 // actualizarRankingRestaurante: calcula y actualiza el ranking de un restaurante
 import { actualizarRankingRestaurante } from '../services/ranking.service.js';
+// Importa el servicio de precios
+// actualizarPreciosRestaurante: calcula el rango y el nivel de precio a partir del menú
+import { actualizarPreciosRestaurante } from '../services/precio.service.js';
 // Importa ObjectId de MongoDB para trabajar con identificadores
 import { ObjectId } from 'mongodb';
 // Importa función helper para convertir strings a ObjectId
@@ -209,6 +212,7 @@ async function limpiarBD() {
     await db.collection('platos').deleteMany({});
     await db.collection('usuarios').deleteMany({});
     await db.collection('reseñas').deleteMany({});
+    await db.collection('reseñasPlatos').deleteMany({});
     // Mensaje confirmando que la limpieza se completó
     console.log('✅ Base de datos limpiada');
 }
@@ -393,7 +397,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'La Pizzería',
             descripcion: 'Pizza italiana artesanal con ingredientes frescos y sabores auténticos.',
             categoria: 'Italiana',
-            ubicacion: 'Calle 123 #45-67, Bogotá',
+            ubicacion: { direccion: 'Calle 123 #45-67', ciudad: 'Bogotá', pais: 'Colombia', lat: 4.7021, lng: -74.0431 },
             imagen: 'https://images.unsplash.com/photo-1513104890138-7c749659a591?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
             platos: [
                 { nombre: 'Pizza Margherita', descripcion: 'Tomate, mozzarella y albahaca fresca', precio: 35000, imagen: 'https://images.unsplash.com/photo-1574071318508-1cdbab80d002?w=800' },
@@ -406,7 +410,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'El Taco Loco',
             descripcion: 'Los mejores tacos mexicanos en la ciudad. Sabores auténticos y ambiente festivo.',
             categoria: 'Mexicana',
-            ubicacion: 'Avenida 45 #78-90, Medellín',
+            ubicacion: { direccion: 'Avenida 45 #78-90', ciudad: 'Medellín', pais: 'Colombia', lat: 6.2442, lng: -75.5812 },
             imagen: 'https://img.cdn4dd.com/p/fit=cover,width=1200,height=1200,format=auto,quality=90/media/photosV2/57387668-4e7d-4772-b55f-6fd76bbbfcf4-retina-large.jpg',
             platos: [
                 { nombre: 'Tacos de Carne Asada', descripcion: 'Tortillas de maíz con carne asada', precio: 18000, imagen: 'https://images.unsplash.com/photo-1599974579688-8dbdd335c77f?w=800' },
@@ -419,7 +423,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'Sushi Master',
             descripcion: 'Sushi y comida japonesa preparada por chefs expertos. Ingredientes frescos del día.',
             categoria: 'Japonesa',
-            ubicacion: 'Carrera 15 #93-45, Bogotá',
+            ubicacion: { direccion: 'Carrera 15 #93-45', ciudad: 'Bogotá', pais: 'Colombia', lat: 4.6767, lng: -74.0523 },
             imagen: 'https://images.unsplash.com/photo-1579584425555-c3ce17fd4351?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
             platos: [
                 { nombre: 'Sushi Roll Premium', descripcion: '12 piezas de sushi variado', precio: 55000, imagen: 'https://images.unsplash.com/photo-1761315412759-395963440a7e?w=800' },
@@ -432,7 +436,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'Burger Paradise',
             descripcion: 'Hamburguesas gourmet con ingredientes premium. El mejor lugar para hamburguesas.',
             categoria: 'Comida rápida',
-            ubicacion: 'Calle 70 #10-30, Bogotá',
+            ubicacion: { direccion: 'Calle 70 #10-30', ciudad: 'Bogotá', pais: 'Colombia', lat: 4.6553, lng: -74.0582 },
             imagen: 'https://images.unsplash.com/photo-1550547660-d9450f859349?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
             platos: [
                 { nombre: 'Burger Clásica', descripcion: 'Carne, queso, lechuga, tomate', precio: 25000, imagen: 'https://plus.unsplash.com/premium_photo-1675252369719-dd52bc69c3df?w=800' },
@@ -445,7 +449,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'Le Gourmet',
             descripcion: 'Restaurante de alta cocina con menú degustación. Experiencia gastronómica única.',
             categoria: 'Gourmet',
-            ubicacion: 'Carrera 11 #93-80, Bogotá',
+            ubicacion: { direccion: 'Carrera 11 #93-80', ciudad: 'Bogotá', pais: 'Colombia', lat: 4.6775, lng: -74.0478 },
             imagen: 'https://images.unsplash.com/photo-1414235077428-338989a2e8c0?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
             platos: [
                 { nombre: 'Menú Degustación', descripcion: '7 platos del chef', precio: 180000, imagen: 'https://www.justroyalbcn.com/wp-content/uploads/2025/02/como-crear-un-menu-degustacion-en-casa-consejos-y-recetas-scaled.jpg' },
@@ -458,7 +462,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'Veggie Delight',
             descripcion: 'Cocina vegetariana saludable y deliciosa. Todos nuestros platos son 100% vegetarianos.',
             categoria: 'Vegetariana',
-            ubicacion: 'Calle 85 #12-45, Bogotá',
+            ubicacion: { direccion: 'Calle 85 #12-45', ciudad: 'Bogotá', pais: 'Colombia', lat: 4.6691, lng: -74.0537 },
             imagen: 'https://images.unsplash.com/photo-1512621776951-a57141f2eefd?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
             platos: [
                 { nombre: 'Ensalada Mediterránea', descripcion: 'Ensalada fresca con vegetales', precio: 22000, imagen: 'https://plus.unsplash.com/premium_photo-1676047258557-de72954cf17c?w=800' },
@@ -471,7 +475,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'La Bandeja Paisa',
             descripcion: 'Comida típica colombiana. Sabores auténticos del campo colombiano.',
             categoria: 'Colombiana',
-            ubicacion: 'Carrera 7 #32-10, Bogotá',
+            ubicacion: { direccion: 'Carrera 7 #32-10', ciudad: 'Bogotá', pais: 'Colombia', lat: 4.6189, lng: -74.0689 },
             imagen: 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
             platos: [
                 { nombre: 'Bandeja Paisa', descripcion: 'Plato tradicional colombiano', precio: 35000, imagen: 'https://comedera.com/wp-content/uploads/sites/9/2021/11/bandeja-paisa-colombiana.jpg' },
@@ -484,7 +488,7 @@ async function seedRestaurantes(categorias, adminId) {
             nombre: 'Mariscos del Caribe',
             descripcion: 'Pescados y mariscos frescos del día. Especialidad en cocina costeña.',
             categoria: 'Mariscos',
-            ubicacion: 'Carrera 50 #75-20, Barranquilla',
+            ubicacion: { direccion: 'Carrera 50 #75-20', ciudad: 'Barranquilla', pais: 'Colombia', lat: 10.9985, lng: -74.8066 },
             imagen: 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
             platos: [
                 { nombre: 'Ceviche de Camarón', descripcion: 'Ceviche fresco con camarones', precio: 38000, imagen: 'https://images.unsplash.com/photo-1626663011519-b42e5ee10056?w=800' },
@@ -581,6 +585,9 @@ async function seedRestaurantes(categorias, adminId) {
                 }
             }
 
+            // Calcula el rango y el nivel de precio con los platos creados
+            await actualizarPreciosRestaurante(restaurante._id.toString());
+
             // Agrega el restaurante con sus platos al array de resultados
             restaurantesCreados.push({ restaurante, platos: platosCreados });
             // Mensaje de éxito indicando cuántos platos se crearon
@@ -0,0 +1,48 @@
+/**
+ * Script para asignar slugs a los restaurantes y categorías existentes
+ * Ejecutar con: npm run slugs (o node src/scripts/slugs.js)
+ *
+ * Los restaurantes y categorías creados antes de existir los slugs solo se encuentran por ID.
+ * Este script les asigna un slug a partir del nombre (los más antiguos reciben el slug sin sufijo).
+ * Se puede ejecutar varias veces: solo procesa los documentos que todavía no tienen slug.
+ */
+
+// Importa dotenv para cargar variables de entorno desde el archivo .env
+// Esto es necesario para obtener la URI de MongoDB
+import 'dotenv/config';
+// Importa la función de conexión a la base de datos
+import { conectarBD } from '../config/db.js';
+// Importa la función que asigna los slugs faltantes
+import { asignarSlugsFaltantes } from '../services/slug.service.js';
+
+/**
+ * Función principal
+ */
+// Función principal que conecta a la base de datos y asigna los slugs
+async function main() {
+    try {
+        console.log('🔗 Asignando slugs a restaurantes y categorías...\n');
+
+        // Conecta a la base de datos MongoDB usando la configuración del archivo .env
+        await conectarBD();
+
+        // Asigna el slug a los documentos que no lo tienen
+        const resultado = await asignarSlugsFaltantes();
+
+        // Muestra cuántos documentos se actualizaron por colección
+        console.log(`   ✓ restaurantes: ${resultado.restaurantes} actualizados`);
+        console.log(`   ✓ categorías: ${resultado.categorias} actualizadas`);
+        console.log('\n✅ Slugs asignados');
+
+        // Sale del proceso con código de éxito (0)
+        process.exit(0);
+    } catch (error) {
+        // Captura cualquier error que ocurra durante el proceso
+        console.error('❌ Error al asignar los slugs:', error);
+        // Sale del proceso con código de error (1)
+        process.exit(1);
+    }
+}
+
+// Ejecuta la función principal al correr el script
+main();
@@ -13,6 +13,8 @@ import { swaggerSetup } from "./config/swagger.js";
 import { manejoErrores, rutaNoEncontrada } from "./middlewares/errores.middleware.js";
 // Importa los middlewares y constante para el versionado de la API (validación, headers y versión actual)
 import { validarVersion, agregarHeadersVersion, API_VERSION } from "./middlewares/versioning.middleware.js";
+// Importa el middleware que elige el idioma de la respuesta (lang o Accept-Language) y traduce el contenido
+import { negociarIdioma } from "./middlewares/idioma.middleware.js";
 // Importa Passport, middleware de autenticación para Node.js
 import passport from "passport";
 
@@ -21,20 +23,41 @@ import passport from "passport";
 import usuarioRouter from "./routes/usuario.routes.js";
 // Importa el router que contiene todas las rutas relacionadas con categorías
 import categoriaRouter from "./routes/categoria.routes.js";
+// Importa el router del vocabulario de atributos de restaurantes (wifi, terraza, pet-friendly, etc.)
+import atributoRouter from "./routes/atributo.routes.js";
 // Importa el router que contiene todas las rutas relacionadas con restaurantes
 import restauranteRouter from "./routes/restaurante.routes.js";
 // Importa el router que contiene todas las rutas relacionadas con platos
 import platoRouter from "./routes/plato.routes.js";
 // Importa el router que contiene todas las rutas relacionadas con reseñas
 import reseñaRouter from "./routes/reseña.routes.js";
+// Importa el router de reseñas de platos (calificaciones, likes y dislikes de cada plato)
+import reseñaPlatoRouter from "./routes/reseñaPlato.routes.js";
 // Importa el router que contiene todas las rutas relacionadas con rankings
 import rankingRouter from "./routes/ranking.routes.js";
+// Importa el router de la búsqueda global (restaurantes, platos y categorías)
+import busquedaRouter from "./routes/busqueda.routes.js";
+// Importa el router de la papelera (elementos eliminados, restauración y purgado)
+import papeleraRouter from "./routes/papelera.routes.js";
+// Importa el router de cadenas (marcas con varias sucursales y menú compartido)
+import cadenaRouter from "./routes/cadena.routes.js";
+// Importa el router de importaciones masivas (solo admin)
+import importacionRouter from "./routes/importacion.routes.js";
+// Importa el router del seguimiento de traducciones (solo admin)
+import traduccionRouter from "./routes/traduccion.routes.js";
 
 // Config
 // Crea una instancia de la aplicación Express
 const app = express();
 // Middleware para parsear automáticamente el cuerpo de las peticiones JSON a objetos JavaScript
-app.use(express.json());
+// La subida de importaciones se salta este parser: su ruta lo parsea con un límite mayor, después de autenticar
+const parserJSON = express.json();
+app.use((req, res, next) => {
+    if (req.method === 'POST' && /^\/api\/v1\/admin\/importaciones\/?$/.test(req.path)) {
+        return next();
+    }
+    return parserJSON(req, res, next);
+});
 // Aplica la configuración de CORS para permitir peticiones desde diferentes orígenes
 app.use(corsConfig);
 // Inicializa Passport para que esté disponible en toda la aplicación
@@ -45,6 +68,8 @@ app.use(passport.initialize());
 app.use(agregarHeadersVersion);
 // Middleware que valida que las peticiones incluyan la versión correcta de la API
 app.use(validarVersion);
+// Middleware de idioma: traduce nombre y descripcion de restaurantes, platos y categorías en las respuestas
+app.use(negociarIdioma);
 
 // Swagger Documentation
 // Configura Swagger UI para documentar la API, disponible en /api-docs
@@ -65,18 +90,32 @@ app.get("/health", (req, res) => {
 // Ruta de admin debe ir antes para evitar conflictos
 // Registra el router de usuarios en la ruta /api/v1/admin/usuarios (alias para compatibilidad con frontend)
 app.use(`/api/v1/admin/usuarios`, usuarioRouter); // Alias para compatibilidad con frontend
+// Registra el router de la papelera en la ruta /api/v1/admin/papelera (solo admin)
+app.use(`/api/v1/admin/papelera`, papeleraRouter);
+// Registra el router de importaciones en la ruta /api/v1/admin/importaciones (solo admin)
+app.use(`/api/v1/admin/importaciones`, importacionRouter);
+// Registra el router de traducciones en la ruta /api/v1/admin/traducciones (solo admin)
+app.use(`/api/v1/admin/traducciones`, traduccionRouter);
 // Registra el router de usuarios en la ruta /api/v1/usuarios
 app.use(`/api/v1/usuarios`, usuarioRouter);
 // Registra el router de categorías en la ruta /api/v1/categorias
 app.use(`/api/v1/categorias`, categoriaRouter);
+// Registra el router de atributos en la ruta /api/v1/atributos
+app.use(`/api/v1/atributos`, atributoRouter);
 // Registra el router de restaurantes en la ruta /api/v1/restaurantes
 app.use(`/api/v1/restaurantes`, restauranteRouter);
+// Registra el router de cadenas en la ruta /api/v1/cadenas
+app.use(`/api/v1/cadenas`, cadenaRouter);
 // Registra el router de platos en la ruta /api/v1/platos
 app.use(`/api/v1/platos`, platoRouter);
 // Registra el router de reseñas en la ruta /api/v1/resenas
 app.use(`/api/v1/resenas`, reseñaRouter);
+// Registra el router de reseñas de platos en la ruta /api/v1/resenas-platos
+app.use(`/api/v1/resenas-platos`, reseñaPlatoRouter);
 // Registra el router de rankings en la ruta /api/v1/ranking
 app.use(`/api/v1/ranking`, rankingRouter);
+// Registra el router de búsqueda global en la ruta /api/v1/buscar
+app.use(`/api/v1/buscar`, busquedaRouter);
 
 // Manejo de errores (debe ir al final)
 // Middleware que maneja las rutas que no fueron encontradas (404)
@@ -0,0 +1,238 @@
+// Importa la función para obtener la instancia de la base de datos
+import { obtenerBD } from '../config/db.js';
+// Importa la función que busca el restaurante analizado
+import { buscarRestaurantePorId } from '../models/restaurante.model.js';
+// Importa la fórmula del ranking para reconstruirlo al cierre de cada período
+import { calcularRankingPonderado } from './ranking.service.js';
+// Importa los límites de los períodos, las calificaciones posibles y el filtro de la papelera
+import { ANALITICAS, VALIDATION_LIMITS, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
+
+// Milisegundos de un día (los períodos semanales se calculan en UTC)
+const MS_DIA = 24 * 60 * 60 * 1000;
+
+// Función privada que redondea a 2 decimales (null se mantiene)
+const redondear = (valor) => (valor === null ? null : Math.round(valor * 100) / 100);
+
+// Función privada que retorna el inicio del período que contiene una fecha
+// Semanas de lunes a domingo y meses calendario, en UTC (igual que $dateTrunc sin zona horaria)
+function inicioPeriodo(fecha, granularidad) {
+    if (granularidad === 'mes') {
+        return new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), 1));
+    }
+    const dia = Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate());
+    // getUTCDay: 0 = domingo; se retrocede hasta el lunes
+    return new Date(dia - ((fecha.getUTCDay() + 6) % 7) * MS_DIA);
+}
+
+// Función privada que desplaza el inicio de un período n períodos (negativo hacia atrás)
+function desplazarPeriodo(inicio, granularidad, n) {
+    if (granularidad === 'mes') {
+        return new Date(Date.UTC(inicio.getUTCFullYear(), inicio.getUTCMonth() + n, 1));
+    }
+    return new Date(inicio.getTime() + n * 7 * MS_DIA);
+}
+
+// Función privada que arma los períodos entre desde y hasta
+// El primer período empieza en el inicio del período de desde; el último termina en hasta
+function construirPeriodos(desde, hasta, granularidad) {
+    const periodos = [];
+    for (let inicio = inicioPeriodo(desde, granularidad); inicio < hasta; inicio = desplazarPeriodo(inicio, granularidad, 1)) {
+        if (periodos.length === ANALITICAS.MAX_PERIODOS) {
+            throw new Error(`Rango de fechas inválido: como máximo ${ANALITICAS.MAX_PERIODOS} períodos por consulta`);
+        }
+        const fin = desplazarPeriodo(inicio, granularidad, 1);
+        periodos.push({ inicio, fin: fin < hasta ? fin : hasta });
+    }
+    return periodos;
+}
+
+// Acumuladores comunes de las agregaciones de reseñas
+const ACUMULADORES_RESEÑAS = {
+    total: { $sum: 1 },
+    suma: { $sum: '$calificacion' },
+    likes: { $sum: '$likes' },
+    dislikes: { $sum: '$dislikes' },
+    ultima: { $max: '$fechaCreacion' }
+};
+
+// Función privada que calcula el ranking de un restaurante con sus reseñas acumuladas
+// Usa la misma fórmula que actualizarRankingRestaurante, con la recencia evaluada en fechaReferencia
+function calcularRankingAcumulado(acumulado, fechaReferencia) {
+    const { total = 0, suma = 0, likes = 0, dislikes = 0, ultima = null } = acumulado || {};
+    return calcularRankingPonderado(null, total > 0 ? suma / total : 0, likes, dislikes, ultima, fechaReferencia);
+}
+
+/**
+ * Obtiene la evolución de un restaurante por período, comparada con su categoría
+ * @param {string} id - ID del restaurante
+ * @param {object} opciones - { desde, hasta, granularidad: 'semana' | 'mes' }
+ * @returns {Promise<object|null>} - { restaurante, granularidad, desde, hasta, periodos } o null si el restaurante no existe
+ * @throws {Error} - Si el rango de fechas es inválido o supera ANALITICAS.MAX_PERIODOS
+ */
+// Función que reemplaza la foto fija de obtenerEstadisticasReseñas por una serie temporal
+// Por cada período retorna las reseñas creadas en él (cantidad, promedio, distribución, likes y dislikes),
+// el promedio acumulado, el ranking al cierre del período y la posición dentro de la categoría, junto con
+// los promedios de la categoría (restaurantes aprobados de la misma categoría, o todos si no tiene)
+// El ranking histórico se reconstruye con las reseñas creadas hasta el cierre de cada período; como las
+// reacciones no guardan fecha, los likes y dislikes de cada reseña son los actuales
+export async function obtenerAnaliticasRestaurante(id, opciones = {}) {
+    const { granularidad = 'mes' } = opciones;
+    const restaurante = await buscarRestaurantePorId(id);
+    if (!restaurante) {
+        return null;
+    }
+
+    // Rango consultado (por defecto, los últimos PERIODOS_DEFECTO períodos)
+    const hasta = opciones.hasta ? new Date(opciones.hasta) : new Date();
+    const desde = opciones.desde
+        ? new Date(opciones.desde)
+        : desplazarPeriodo(inicioPeriodo(hasta, granularidad), granularidad, -(ANALITICAS.PERIODOS_DEFECTO - 1));
+    if (desde >= hasta) {
+        throw new Error('Rango de fechas inválido: desde debe ser anterior a hasta');
+    }
+    const periodos = construirPeriodos(desde, hasta, granularidad);
+    const inicio = periodos[0].inicio;
+
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const restauranteId = restaurante._id;
+
+    // Restaurantes con los que se compara: los aprobados de la misma categoría (y el propio restaurante)
+    const filtroGrupo = { aprobado: true, ...FILTRO_NO_ELIMINADO };
+    if (restaurante.categoriaId) {
+        filtroGrupo.categoriaId = restaurante.categoriaId;
+    }
+    const grupo = await db.collection('restaurantes').find(filtroGrupo, { projection: { _id: 1 } }).toArray();
+    const idsGrupo = grupo.map((r) => r._id);
+    if (!idsGrupo.some((grupoId) => grupoId.equals(restauranteId))) {
+        idsGrupo.push(restauranteId);
+    }
+
+    const filtroReseñas = { restauranteId: { $in: idsGrupo }, ...FILTRO_NO_ELIMINADO };
+    const [anteriores, enRango, distribuciones, categoria] = await Promise.all([
+        // Reseñas anteriores al rango: punto de partida del acumulado de cada restaurante
+        db.collection('reseñas').aggregate([
+            { $match: { ...filtroReseñas, fechaCreacion: { $lt: inicio } } },
+            { $group: { _id: '$restauranteId', ...ACUMULADORES_RESEÑAS } }
+        ]).toArray(),
+        // Reseñas del rango por restaurante y período
+        db.collection('reseñas').aggregate([
+            { $match: { ...filtroReseñas, fechaCreacion: { $gte: inicio, $lt: hasta } } },
+            {
+                $group: {
+                    _id: {
+                        restauranteId: '$restauranteId',
+                        periodo: {
+                            $dateTrunc: {
+                                date: '$fechaCreacion',
+                                unit: granularidad === 'mes' ? 'month' : 'week',
+                                startOfWeek: 'monday'
+                            }
+                        }
+                    },
+                    ...ACUMULADORES_RESEÑAS
+                }
+            }
+        ]).toArray(),
+        // Distribución de calificaciones del restaurante por período
+        db.collection('reseñas').aggregate([
+            { $match: { restauranteId, ...FILTRO_NO_ELIMINADO, fechaCreacion: { $gte: inicio, $lt: hasta } } },
+            {
+                $group: {
+                    _id: {
+                        periodo: {
+                            $dateTrunc: {
+                                date: '$fechaCreacion',
+                                unit: granularidad === 'mes' ? 'month' : 'week',
+                                startOfWeek: 'monday'
+                            }
+                        },
+                        calificacion: '$calificacion'
+                    },
+                    total: { $sum: 1 }
+                }
+            }
+        ]).toArray(),
+        restaurante.categoriaId
+            ? db.collection('categorias').findOne({ _id: restaurante.categoriaId }, { projection: { nombre: 1 } })
+            : null
+    ]);
+
+    // Acumulado de reseñas de cada restaurante del grupo
+    const acumulados = new Map(anteriores.map(({ _id, ...datos }) => [_id.toString(), datos]));
+    // Reseñas del rango agrupadas por período
+    const porPeriodo = new Map();
+    for (const { _id, ...datos } of enRango) {
+        const clave = _id.periodo.toISOString();
+        if (!porPeriodo.has(clave)) {
+            porPeriodo.set(clave, []);
+        }
+        porPeriodo.get(clave).push({ restauranteId: _id.restauranteId.toString(), ...datos });
+    }
+
+    const claveRestaurante = restauranteId.toString();
+    const ahora = new Date();
+    const resultado = periodos.map(({ inicio: inicioPeriodoActual, fin }) => {
+        const clavePeriodo = inicioPeriodoActual.toISOString();
+        const reseñasPeriodo = porPeriodo.get(clavePeriodo) || [];
+
+        // Suma las reseñas del período al acumulado de cada restaurante
+        for (const { restauranteId: clave, total, suma, likes, dislikes, ultima } of reseñasPeriodo) {
+            const acumulado = acumulados.get(clave) || { total: 0, suma: 0, likes: 0, dislikes: 0, ultima: null };
+            acumulados.set(clave, {
+                total: acumulado.total + total,
+                suma: acumulado.suma + suma,
+                likes: acumulado.likes + likes,
+                dislikes: acumulado.dislikes + dislikes,
+                ultima: acumulado.ultima && acumulado.ultima > ultima ? acumulado.ultima : ultima
+            });
+        }
+
+        // Ranking de cada restaurante del grupo al cierre del período (o ahora, si el período no terminó)
+        const fechaReferencia = fin < ahora ? fin : ahora;
+        const rankings = idsGrupo.map((grupoId) => calcularRankingAcumulado(acumulados.get(grupoId.toString()), fechaReferencia));
+        const ranking = calcularRankingAcumulado(acumulados.get(claveRestaurante), fechaReferencia);
+
+        // Reseñas del restaurante creadas en el período
+        const propio = reseñasPeriodo.find((r) => r.restauranteId === claveRestaurante) || { total: 0, suma: 0, likes: 0, dislikes: 0 };
+        const acumulado = acumulados.get(claveRestaurante) || { total: 0, suma: 0 };
+        const distribucion = {};
+        for (let calificacion = VALIDATION_LIMITS.RATING_MIN; calificacion <= VALIDATION_LIMITS.RATING_MAX; calificacion++) {
+            distribucion[calificacion] = distribuciones.find(
+                ({ _id }) => _id.calificacion === calificacion && _id.periodo.toISOString() === clavePeriodo
+            )?.total || 0;
+        }
+
+        // Promedios de la categoría en el mismo período
+        const totalCategoria = reseñasPeriodo.reduce((suma, r) => suma + r.total, 0);
+        const sumaCategoria = reseñasPeriodo.reduce((suma, r) => suma + r.suma, 0);
+
+        return {
+            desde: inicioPeriodoActual,
+            hasta: fin,
+            reseñas: propio.total,
+            calificacionPromedio: propio.total > 0 ? redondear(propio.suma / propio.total) : null,
+            calificacionAcumulada: acumulado.total > 0 ? redondear(acumulado.suma / acumulado.total) : null,
+            distribucion,
+            likes: propio.likes,
+            dislikes: propio.dislikes,
+            ranking,
+            posicionCategoria: 1 + rankings.filter((valor) => valor > ranking).length,
+            categoria: {
+                restaurantes: idsGrupo.length,
+                reseñasPromedio: redondear(totalCategoria / idsGrupo.length),
+                calificacionPromedio: totalCategoria > 0 ? redondear(sumaCategoria / totalCategoria) : null,
+                rankingPromedio: redondear(rankings.reduce((suma, valor) => suma + valor, 0) / rankings.length)
+            }
+        };
+    });
+
+    return {
+        restaurante: { _id: restauranteId, nombre: restaurante.nombre, categoriaId: restaurante.categoriaId ?? null },
+        categoria: categoria ? categoria.nombre : null,
+        granularidad,
+        desde: inicio,
+        hasta,
+        periodos: resultado
+    };
+}
@@ -0,0 +1,216 @@
+// Importa la función para obtener la instancia de la base de datos
+import { obtenerBD } from '../config/db.js';
+// Importa la función helper para la búsqueda sin acentos
+// crearRegexSinAcentos: construye la expresión regular que se envía a MongoDB
+import { crearRegexSinAcentos } from '../utils/helpers.js';
+// Importa el filtro que excluye los documentos enviados a la papelera
+import { FILTRO_NO_ELIMINADO } from '../utils/constants.js';
+// Importa el filtro de los restaurantes en operación (excluye los cerrados temporal o permanentemente)
+import { construirFiltroEnOperacion } from './horario.service.js';
+
+// Puntajes de relevancia, de mejor a peor coincidencia
+// Una coincidencia solo en la descripción del restaurante vale como máximo DESCRIPCION
+const RELEVANCIA = {
+    EXACTA: 100,  // El texto es exactamente el término buscado
+    PREFIJO: 75,  // El texto empieza por el término buscado
+    PALABRA: 50,  // Alguna palabra del texto empieza por el término buscado
+    CONTIENE: 25,  // El término aparece en cualquier parte del texto
+    DESCRIPCION: 10
+};
+
+/**
+ * Construye las expresiones regulares de cada nivel de relevancia para un término
+ * @param {string} q - Término de búsqueda escrito por el usuario
+ * @returns {object|null} - { exacta, prefijo, palabra, contiene } o null si el término está vacío
+ */
+// Todas parten de crearRegexSinAcentos, así que ignoran acentos y mayúsculas igual que el filtro de la búsqueda
+// Los espacios al inicio y al final del texto no cuentan (como al normalizarlo con sanitizarParaBusqueda)
+export function crearPatronesRelevancia(q) {
+    const contiene = crearRegexSinAcentos(q);
+    if (!contiene) {
+        return null;
+    }
+    const patron = contiene.source;
+    return {
+        exacta: new RegExp(`^\\s*${patron}\\s*$`, 'i'),
+        prefijo: new RegExp(`^\\s*${patron}`, 'i'),
+        palabra: new RegExp(`(^|\\s)${patron}`, 'i'),
+        contiene
+    };
+}
+
+// Función privada que construye la expresión de agregación con el puntaje de relevancia de un campo
+// Coincidencia exacta > empieza por el término > alguna palabra empieza por el término > lo contiene
+// Se calcula en MongoDB para ordenar y limitar allí, sin leer todas las coincidencias
+function expresionRelevancia(campo, patrones) {
+    const coincide = (regex) => ({ $regexMatch: { input: campo, regex } });
+    return {
+        $switch: {
+            branches: [
+                { case: coincide(patrones.exacta), then: RELEVANCIA.EXACTA },
+                { case: coincide(patrones.prefijo), then: RELEVANCIA.PREFIJO },
+                { case: coincide(patrones.palabra), then: RELEVANCIA.PALABRA },
+                { case: coincide(patrones.contiene), then: RELEVANCIA.CONTIENE }
+            ],
+            default: 0
+        }
+    };
+}
+
+// Función privada que ordena por relevancia y, en empate, por ranking y nombre, y toma los primeros 'limite'
+// También cuenta todas las coincidencias, para que el total no dependa del límite
+function etapaResultadosPorRelevancia(limite) {
+    return {
+        $facet: {
+            resultados: [
+                { $sort: { relevancia: -1, ranking: -1, nombre: 1, _id: 1 } },
+                { $limit: limite }
+            ],
+            total: [{ $count: 'total' }]
+        }
+    };
+}
+
+// Función privada que separa los resultados y el total de la etapa $facet
+function leerResultados([faceta]) {
+    return { resultados: faceta.resultados, total: faceta.total[0]?.total ?? 0 };
+}
+
+/**
+ * Busca restaurantes, platos y categorías ignorando acentos y mayúsculas
+ * @param {string} q - Término de búsqueda
+ * @param {object} opciones - Opciones de búsqueda (limite por tipo, incluirCerrados)
+ * @returns {Promise<object>} - Resultados agrupados por tipo, con el total de coincidencias de cada uno
+ */
+// Función asíncrona exportada que realiza la búsqueda global de la aplicación
+// Parámetros:
+//   q - texto escrito por el usuario (con o sin acentos)
+//   opciones - objeto con limite (máximo de resultados por tipo, default 10) e incluirCerrados
+//   (default false: los restaurantes cerrados y sus platos no aparecen)
+// Retorna: Promise con { restaurantes, platos, categorias, totales, total } ordenados por relevancia
+export async function buscarGlobal(q, opciones = {}) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    // Extrae el límite de resultados por tipo
+    const { limite = 10, incluirCerrados = false } = opciones;
+    const ahora = new Date();
+
+    // Construye las regex del filtro y de cada nivel de relevancia
+    const patrones = crearPatronesRelevancia(q);
+    // Si el término queda vacío (solo espacios), retorna resultados vacíos
+    if (!patrones) {
+        return {
+            restaurantes: [],
+            platos: [],
+            categorias: [],
+            totales: { restaurantes: 0, platos: 0, categorias: 0 },
+            total: 0
+        };
+    }
+    const regex = patrones.contiene;
+    // El ordenamiento del nombre en el desempate sigue las reglas del español
+    const opcionesAgregacion = { collation: { locale: 'es' } };
+
+    // Ejecuta las tres consultas en paralelo, ya que son independientes entre sí
+    const [restaurantes, platos, categorias] = await Promise.all([
+        // Restaurantes aprobados cuyo nombre o descripción coincide con el término
+        db.collection('restaurantes').aggregate([
+            {
+                $match: {
+                    aprobado: true,
+                    ...FILTRO_NO_ELIMINADO,
+                    ...(incluirCerrados ? {} : construirFiltroEnOperacion(ahora)),
+                    $or: [{ nombre: regex }, { descripcion: regex }]
+                }
+            },
+            {
+                $project: {
+                    nombre: 1,
+                    slug: 1,
+                    descripcion: 1,
+                    categoriaId: 1,
+                    imagen: 1,
+                    calificacionPromedio: 1,
+                    ranking: 1,
+                    // El nombre pesa más que la descripción
+                    relevancia: {
+                        $max: [
+                            expresionRelevancia('$nombre', patrones),
+                            { $cond: [{ $regexMatch: { input: '$descripcion', regex } }, RELEVANCIA.DESCRIPCION, 0] }
+                        ]
+                    }
+                }
+            },
+            etapaResultadosPorRelevancia(limite)
+        ], opcionesAgregacion).toArray(),
+        // Platos cuyo nombre coincide, solo de restaurantes aprobados
+        // Se une con restaurantes para filtrar por aprobado y devolver el nombre del restaurante
+        db.collection('platos').aggregate([
+            { $match: { nombre: regex, ...FILTRO_NO_ELIMINADO } },
+            {
+                $lookup: {
+                    from: 'restaurantes',
+                    localField: 'restauranteId',
+                    foreignField: '_id',
+                    as: 'restaurante'
+                }
+            },
+            { $unwind: '$restaurante' },
+            {
+                $match: {
+                    'restaurante.aprobado': true,
+                    'restaurante.eliminado': { $ne: true },
+                    ...(incluirCerrados ? {} : construirFiltroEnOperacion(ahora, 'restaurante.'))
+                }
+            },
+            {
+                $project: {
+                    nombre: 1,
+                    descripcion: 1,
+                    precio: 1,
+                    imagen: 1,
+                    restauranteId: 1,
+                    restauranteNombre: '$restaurante.nombre',
+                    restauranteSlug: '$restaurante.slug',
+                    ranking: '$restaurante.ranking',
+                    // Los platos se puntúan solo por su nombre
+                    relevancia: expresionRelevancia('$nombre', patrones)
+                }
+            },
+            etapaResultadosPorRelevancia(limite)
+        ], opcionesAgregacion).toArray(),
+        // Categorías cuyo nombre coincide con el término
+        db.collection('categorias').aggregate([
+            { $match: { nombre: regex } },
+            {
+                $project: {
+                    nombre: 1,
+                    slug: 1,
+                    descripcion: 1,
+                    relevancia: expresionRelevancia('$nombre', patrones)
+                }
+            },
+            etapaResultadosPorRelevancia(limite)
+        ], opcionesAgregacion).toArray()
+    ]);
+
+    // Separa los resultados de cada tipo de su total de coincidencias
+    const porTipo = {
+        restaurantes: leerResultados(restaurantes),
+        platos: leerResultados(platos),
+        categorias: leerResultados(categorias)
+    };
+    return {
+        restaurantes: porTipo.restaurantes.resultados,
+        platos: porTipo.platos.resultados,
+        categorias: porTipo.categorias.resultados,
+        // Coincidencias de cada tipo (pueden ser más que los resultados devueltos)
+        totales: {
+            restaurantes: porTipo.restaurantes.total,
+            platos: porTipo.platos.total,
+            categorias: porTipo.categorias.total
+        },
+        // Total de coincidencias entre todos los tipos
+        total: porTipo.restaurantes.total + porTipo.platos.total + porTipo.categorias.total
+    };
+}
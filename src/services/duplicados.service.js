@@ -0,0 +1,205 @@
+// Importa la función para obtener la instancia de la base de datos
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper
+// sanitizarParaBusqueda: minúsculas y sin acentos (misma normalización que la búsqueda)
+// crearRegexSinAcentos: busca los candidatos por palabra ignorando acentos
+// normalizarUbicacion: lleva la ubicación recibida al formato guardado (con coordenadas GeoJSON)
+import { sanitizarParaBusqueda, crearRegexSinAcentos, normalizarUbicacion, convertirAObjectId } from '../utils/helpers.js';
+// Importa los umbrales de la detección y las palabras que no distinguen nombres
+import { DETECCION_DUPLICADOS, PALABRAS_IGNORADAS_NOMBRE, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
+
+// Radio medio de la Tierra en metros (para la distancia entre coordenadas)
+const RADIO_TIERRA_METROS = 6378100;
+
+/**
+ * Separa un nombre de restaurante en sus palabras significativas
+ * @param {string} nombre - Nombre del restaurante
+ * @returns {Array<string>} - Palabras normalizadas, sin signos ni artículos, ordenadas
+ */
+// "La Trattoria", "Trattoria, La" y "la trattoria " producen ["trattoria"]
+// Si el nombre solo tiene palabras ignoradas (ej: "The Restaurant") se conservan todas
+function obtenerPalabrasNombre(nombre) {
+    const palabras = sanitizarParaBusqueda(nombre)
+        .replace(/[^a-z0-9&\s]/g, ' ')
+        .split(/\s+/)
+        .filter((palabra) => palabra !== '');
+    const significativas = palabras.filter((palabra) => !PALABRAS_IGNORADAS_NOMBRE.includes(palabra));
+    return (significativas.length > 0 ? significativas : palabras).sort();
+}
+
+/**
+ * Calcula la distancia de edición (Levenshtein) entre dos textos
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} - Cantidad mínima de inserciones, borrados o cambios de letra
+ */
+// Tolera errores de tipeo como "Trattorria" frente a "Trattoria"
+function distanciaEdicion(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+        }
+        anterior = actual;
+    }
+    return anterior[b.length];
+}
+
+/**
+ * Calcula la similitud entre dos nombres de restaurante
+ * @param {string} nombreA - Primer nombre
+ * @param {string} nombreB - Segundo nombre
+ * @returns {number} - Similitud de 0 a 1
+ */
+// Usa la mejor de dos medidas sobre las palabras significativas:
+// - coincidencia de palabras (coeficiente de Dice), que ignora el orden
+// - distancia de edición sobre las palabras ordenadas, que tolera errores de tipeo
+export function calcularSimilitudNombres(nombreA, nombreB) {
+    const palabrasA = obtenerPalabrasNombre(nombreA);
+    const palabrasB = obtenerPalabrasNombre(nombreB);
+    if (palabrasA.length === 0 || palabrasB.length === 0) {
+        return 0;
+    }
+
+    const conjuntoB = new Set(palabrasB);
+    const comunes = new Set(palabrasA.filter((palabra) => conjuntoB.has(palabra))).size;
+    const similitudPalabras = (2 * comunes) / (new Set(palabrasA).size + conjuntoB.size);
+
+    const textoA = palabrasA.join(' ');
+    const textoB = palabrasB.join(' ');
+    const similitudTexto = 1 - distanciaEdicion(textoA, textoB) / Math.max(textoA.length, textoB.length);
+
+    return Math.max(similitudPalabras, similitudTexto);
+}
+
+/**
+ * Calcula la distancia en metros entre dos puntos GeoJSON
+ * @param {object} puntoA - { type: 'Point', coordinates: [lng, lat] }
+ * @param {object} puntoB - { type: 'Point', coordinates: [lng, lat] }
+ * @returns {number} - Distancia en metros (fórmula de haversine)
+ */
+function calcularDistanciaMetros(puntoA, puntoB) {
+    const aRadianes = (grados) => (grados * Math.PI) / 180;
+    const [lngA, latA] = puntoA.coordinates;
+    const [lngB, latB] = puntoB.coordinates;
+    const dLat = aRadianes(latB - latA);
+    const dLng = aRadianes(lngB - lngA);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(aRadianes(latA)) * Math.cos(aRadianes(latB)) * Math.sin(dLng / 2) ** 2;
+    return 2 * RADIO_TIERRA_METROS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Calcula la similitud entre dos ubicaciones normalizadas
+ * @param {object} ubicacionA - Ubicación normalizada
+ * @param {object} ubicacionB - Ubicación normalizada
+ * @returns {object} - { similitud (0 a 1, o null si no hay datos para comparar), distanciaMetros }
+ */
+// Con coordenadas en ambas, la similitud baja linealmente con la distancia hasta RADIO_METROS
+// Sin coordenadas se comparan las direcciones; dos ciudades distintas nunca son el mismo lugar
+function calcularSimilitudUbicacion(ubicacionA, ubicacionB) {
+    if (ubicacionA?.coordenadas && ubicacionB?.coordenadas) {
+        const distanciaMetros = calcularDistanciaMetros(ubicacionA.coordenadas, ubicacionB.coordenadas);
+        return {
+            similitud: Math.max(0, 1 - distanciaMetros / DETECCION_DUPLICADOS.RADIO_METROS),
+            distanciaMetros: Math.round(distanciaMetros)
+        };
+    }
+
+    const ciudadA = sanitizarParaBusqueda(ubicacionA?.ciudad);
+    const ciudadB = sanitizarParaBusqueda(ubicacionB?.ciudad);
+    if (ciudadA && ciudadB && ciudadA !== ciudadB) {
+        return { similitud: 0, distanciaMetros: null };
+    }
+
+    // Direcciones sin signos ni espacios ("Cra. 7 # 45-10" = "cra 7 45 10")
+    const direccionA = sanitizarParaBusqueda(ubicacionA?.direccion).replace(/[^a-z0-9]/g, '');
+    const direccionB = sanitizarParaBusqueda(ubicacionB?.direccion).replace(/[^a-z0-9]/g, '');
+    if (direccionA && direccionB) {
+        return {
+            similitud: 1 - distanciaEdicion(direccionA, direccionB) / Math.max(direccionA.length, direccionB.length),
+            distanciaMetros: null
+        };
+    }
+
+    // No hay datos suficientes para comparar los lugares
+    return { similitud: null, distanciaMetros: null };
+}
+
+/**
+ * Busca restaurantes que probablemente sean el mismo que se quiere crear
+ * @param {object} datos - { nombre, ubicacion, cadenaId } del restaurante nuevo
+ * @param {object} opciones - { excluirId } para no compararse consigo mismo
+ * @returns {Promise<Array>} - Posibles duplicados ordenados por similitud (mayor primero)
+ */
+// Función que se llama antes de crear un restaurante (POST /restaurantes)
+// 1. Busca candidatos: restaurantes con alguna palabra del nombre o dentro de RADIO_METROS
+// 2. Puntúa cada candidato combinando la similitud del nombre (70%) y la de la ubicación (30%)
+//    Sin datos de ubicación para comparar, la similitud es el 90% de la del nombre
+// 3. Retorna los que superan UMBRAL_PROBABLE, marcando como fuertes los que superan UMBRAL_FUERTE
+// Las sucursales de la misma cadena no se comparan: comparten nombre a propósito
+export async function buscarPosiblesDuplicados(datos, opciones = {}) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const { nombre, cadenaId } = datos;
+    const { excluirId } = opciones;
+    const ubicacion = normalizarUbicacion(datos.ubicacion);
+
+    // Condiciones para encontrar candidatos (cualquiera basta)
+    const condiciones = obtenerPalabrasNombre(nombre)
+        .filter((palabra) => palabra.length >= 3)
+        .map((palabra) => ({ nombre: crearRegexSinAcentos(palabra) }));
+    if (ubicacion.coordenadas) {
+        condiciones.push({
+            'ubicacion.coordenadas': {
+                $geoWithin: {
+                    $centerSphere: [ubicacion.coordenadas.coordinates, DETECCION_DUPLICADOS.RADIO_METROS / RADIO_TIERRA_METROS]
+                }
+            }
+        });
+    }
+    if (condiciones.length === 0) {
+        return [];
+    }
+
+    const query = { ...FILTRO_NO_ELIMINADO, $or: condiciones };
+    if (excluirId) {
+        query._id = { $ne: convertirAObjectId(excluirId.toString()) };
+    }
+    if (cadenaId) {
+        query.cadenaId = { $ne: convertirAObjectId(cadenaId.toString()) };
+    }
+
+    const candidatos = await db.collection('restaurantes')
+        .find(query, { projection: { nombre: 1, ubicacion: 1, estado: 1, aprobado: 1 } })
+        .limit(DETECCION_DUPLICADOS.MAX_CANDIDATOS)
+        .toArray();
+
+    return candidatos
+        .map((candidato) => {
+            const similitudNombre = calcularSimilitudNombres(nombre, candidato.nombre);
+            const { similitud: similitudUbicacion, distanciaMetros } = calcularSimilitudUbicacion(
+                ubicacion,
+                // Los restaurantes antiguos pueden guardar la ubicación como texto libre
+                typeof candidato.ubicacion === 'string' ? normalizarUbicacion(candidato.ubicacion) : candidato.ubicacion
+            );
+            const similitud = similitudUbicacion === null
+                ? similitudNombre * 0.9
+                : similitudNombre * 0.7 + similitudUbicacion * 0.3;
+            const similitudRedondeada = Math.round(similitud * 100) / 100;
+            return {
+                _id: candidato._id,
+                nombre: candidato.nombre,
+                ubicacion: candidato.ubicacion,
+                estado: candidato.estado,
+                similitud: similitudRedondeada,
+                similitudNombre: Math.round(similitudNombre * 100) / 100,
+                distanciaMetros,
+                fuerte: similitudRedondeada >= DETECCION_DUPLICADOS.UMBRAL_FUERTE
+            };
+        })
+        .filter((candidato) => candidato.similitud >= DETECCION_DUPLICADOS.UMBRAL_PROBABLE)
+        .sort((a, b) => b.similitud - a.similitud)
+        .slice(0, DETECCION_DUPLICADOS.MAX_RESULTADOS);
+}
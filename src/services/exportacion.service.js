@@ -0,0 +1,248 @@
+// Importa Readable para entregar la exportación como un stream
+import { Readable } from 'node:stream';
+// Importa la función que abre el cursor de restaurantes a exportar
+import { obtenerCursorExportacion } from '../models/restaurante.model.js';
+// Importa la función que agrega el menú heredado a las sucursales de una cadena
+import { combinarMenuCadena } from '../models/cadena.model.js';
+// Importa las funciones que evalúan el horario (filtro abiertoEn) y el estado operativo vigente
+import { calcularEstadoHorario, calcularEstadoOperativo } from './horario.service.js';
+// Importa los límites de calificación (columnas de la distribución) y la moneda por defecto de los precios
+import { VALIDATION_LIMITS, MONEDA_DEFECTO } from '../utils/constants.js';
+
+// Calificaciones posibles de una reseña (1 a 5)
+const CALIFICACIONES = Array.from(
+    { length: VALIDATION_LIMITS.RATING_MAX - VALIDATION_LIMITS.RATING_MIN + 1 },
+    (_, i) => VALIDATION_LIMITS.RATING_MIN + i
+);
+
+// Función privada que convierte un restaurante del cursor en el registro exportado
+// Los ObjectId y las fechas se serializan al convertir el registro a JSON o CSV
+function construirRegistro(restaurante, incluir) {
+    const { ubicacion = {} } = restaurante;
+    const [lng, lat] = ubicacion.coordenadas?.coordinates || [null, null];
+
+    const registro = {
+        _id: restaurante._id,
+        nombre: restaurante.nombre,
+        descripcion: restaurante.descripcion ?? null,
+        categoriaId: restaurante.categoriaId ?? null,
+        cadenaId: restaurante.cadenaId ?? null,
+        estado: restaurante.estado ?? null,
+        aprobado: Boolean(restaurante.aprobado),
+        estadoOperativo: calcularEstadoOperativo(restaurante),
+        cerradoPermanentemente: Boolean(restaurante.cerradoPermanentemente),
+        ubicacion: {
+            direccion: ubicacion.direccion ?? null,
+            barrio: ubicacion.barrio ?? null,
+            ciudad: ubicacion.ciudad ?? null,
+            pais: ubicacion.pais ?? null,
+            lat,
+            lng
+        },
+        horario: restaurante.horario ?? null,
+        atributos: restaurante.atributos || [],
+        moneda: restaurante.moneda || MONEDA_DEFECTO,
+        nivelPrecio: restaurante.nivelPrecio ?? null,
+        rangoPrecios: restaurante.rangoPrecios ?? null,
+        fechaCreacion: restaurante.fechaCreacion ?? null,
+        fechaActualizacion: restaurante.fechaActualizacion ?? null
+    };
+    if (incluir.includes('categoria')) {
+        registro.categoria = restaurante.categoria?.nombre ?? null;
+    }
+    if (incluir.includes('calificaciones')) {
+        // Cantidad de reseñas por calificación (las calificaciones sin reseñas quedan en 0)
+        const distribucion = Object.fromEntries(CALIFICACIONES.map((calificacion) => [calificacion, 0]));
+        for (const { _id, total } of restaurante.distribucionCalificaciones || []) {
+            if (distribucion[_id] !== undefined) {
+                distribucion[_id] = total;
+            }
+        }
+        registro.calificaciones = {
+            promedio: restaurante.calificacionPromedio ?? 0,
+            totalReseñas: restaurante.totalReseñas ?? 0,
+            ranking: restaurante.ranking ?? 0,
+            distribucion
+        };
+    }
+    if (incluir.includes('platos')) {
+        registro.platos = (restaurante.platos || []).map((plato) => ({
+            _id: plato._id,
+            nombre: plato.nombre,
+            descripcion: plato.descripcion ?? null,
+            precio: plato.precio ?? null,
+            heredado: Boolean(plato.heredado)  // true si viene del menú de la cadena
+        }));
+    }
+    return registro;
+}
+
+// Función privada que escapa un valor para una celda CSV (RFC 4180)
+// Los objetos (horario) se escriben como JSON, igual que en la importación
+function escaparCeldaCSV(valor) {
+    if (valor === null || valor === undefined) {
+        return '';
+    }
+    let texto;
+    if (valor instanceof Date) {
+        texto = valor.toISOString();
+    } else if (typeof valor === 'object' && typeof valor.toHexString !== 'function') {
+        texto = JSON.stringify(valor);
+    } else {
+        texto = String(valor);
+    }
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+// Función privada que arma las columnas CSV según los datos incluidos
+// Cada columna es [encabezado, función que obtiene el valor del registro]
+function construirColumnasCSV(incluir) {
+    const columnas = [
+        ['id', (r) => r._id],
+        ['nombre', (r) => r.nombre],
+        ['descripcion', (r) => r.descripcion],
+        ['categoriaId', (r) => r.categoriaId]
+    ];
+    if (incluir.includes('categoria')) {
+        columnas.push(['categoria', (r) => r.categoria]);
+    }
+    columnas.push(
+        ['cadenaId', (r) => r.cadenaId],
+        ['estado', (r) => r.estado],
+        ['aprobado', (r) => r.aprobado],
+        ['estadoOperativo', (r) => r.estadoOperativo],
+        ['cerradoPermanentemente', (r) => r.cerradoPermanentemente],
+        ['direccion', (r) => r.ubicacion.direccion],
+        ['barrio', (r) => r.ubicacion.barrio],
+        ['ciudad', (r) => r.ubicacion.ciudad],
+        ['pais', (r) => r.ubicacion.pais],
+        ['lat', (r) => r.ubicacion.lat],
+        ['lng', (r) => r.ubicacion.lng],
+        ['atributos', (r) => r.atributos.join('|')],
+        ['horario', (r) => r.horario],
+        ['moneda', (r) => r.moneda],
+        ['nivelPrecio', (r) => r.nivelPrecio],
+        ['precioMinimo', (r) => r.rangoPrecios?.minimo],
+        ['precioMediana', (r) => r.rangoPrecios?.mediana],
+        ['precioMaximo', (r) => r.rangoPrecios?.maximo]
+    );
+    if (incluir.includes('calificaciones')) {
+        columnas.push(
+            ['calificacionPromedio', (r) => r.calificaciones.promedio],
+            ['totalReseñas', (r) => r.calificaciones.totalReseñas],
+            ['ranking', (r) => r.calificaciones.ranking],
+            ...CALIFICACIONES.map((calificacion) => [`calificaciones_${calificacion}`, (r) => r.calificaciones.distribucion[calificacion]])
+        );
+    }
+    columnas.push(
+        ['fechaCreacion', (r) => r.fechaCreacion],
+        ['fechaActualizacion', (r) => r.fechaActualizacion]
+    );
+    return columnas;
+}
+
+// Columnas CSV de cada plato (solo con incluir=platos)
+const COLUMNAS_CSV_PLATO = [
+    ['plato_id', (p) => p._id],
+    ['plato_nombre', (p) => p.nombre],
+    ['plato_descripcion', (p) => p.descripcion],
+    ['plato_precio', (p) => p.precio],
+    ['plato_heredado', (p) => p.heredado]
+];
+
+// Función privada que escribe un registro como filas CSV
+// Como en la importación, el primer plato va en la fila del restaurante y cada plato siguiente en una fila
+// propia con el nombre vacío; el id del restaurante se repite para poder cruzar las filas
+function registroACSV(registro, columnas, incluirPlatos) {
+    const celdas = (fila) => fila.map(escaparCeldaCSV).join(',') + '\r\n';
+    const valores = columnas.map(([, obtener]) => obtener(registro));
+    if (!incluirPlatos) {
+        return celdas(valores);
+    }
+    const [primero, ...resto] = registro.platos;
+    const valoresPlato = (plato) => COLUMNAS_CSV_PLATO.map(([, obtener]) => (plato ? obtener(plato) : null));
+    let texto = celdas([...valores, ...valoresPlato(primero)]);
+    for (const plato of resto) {
+        const vacios = columnas.map(([encabezado]) => (encabezado === 'id' ? registro._id : null));
+        texto += celdas([...vacios, ...valoresPlato(plato)]);
+    }
+    return texto;
+}
+
+// Función privada que convierte un registro en un Feature de GeoJSON
+// Los restaurantes sin coordenadas se exportan con geometry null (válido en GeoJSON)
+function registroAFeature(registro) {
+    const { lat, lng } = registro.ubicacion;
+    return {
+        type: 'Feature',
+        id: registro._id,
+        geometry: lat !== null && lng !== null ? { type: 'Point', coordinates: [lng, lat] } : null,
+        properties: registro
+    };
+}
+
+// Generador asíncrono privado que produce la exportación por partes
+// Recorre el cursor documento a documento: nunca hay más de un lote de restaurantes en memoria
+async function* generarExportacion(filtros, formato, incluir) {
+    const incluirPlatos = incluir.includes('platos');
+    const cursor = obtenerCursorExportacion(filtros, {
+        incluirPlatos,
+        incluirCategoria: incluir.includes('categoria'),
+        incluirCalificaciones: incluir.includes('calificaciones')
+    });
+    const columnas = construirColumnasCSV(incluir);
+
+    try {
+        // Encabezado de cada formato
+        if (formato === 'csv') {
+            // El BOM permite que Excel reconozca el UTF-8 (la importación lo ignora)
+            const encabezados = [...columnas, ...(incluirPlatos ? COLUMNAS_CSV_PLATO : [])].map(([encabezado]) => encabezado);
+            yield '\uFEFF' + encabezados.map(escaparCeldaCSV).join(',') + '\r\n';
+        } else if (formato === 'geojson') {
+            yield '{"type":"FeatureCollection","features":[';
+        }
+
+        let primero = true;
+        for await (const restaurante of cursor) {
+            // Filtro de horario: solo los restaurantes abiertos en el instante indicado
+            if (filtros.abiertoEn && !calcularEstadoHorario(restaurante.horario, filtros.abiertoEn).abierto) {
+                continue;
+            }
+            // Las sucursales exportan también el menú heredado de su cadena
+            if (incluirPlatos && restaurante.cadenaId) {
+                restaurante.platos = await combinarMenuCadena(restaurante, restaurante.platos);
+            }
+            const registro = construirRegistro(restaurante, incluir);
+
+            if (formato === 'csv') {
+                yield registroACSV(registro, columnas, incluirPlatos);
+            } else if (formato === 'geojson') {
+                yield (primero ? '' : ',') + JSON.stringify(registroAFeature(registro));
+            } else {
+                yield JSON.stringify(registro) + '\n';
+            }
+            primero = false;
+        }
+
+        if (formato === 'geojson') {
+            yield ']}';
+        }
+    } finally {
+        // Si el cliente corta la descarga, libera el cursor en MongoDB
+        await cursor.close();
+    }
+}
+
+/**
+ * Exporta los restaurantes que cumplen los filtros del listado como un stream
+ * @param {object} filtros - Mismos filtros y ordenamiento que obtenerRestaurantes (incluido abiertoEn)
+ * @param {object} opciones - { formato: 'csv' | 'ndjson' | 'geojson', incluir: ['platos', 'categoria', 'calificaciones'] }
+ * @returns {Readable} - Stream de texto con la exportación completa
+ */
+// Función exportada que usa el endpoint de exportación de admin
+// El stream se lee a medida que el cliente descarga (respeta la contrapresión de la respuesta),
+// así que exportar decenas de miles de restaurantes no los carga todos en memoria
+export function exportarRestaurantes(filtros = {}, opciones = {}) {
+    const { formato = 'ndjson', incluir = [] } = opciones;
+    return Readable.from(generarExportacion(filtros, formato, incluir));
+}
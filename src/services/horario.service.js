@@ -0,0 +1,216 @@
+// Importa la lista de días de la semana usada como claves del horario semanal
+// ESTADOS_OPERATIVOS: abierto, cerrado temporalmente (con fecha de reapertura) o cerrado permanentemente
+import { DIAS_SEMANA, ZONA_HORARIA_DEFECTO, ESTADOS_OPERATIVOS } from '../utils/constants.js';
+// Importa el helper que convierte horas HH:MM a minutos desde la medianoche
+import { horaAMinutos } from '../utils/helpers.js';
+
+// Número de días hacia adelante que se revisan para encontrar la próxima apertura
+// Con 8 días se cubre una semana completa aunque hoy ya haya cerrado
+const DIAS_BUSQUEDA = 8;
+
+// Función privada que obtiene la fecha/hora local (año, mes, día, hora, minuto) de un instante
+// en la zona horaria indicada, usando Intl para no depender de librerías externas
+function obtenerPartesLocales(fecha, zonaHoraria) {
+    const partes = new Intl.DateTimeFormat('en-US', {
+        timeZone: zonaHoraria,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(fecha);
+    // Convierte el array de partes en un objeto { year, month, day, hour, minute, second }
+    const valores = Object.fromEntries(partes.map(({ type, value }) => [type, Number(value)]));
+    return valores;
+}
+
+// Función privada que calcula el desfase (en milisegundos) de la zona horaria en un instante dado
+// El desfase puede cambiar durante el año por el horario de verano
+function obtenerDesfase(fecha, zonaHoraria) {
+    const p = obtenerPartesLocales(fecha, zonaHoraria);
+    // Interpreta la hora local como si fuera UTC y la compara con el instante real
+    const comoUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return comoUTC - (fecha.getTime() - fecha.getMilliseconds());
+}
+
+// Función privada que convierte una fecha local (año, mes, día) más minutos desde la medianoche
+// al instante UTC correspondiente en la zona horaria indicada
+// Los minutos pueden superar 1440 (rangos que terminan al día siguiente); Date.UTC los desborda al día siguiente
+function localAInstante(anio, mes, dia, minutos, zonaHoraria) {
+    const comoUTC = Date.UTC(anio, mes - 1, dia, 0, minutos);
+    // Primera aproximación con el desfase del instante estimado
+    const desfase = obtenerDesfase(new Date(comoUTC), zonaHoraria);
+    const estimado = comoUTC - desfase;
+    // Corrige si el desfase cambió justo en ese instante (cambio de horario de verano)
+    const desfaseReal = obtenerDesfase(new Date(estimado), zonaHoraria);
+    return new Date(comoUTC - desfaseReal);
+}
+
+// Función privada que retorna los rangos de un día concreto (YYYY-MM-DD)
+// Si el día está dentro de un cierre especial, se usan sus rangos (vacío = cerrado todo el día)
+function obtenerRangosDelDia(horario, fechaISO, indiceDia) {
+    const cierre = (horario.cierresEspeciales || []).find(
+        (c) => fechaISO >= c.desde && fechaISO <= (c.hasta || c.desde)
+    );
+    if (cierre) {
+        return cierre.rangos || [];
+    }
+    return (horario.semana && horario.semana[DIAS_SEMANA[indiceDia]]) || [];
+}
+
+/**
+ * Calcula si un restaurante está abierto en un instante y cuándo abre o cierra
+ * @param {object|null} horario - Horario normalizado del restaurante
+ * @param {Date} fecha - Instante a evaluar (default: ahora)
+ * @returns {object} - { abierto, proximaApertura, proximoCierre }
+ */
+// Función exportada que evalúa el horario de un restaurante en un instante dado
+// Construye los intervalos de apertura desde el día anterior (por rangos que cruzan la medianoche)
+// hasta una semana después, los une si se tocan y busca el intervalo que contiene la fecha
+// Si el restaurante no tiene horario, abierto es null (estado desconocido)
+export function calcularEstadoHorario(horario, fecha = new Date()) {
+    // Sin horario definido no se puede saber si está abierto
+    if (!horario) {
+        return { abierto: null, proximaApertura: null, proximoCierre: null };
+    }
+
+    const zonaHoraria = horario.zonaHoraria || ZONA_HORARIA_DEFECTO;
+    // Fecha local del instante consultado en la zona horaria del restaurante
+    const hoy = obtenerPartesLocales(fecha, zonaHoraria);
+
+    // Construye los intervalos [inicio, fin) de apertura en instantes UTC
+    const intervalos = [];
+    for (let desplazamiento = -1; desplazamiento <= DIAS_BUSQUEDA; desplazamiento++) {
+        // Calcula el día local desplazado usando aritmética de Date.UTC (maneja fin de mes/año)
+        const dia = new Date(Date.UTC(hoy.year, hoy.month - 1, hoy.day + desplazamiento));
+        const anio = dia.getUTCFullYear();
+        const mes = dia.getUTCMonth() + 1;
+        const numeroDia = dia.getUTCDate();
+        const fechaISO = dia.toISOString().slice(0, 10);
+
+        for (const rango of obtenerRangosDelDia(horario, fechaISO, dia.getUTCDay())) {
+            const apertura = horaAMinutos(rango.apertura);
+            let cierre = horaAMinutos(rango.cierre);
+            // Si el cierre es anterior a la apertura, el rango termina al día siguiente
+            if (cierre <= apertura) {
+                cierre += 1440;
+            }
+            intervalos.push({
+                inicio: localAInstante(anio, mes, numeroDia, apertura, zonaHoraria),
+                fin: localAInstante(anio, mes, numeroDia, cierre, zonaHoraria)
+            });
+        }
+    }
+
+    // Ordena los intervalos y une los que se solapan o son contiguos (ej: 23:00-24:00 y 00:00-02:00)
+    intervalos.sort((a, b) => a.inicio - b.inicio);
+    const unidos = [];
+    for (const intervalo of intervalos) {
+        const ultimo = unidos[unidos.length - 1];
+        if (ultimo && intervalo.inicio <= ultimo.fin) {
+            if (intervalo.fin > ultimo.fin) {
+                ultimo.fin = intervalo.fin;
+            }
+        } else {
+            unidos.push({ ...intervalo });
+        }
+    }
+
+    // Busca el intervalo que contiene el instante consultado
+    const actual = unidos.find((i) => i.inicio <= fecha && fecha < i.fin);
+    // La próxima apertura es el primer intervalo que empieza después del instante (o del cierre actual)
+    const siguiente = unidos.find((i) => i.inicio > fecha);
+
+    return {
+        abierto: Boolean(actual),
+        proximaApertura: siguiente ? siguiente.inicio : null,
+        proximoCierre: actual ? actual.fin : null
+    };
+}
+
+/**
+ * Calcula el estado operativo de un restaurante en un instante
+ * @param {object} restaurante - Documento del restaurante
+ * @param {Date} fecha - Instante a evaluar (default: ahora)
+ * @returns {string} - Valor de ESTADOS_OPERATIVOS
+ */
+// Función exportada que resuelve el estado guardado al que rige en la fecha indicada
+// Un cierre temporal cuya fecha de reapertura ya pasó cuenta como abierto, sin esperar a que alguien lo cambie
+// Los restaurantes anteriores al estado operativo solo tienen cerradoPermanentemente (sugerencias aceptadas)
+export function calcularEstadoOperativo(restaurante, fecha = new Date()) {
+    const estado = restaurante.estadoOperativo
+        || (restaurante.cerradoPermanentemente ? ESTADOS_OPERATIVOS.CERRADO_PERMANENTEMENTE : ESTADOS_OPERATIVOS.ABIERTO);
+    if (estado === ESTADOS_OPERATIVOS.CERRADO_TEMPORALMENTE && restaurante.fechaReapertura && new Date(restaurante.fechaReapertura) <= fecha) {
+        return ESTADOS_OPERATIVOS.ABIERTO;
+    }
+    return estado;
+}
+
+/**
+ * Construye el filtro de MongoDB de los restaurantes en operación
+ * @param {Date} fecha - Instante a evaluar (default: ahora)
+ * @param {string} prefijo - Prefijo de los campos (ej: 'restaurante.' después de un $lookup)
+ * @returns {object} - Condiciones para combinar con el resto de la consulta
+ */
+// Función exportada con la misma regla que calcularEstadoOperativo, para el ranking, la búsqueda y las recomendaciones
+// Usa $nor para no chocar con un $or de la consulta (ej: nombre o descripción en la búsqueda)
+export function construirFiltroEnOperacion(fecha = new Date(), prefijo = '') {
+    return {
+        [`${prefijo}cerradoPermanentemente`]: { $ne: true },
+        $nor: [{
+            [`${prefijo}estadoOperativo`]: ESTADOS_OPERATIVOS.CERRADO_TEMPORALMENTE,
+            [`${prefijo}fechaReapertura`]: { $gt: fecha }
+        }]
+    };
+}
+
+/**
+ * Agrega el estado de apertura a un restaurante
+ * @param {object} restaurante - Documento del restaurante
+ * @param {Date} fecha - Instante a evaluar (default: ahora)
+ * @returns {object} - Restaurante con los campos estadoHorario, estadoOperativo y avisoCierre
+ */
+// Función exportada que agrega estadoHorario { abierto, proximaApertura, proximoCierre, consultadoEn }
+// a la respuesta del restaurante, sin modificar el documento guardado en la base de datos
+// Un restaurante cerrado (temporal o permanentemente) no está abierto aunque su horario lo diga:
+// avisoCierre { estado, fechaReapertura, motivo } es el aviso que muestra el frontend (null si está abierto)
+// y la próxima apertura de un cierre temporal es la primera apertura del horario desde la fecha de reapertura
+export function agregarEstadoHorario(restaurante, fecha = new Date()) {
+    const estadoOperativo = calcularEstadoOperativo(restaurante, fecha);
+    if (estadoOperativo === ESTADOS_OPERATIVOS.ABIERTO) {
+        return {
+            ...restaurante,
+            estadoOperativo,
+            avisoCierre: null,
+            estadoHorario: {
+                ...calcularEstadoHorario(restaurante.horario, fecha),
+                consultadoEn: fecha
+            }
+        };
+    }
+
+    const temporal = estadoOperativo === ESTADOS_OPERATIVOS.CERRADO_TEMPORALMENTE;
+    const fechaReapertura = temporal ? new Date(restaurante.fechaReapertura) : null;
+    let proximaApertura = null;
+    if (temporal && restaurante.horario) {
+        const alReabrir = calcularEstadoHorario(restaurante.horario, fechaReapertura);
+        proximaApertura = alReabrir.abierto ? fechaReapertura : alReabrir.proximaApertura;
+    }
+    return {
+        ...restaurante,
+        estadoOperativo,
+        avisoCierre: {
+            estado: estadoOperativo,
+            fechaReapertura,
+            motivo: restaurante.motivoCierre || null
+        },
+        estadoHorario: {
+            abierto: false,
+            proximaApertura,
+            proximoCierre: null,
+            consultadoEn: fecha
+        }
+    };
+}
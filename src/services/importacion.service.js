@@ -0,0 +1,353 @@
+// Importa validationResult desde express-validator
+// Se usa para leer los errores de las validaciones de POST /restaurantes ejecutadas sobre cada fila
+import { validationResult } from 'express-validator';
+// Importa las validaciones del cuerpo de POST /restaurantes
+// Cada fila del archivo se valida con exactamente las mismas reglas que la creación individual
+import { validacionesCrearRestaurante } from '../middlewares/validacionRestaurante.middleware.js';
+// Importa la función que crea un restaurante con sus platos en una transacción
+import { crearRestauranteConPlatos } from '../models/restaurante.model.js';
+// Importa las funciones del modelo de importaciones (trabajo y filas)
+import {
+    crearImportacion,
+    obtenerLoteImportacion,
+    actualizarFilaImportacion,
+    buscarRestauranteDeFila,
+    actualizarImportacion
+} from '../models/importacion.model.js';
+// Importa el servicio de precios
+// actualizarPreciosRestaurante: calcula el rango y el nivel de precio con los platos importados
+import { actualizarPreciosRestaurante } from './precio.service.js';
+// Importa los parámetros y estados de la importación y las columnas del CSV
+import {
+    IMPORTACION,
+    ESTADOS_IMPORTACION,
+    ESTADOS_FILA_IMPORTACION,
+    COLUMNAS_CSV_IMPORTACION
+} from '../utils/constants.js';
+
+// Columnas del CSV que forman la ubicación del restaurante y las de cada plato
+const COLUMNAS_UBICACION = ['direccion', 'barrio', 'ciudad', 'pais', 'lat', 'lng'];
+const COLUMNAS_PLATO = ['plato_nombre', 'plato_descripcion', 'plato_precio', 'plato_imagen'];
+
+// Función privada que separa un texto CSV en registros y campos (RFC 4180)
+// Soporta campos entre comillas con comas, saltos de línea y comillas dobles escapadas ("")
+function leerRegistrosCSV(texto) {
+    const registros = [];
+    let registro = [];
+    let campo = '';
+    let entreComillas = false;
+    // Quita el BOM que agregan algunas hojas de cálculo al exportar
+    const contenido = texto.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < contenido.length; i++) {
+        const caracter = contenido[i];
+        if (entreComillas) {
+            if (caracter === '"' && contenido[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (caracter === '"') {
+                entreComillas = false;
+            } else {
+                campo += caracter;
+            }
+        } else if (caracter === '"') {
+            entreComillas = true;
+        } else if (caracter === ',') {
+            registro.push(campo);
+            campo = '';
+        } else if (caracter === '\n' || caracter === '\r') {
+            if (caracter === '\r' && contenido[i + 1] === '\n') {
+                i++;
+            }
+            registro.push(campo);
+            registros.push(registro);
+            registro = [];
+            campo = '';
+        } else {
+            campo += caracter;
+        }
+    }
+    if (entreComillas) {
+        throw new Error('Formato de archivo inválido: hay comillas sin cerrar en el CSV');
+    }
+    // Último registro sin salto de línea final
+    if (campo !== '' || registro.length > 0) {
+        registro.push(campo);
+        registros.push(registro);
+    }
+    return registros;
+}
+
+// Función privada que convierte un texto numérico del CSV en número
+// Si no es un número se deja el texto para que la validación lo informe
+function convertirNumeroCSV(valor) {
+    return valor !== '' && !isNaN(Number(valor)) ? Number(valor) : valor;
+}
+
+// Función privada que convierte los registros del CSV en filas de restaurantes con sus platos
+// Una fila con nombre empieza un restaurante; las siguientes con nombre vacío solo agregan platos
+function convertirCSVEnFilas(texto) {
+    const registros = leerRegistrosCSV(texto);
+    const encabezados = (registros.shift() || []).map((encabezado) => encabezado.trim());
+    if (!encabezados.includes('nombre')) {
+        throw new Error('Formato de archivo inválido: el CSV debe tener la columna nombre');
+    }
+    const desconocidas = encabezados.filter((encabezado) => !COLUMNAS_CSV_IMPORTACION.includes(encabezado));
+    if (desconocidas.length > 0) {
+        throw new Error(`Formato de archivo inválido: columnas desconocidas en el CSV (${desconocidas.join(', ')})`);
+    }
+
+    const filas = [];
+    registros.forEach((registro, indice) => {
+        // Número de fila del archivo (la 1 es el encabezado)
+        const numero = indice + 2;
+        // Valores no vacíos de la fila por columna
+        const valores = Object.fromEntries(
+            encabezados
+                .map((encabezado, posicion) => [encabezado, (registro[posicion] || '').trim()])
+                .filter(([, valor]) => valor !== '')
+        );
+        // Se ignoran las filas vacías
+        if (Object.keys(valores).length === 0) {
+            return;
+        }
+
+        if (valores.nombre) {
+            const datos = { nombre: valores.nombre, platos: [] };
+            const errores = [];
+            for (const campo of ['descripcion', 'categoriaId', 'cadenaId', 'imagen', 'moneda']) {
+                if (valores[campo] !== undefined) {
+                    datos[campo] = valores[campo];
+                }
+            }
+            if (COLUMNAS_UBICACION.some((columna) => valores[columna] !== undefined)) {
+                datos.ubicacion = Object.fromEntries(
+                    COLUMNAS_UBICACION
+                        .filter((columna) => valores[columna] !== undefined)
+                        .map((columna) => [
+                            columna,
+                            ['lat', 'lng'].includes(columna) ? convertirNumeroCSV(valores[columna]) : valores[columna]
+                        ])
+                );
+            }
+            if (valores.atributos !== undefined) {
+                datos.atributos = valores.atributos.split('|').map((clave) => clave.trim()).filter(Boolean);
+            }
+            if (valores.horario !== undefined) {
+                try {
+                    datos.horario = JSON.parse(valores.horario);
+                } catch {
+                    errores.push({ campo: 'horario', mensaje: 'El horario debe ser un objeto JSON válido' });
+                }
+            }
+            filas.push({ numero, datos, errores });
+        } else if (filas.length === 0) {
+            filas.push({
+                numero,
+                datos: { platos: [] },
+                errores: [{ campo: 'nombre', mensaje: 'La fila no tiene nombre ni un restaurante anterior al que agregar el plato' }]
+            });
+            return;
+        }
+
+        // Plato de la fila (si tiene alguna columna de plato)
+        if (COLUMNAS_PLATO.some((columna) => valores[columna] !== undefined)) {
+            const plato = { nombre: valores.plato_nombre || '' };
+            if (valores.plato_descripcion !== undefined) {
+                plato.descripcion = valores.plato_descripcion;
+            }
+            if (valores.plato_precio !== undefined) {
+                plato.precio = convertirNumeroCSV(valores.plato_precio);
+            }
+            if (valores.plato_imagen !== undefined) {
+                plato.imagen = valores.plato_imagen;
+            }
+            filas[filas.length - 1].datos.platos.push(plato);
+        }
+    });
+    return filas;
+}
+
+// Función privada que convierte un archivo JSON en filas de restaurantes
+// Acepta un array de restaurantes o un objeto { restaurantes: [...] }, con el mismo formato que POST /restaurantes
+function convertirJSONEnFilas(texto) {
+    let contenido;
+    try {
+        contenido = typeof texto === 'string' ? JSON.parse(texto) : texto;
+    } catch {
+        throw new Error('Formato de archivo inválido: el JSON no se puede leer');
+    }
+    const restaurantes = Array.isArray(contenido) ? contenido : contenido?.restaurantes;
+    if (!Array.isArray(restaurantes)) {
+        throw new Error('Formato de archivo inválido: el JSON debe ser un array de restaurantes o { restaurantes: [...] }');
+    }
+    return restaurantes.map((restaurante, indice) => {
+        const esObjeto = restaurante && typeof restaurante === 'object' && !Array.isArray(restaurante);
+        return {
+            numero: indice + 1,
+            datos: esObjeto ? restaurante : {},
+            errores: esObjeto ? [] : [{ campo: null, mensaje: 'Cada restaurante debe ser un objeto' }]
+        };
+    });
+}
+
+/**
+ * Lee un archivo de importación
+ * @param {string|object} contenido - Texto del archivo (o el JSON ya leído por express.json)
+ * @param {string} formato - 'csv' o 'json'
+ * @returns {Array} - Filas [{ numero, datos, errores }] con un restaurante (y sus platos) por fila
+ * @throws {Error} - Si el archivo no se puede leer o supera IMPORTACION.MAX_FILAS
+ */
+export function leerArchivoImportacion(contenido, formato) {
+    let filas;
+    if (formato === 'csv') {
+        filas = convertirCSVEnFilas(String(contenido || ''));
+    } else if (formato === 'json') {
+        filas = convertirJSONEnFilas(contenido);
+    } else {
+        throw new Error('Formato de archivo inválido: usa csv o json');
+    }
+    if (filas.length === 0) {
+        throw new Error('Formato de archivo inválido: el archivo no tiene restaurantes');
+    }
+    if (filas.length > IMPORTACION.MAX_FILAS) {
+        throw new Error(`Formato de archivo inválido: el archivo supera el máximo de ${IMPORTACION.MAX_FILAS} restaurantes`);
+    }
+    return filas;
+}
+
+/**
+ * Valida las filas de una importación
+ * @param {Array} filas - Filas leídas del archivo
+ * @returns {Promise<Array>} - Las mismas filas con los datos saneados y todos sus errores
+ */
+// Ejecuta sobre cada fila las validaciones de POST /restaurantes (que también recortan espacios
+// y convierten tipos) y detecta restaurantes repetidos dentro del mismo archivo
+// Que la categoría, la cadena o los atributos existan, o que el nombre esté libre, lo verifica el modelo al crear
+export async function validarFilasImportacion(filas) {
+    // Nombre (y cadena y dirección, para las sucursales) de cada restaurante ya visto en el archivo
+    const vistos = new Map();
+    for (const fila of filas) {
+        // Petición simulada: las validaciones de express-validator leen y sanean req.body
+        const req = { body: fila.datos };
+        for (const validacion of validacionesCrearRestaurante) {
+            await validacion.run(req);
+        }
+        fila.datos = req.body;
+        fila.errores.push(...validationResult(req).array().map((error) => ({ campo: error.path, mensaje: error.msg })));
+
+        if (typeof fila.datos.nombre === 'string' && fila.datos.nombre !== '') {
+            // Mismo criterio que el modelo: nombre exacto, y las sucursales de una cadena
+            // solo se repiten si además coinciden en la dirección
+            const direccion = typeof fila.datos.ubicacion === 'string' ? fila.datos.ubicacion : fila.datos.ubicacion?.direccion;
+            const clave = fila.datos.cadenaId
+                ? [fila.datos.nombre, fila.datos.cadenaId, (direccion || '').trim().toLowerCase()].join('|')
+                : fila.datos.nombre;
+            if (vistos.has(clave)) {
+                fila.errores.push({ campo: 'nombre', mensaje: `Restaurante repetido en el archivo (fila ${vistos.get(clave)})` });
+            } else {
+                vistos.set(clave, fila.numero);
+            }
+        }
+    }
+    return filas;
+}
+
+/**
+ * Arma el informe de validación de una importación (dry-run)
+ * @param {Array} filas - Filas validadas
+ * @returns {object} - { totales: { filas, validas, invalidas }, filas: [{ numero, nombre, platos, errores }] }
+ */
+export function construirInformeValidacion(filas) {
+    const invalidas = filas.filter((fila) => fila.errores.length > 0).length;
+    return {
+        totales: { filas: filas.length, validas: filas.length - invalidas, invalidas },
+        filas: filas.map((fila) => ({
+            numero: fila.numero,
+            nombre: fila.datos.nombre || null,
+            platos: Array.isArray(fila.datos.platos) ? fila.datos.platos.length : 0,
+            valida: fila.errores.length === 0,
+            errores: fila.errores
+        }))
+    };
+}
+
+// Función privada que crea el restaurante de una fila y registra el resultado en la fila
+// Un error (nombre ocupado, categoría inexistente, etc.) marca solo esa fila como fallida
+async function procesarFila(importacion, fila) {
+    // La fila quedó a medias en una ejecución anterior: puede que el restaurante ya exista
+    if (fila.estado === ESTADOS_FILA_IMPORTACION.PROCESANDO) {
+        const existente = await buscarRestauranteDeFila(fila);
+        if (existente) {
+            await actualizarFilaImportacion(fila._id, { estado: ESTADOS_FILA_IMPORTACION.CREADA, restauranteId: existente._id });
+            return;
+        }
+    }
+
+    await actualizarFilaImportacion(fila._id, { estado: ESTADOS_FILA_IMPORTACION.PROCESANDO, fechaInicio: new Date() });
+    try {
+        const { confirmarNoDuplicado, ...datos } = fila.datos;
+        const { restaurante, platos } = await crearRestauranteConPlatos({ ...datos, creadoPor: importacion.creadoPor });
+        // Calcula el rango y el nivel de precio con los platos importados (o los de la cadena)
+        if (platos.length > 0 || restaurante.cadenaId) {
+            await actualizarPreciosRestaurante(restaurante._id);
+        }
+        await actualizarFilaImportacion(fila._id, { estado: ESTADOS_FILA_IMPORTACION.CREADA, restauranteId: restaurante._id });
+    } catch (error) {
+        await actualizarFilaImportacion(fila._id, {
+            estado: ESTADOS_FILA_IMPORTACION.FALLIDA,
+            errores: [{ campo: null, mensaje: error.message }]
+        });
+    }
+}
+
+/**
+ * Procesa las filas pendientes de una importación por lotes
+ * @param {object} importacion - Trabajo de importación (en proceso)
+ * @returns {Promise<object>} - Importación con su estado final y sus totales
+ */
+// Función asíncrona exportada que crea los restaurantes de las filas válidas, en orden del archivo,
+// guardando el progreso después de cada lote de tamanoLote filas
+// Si algo inesperado detiene el trabajo (por ejemplo, se pierde la conexión), queda interrumpido
+// con el motivo y se puede reanudar: las filas ya creadas no se vuelven a crear
+export async function procesarImportacion(importacion) {
+    const tamanoLote = importacion.tamanoLote || IMPORTACION.TAMANO_LOTE;
+    try {
+        let lote = await obtenerLoteImportacion(importacion._id, tamanoLote);
+        while (lote.length > 0) {
+            for (const fila of lote) {
+                await procesarFila(importacion, fila);
+            }
+            // Guarda el progreso (también indica que el trabajo sigue vivo)
+            await actualizarImportacion(importacion._id);
+            lote = await obtenerLoteImportacion(importacion._id, tamanoLote);
+        }
+        return await actualizarImportacion(importacion._id, {
+            estado: ESTADOS_IMPORTACION.COMPLETADA,
+            fechaFin: new Date()
+        });
+    } catch (error) {
+        await actualizarImportacion(importacion._id, {
+            estado: ESTADOS_IMPORTACION.INTERRUMPIDA,
+            error: error.message,
+            fechaFin: new Date()
+        });
+        throw error;
+    }
+}
+
+/**
+ * Lee, valida y registra una importación
+ * @param {object} datos - { contenido, formato, dryRun, creadoPor, tamanoLote }
+ * @returns {Promise<object>} - Informe de validación (dryRun) o el trabajo creado, listo para procesarImportacion
+ */
+// Función asíncrona exportada que comparten el endpoint de admin y npm run import
+// Con dryRun solo valida y devuelve los errores por fila, sin guardar nada
+export async function prepararImportacion(datos) {
+    const { contenido, formato, dryRun = false, creadoPor = null, tamanoLote } = datos;
+    const filas = await validarFilasImportacion(leerArchivoImportacion(contenido, formato));
+    if (dryRun) {
+        return { dryRun: true, ...construirInformeValidacion(filas) };
+    }
+    return await crearImportacion({ formato, creadoPor, tamanoLote, filas });
+}
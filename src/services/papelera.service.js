@@ -0,0 +1,181 @@
+// Importa la función para obtener la instancia de la base de datos
+import { obtenerBD } from '../config/db.js';
+// Importa las funciones de restauración de cada modelo
+import { restaurarRestaurante } from '../models/restaurante.model.js';
+import { restaurarPlato } from '../models/plato.model.js';
+import { restaurarReseña } from '../models/reseña.model.js';
+import { restaurarReseñaPlato } from '../models/reseñaPlato.model.js';
+// Importa la función que recalcula las estadísticas de los autores de reseñas
+import { actualizarEstadisticasUsuario } from '../models/usuario.model.js';
+// Importa el servicio de ranking para recalcular calificación, total de reseñas y ranking
+import { actualizarRankingRestaurante, actualizarRankingPlato } from './ranking.service.js';
+// Importa el servicio de precios para recalcular el rango y el nivel de precio al restaurar platos
+import { actualizarPreciosRestaurante } from './precio.service.js';
+// Importa los tipos de elementos de la papelera y la retención por defecto
+import { TIPOS_PAPELERA, PAPELERA_RETENCION_DIAS } from '../utils/constants.js';
+
+// Campos que se muestran de cada elemento en el listado de la papelera
+const PROYECCION_PAPELERA = {
+    nombre: 1,
+    comentario: 1,
+    calificacion: 1,
+    restauranteId: 1,
+    platoId: 1,
+    usuarioId: 1,
+    eliminadoPor: 1,
+    eliminadoConRestaurante: 1,
+    eliminadoConPlato: 1,
+    fusionadoCon: 1,
+    fechaEliminacion: 1
+};
+
+/**
+ * Obtiene los días de retención de la papelera
+ * @returns {number} - Días que un elemento permanece en la papelera
+ */
+// Función exportada que lee la retención desde la variable de entorno PAPELERA_RETENCION_DIAS
+// Si no está definida o no es un número válido, usa PAPELERA_RETENCION_DIAS (30 días)
+export function obtenerDiasRetencion() {
+    const dias = parseInt(process.env.PAPELERA_RETENCION_DIAS, 10);
+    return Number.isInteger(dias) && dias >= 0 ? dias : PAPELERA_RETENCION_DIAS;
+}
+
+/**
+ * Lista los elementos de la papelera
+ * @param {object} filtros - { tipo } para listar solo restaurantes, platos, reseñas o reseñas de platos
+ * @param {object} opciones - Opciones de paginación (limite, saltar)
+ * @returns {Promise<Array>} - Elementos eliminados, los más recientes primero
+ */
+// Función asíncrona exportada que lista restaurantes, platos y reseñas eliminados
+// Cada elemento incluye su tipo y la fecha en que se purgará definitivamente
+// Sin tipo, combina todas las colecciones y pagina sobre el resultado ordenado
+export async function obtenerPapelera(filtros = {}, opciones = {}) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const { tipo } = filtros;
+    const { limite = 50, saltar = 0 } = opciones;
+    // Tipos a consultar: el solicitado o todos
+    const tipos = tipo ? [tipo] : Object.keys(TIPOS_PAPELERA);
+    // Milisegundos de retención para calcular la fecha de purgado
+    const retencionMs = obtenerDiasRetencion() * 24 * 60 * 60 * 1000;
+
+    // Consulta cada colección trayendo lo necesario para paginar sobre el resultado combinado
+    const resultados = await Promise.all(tipos.map(async (t) => {
+        const elementos = await db.collection(TIPOS_PAPELERA[t])
+            .find({ eliminado: true }, { projection: PROYECCION_PAPELERA })
+            .sort({ fechaEliminacion: -1, _id: 1 })
+            .limit(saltar + limite)
+            .toArray();
+        return elementos.map((elemento) => ({
+            tipo: t,
+            ...elemento,
+            fechaPurgado: new Date(elemento.fechaEliminacion.getTime() + retencionMs)
+        }));
+    }));
+
+    // Combina, ordena por fecha de eliminación (más recientes primero) y pagina
+    return resultados
+        .flat()
+        .sort((a, b) => b.fechaEliminacion - a.fechaEliminacion)
+        .slice(saltar, saltar + limite);
+}
+
+/**
+ * Restaura un elemento de la papelera
+ * @param {string} tipo - restaurante, plato, resena o resenaPlato
+ * @param {string} id - ID del elemento
+ * @returns {Promise<object|null>} - Elemento restaurado o null si no está en la papelera
+ */
+// Función asíncrona exportada que restaura un elemento y recalcula los datos que dependen de él
+// Al restaurar un restaurante o una reseña se recalculan calificación promedio, total de reseñas y ranking
+// (al restaurar una reseña de plato, los del plato)
+// Al restaurar un restaurante o un plato se recalculan el rango y el nivel de precio
+// (las estadísticas de los autores de reseñas se recalculan dentro de restaurarRestaurante)
+export async function restaurarDePapelera(tipo, id) {
+    if (tipo === 'restaurante') {
+        const restaurante = await restaurarRestaurante(id);
+        if (restaurante) {
+            // Sus reseñas restauradas vuelven a contar en el promedio y el ranking
+            await actualizarRankingRestaurante(restaurante._id.toString());
+            // Sus platos restaurados (y el menú actual de su cadena) definen de nuevo sus precios
+            await actualizarPreciosRestaurante(restaurante._id);
+        }
+        return restaurante;
+    }
+    if (tipo === 'plato') {
+        const plato = await restaurarPlato(id);
+        if (plato) {
+            await actualizarPreciosRestaurante(plato.restauranteId);
+        }
+        return plato;
+    }
+    if (tipo === 'resena') {
+        const reseña = await restaurarReseña(id);
+        if (reseña) {
+            await actualizarRankingRestaurante(reseña.restauranteId.toString());
+            await actualizarEstadisticasUsuario(reseña.usuarioId);
+        }
+        return reseña;
+    }
+    if (tipo === 'resenaPlato') {
+        const reseña = await restaurarReseñaPlato(id);
+        if (reseña) {
+            await actualizarRankingPlato(reseña.platoId);
+        }
+        return reseña;
+    }
+    throw new Error(`Tipo de papelera inválido: ${tipo}`);
+}
+
+/**
+ * Elimina definitivamente los elementos de la papelera más antiguos que la retención
+ * @param {object} opciones - { retencionDias } (default: obtenerDiasRetencion())
+ * @returns {Promise<object>} - Cantidad de documentos eliminados por colección
+ */
+// Función asíncrona exportada que purga la papelera
+// Al purgar un restaurante se eliminan también todos sus platos, reseñas, reclamaciones, sugerencias y revisiones,
+// y al purgar un plato, sus reseñas,
+// para no dejar documentos que apunten a un restaurante inexistente
+// Los promedios no cambian: los elementos eliminados ya no contaban en ningún cálculo
+export async function purgarPapelera(opciones = {}) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const { retencionDias = obtenerDiasRetencion() } = opciones;
+    // Los elementos eliminados antes de esta fecha se borran
+    const fechaLimite = new Date(Date.now() - retencionDias * 24 * 60 * 60 * 1000);
+    const filtroVencidos = { eliminado: true, fechaEliminacion: { $lt: fechaLimite } };
+
+    // Restaurantes vencidos y todo lo que depende de ellos
+    const restaurantesVencidos = await db.collection('restaurantes')
+        .find(filtroVencidos, { projection: { _id: 1 } })
+        .toArray();
+    const restauranteIds = restaurantesVencidos.map((r) => r._id);
+    const dependientes = { restauranteId: { $in: restauranteIds } };
+    const platosDependientes = await db.collection('platos').deleteMany(dependientes);
+    const reseñasDependientes = await db.collection('reseñas').deleteMany(dependientes);
+    const reseñasPlatosDependientes = await db.collection('reseñasPlatos').deleteMany(dependientes);
+    await db.collection('reclamaciones').deleteMany(dependientes);
+    await db.collection('sugerencias').deleteMany(dependientes);
+    await db.collection('revisiones').deleteMany(dependientes);
+    const restaurantes = await db.collection('restaurantes').deleteMany({ _id: { $in: restauranteIds } });
+
+    // Reseñas de los platos vencidos (las de platos restaurados siguen contando en su promedio)
+    const platosVencidos = await db.collection('platos')
+        .find(filtroVencidos, { projection: { _id: 1 } })
+        .toArray();
+    const reseñasDePlatos = await db.collection('reseñasPlatos')
+        .deleteMany({ platoId: { $in: platosVencidos.map((p) => p._id) } });
+
+    // Platos y reseñas vencidos eliminados por separado
+    const platos = await db.collection('platos').deleteMany(filtroVencidos);
+    const reseñas = await db.collection('reseñas').deleteMany(filtroVencidos);
+    const reseñasPlatos = await db.collection('reseñasPlatos').deleteMany(filtroVencidos);
+
+    return {
+        fechaLimite,
+        restaurantes: restaurantes.deletedCount,
+        platos: platos.deletedCount + platosDependientes.deletedCount,
+        reseñas: reseñas.deletedCount + reseñasDependientes.deletedCount,
+        reseñasPlatos: reseñasPlatos.deletedCount + reseñasDePlatos.deletedCount + reseñasPlatosDependientes.deletedCount
+    };
+}
@@ -0,0 +1,243 @@
+// Importa la función para obtener la instancia de la base de datos
+import { obtenerBD } from '../config/db.js';
+// Importa funciones helper
+// convertirAObjectId: convierte strings a ObjectId
+// sanitizarParaBusqueda y crearRegexSinAcentos: buscan los platos parecidos ignorando acentos
+// construirFiltroMoneda: restaurantes que cobran en la moneda de la comparación
+import { convertirAObjectId, sanitizarParaBusqueda, crearRegexSinAcentos, construirFiltroMoneda } from '../utils/helpers.js';
+// Importa la función que arma el menú completo de un restaurante (incluye los platos heredados de su cadena)
+import { obtenerPlatosPorRestaurante } from '../models/plato.model.js';
+// Importa los límites de cada nivel de precio
+// FILTRO_NO_ELIMINADO: excluye los restaurantes que están en la papelera
+// DIETAS: etiquetas de dieta cuyos platos se cuentan en cada restaurante
+// MONEDA_DEFECTO: moneda en la que están los umbrales del nivel de precio
+// COMPARACION_PRECIOS y PALABRAS_VACIAS: parámetros de la comparación de precios de platos parecidos
+import { UMBRALES_NIVEL_PRECIO, FILTRO_NO_ELIMINADO, DIETAS, MONEDA_DEFECTO, COMPARACION_PRECIOS, PALABRAS_VACIAS } from '../utils/constants.js';
+// Importa la similitud de nombres de la detección de duplicados (tolera el orden de las palabras y errores de tipeo)
+import { calcularSimilitudNombres } from './duplicados.service.js';
+// Importa el filtro de los restaurantes en operación (excluye los cerrados)
+import { construirFiltroEnOperacion } from './horario.service.js';
+
+/**
+ * Calcula el rango de precios y el nivel de precio de un menú
+ * @param {Array} platos - Platos del menú (solo cuentan los que tienen precio)
+ * @param {string} moneda - Moneda de los precios (default MONEDA_DEFECTO)
+ * @returns {object} - { rangoPrecios: { minimo, mediana, maximo, totalPlatos }, nivelPrecio }
+ */
+// Función que resume los precios de un menú
+// El nivel de precio (1 = $ ... 4 = $$$$) se obtiene de la mediana, que no se dispara por un
+// único plato muy caro o muy barato como pasaría con el promedio
+// Un menú sin platos con precio no tiene rango ni nivel (null)
+// Los umbrales están en MONEDA_DEFECTO: en otra moneda hay rango pero no nivel (null)
+export function calcularEstadisticasPrecio(platos, moneda = MONEDA_DEFECTO) {
+    // Precios válidos ordenados de menor a mayor (algunos clientes envían el precio como texto)
+    const precios = platos
+        .filter((plato) => plato.precio !== null && plato.precio !== undefined)
+        .map((plato) => Number(plato.precio))
+        .filter((precio) => Number.isFinite(precio) && precio > 0)
+        .sort((a, b) => a - b);
+
+    if (precios.length === 0) {
+        return { rangoPrecios: null, nivelPrecio: null };
+    }
+
+    // Mediana: el valor central, o el promedio de los dos centrales si la cantidad es par
+    const mitad = Math.floor(precios.length / 2);
+    const mediana = precios.length % 2 === 0
+        ? (precios[mitad - 1] + precios[mitad]) / 2
+        : precios[mitad];
+    // Nivel: cantidad de umbrales que la mediana alcanza, más uno
+    const nivelPrecio = moneda === MONEDA_DEFECTO
+        ? UMBRALES_NIVEL_PRECIO.filter((umbral) => mediana >= umbral).length + 1
+        : null;
+
+    return {
+        rangoPrecios: {
+            minimo: precios[0],
+            mediana,
+            maximo: precios[precios.length - 1],
+            totalPlatos: precios.length
+        },
+        nivelPrecio
+    };
+}
+
+/**
+ * Cuenta los platos de un menú por dieta
+ * @param {Array} platos - Platos del menú
+ * @returns {object} - { vegano: 3, vegetariano: 5, 'sin-gluten': 0, ... } con todas las dietas
+ */
+// Función que permite filtrar restaurantes por "al menos N platos veganos" sin recorrer sus platos en cada consulta
+export function calcularPlatosPorDieta(platos) {
+    return Object.fromEntries(DIETAS.map((dieta) => [
+        dieta,
+        platos.filter((plato) => (plato.dietas || []).includes(dieta)).length
+    ]));
+}
+
+/**
+ * Calcula y actualiza el rango y el nivel de precio de un restaurante
+ * @param {string} restauranteId - ID del restaurante
+ * @returns {Promise<object>} - { rangoPrecios, nivelPrecio, platosPorDieta } calculados
+ */
+// Función que se llama cada vez que cambia el menú de un restaurante
+// (se crea, edita, elimina o restaura un plato, o cambia el menú heredado de su cadena)
+// Usa el menú completo, así que en las sucursales cuentan los platos heredados con sus ajustes
+// Aprovecha el mismo recorrido del menú para actualizar la cantidad de platos por dieta
+export async function actualizarPreciosRestaurante(restauranteId) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    // Menú actual del restaurante (platos propios y heredados, sin los de la papelera)
+    const platos = await obtenerPlatosPorRestaurante(restauranteId.toString());
+    const restaurante = await db.collection('restaurantes').findOne(
+        { _id: convertirAObjectId(restauranteId.toString()) },
+        { projection: { moneda: 1 } }
+    );
+    const estadisticas = {
+        ...calcularEstadisticasPrecio(platos, restaurante?.moneda || MONEDA_DEFECTO),
+        platosPorDieta: calcularPlatosPorDieta(platos)
+    };
+
+    // Guarda el resumen de precios y dietas en el restaurante para poder filtrar por presupuesto y por dieta
+    await db.collection('restaurantes').updateOne(
+        { _id: convertirAObjectId(restauranteId.toString()) },
+        { $set: estadisticas }
+    );
+
+    return estadisticas;
+}
+
+/**
+ * Recalcula los precios de todas las sucursales de una cadena
+ * @param {string} cadenaId - ID de la cadena
+ * @returns {Promise<void>}
+ */
+// Función que se llama cuando cambia el menú compartido de una cadena
+// Cada sucursal hereda ese menú, así que su rango y nivel de precio pueden cambiar
+export async function actualizarPreciosSucursales(cadenaId) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const sucursales = await db.collection('restaurantes')
+        .find({ cadenaId: convertirAObjectId(cadenaId.toString()), ...FILTRO_NO_ELIMINADO }, { projection: { _id: 1 } })
+        .toArray();
+
+    // Recalcula cada sucursal individualmente
+    for (const sucursal of sucursales) {
+        await actualizarPreciosRestaurante(sucursal._id);
+    }
+}
+
+/**
+ * Compara el precio de los platos con un nombre parecido en distintos restaurantes
+ * @param {string} nombre - Nombre del plato (ej: "Pizza Margherita")
+ * @param {object} filtros - { categoriaId, moneda, incluirCerrados }
+ * @returns {Promise<object>} - { nombre, moneda, total, truncado, estadisticas, porCategoria, platos }
+ */
+// Función asíncrona exportada que arma el índice de precio de un plato por categoría de restaurante
+// 1. Busca candidatos: platos con precio cuyo nombre contiene alguna palabra significativa del nombre buscado
+// 2. Se queda con los que tienen un nombre parecido (misma similitud que la detección de duplicados),
+//    así "Pizza Margarita" y "Margherita pizza" cuentan como el mismo plato
+// 3. Calcula mínimo, mediana y máximo de todos y de cada categoría; el índice de una categoría es su
+//    mediana sobre la mediana general (100 = precio típico, 120 = 20% más caro)
+// Solo compara precios en una misma moneda (sin tasas de cambio): la indicada o MONEDA_DEFECTO
+// Solo platos propios de restaurantes aprobados y, salvo incluirCerrados, en operación
+// Se analizan como máximo COMPARACION_PRECIOS.MAX_CANDIDATOS candidatos; truncado indica que había más
+export async function compararPreciosPlatos(nombre, filtros = {}) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const { categoriaId, incluirCerrados = false } = filtros;
+    const moneda = (filtros.moneda || MONEDA_DEFECTO).toUpperCase();
+
+    // Candidatos: alguna palabra significativa del nombre (las de menos de 3 letras no distinguen platos)
+    const condiciones = sanitizarParaBusqueda(nombre)
+        .split(/[^a-z0-9]+/)
+        .filter((palabra) => palabra.length >= 3 && !PALABRAS_VACIAS.includes(palabra))
+        .map((palabra) => ({ nombre: crearRegexSinAcentos(palabra) }));
+
+    // Restaurante de cada candidato: debe cobrar en la moneda (los que no indican moneda usan MONEDA_DEFECTO)
+    const queryRestaurante = {
+        'restaurante.aprobado': true,
+        'restaurante.eliminado': { $ne: true },
+        ...(incluirCerrados ? {} : construirFiltroEnOperacion(new Date(), 'restaurante.')),
+        'restaurante.moneda': construirFiltroMoneda(moneda)
+    };
+    if (categoriaId) {
+        queryRestaurante['restaurante.categoriaId'] = convertirAObjectId(categoriaId);
+    }
+    // Se ordenan por _id para que, si hay más candidatos que el máximo, siempre se tomen los mismos
+    // (uno más que el máximo indica que la comparación quedó truncada)
+    const documentos = condiciones.length === 0 ? [] : await db.collection('platos')
+        .aggregate([
+            { $match: { precio: { $ne: null }, ...FILTRO_NO_ELIMINADO, $or: condiciones } },
+            { $lookup: { from: 'restaurantes', localField: 'restauranteId', foreignField: '_id', as: 'restaurante' } },
+            { $unwind: '$restaurante' },
+            { $match: queryRestaurante },
+            { $sort: { _id: 1 } },
+            { $limit: COMPARACION_PRECIOS.MAX_CANDIDATOS + 1 },
+            {
+                $project: {
+                    nombre: 1,
+                    precio: 1,
+                    'restaurante._id': 1,
+                    'restaurante.nombre': 1,
+                    'restaurante.slug': 1,
+                    'restaurante.categoriaId': 1,
+                    'restaurante.traducciones': 1
+                }
+            }
+        ])
+        .toArray();
+    const truncado = documentos.length > COMPARACION_PRECIOS.MAX_CANDIDATOS;
+    const candidatos = documentos.slice(0, COMPARACION_PRECIOS.MAX_CANDIDATOS);
+
+    // Platos con un nombre parecido, del más barato al más caro
+    const platos = candidatos
+        .map((plato) => ({
+            _id: plato._id,
+            nombre: plato.nombre,
+            precio: Number(plato.precio),
+            similitud: Math.round(calcularSimilitudNombres(nombre, plato.nombre) * 100) / 100,
+            restaurante: plato.restaurante
+        }))
+        .filter((plato) => plato.similitud >= COMPARACION_PRECIOS.UMBRAL_SIMILITUD && Number.isFinite(plato.precio) && plato.precio > 0)
+        .sort((a, b) => a.precio - b.precio);
+
+    const { rangoPrecios: estadisticas } = calcularEstadisticasPrecio(platos, moneda);
+
+    // Agrupa por categoría del restaurante (null = restaurantes sin categoría)
+    const grupos = new Map();
+    for (const plato of platos) {
+        const clave = plato.restaurante.categoriaId?.toString() ?? null;
+        if (!grupos.has(clave)) {
+            grupos.set(clave, []);
+        }
+        grupos.get(clave).push(plato);
+    }
+    const categorias = await db.collection('categorias')
+        .find(
+            { _id: { $in: [...grupos.keys()].filter(Boolean).map((id) => convertirAObjectId(id)) } },
+            { projection: { nombre: 1, slug: 1, traducciones: 1 } }
+        )
+        .toArray();
+    const categoriaPorId = new Map(categorias.map((categoria) => [categoria._id.toString(), categoria]));
+    const porCategoria = [...grupos.entries()]
+        .map(([clave, platosCategoria]) => {
+            const { rangoPrecios } = calcularEstadisticasPrecio(platosCategoria, moneda);
+            return {
+                categoria: clave ? categoriaPorId.get(clave) || null : null,
+                ...rangoPrecios,
+                indicePrecio: Math.round((rangoPrecios.mediana / estadisticas.mediana) * 100)
+            };
+        })
+        .sort((a, b) => b.indicePrecio - a.indicePrecio);
+
+    return {
+        nombre,
+        moneda,
+        total: platos.length,
+        truncado,
+        estadisticas,
+        porCategoria,
+        platos
+    };
+}
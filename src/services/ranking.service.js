@@ -9,7 +9,8 @@ import { convertirAObjectId } from '../utils/helpers.js';
 import { calcularPromedio, calcularRatioLikes, calcularScoreRecencia } from '../utils/helpers.js';
 // Importa los pesos para el cálculo ponderado del ranking
 // Define qué porcentaje tiene cada factor en el ranking final
-import { RANKING_WEIGHTS } from '../utils/constants.js';
+// FILTRO_NO_ELIMINADO: excluye reseñas y restaurantes que están en la papelera
+import { RANKING_WEIGHTS, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
 
 /**
  * Calcula el ranking ponderado de un restaurante
@@ -18,6 +19,7 @@ import { RANKING_WEIGHTS } from '../utils/constants.js';
  * @param {number} totalLikes - Total de likes en reseñas
  * @param {number} totalDislikes - Total de dislikes en reseñas
  * @param {Date} fechaUltimaReseña - Fecha de la última reseña
+ * @param {Date} fechaReferencia - Instante en el que se evalúa la recencia (default: ahora)
  * @returns {number} - Score de ranking (0-5)
  */
 // Función que calcula el ranking final de un restaurante usando una fórmula ponderada
@@ -28,7 +30,8 @@ export function calcularRankingPonderado(
     calificacionPromedio,
     totalLikes,
     totalDislikes,
-    fechaUltimaReseña
+    fechaUltimaReseña,
+    fechaReferencia = new Date()
 ) {
     // Componente de calificación (normalizado a 0-5)
     // Usa el promedio de calificaciones directamente (ya está en escala 1-5)
@@ -41,7 +44,7 @@ export function calcularRankingPonderado(
     
     // Componente de recencia (normalizado a 0-5)
     // Calcula el score de recencia (0-1) y lo escala a 0-5 para normalización
-    const recencyScore = calcularScoreRecencia(fechaUltimaReseña);
+    const recencyScore = calcularScoreRecencia(fechaUltimaReseña, fechaReferencia);
     const scoreRecencia = recencyScore * 5; // Escalar de 0-1 a 0-5
     
     // Calcular ranking ponderado
@@ -74,8 +77,8 @@ export async function actualizarRankingRestaurante(restauranteId) {
     // Obtener estadísticas de reseñas del restaurante usando agregación de MongoDB
     // La agregación agrupa todas las reseñas del restaurante y calcula métricas
     const estadisticas = await db.collection('reseñas').aggregate([
-        // Filtra solo las reseñas del restaurante específico
-        { $match: { restauranteId: convertirAObjectId(restauranteId) } },
+        // Filtra solo las reseñas del restaurante específico (las de la papelera no cuentan)
+        { $match: { restauranteId: convertirAObjectId(restauranteId), ...FILTRO_NO_ELIMINADO } },
         {
             // Agrupa todas las reseñas (sin agrupar por ningún campo específico)
             $group: {
@@ -132,7 +135,8 @@ export async function actualizarRankingRestaurante(restauranteId) {
                 calificacionPromedio: stats.promedio || 0,  // Actualiza el promedio de calificaciones
                 // Cuenta el total de reseñas del restaurante
                 totalReseñas: await db.collection('reseñas').countDocuments({
-                    restauranteId: convertirAObjectId(restauranteId)
+                    restauranteId: convertirAObjectId(restauranteId),
+                    ...FILTRO_NO_ELIMINADO
                 }),
                 // Fecha de última actualización del ranking
                 fechaActualizacion: new Date()
@@ -145,18 +149,75 @@ export async function actualizarRankingRestaurante(restauranteId) {
 }
 
 /**
- * Recalcula los rankings de todos los restaurantes aprobados
+ * Calcula y actualiza la calificación, el total de reseñas y el ranking de un plato
+ * @param {string|ObjectId} platoId - ID del plato
+ * @returns {Promise<number>} - Nuevo ranking calculado
+ */
+// Función que aplica a un plato la misma fórmula ponderada que a los restaurantes,
+// con las reseñas del plato (colección reseñasPlatos) fuera de la papelera
+export async function actualizarRankingPlato(platoId) {
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const platoObjectId = convertirAObjectId(platoId.toString());
+    
+    const [stats = { promedio: 0, total: 0, totalLikes: 0, totalDislikes: 0, fechaUltimaReseña: null }] = await db
+        .collection('reseñasPlatos')
+        .aggregate([
+            { $match: { platoId: platoObjectId, ...FILTRO_NO_ELIMINADO } },
+            {
+                $group: {
+                    _id: null,
+                    promedio: { $avg: '$calificacion' },
+                    total: { $sum: 1 },
+                    totalLikes: { $sum: '$likes' },
+                    totalDislikes: { $sum: '$dislikes' },
+                    fechaUltimaReseña: { $max: '$fechaCreacion' }
+                }
+            }
+        ])
+        .toArray();
+    
+    const plato = await db.collection('platos').findOne({ _id: platoObjectId });
+    if (!plato) {
+        throw new Error('Plato no encontrado');
+    }
+    
+    // Sin reseñas el ranking es 0, igual que al crear el plato (la fórmula daría un valor neutral por likes)
+    const nuevoRanking = stats.total === 0 ? 0 : calcularRankingPonderado(
+        plato,
+        stats.promedio,
+        stats.totalLikes,
+        stats.totalDislikes,
+        stats.fechaUltimaReseña
+    );
+    await db.collection('platos').updateOne(
+        { _id: platoObjectId },
+        {
+            $set: {
+                ranking: nuevoRanking,
+                calificacionPromedio: stats.promedio || 0,
+                totalReseñas: stats.total
+            }
+        }
+    );
+    
+    return nuevoRanking;
+}
+
+/**
+ * Recalcula los rankings de todos los restaurantes aprobados y de los platos con reseñas
  * @returns {Promise<void>}
  */
 // Función que recalcula los rankings de todos los restaurantes aprobados
 // Útil para tareas de mantenimiento o cuando se cambia la fórmula de ranking
+// También recalcula los platos con reseñas: el componente de recencia cambia con el paso del tiempo
 export async function recalcularTodosLosRankings() {
     // Obtiene la instancia de la base de datos
     const db = obtenerBD();
     // Obtiene todos los restaurantes que están aprobados
     // Solo los restaurantes aprobados deben aparecer en el ranking
     const restaurantes = await db.collection('restaurantes')
-        .find({ aprobado: true })  // Filtro: solo restaurantes aprobados
+        .find({ aprobado: true, ...FILTRO_NO_ELIMINADO })  // Filtro: solo restaurantes aprobados fuera de la papelera
         .toArray();  // Convierte el cursor a array
     
     // Itera sobre cada restaurante y actualiza su ranking
@@ -164,5 +225,14 @@ export async function recalcularTodosLosRankings() {
         // Actualiza el ranking de cada restaurante individualmente
         await actualizarRankingRestaurante(restaurante._id.toString());
     }
+    
+    // Platos con reseñas activas fuera de la papelera
+    const platoIds = await db.collection('reseñasPlatos').distinct('platoId', FILTRO_NO_ELIMINADO);
+    const platos = await db.collection('platos')
+        .find({ _id: { $in: platoIds }, ...FILTRO_NO_ELIMINADO }, { projection: { _id: 1 } })
+        .toArray();
+    for (const plato of platos) {
+        await actualizarRankingPlato(plato._id);
+    }
 }
 
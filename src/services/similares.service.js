@@ -0,0 +1,238 @@
+// Importa la función para obtener la instancia de la base de datos
+import { obtenerBD } from '../config/db.js';
+// Importa el restaurante base y su menú (incluye el heredado de la cadena)
+import { buscarRestaurantePorId } from '../models/restaurante.model.js';
+import { obtenerPlatosPorRestaurante } from '../models/plato.model.js';
+// Importa el filtro que excluye los restaurantes cerrados temporal o permanentemente
+import { construirFiltroEnOperacion } from './horario.service.js';
+// Importa funciones helper
+// sanitizarParaBusqueda: minúsculas y sin acentos (misma normalización que la búsqueda)
+// crearRegexSinAcentos: busca platos por palabra ignorando acentos
+import { sanitizarParaBusqueda, crearRegexSinAcentos } from '../utils/helpers.js';
+// Importa los pesos y límites de las recomendaciones y las palabras que no se comparan
+import {
+    RECOMENDACION_SIMILARES, PALABRAS_IGNORADAS_NOMBRE, PALABRAS_VACIAS, SIMBOLOS_NIVEL_PRECIO, FILTRO_NO_ELIMINADO
+} from '../utils/constants.js';
+
+// Palabras que no distinguen un plato o una descripción de otra
+const PALABRAS_IGNORADAS = new Set([...PALABRAS_IGNORADAS_NOMBRE, ...PALABRAS_VACIAS]);
+
+/**
+ * Separa uno o varios textos en sus palabras significativas
+ * @param {...string} textos - Nombres o descripciones
+ * @returns {Map<string, string>} - Palabra normalizada (sin acentos) -> palabra tal como se escribió, en minúsculas
+ */
+// "Lasaña de la casa" produce { lasana: 'lasaña', casa: 'casa' }: se compara sin acentos y se muestra con ellos
+// Solo palabras de al menos 3 letras, sin artículos ni conectores
+function obtenerPalabras(...textos) {
+    const palabras = new Map();
+    for (const texto of textos) {
+        for (const original of String(texto || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+            const palabra = sanitizarParaBusqueda(original);
+            if (palabra.length >= 3 && !PALABRAS_IGNORADAS.has(palabra) && !palabras.has(palabra)) {
+                palabras.set(palabra, original);
+            }
+        }
+    }
+    return palabras;
+}
+
+/**
+ * Compara dos conjuntos de palabras (coeficiente de Dice)
+ * @param {Map<string, string>} a - Palabras del restaurante base
+ * @param {Map<string, string>} b - Palabras del candidato
+ * @returns {object} - { similitud (0 a 1), comunes (como se escribieron en el restaurante base) }
+ */
+function compararPalabras(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return { similitud: 0, comunes: [] };
+    }
+    const comunes = [...a.keys()].filter((palabra) => b.has(palabra));
+    return { similitud: (2 * comunes.length) / (a.size + b.size), comunes: comunes.map((palabra) => a.get(palabra)) };
+}
+
+// Función privada que agrupa los platos por restaurante (o por cadena)
+// Retorna un Map de id (string) a { nombres, descripciones } con los textos de sus platos
+function agruparPlatos(platos, campoId) {
+    const grupos = new Map();
+    for (const plato of platos) {
+        const clave = plato[campoId].toString();
+        if (!grupos.has(clave)) {
+            grupos.set(clave, { nombres: [], descripciones: [] });
+        }
+        grupos.get(clave).nombres.push(plato.nombre);
+        grupos.get(clave).descripciones.push(plato.descripcion);
+    }
+    return grupos;
+}
+
+/**
+ * Obtiene restaurantes similares a uno dado ("si te gustó esto")
+ * @param {string} id - ID del restaurante
+ * @param {object} opciones - { limite }
+ * @returns {Promise<Array|null>} - Restaurantes más parecidos primero, con su puntaje y los motivos, o null si el restaurante no existe
+ */
+// Función que puntúa otros restaurantes aprobados con cinco señales calculadas de las colecciones propias:
+// - categoria: misma categoría
+// - platos: palabras en común en los nombres de los platos (coeficiente de Dice)
+// - palabrasClave: palabras en común en las descripciones del restaurante y de sus platos
+// - precio: mismo nivel de precio (1) o un nivel de diferencia (0.5)
+// - usuarios: usuarios que calificaron alto a ambos (similitud coseno entre sus seguidores)
+// El puntaje es la suma ponderada con RECOMENDACION_SIMILARES.PESOS; cada señal presente agrega un motivo
+// Solo se puntúan candidatos que comparten categoría, palabras de platos o seguidores (hasta MAX_CANDIDATOS)
+// Las sucursales de la misma cadena no se recomiendan entre sí, ni los restaurantes cerrados (temporal o permanentemente)
+export async function obtenerRestaurantesSimilares(id, opciones = {}) {
+    const { limite = RECOMENDACION_SIMILARES.LIMITE_DEFECTO } = opciones;
+    const { PESOS, CALIFICACION_ALTA, PUNTAJE_MINIMO, MAX_CANDIDATOS, MAX_PALABRAS_BUSQUEDA } = RECOMENDACION_SIMILARES;
+
+    const restaurante = await buscarRestaurantePorId(id);
+    if (!restaurante) {
+        return null;
+    }
+    // Obtiene la instancia de la base de datos
+    const db = obtenerBD();
+    const restauranteId = restaurante._id;
+
+    // Palabras del menú y de las descripciones del restaurante
+    const platos = await obtenerPlatosPorRestaurante(id);
+    const palabrasPlatos = obtenerPalabras(...platos.map((plato) => plato.nombre));
+    const palabrasClave = obtenerPalabras(restaurante.descripcion, ...platos.map((plato) => plato.descripcion));
+
+    // Usuarios que calificaron alto el restaurante y otros restaurantes que también calificaron alto
+    const filtroCalificacionAlta = { calificacion: { $gte: CALIFICACION_ALTA }, ...FILTRO_NO_ELIMINADO };
+    const seguidores = await db.collection('reseñas').distinct('usuarioId', { restauranteId, ...filtroCalificacionAlta });
+    const coincidenciasUsuarios = seguidores.length === 0 ? [] : await db.collection('reseñas').aggregate([
+        { $match: { usuarioId: { $in: seguidores }, restauranteId: { $ne: restauranteId }, ...filtroCalificacionAlta } },
+        { $group: { _id: '$restauranteId', comunes: { $sum: 1 } } },
+        { $sort: { comunes: -1 } },
+        { $limit: MAX_CANDIDATOS }
+    ]).toArray();
+    const comunesPorRestaurante = new Map(coincidenciasUsuarios.map((c) => [c._id.toString(), c.comunes]));
+
+    // Restaurantes con platos que comparten alguna palabra
+    const palabrasBusqueda = [...palabrasPlatos.keys()].slice(0, MAX_PALABRAS_BUSQUEDA);
+    const idsPorPlatos = palabrasBusqueda.length === 0 ? [] : await db.collection('platos').distinct('restauranteId', {
+        $or: palabrasBusqueda.map((palabra) => ({ nombre: crearRegexSinAcentos(palabra) })),
+        restauranteId: { $nin: [restauranteId, null] },
+        ...FILTRO_NO_ELIMINADO
+    });
+
+    // Candidatos: comparten categoría, palabras de platos o seguidores
+    const condiciones = [];
+    if (restaurante.categoriaId) {
+        condiciones.push({ categoriaId: restaurante.categoriaId });
+    }
+    const idsRelacionados = [...coincidenciasUsuarios.map((c) => c._id), ...idsPorPlatos];
+    if (idsRelacionados.length > 0) {
+        condiciones.push({ _id: { $in: idsRelacionados } });
+    }
+    if (condiciones.length === 0) {
+        return [];
+    }
+    const query = {
+        ...FILTRO_NO_ELIMINADO,
+        _id: { $ne: restauranteId },
+        aprobado: true,
+        ...construirFiltroEnOperacion(),
+        $or: condiciones
+    };
+    if (restaurante.cadenaId) {
+        query.cadenaId = { $ne: restaurante.cadenaId };
+    }
+    const candidatos = await db.collection('restaurantes')
+        .find(query, {
+            projection: {
+                nombre: 1, slug: 1, descripcion: 1, imagen: 1, categoriaId: 1, cadenaId: 1, ubicacion: 1,
+                nivelPrecio: 1, calificacionPromedio: 1, totalReseñas: 1, ranking: 1
+            }
+        })
+        .sort({ ranking: -1, _id: 1 })
+        .limit(MAX_CANDIDATOS)
+        .toArray();
+    if (candidatos.length === 0) {
+        return [];
+    }
+
+    // Platos de los candidatos (propios y, en las sucursales, los de su cadena)
+    const idsCandidatos = candidatos.map((c) => c._id);
+    const idsCadenas = [...new Map(candidatos.filter((c) => c.cadenaId).map((c) => [c.cadenaId.toString(), c.cadenaId])).values()];
+    const proyeccionPlatos = { projection: { nombre: 1, descripcion: 1, restauranteId: 1, cadenaId: 1 } };
+    const [platosCandidatos, platosCadenas, seguidoresCandidatos, categoria] = await Promise.all([
+        db.collection('platos').find({ restauranteId: { $in: idsCandidatos }, ...FILTRO_NO_ELIMINADO }, proyeccionPlatos).toArray(),
+        idsCadenas.length === 0 ? [] : db.collection('platos').find({ cadenaId: { $in: idsCadenas } }, proyeccionPlatos).toArray(),
+        // Cantidad de usuarios que calificaron alto a cada candidato
+        db.collection('reseñas').aggregate([
+            { $match: { restauranteId: { $in: idsCandidatos }, ...filtroCalificacionAlta } },
+            { $group: { _id: '$restauranteId', total: { $sum: 1 } } }
+        ]).toArray(),
+        restaurante.categoriaId
+            ? db.collection('categorias').findOne({ _id: restaurante.categoriaId }, { projection: { nombre: 1 } })
+            : null
+    ]);
+    const platosPorRestaurante = agruparPlatos(platosCandidatos, 'restauranteId');
+    const platosPorCadena = agruparPlatos(platosCadenas, 'cadenaId');
+    const seguidoresPorRestaurante = new Map(seguidoresCandidatos.map((s) => [s._id.toString(), s.total]));
+    const sinPlatos = { nombres: [], descripciones: [] };
+
+    return candidatos
+        .map((candidato) => {
+            const clave = candidato._id.toString();
+            const propios = platosPorRestaurante.get(clave) || sinPlatos;
+            const heredados = (candidato.cadenaId && platosPorCadena.get(candidato.cadenaId.toString())) || sinPlatos;
+            const motivos = [];
+
+            // Categoría
+            const mismaCategoria = Boolean(restaurante.categoriaId && candidato.categoriaId?.equals(restaurante.categoriaId));
+            if (mismaCategoria) {
+                motivos.push(categoria ? `Misma categoría: ${categoria.nombre}` : 'Misma categoría');
+            }
+
+            // Platos y palabras clave
+            const platosCandidato = compararPalabras(palabrasPlatos, obtenerPalabras(...propios.nombres, ...heredados.nombres));
+            if (platosCandidato.comunes.length > 0) {
+                motivos.push(`Platos parecidos: ${platosCandidato.comunes.slice(0, 3).join(', ')}`);
+            }
+            const clavesCandidato = compararPalabras(
+                palabrasClave,
+                obtenerPalabras(candidato.descripcion, ...propios.descripciones, ...heredados.descripciones)
+            );
+            if (clavesCandidato.comunes.length > 0) {
+                motivos.push(`También menciona: ${clavesCandidato.comunes.slice(0, 3).join(', ')}`);
+            }
+
+            // Nivel de precio
+            let similitudPrecio = 0;
+            if (restaurante.nivelPrecio && candidato.nivelPrecio) {
+                const diferencia = Math.abs(restaurante.nivelPrecio - candidato.nivelPrecio);
+                similitudPrecio = Math.max(0, 1 - diferencia / 2);
+                const simbolo = SIMBOLOS_NIVEL_PRECIO[candidato.nivelPrecio - 1];
+                if (diferencia === 0) {
+                    motivos.push(`Mismo nivel de precio (${simbolo})`);
+                } else if (diferencia === 1) {
+                    motivos.push(`Nivel de precio parecido (${simbolo})`);
+                }
+            }
+
+            // Usuarios que calificaron alto a ambos
+            const comunes = comunesPorRestaurante.get(clave) || 0;
+            const similitudUsuarios = comunes === 0
+                ? 0
+                : comunes / Math.sqrt(seguidores.length * (seguidoresPorRestaurante.get(clave) || comunes));
+            if (comunes > 0) {
+                motivos.push(comunes === 1
+                    ? 'A 1 usuario que calificó alto este restaurante también le gustó'
+                    : `A ${comunes} usuarios que calificaron alto este restaurante también les gustó`);
+            }
+
+            const puntaje = PESOS.categoria * (mismaCategoria ? 1 : 0)
+                + PESOS.platos * platosCandidato.similitud
+                + PESOS.palabrasClave * clavesCandidato.similitud
+                + PESOS.precio * similitudPrecio
+                + PESOS.usuarios * Math.min(1, similitudUsuarios);
+            const { cadenaId, ...datos } = candidato;
+            return { ...datos, puntaje: Math.round(puntaje * 100) / 100, motivos };
+        })
+        .filter((candidato) => candidato.puntaje >= PUNTAJE_MINIMO)
+        .sort((a, b) => b.puntaje - a.puntaje || (b.ranking || 0) - (a.ranking || 0))
+        .slice(0, limite);
+}
@@ -0,0 +1,130 @@
+// Importa la función para obtener la instancia de la base de datos
+import { obtenerBD } from '../config/db.js';
+// Importa las funciones helper de slugs y ObjectIds
+// generarSlug: convierte un nombre en slug (sin acentos, minúsculas y guiones)
+// esObjectIdValido: un slug no puede confundirse con un ID en las rutas /:id
+import { generarSlug, esObjectIdValido } from '../utils/helpers.js';
+// Importa las rutas reservadas y el filtro de la papelera
+import { SLUGS, FILTRO_NO_ELIMINADO } from '../utils/constants.js';
+
+// Slug de respaldo de cada colección cuando el nombre no genera ninguno (ej: solo emojis)
+const RESPALDOS = {
+    restaurantes: 'restaurante',
+    categorias: 'categoria'
+};
+
+/**
+ * Genera un slug único en una colección
+ * @param {string} coleccion - 'restaurantes' o 'categorias'
+ * @param {string} nombre - Nombre del documento
+ * @param {object} opciones - { excluirId (ObjectId del propio documento), session }
+ * @returns {Promise<string>} - Slug libre (ej: "la-trattoria", o "la-trattoria-2" si ya existe)
+ */
+// Función exportada que reserva el slug de un nombre
+// Un slug está ocupado si es el actual o uno anterior (redirección) de otro documento, incluidos los de la papelera
+// Se descartan los slugs que coinciden con rutas fijas o que esObjectIdValido aceptaría como ID
+// (24 caracteres hexadecimales, ej: un nombre como "cafe" repetido), porque esas URLs nunca se resolverían como slug
+export async function generarSlugUnico(coleccion, nombre, opciones = {}) {
+    const { excluirId = null, session = null } = opciones;
+    const db = obtenerBD();
+    const base = generarSlug(nombre) || RESPALDOS[coleccion];
+
+    // Slugs con la misma base ya usados (base, base-2, base-3...)
+    const patron = new RegExp(`^${base}(-\\d+)?$`);
+    const query = { $or: [{ slug: patron }, { slugsAnteriores: patron }] };
+    if (excluirId) {
+        query._id = { $ne: excluirId };
+    }
+    const existentes = await db.collection(coleccion)
+        .find(query, { ...(session ? { session } : {}), projection: { slug: 1, slugsAnteriores: 1 } })
+        .toArray();
+    const ocupados = new Set(existentes.flatMap((documento) => [documento.slug, ...(documento.slugsAnteriores || [])]));
+
+    const disponible = (candidato) => !ocupados.has(candidato)
+        && !esObjectIdValido(candidato)
+        && !(coleccion === 'restaurantes' && SLUGS.RESERVADOS.includes(candidato));
+    if (disponible(base)) {
+        return base;
+    }
+    for (let sufijo = 2; ; sufijo++) {
+        const candidato = `${base}-${sufijo}`;
+        if (disponible(candidato)) {
+            return candidato;
+        }
+    }
+}
+
+/**
+ * Calcula el nuevo slug de un documento al cambiar su nombre
+ * @param {string} coleccion - 'restaurantes' o 'categorias'
+ * @param {object} documento - Documento actual (con _id, slug y slugsAnteriores)
+ * @param {string} nombre - Nuevo nombre
+ * @param {object} session - Sesión de transacción MongoDB (opcional)
+ * @returns {Promise<object|null>} - { slug, slugsAnteriores } para $set, o null si el slug no cambia
+ */
+// Función exportada que mantiene las URLs viejas: el slug anterior pasa a slugsAnteriores y sigue
+// redirigiendo al documento; si el nuevo nombre recupera un slug anterior, deja de ser redirección
+export async function calcularCambioSlug(coleccion, documento, nombre, session = null) {
+    const slug = await generarSlugUnico(coleccion, nombre, { excluirId: documento._id, session });
+    if (slug === documento.slug) {
+        return null;
+    }
+    const anteriores = [...(documento.slugsAnteriores || []), documento.slug]
+        .filter((anterior) => anterior && anterior !== slug);
+    return { slug, slugsAnteriores: [...new Set(anteriores)] };
+}
+
+/**
+ * Resuelve un slug al documento que identifica
+ * @param {string} coleccion - 'restaurantes' o 'categorias'
+ * @param {string} slug - Slug recibido en la URL
+ * @returns {Promise<object|null>} - { _id, slug (el actual), redirigir } o null si no existe
+ */
+// Función exportada que usa el middleware de rutas con slug
+// redirigir es true si el slug es anterior (el documento cambió de nombre): la URL canónica usa el actual
+// Un restaurante fusionado conserva sus slugs en la papelera y redirige al restaurante con el que se fusionó
+export async function resolverSlug(coleccion, slug) {
+    const db = obtenerBD();
+    const documento = await db.collection(coleccion).findOne(
+        { $or: [{ slug }, { slugsAnteriores: slug }] },
+        { projection: { slug: 1, eliminado: 1, fusionadoCon: 1 } }
+    );
+    if (!documento) {
+        return null;
+    }
+    if (documento.eliminado && documento.fusionadoCon) {
+        const conservado = await db.collection(coleccion).findOne(
+            { _id: documento.fusionadoCon, ...FILTRO_NO_ELIMINADO },
+            { projection: { slug: 1 } }
+        );
+        if (conservado) {
+            return { _id: conservado._id, slug: conservado.slug || conservado._id.toString(), redirigir: true };
+        }
+    }
+    return { _id: documento._id, slug: documento.slug, redirigir: documento.slug !== slug };
+}
+
+/**
+ * Asigna slug a los documentos creados antes de existir los slugs
+ * @returns {Promise<object>} - Cantidad de documentos actualizados por colección
+ */
+// Función exportada que usa el script npm run slugs (los documentos más antiguos reciben el slug sin sufijo)
+export async function asignarSlugsFaltantes() {
+    const db = obtenerBD();
+    const resultado = {};
+    for (const coleccion of Object.keys(RESPALDOS)) {
+        const pendientes = await db.collection(coleccion)
+            .find({ slug: { $exists: false } }, { projection: { nombre: 1 } })
+            .sort({ fechaCreacion: 1, _id: 1 })
+            .toArray();
+        for (const documento of pendientes) {
+            const slug = await generarSlugUnico(coleccion, documento.nombre, { excluirId: documento._id });
+            await db.collection(coleccion).updateOne(
+                { _id: documento._id },
+                { $set: { slug, slugsAnteriores: [] } }
+            );
+        }
+        resultado[coleccion] = pendientes.length;
+    }
+    return resultado;
+}
@@ -60,6 +60,17 @@ async function verificarTransaccionesDisponibles() {
     }
 }
 
+/**
+ * Indica si un error se debe a que la instancia no soporta transacciones
+ * @param {Error} error - Error lanzado por una operación con sesión
+ * @returns {boolean} - True si el error indica que las transacciones no están disponibles
+ */
+// Función exportada que distingue la falta de soporte de transacciones (MongoDB standalone)
+// del resto de errores, que no deben reintentarse sin transacción
+export function esErrorTransaccionNoDisponible(error) {
+    return Boolean(error && error.message && error.message.includes('Transaction numbers are only allowed'));
+}
+
 /**
  * Ejecuta una función dentro de una transacción MongoDB si está disponible,
  * de lo contrario ejecuta sin transacción
@@ -100,7 +111,7 @@ export async function ejecutarTransaccion(callback) {
         // Manejo de errores: si el error es específico de transacciones, usa fallback
         // Algunos errores indican que las transacciones no están realmente disponibles
         // aunque la verificación inicial haya indicado que sí
-        if (error.message && error.message.includes('Transaction numbers are only allowed')) {
+        if (esErrorTransaccionNoDisponible(error)) {
             console.warn('⚠️  Error de transacción detectado, ejecutando sin transacción como fallback');
             // Actualiza el caché para indicar que no están disponibles
             transaccionesDisponibles = false; // Cachear que no están disponibles
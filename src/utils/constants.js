@@ -2,6 +2,7 @@
 // Define los diferentes roles que pueden tener los usuarios en la aplicación
 export const ROLES = {
     USUARIO: 'usuario',  // Rol por defecto para usuarios normales
+    PROPIETARIO: 'propietario',  // Usuario con al menos un restaurante verificado como suyo
     ADMIN: 'admin'  // Rol de administrador con permisos especiales
 };
 
@@ -10,7 +11,9 @@ export const ROLES = {
 export const HTTP_STATUS = {
     OK: 200,  // Solicitud exitosa
     CREATED: 201,  // Recurso creado exitosamente
+    ACCEPTED: 202,  // Solicitud aceptada, se procesa en segundo plano
     NO_CONTENT: 204,  // Solicitud exitosa pero sin contenido para retornar
+    MOVED_PERMANENTLY: 301,  // El recurso tiene una nueva URL (ej: slug anterior de un restaurante)
     BAD_REQUEST: 400,  // Solicitud incorrecta (datos inválidos)
     UNAUTHORIZED: 401,  // No autenticado (token inválido o faltante)
     FORBIDDEN: 403,  // No autorizado (falta de permisos)
@@ -48,4 +51,296 @@ export const RANKING_WEIGHTS = {
     CALIFICACION: 0.5,  // 50% - Promedio de calificaciones de las reseñas
     LIKES_RATIO: 0.3,  // 30% - Ratio de likes vs dislikes en reseñas
     RECENCIA: 0.2  // 20% - Qué tan recientes son las reseñas (más recientes = mejor)
-};
\ No newline at end of file
+};
+// Días de la semana usados como claves del horario semanal de los restaurantes
+// El índice coincide con Date.getUTCDay() (0 = domingo, 6 = sábado)
+export const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+// Zona horaria por defecto para los horarios de apertura (identificador IANA)
+// Se usa cuando el restaurante no indica zonaHoraria en su horario
+export const ZONA_HORARIA_DEFECTO = 'America/Bogota';
+
+// Estados de una reclamación de propiedad de restaurante
+// Un usuario reclama un restaurante (pendiente) y un administrador la verifica o la rechaza
+export const ESTADOS_RECLAMACION = {
+    PENDIENTE: 'pendiente',  // Esperando revisión de un administrador
+    VERIFICADA: 'verificada',  // El usuario es el propietario del restaurante
+    RECHAZADA: 'rechazada'  // La reclamación no fue aceptada
+};
+
+// Estados de una sugerencia de edición de un restaurante
+// Cualquier usuario propone cambios (pendiente) y un administrador o el propietario verificado los resuelve
+export const ESTADOS_SUGERENCIA = {
+    PENDIENTE: 'pendiente',  // Esperando revisión
+    ACEPTADA: 'aceptada',  // Los cambios se aplicaron al restaurante
+    RECHAZADA: 'rechazada'  // Los cambios no se aplicaron
+};
+
+// Campos del restaurante que la comunidad puede proponer cambiar
+// cerradoPermanentemente permite reportar que el restaurante ya no existe
+export const CAMPOS_SUGERENCIA = ['nombre', 'descripcion', 'ubicacion', 'categoriaId', 'imagen', 'cerradoPermanentemente'];
+
+// Campos del restaurante que el propietario o el admin editan con PUT /restaurantes/:id
+// El resto (aprobación, propiedad, estadísticas, papelera, cadena, slug, estado operativo...) se gestiona desde sus propias rutas
+export const CAMPOS_EDITABLES_RESTAURANTE = ['nombre', 'descripcion', 'categoriaId', 'ubicacion', 'horario', 'atributos', 'moneda', 'imagen'];
+
+// Campos del plato que el propietario o el admin editan con PUT /platos/:id
+// El restaurante, las traducciones, las estadísticas de reseñas y el historial de precios no se editan desde esa ruta
+export const CAMPOS_EDITABLES_PLATO = [
+    'nombre', 'descripcion', 'imagen', 'precio', 'seccionId', 'orden',
+    'alergenos', 'dietas', 'nivelPicante', 'nutricion'
+];
+
+// Campos que una sucursal puede ajustar sobre un plato del menú compartido de su cadena
+// disponible: false oculta el plato del menú de esa sucursal
+export const CAMPOS_SOBRESCRITURA = ['precio', 'descripcion', 'imagen', 'disponible'];
+
+// Estados del flujo de aprobación de restaurantes
+// El campo aprobado (boolean) se mantiene sincronizado: solo es true en el estado APROBADO
+export const ESTADOS_RESTAURANTE = {
+    PENDIENTE: 'pendiente',  // Enviado, esperando revisión de un administrador
+    APROBADO: 'aprobado',  // Visible para todos los usuarios
+    RECHAZADO: 'rechazado',  // No fue aceptado (estado final)
+    CAMBIOS_SOLICITADOS: 'cambios_solicitados',  // El admin pidió correcciones al autor
+    SUSPENDIDO: 'suspendido'  // Aprobado anteriormente pero oculto temporalmente
+};
+
+// Transiciones permitidas entre estados de restaurante (estado actual -> estados destino)
+// cambios_solicitados vuelve a pendiente cuando el autor envía las correcciones
+export const TRANSICIONES_RESTAURANTE = {
+    [ESTADOS_RESTAURANTE.PENDIENTE]: [
+        ESTADOS_RESTAURANTE.APROBADO,
+        ESTADOS_RESTAURANTE.RECHAZADO,
+        ESTADOS_RESTAURANTE.CAMBIOS_SOLICITADOS
+    ],
+    [ESTADOS_RESTAURANTE.CAMBIOS_SOLICITADOS]: [ESTADOS_RESTAURANTE.PENDIENTE],
+    [ESTADOS_RESTAURANTE.APROBADO]: [ESTADOS_RESTAURANTE.SUSPENDIDO],
+    [ESTADOS_RESTAURANTE.SUSPENDIDO]: [ESTADOS_RESTAURANTE.APROBADO],
+    [ESTADOS_RESTAURANTE.RECHAZADO]: []
+};
+
+// Estados destino que exigen indicar un motivo al hacer la transición
+export const ESTADOS_CON_MOTIVO = [
+    ESTADOS_RESTAURANTE.RECHAZADO,
+    ESTADOS_RESTAURANTE.CAMBIOS_SOLICITADOS,
+    ESTADOS_RESTAURANTE.SUSPENDIDO
+];
+
+// Filtro de eliminación lógica (papelera)
+// Los documentos eliminados conservan eliminado: true hasta que se restauran o se purgan
+// $ne también incluye los documentos creados antes de existir el campo eliminado
+export const FILTRO_NO_ELIMINADO = { eliminado: { $ne: true } };
+
+// Tipos de elementos que pueden estar en la papelera y su colección en MongoDB
+// Las claves se usan en las URLs, por eso resena va sin ñ (igual que /api/v1/resenas)
+export const TIPOS_PAPELERA = {
+    restaurante: 'restaurantes',
+    plato: 'platos',
+    resena: 'reseñas',
+    resenaPlato: 'reseñasPlatos'
+};
+
+// Días que un elemento permanece en la papelera antes de que el purgado lo elimine definitivamente
+// Se puede cambiar con la variable de entorno PAPELERA_RETENCION_DIAS
+export const PAPELERA_RETENCION_DIAS = 30;
+
+// Límites del nivel de precio de un restaurante, según la mediana del precio de sus platos
+// Mediana menor a 20000 = $, menor a 40000 = $$, menor a 70000 = $$$, desde 70000 = $$$$
+// Están en MONEDA_DEFECTO: los restaurantes con otra moneda no tienen nivel de precio
+export const UMBRALES_NIVEL_PRECIO = [20000, 40000, 70000];
+
+// Moneda de los precios de un restaurante que no indica la suya (código ISO 4217)
+// Los restaurantes creados antes de tener moneda también usan esta
+export const MONEDA_DEFECTO = 'COP';
+
+// Símbolos de cada nivel de precio (el índice + 1 es el nivelPrecio que se guarda)
+export const SIMBOLOS_NIVEL_PRECIO = ['$', '$$', '$$$', '$$$$'];
+
+// Formato de la clave de un atributo de restaurante (minúsculas, números y guiones)
+// La clave es la que se guarda en los restaurantes y se usa en los filtros (ej: "pet-friendly")
+export const FORMATO_CLAVE_ATRIBUTO = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Calificaciones mínimas de la faceta de calificación ("4 estrellas o más", "3 o más", ...)
+export const CALIFICACIONES_FACETA = [4, 3, 2, 1];
+
+// Parámetros de la detección de restaurantes duplicados al crear un restaurante
+// Con similitud desde UMBRAL_PROBABLE el restaurante se informa como posible duplicado
+// Desde UMBRAL_FUERTE la creación exige confirmarNoDuplicado: true
+// RADIO_METROS: distancia hasta la que dos ubicaciones se consideran el mismo lugar (la similitud baja hasta 0 ahí)
+export const DETECCION_DUPLICADOS = {
+    UMBRAL_PROBABLE: 0.6,
+    UMBRAL_FUERTE: 0.85,
+    RADIO_METROS: 300,
+    MAX_CANDIDATOS: 50,
+    MAX_RESULTADOS: 5
+};
+
+// Palabras que no distinguen un nombre de restaurante de otro ("La Trattoria" = "Trattoria, La")
+export const PALABRAS_IGNORADAS_NOMBRE = ['el', 'la', 'los', 'las', 'lo', 'the', 'de', 'del', 'y', '&', 'and', 'restaurante', 'restaurant'];
+
+// Entidades cuyo historial de revisiones se registra (campo entidad de la colección revisiones)
+export const ENTIDADES_REVISION = {
+    RESTAURANTE: 'restaurante',
+    PLATO: 'plato'
+};
+
+// Origen de una revisión: edición directa, sugerencia de la comunidad aceptada o reversión de un admin
+export const ORIGENES_REVISION = {
+    EDICION: 'edicion',
+    SUGERENCIA: 'sugerencia',
+    REVERSION: 'reversion'
+};
+
+// Parámetros de la importación masiva de restaurantes (CSV o JSON)
+// TAMANO_LOTE: filas que se crean antes de guardar el progreso del trabajo
+// MAX_FILAS: restaurantes por archivo
+// LIMITE_ARCHIVO: tamaño máximo del cuerpo de POST /admin/importaciones
+// MINUTOS_SIN_PROGRESO: un trabajo en proceso sin avanzar este tiempo se considera caído y se puede reanudar
+export const IMPORTACION = {
+    TAMANO_LOTE: 50,
+    MAX_FILAS: 2000,
+    LIMITE_ARCHIVO: '10mb',
+    MINUTOS_SIN_PROGRESO: 10
+};
+
+// Estados de un trabajo de importación
+export const ESTADOS_IMPORTACION = {
+    EN_PROCESO: 'en_proceso',
+    COMPLETADA: 'completada',
+    INTERRUMPIDA: 'interrumpida'
+};
+
+// Estados de cada fila (restaurante) de una importación
+// procesando marca la fila mientras se crea: al reanudar se comprueba si el restaurante llegó a crearse
+export const ESTADOS_FILA_IMPORTACION = {
+    PENDIENTE: 'pendiente',
+    PROCESANDO: 'procesando',
+    CREADA: 'creada',
+    INVALIDA: 'invalida',
+    FALLIDA: 'fallida'
+};
+
+// Columnas de un archivo CSV de importación
+// Una fila con nombre empieza un restaurante; las siguientes con nombre vacío solo agregan platos
+// atributos se separan con | y horario es el mismo objeto JSON que acepta POST /restaurantes
+// moneda es opcional (código ISO 4217; por defecto MONEDA_DEFECTO)
+export const COLUMNAS_CSV_IMPORTACION = [
+    'nombre', 'descripcion', 'categoriaId', 'cadenaId', 'direccion', 'barrio', 'ciudad', 'pais', 'lat', 'lng',
+    'imagen', 'atributos', 'horario', 'moneda', 'plato_nombre', 'plato_descripcion', 'plato_precio', 'plato_imagen'
+];
+
+// Formatos de la exportación de restaurantes, con su tipo de contenido y extensión de archivo
+// ndjson: un restaurante JSON por línea; geojson: FeatureCollection con la ubicación como geometría
+export const FORMATOS_EXPORTACION = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+// Datos opcionales que se pueden agregar a la exportación (?incluir=platos,categoria,calificaciones)
+export const INCLUIR_EXPORTACION = ['platos', 'categoria', 'calificaciones'];
+
+// Parámetros de las recomendaciones de restaurantes similares (GET /restaurantes/:id/similares)
+// PESOS: aporte de cada señal al puntaje (suman 1)
+// CALIFICACION_ALTA: calificación mínima para considerar que a un usuario le gustó un restaurante
+// PUNTAJE_MINIMO: por debajo no se recomienda aunque no haya mejores opciones
+// MAX_CANDIDATOS: restaurantes que se puntúan como máximo
+// MAX_PALABRAS_BUSQUEDA: palabras de los platos que se usan para buscar candidatos
+export const RECOMENDACION_SIMILARES = {
+    PESOS: { categoria: 0.25, platos: 0.25, palabrasClave: 0.1, precio: 0.15, usuarios: 0.25 },
+    CALIFICACION_ALTA: 4,
+    PUNTAJE_MINIMO: 0.15,
+    MAX_CANDIDATOS: 200,
+    MAX_PALABRAS_BUSQUEDA: 15,
+    LIMITE_DEFECTO: 5,
+    LIMITE_MAXIMO: 20
+};
+
+// Palabras que no aportan al comparar platos y descripciones (se suman a PALABRAS_IGNORADAS_NOMBRE)
+export const PALABRAS_VACIAS = [
+    'a', 'al', 'con', 'sin', 'en', 'para', 'por', 'un', 'una', 'unos', 'unas', 'o', 'u', 'e', 'su', 'sus',
+    'nuestro', 'nuestra', 'nuestros', 'nuestras', 'mas', 'muy', 'que', 'es', 'se', 'with', 'of', 'an', 'in'
+];
+
+// Parámetros de las analíticas de un restaurante (GET /restaurantes/:id/analiticas)
+// GRANULARIDADES: agrupación de los períodos (semanas de lunes a domingo o meses, en UTC)
+// PERIODOS_DEFECTO: períodos hacia atrás desde hasta si no se indica desde
+// MAX_PERIODOS: límite de períodos por consulta
+export const ANALITICAS = {
+    GRANULARIDADES: ['semana', 'mes'],
+    PERIODOS_DEFECTO: 12,
+    MAX_PERIODOS: 104
+};
+
+// Idiomas del contenido traducible (nombre y descripción de restaurantes, platos y categorías)
+// ORIGINAL: idioma en que se escriben nombre y descripcion; los demás se guardan en traducciones.<idioma>
+// SOPORTADOS: idiomas que se aceptan en lang, Accept-Language y las rutas de traducciones
+export const IDIOMAS = {
+    ORIGINAL: 'es',
+    SOPORTADOS: ['es', 'en', 'pt', 'fr', 'it', 'de']
+};
+
+// Campos que se pueden traducir en cada entidad
+export const CAMPOS_TRADUCIBLES = ['nombre', 'descripcion'];
+
+// Entidades con contenido traducible
+export const ENTIDADES_TRADUCCION = {
+    RESTAURANTE: 'restaurante',
+    PLATO: 'plato',
+    CATEGORIA: 'categoria'
+};
+
+// Slugs legibles de restaurantes y categorías (ej: /restaurantes/la-trattoria)
+// LONGITUD_MAX: caracteres máximos del slug generado a partir del nombre
+// RESERVADOS: rutas fijas de /restaurantes que un slug no puede ocupar (se declaran antes de /:id)
+export const SLUGS = {
+    LONGITUD_MAX: 80,
+    RESERVADOS: ['facetas', 'exportar', 'cercanos', 'pendientes', 'mios', 'reclamaciones', 'sugerencias']
+};
+
+// Estado operativo de un restaurante (independiente del flujo de aprobación)
+// Los cerrados no aparecen por defecto en el ranking, la búsqueda ni las recomendaciones y no admiten reseñas nuevas,
+// pero se siguen pudiendo consultar (con avisoCierre)
+// CERRADO_TEMPORALMENTE tiene fecha de reapertura: desde esa fecha el restaurante vuelve a contar como abierto
+// El campo cerradoPermanentemente (boolean) se mantiene sincronizado para las sugerencias y consultas existentes
+export const ESTADOS_OPERATIVOS = {
+    ABIERTO: 'abierto',
+    CERRADO_TEMPORALMENTE: 'cerrado_temporalmente',
+    CERRADO_PERMANENTEMENTE: 'cerrado_permanentemente'
+};
+
+// Información alimentaria de los platos
+// ALERGENOS y DIETAS usan claves sin tildes ni espacios porque se envían en los filtros (ej: ?sinAlergenos=frutos-secos)
+// Un plato sin alergenos declarados (null) no pasa el filtro sinAlergenos: solo [] significa "sin alérgenos"
+export const ALERGENOS = [
+    'gluten', 'lacteos', 'huevo', 'frutos-secos', 'mani', 'soya', 'pescado', 'mariscos',
+    'moluscos', 'sesamo', 'apio', 'mostaza', 'sulfitos', 'altramuces'
+];
+
+// Etiquetas de dieta de un plato
+export const DIETAS = ['vegano', 'vegetariano', 'sin-gluten', 'halal', 'kosher'];
+
+// Alérgenos que contradicen cada dieta (un plato vegano no puede declarar lácteos)
+export const ALERGENOS_INCOMPATIBLES_DIETA = {
+    vegano: ['lacteos', 'huevo', 'pescado', 'mariscos', 'moluscos'],
+    vegetariano: ['pescado', 'mariscos', 'moluscos'],
+    'sin-gluten': ['gluten']
+};
+
+// Nivel de picante de un plato: 0 = no pica ... 3 = muy picante (null = sin informar)
+export const NIVEL_PICANTE = {
+    MIN: 0,
+    MAX: 3
+};
+
+// Campos de la información nutricional de un plato (por porción)
+// calorias en kcal, sodio en mg y el resto en gramos
+export const CAMPOS_NUTRICION = ['calorias', 'proteinas', 'carbohidratos', 'grasas', 'azucares', 'fibra', 'sodio'];
+
+// Parámetros de la comparación de precios de platos parecidos (GET /platos/comparar-precios)
+// UMBRAL_SIMILITUD: similitud mínima del nombre (0 a 1) para considerar que dos platos son el mismo
+// MAX_CANDIDATOS: platos que se leen como máximo antes de calcular la similitud
+export const COMPARACION_PRECIOS = {
+    UMBRAL_SIMILITUD: 0.75,
+    MAX_CANDIDATOS: 500
+};
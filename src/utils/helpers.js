@@ -1,7 +1,7 @@
 // Importa ObjectId de MongoDB para trabajar con identificadores únicos
 import { ObjectId } from 'mongodb';
 // Importa constantes de errores y códigos HTTP desde el archivo de constantes
-import { ERROR_MESSAGES, HTTP_STATUS } from './constants.js';
+import { ERROR_MESSAGES, HTTP_STATUS, DIAS_SEMANA, ZONA_HORARIA_DEFECTO, SIMBOLOS_NIVEL_PRECIO, MONEDA_DEFECTO, IDIOMAS, CAMPOS_TRADUCIBLES, SLUGS, ALERGENOS, DIETAS, NIVEL_PICANTE, CAMPOS_NUTRICION } from './constants.js';
 
 /**
  * Valida si un string es un ObjectId válido de MongoDB
@@ -124,19 +124,18 @@ export function calcularRatioLikes(likes = 0, dislikes = 0) {
 /**
  * Calcula el score de recencia basado en la fecha de la última reseña
  * @param {Date} fechaUltimaReseña - Fecha de la última reseña
+ * @param {Date} ahora - Instante de referencia (default: ahora; las analíticas calculan el ranking al cierre de cada período)
  * @returns {number} - Score entre 0 y 1 (1 = muy reciente, 0 = muy antiguo)
  */
 // Función que calcula un score basado en qué tan reciente es la última reseña
 // Se usa en el cálculo del ranking de restaurantes
 // Los restaurantes con reseñas más recientes reciben un score más alto
-export function calcularScoreRecencia(fechaUltimaReseña) {
+export function calcularScoreRecencia(fechaUltimaReseña, ahora = new Date()) {
     // Si no hay fecha de última reseña, retorna 0 (score bajo)
     if (!fechaUltimaReseña) {
         return 0;
     }
     
-    // Obtiene la fecha/hora actual
-    const ahora = new Date();
     // Convierte la fecha de última reseña a objeto Date
     const fecha = new Date(fechaUltimaReseña);
     // Calcula la diferencia en días
@@ -185,6 +184,334 @@ export function sanitizarParaBusqueda(texto) {
         .trim();  // Elimina espacios en blanco al inicio y final
 }
 
+/**
+ * Genera el slug de un nombre
+ * @param {string} texto - Nombre del restaurante o la categoría
+ * @returns {string} - Slug en minúsculas, sin acentos y con guiones (ej: "Café Ñandú" -> "cafe-nandu")
+ */
+// Función que convierte un nombre en un segmento de URL legible
+// Todo lo que no sea letra o número se reemplaza por un guion; puede quedar vacío (ej: un nombre solo con emojis)
+export function generarSlug(texto) {
+    return sanitizarParaBusqueda(texto)
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, SLUGS.LONGITUD_MAX)
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Valida si un string tiene el formato de un slug
+ * @param {string} valor - Valor a validar (ej: parámetro :id de la URL)
+ * @returns {boolean} - True si son letras minúsculas y números separados por guiones
+ */
+export function esSlugValido(valor) {
+    return typeof valor === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(valor);
+}
+
+// Mapa de cada vocal (y la ñ/ç) a la clase de caracteres que incluye sus variantes acentuadas
+// Se usa para construir expresiones regulares que ignoran acentos en MongoDB
+const VARIANTES_ACENTOS = {
+    a: '[aáàäâã]',
+    e: '[eéèëê]',
+    i: '[iíìïî]',
+    o: '[oóòöôõ]',
+    u: '[uúùüû]',
+    n: '[nñ]',
+    c: '[cç]'
+};
+
+/**
+ * Construye una expresión regular que ignora acentos y mayúsculas
+ * @param {string} texto - Texto a buscar
+ * @returns {RegExp|null} - Expresión regular o null si el texto está vacío
+ */
+// Función que convierte un texto de búsqueda en una RegExp insensible a acentos
+// "cafe" genera /c[aáàäâã]f[eéèëê]/i, que coincide con "Café", "CAFE", etc.
+// Usa sanitizarParaBusqueda para quitar acentos del propio término antes de expandirlo
+export function crearRegexSinAcentos(texto) {
+    // Normaliza el término (minúsculas, sin acentos, sin espacios extremos)
+    const termino = sanitizarParaBusqueda(texto);
+    // Si el término queda vacío no hay nada que buscar
+    if (!termino) {
+        return null;
+    }
+    // Recorre cada carácter: escapa los caracteres especiales de regex
+    // y reemplaza las letras con variantes acentuadas por su clase de caracteres
+    const patron = Array.from(termino)
+        .map((caracter) => VARIANTES_ACENTOS[caracter] || caracter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+    // Retorna la expresión regular con la bandera i (insensible a mayúsculas)
+    return new RegExp(patron, 'i');
+}
+
+/**
+ * Valida la ubicación de un restaurante (texto libre u objeto estructurado)
+ * @param {string|object} ubicacion - Ubicación a validar
+ * @returns {boolean} - True si es válida
+ * @throws {Error} - Si la ubicación no tiene un formato válido
+ */
+// Función que valida la ubicación enviada al crear o actualizar un restaurante
+// Acepta un string (dirección en texto libre, formato anterior) o un objeto con
+// partes de la dirección y coordenadas opcionales (lat, lng)
+export function validarUbicacion(ubicacion) {
+    // Si no se proporciona ubicación o es texto libre, es válida (compatibilidad con el formato anterior)
+    if (ubicacion === undefined || ubicacion === null || typeof ubicacion === 'string') {
+        return true;
+    }
+    // Si no es string, debe ser un objeto (no un array)
+    if (typeof ubicacion !== 'object' || Array.isArray(ubicacion)) {
+        throw new Error('La ubicación debe ser un texto o un objeto');
+    }
+    // Valida que las partes de la dirección sean strings si se proporcionan
+    for (const campo of ['direccion', 'barrio', 'ciudad', 'pais']) {
+        if (ubicacion[campo] !== undefined && ubicacion[campo] !== null && typeof ubicacion[campo] !== 'string') {
+            throw new Error(`El campo ubicacion.${campo} debe ser un texto`);
+        }
+    }
+    // Las coordenadas son opcionales, pero si se envía una deben venir ambas
+    const tieneLat = ubicacion.lat !== undefined && ubicacion.lat !== null;
+    const tieneLng = ubicacion.lng !== undefined && ubicacion.lng !== null;
+    if (tieneLat !== tieneLng) {
+        throw new Error('La ubicación debe incluir lat y lng juntas');
+    }
+    if (tieneLat) {
+        // Convierte a número y verifica los rangos válidos de latitud (-90 a 90) y longitud (-180 a 180)
+        const lat = Number(ubicacion.lat);
+        const lng = Number(ubicacion.lng);
+        if (isNaN(lat) || lat < -90 || lat > 90) {
+            throw new Error('La latitud debe ser un número entre -90 y 90');
+        }
+        if (isNaN(lng) || lng < -180 || lng > 180) {
+            throw new Error('La longitud debe ser un número entre -180 y 180');
+        }
+    }
+    return true;
+}
+
+/**
+ * Normaliza la ubicación de un restaurante al formato estructurado con punto GeoJSON
+ * @param {string|object} ubicacion - Ubicación en texto libre u objeto con lat/lng
+ * @returns {object} - Ubicación con direccion, barrio, ciudad, pais y coordenadas
+ */
+// Función que convierte la ubicación recibida en el documento que se guarda en MongoDB
+// Las coordenadas se guardan como punto GeoJSON ([lng, lat]) para el índice 2dsphere
+export function normalizarUbicacion(ubicacion) {
+    // Si es texto libre (formato anterior), se guarda como dirección sin coordenadas
+    if (!ubicacion || typeof ubicacion === 'string') {
+        return {
+            direccion: ubicacion ? ubicacion.trim() : '',
+            barrio: null,
+            ciudad: null,
+            pais: null,
+            coordenadas: null
+        };
+    }
+    // Verifica si se proporcionaron coordenadas
+    const tieneCoordenadas = ubicacion.lat !== undefined && ubicacion.lat !== null &&
+                             ubicacion.lng !== undefined && ubicacion.lng !== null;
+    return {
+        direccion: ubicacion.direccion ? ubicacion.direccion.trim() : '',
+        barrio: ubicacion.barrio ? ubicacion.barrio.trim() : null,
+        ciudad: ubicacion.ciudad ? ubicacion.ciudad.trim() : null,
+        pais: ubicacion.pais ? ubicacion.pais.trim() : null,
+        // GeoJSON usa el orden [longitud, latitud]
+        coordenadas: tieneCoordenadas
+            ? { type: 'Point', coordinates: [Number(ubicacion.lng), Number(ubicacion.lat)] }
+            : null
+    };
+}
+
+// Expresión regular para horas en formato HH:MM (00:00 a 23:59, y 24:00 como fin del día)
+const REGEX_HORA = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+// Expresión regular para fechas de calendario en formato YYYY-MM-DD
+const REGEX_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convierte una hora HH:MM a minutos desde la medianoche
+ * @param {string} hora - Hora en formato HH:MM
+ * @returns {number} - Minutos desde las 00:00
+ */
+// Función que transforma "08:30" en 510; "24:00" se convierte en 1440 (fin del día)
+export function horaAMinutos(hora) {
+    const [horas, minutos] = hora.split(':').map(Number);
+    return horas * 60 + minutos;
+}
+
+/**
+ * Verifica si una zona horaria IANA es válida
+ * @param {string} zonaHoraria - Identificador de zona horaria (ej: America/Bogota)
+ * @returns {boolean} - True si Intl reconoce la zona horaria
+ */
+// Función que usa Intl.DateTimeFormat para validar la zona horaria sin dependencias externas
+export function esZonaHorariaValida(zonaHoraria) {
+    // Verifica que sea un string no vacío
+    if (!zonaHoraria || typeof zonaHoraria !== 'string') {
+        return false;
+    }
+    try {
+        // Intl lanza RangeError si la zona horaria no existe
+        new Intl.DateTimeFormat('es', { timeZone: zonaHoraria });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Verifica si un código de moneda ISO 4217 es válido
+ * @param {string} moneda - Código de la moneda (ej: COP, USD); no distingue mayúsculas
+ * @returns {boolean} - True si Intl reconoce la moneda
+ */
+// Función que usa la lista de monedas de Intl para validar la moneda sin dependencias externas
+export function esMonedaValida(moneda) {
+    // Verifica que sea un string no vacío
+    if (!moneda || typeof moneda !== 'string') {
+        return false;
+    }
+    return Intl.supportedValuesOf('currency').includes(moneda.toUpperCase());
+}
+
+/**
+ * Construye la condición de MongoDB para los restaurantes que cobran en una moneda
+ * @param {string} moneda - Código ISO 4217; no distingue mayúsculas
+ * @returns {string|object} - Valor del filtro para el campo moneda del restaurante
+ */
+// Función que comparten los filtros de precio: los precios solo se comparan dentro de una misma moneda
+// Los restaurantes sin moneda guardada cobran en MONEDA_DEFECTO
+export function construirFiltroMoneda(moneda) {
+    const codigo = moneda.toUpperCase();
+    return codigo === MONEDA_DEFECTO ? { $in: [codigo, null] } : codigo;
+}
+
+// Función privada que valida una lista de rangos { apertura, cierre } de un mismo día
+// Si cierre es menor que apertura, el rango termina al día siguiente (ej: 18:00 - 02:00)
+function validarRangosHorario(rangos, contexto) {
+    // Los rangos deben venir en un array (puede estar vacío: cerrado todo el día)
+    if (!Array.isArray(rangos)) {
+        throw new Error(`${contexto} debe ser un array de rangos { apertura, cierre }`);
+    }
+    for (const rango of rangos) {
+        // Cada rango debe ser un objeto con apertura y cierre en formato HH:MM
+        if (!rango || typeof rango !== 'object') {
+            throw new Error(`${contexto} contiene un rango inválido`);
+        }
+        if (!REGEX_HORA.test(rango.apertura || '') || rango.apertura === '24:00') {
+            throw new Error(`${contexto}: la hora de apertura debe tener formato HH:MM`);
+        }
+        if (!REGEX_HORA.test(rango.cierre || '')) {
+            throw new Error(`${contexto}: la hora de cierre debe tener formato HH:MM`);
+        }
+        // Un rango con la misma hora de apertura y cierre no tiene duración
+        if (rango.apertura === rango.cierre) {
+            throw new Error(`${contexto}: la apertura y el cierre no pueden ser iguales`);
+        }
+    }
+    // Ordena los rangos por apertura y verifica que no se solapen dentro del día
+    const ordenados = [...rangos].sort((a, b) => horaAMinutos(a.apertura) - horaAMinutos(b.apertura));
+    for (let i = 1; i < ordenados.length; i++) {
+        const anterior = ordenados[i - 1];
+        // Si el rango anterior cruza la medianoche, ocupa el resto del día
+        const finAnterior = horaAMinutos(anterior.cierre) > horaAMinutos(anterior.apertura)
+            ? horaAMinutos(anterior.cierre)
+            : 1440;
+        if (horaAMinutos(ordenados[i].apertura) < finAnterior) {
+            throw new Error(`${contexto}: los rangos de horario no pueden solaparse`);
+        }
+    }
+}
+
+/**
+ * Valida el horario de apertura de un restaurante
+ * @param {object} horario - Horario { zonaHoraria, semana, cierresEspeciales }
+ * @returns {boolean} - True si es válido
+ * @throws {Error} - Si el horario no tiene un formato válido
+ */
+// Función que valida el horario enviado al crear o actualizar un restaurante
+// semana: { lunes: [{ apertura: '08:00', cierre: '15:00' }, ...], ... } (varios rangos por día)
+// cierresEspeciales: [{ desde: 'YYYY-MM-DD', hasta?, motivo?, rangos? }] para festivos y cierres
+// Si un cierre especial incluye rangos, esos rangos reemplazan al horario semanal ese día
+export function validarHorario(horario) {
+    // El horario es opcional; null permite eliminarlo en una actualización
+    if (horario === undefined || horario === null) {
+        return true;
+    }
+    // Debe ser un objeto (no un array)
+    if (typeof horario !== 'object' || Array.isArray(horario)) {
+        throw new Error('El horario debe ser un objeto');
+    }
+    // Si se indica zona horaria, debe ser un identificador IANA válido
+    if (horario.zonaHoraria !== undefined && !esZonaHorariaValida(horario.zonaHoraria)) {
+        throw new Error('La zona horaria del horario es inválida');
+    }
+    // Valida el horario semanal: solo se permiten los días definidos en DIAS_SEMANA
+    const semana = horario.semana || {};
+    if (typeof semana !== 'object' || Array.isArray(semana)) {
+        throw new Error('horario.semana debe ser un objeto con los días de la semana');
+    }
+    for (const [dia, rangos] of Object.entries(semana)) {
+        if (!DIAS_SEMANA.includes(dia)) {
+            throw new Error(`Día inválido en el horario: ${dia}`);
+        }
+        validarRangosHorario(rangos, `horario.semana.${dia}`);
+    }
+    // Valida los cierres especiales (festivos, vacaciones, horarios reducidos)
+    const cierres = horario.cierresEspeciales || [];
+    if (!Array.isArray(cierres)) {
+        throw new Error('horario.cierresEspeciales debe ser un array');
+    }
+    for (const cierre of cierres) {
+        // Cada cierre necesita al menos la fecha de inicio en formato YYYY-MM-DD
+        if (!cierre || !REGEX_FECHA.test(cierre.desde || '') || isNaN(Date.parse(cierre.desde))) {
+            throw new Error('Cada cierre especial debe tener una fecha "desde" con formato YYYY-MM-DD');
+        }
+        // La fecha final es opcional (un solo día), pero no puede ser anterior al inicio
+        if (cierre.hasta !== undefined && (!REGEX_FECHA.test(cierre.hasta) || isNaN(Date.parse(cierre.hasta)) || cierre.hasta < cierre.desde)) {
+            throw new Error('La fecha "hasta" de un cierre especial debe tener formato YYYY-MM-DD y no ser anterior a "desde"');
+        }
+        if (cierre.motivo !== undefined && typeof cierre.motivo !== 'string') {
+            throw new Error('El motivo de un cierre especial debe ser un texto');
+        }
+        // Los rangos especiales son opcionales; sin rangos el restaurante está cerrado todo el día
+        if (cierre.rangos !== undefined) {
+            validarRangosHorario(cierre.rangos, `horario.cierresEspeciales (${cierre.desde})`);
+        }
+    }
+    return true;
+}
+
+/**
+ * Normaliza el horario de un restaurante al formato que se guarda en MongoDB
+ * @param {object|null} horario - Horario validado con validarHorario
+ * @returns {object|null} - Horario con todos los días y cierres ordenados, o null
+ */
+// Función que completa el horario: zona horaria por defecto, los siete días (vacíos = cerrado)
+// y cierres especiales ordenados por fecha con "hasta" explícito
+export function normalizarHorario(horario) {
+    // Sin horario, el restaurante no tiene horario definido (estado de apertura desconocido)
+    if (!horario) {
+        return null;
+    }
+    const semana = horario.semana || {};
+    return {
+        zonaHoraria: horario.zonaHoraria || ZONA_HORARIA_DEFECTO,
+        // Construye el objeto con los siete días, ordenando los rangos por hora de apertura
+        semana: Object.fromEntries(DIAS_SEMANA.map((dia) => [
+            dia,
+            (semana[dia] || [])
+                .map(({ apertura, cierre }) => ({ apertura, cierre }))
+                .sort((a, b) => horaAMinutos(a.apertura) - horaAMinutos(b.apertura))
+        ])),
+        // Ordena los cierres especiales por fecha de inicio
+        cierresEspeciales: (horario.cierresEspeciales || [])
+            .map((cierre) => ({
+                desde: cierre.desde,
+                hasta: cierre.hasta || cierre.desde,
+                motivo: cierre.motivo || null,
+                rangos: (cierre.rangos || []).map(({ apertura, cierre: fin }) => ({ apertura, cierre: fin }))
+            }))
+            .sort((a, b) => a.desde.localeCompare(b.desde))
+    };
+}
+
 /**
  * Valida un email
  * @param {string} email - Email a validar
@@ -204,3 +531,303 @@ export function esEmailValido(email) {
     return regex.test(email);
 }
 
+
+/**
+ * Convierte el nivel de precio recibido en la query string a su número (1-4)
+ * @param {string} nivelPrecio - Nivel como número ('1'-'4') o como símbolo ('$'-'$$$$')
+ * @returns {number|undefined} - Nivel de 1 a 4, o undefined si no se indicó
+ */
+// Función que permite filtrar por nivel de precio con el número guardado o con su símbolo
+// El valor ya llega validado por la ruta
+export function convertirNivelPrecio(nivelPrecio) {
+    if (nivelPrecio === undefined || nivelPrecio === '') {
+        return undefined;
+    }
+    // Un símbolo se convierte a su posición (el índice + 1 es el nivel)
+    const indiceSimbolo = SIMBOLOS_NIVEL_PRECIO.indexOf(nivelPrecio);
+    return indiceSimbolo >= 0 ? indiceSimbolo + 1 : parseInt(nivelPrecio, 10);
+}
+
+/**
+ * Convierte un parámetro de lista de la query string en un array
+ * @param {string|Array} valor - Lista separada por comas (?a=x,y) o parámetro repetido (?a=x&a=y)
+ * @returns {Array<string>} - Valores sin espacios, en minúsculas y sin repetir
+ */
+// Función usada por los filtros de listas, como los atributos de los restaurantes
+export function convertirListaQuery(valor) {
+    if (valor === undefined || valor === null) {
+        return [];
+    }
+    const valores = [].concat(valor)
+        .flatMap((v) => String(v).split(','))
+        .map((v) => v.trim().toLowerCase())
+        .filter((v) => v !== '');
+    return [...new Set(valores)];
+}
+
+/**
+ * Valida la información alimentaria de un plato
+ * @param {object} datos - { alergenos, dietas, nivelPicante, nutricion } (los campos ausentes no se validan)
+ * @returns {boolean} - True si es válida
+ * @throws {Error} - Si algún campo no tiene un formato válido
+ */
+// Función que valida los campos alimentarios al crear o editar un plato (también los platos de POST /restaurantes)
+// alergenos y dietas: arrays de claves de ALERGENOS y DIETAS; null en alergenos significa "sin declarar"
+// nivelPicante: entero de NIVEL_PICANTE.MIN a NIVEL_PICANTE.MAX o null
+// nutricion: objeto con campos de CAMPOS_NUTRICION (números mayores o iguales a 0) o null
+// Que las dietas no contradigan los alérgenos lo verifica el modelo, que conoce los valores guardados
+export function validarInformacionAlimentaria(datos) {
+    const { alergenos, dietas, nivelPicante, nutricion } = datos;
+    // Cada lista debe contener solo claves de su vocabulario
+    const listas = [
+        ['alergenos', alergenos, ALERGENOS],
+        ['dietas', dietas, DIETAS]
+    ];
+    for (const [campo, valores, vocabulario] of listas) {
+        if (valores === undefined || valores === null) {
+            continue;
+        }
+        if (!Array.isArray(valores)) {
+            throw new Error(`${campo} debe ser un array`);
+        }
+        const invalidos = valores.filter((valor) => !vocabulario.includes(valor));
+        if (invalidos.length > 0) {
+            throw new Error(`Valores de ${campo} inválidos: ${invalidos.join(', ')}. Valores permitidos: ${vocabulario.join(', ')}`);
+        }
+    }
+    if (nivelPicante !== undefined && nivelPicante !== null) {
+        if (!Number.isInteger(nivelPicante) || nivelPicante < NIVEL_PICANTE.MIN || nivelPicante > NIVEL_PICANTE.MAX) {
+            throw new Error(`nivelPicante debe ser un entero entre ${NIVEL_PICANTE.MIN} y ${NIVEL_PICANTE.MAX}`);
+        }
+    }
+    if (nutricion !== undefined && nutricion !== null) {
+        if (typeof nutricion !== 'object' || Array.isArray(nutricion)) {
+            throw new Error('nutricion debe ser un objeto');
+        }
+        for (const [campo, valor] of Object.entries(nutricion)) {
+            if (!CAMPOS_NUTRICION.includes(campo)) {
+                throw new Error(`Campo de nutricion inválido: ${campo}. Campos permitidos: ${CAMPOS_NUTRICION.join(', ')}`);
+            }
+            if (typeof valor !== 'number' || !Number.isFinite(valor) || valor < 0) {
+                throw new Error(`nutricion.${campo} debe ser un número mayor o igual a 0`);
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Convierte la query string en los filtros alimentarios de un listado de platos
+ * @param {object} consulta - req.query (ya validado por la ruta)
+ * @returns {object} - { dietas, sinAlergenos, picanteMax, caloriasMax }
+ */
+// Función usada por los listados de platos (carta de un restaurante y ranking de platos)
+// dietas: el plato debe tenerlas todas; sinAlergenos: el plato no debe declarar ninguno
+export function extraerFiltrosAlimentarios(consulta) {
+    const { dietas, sinAlergenos, picanteMax, caloriasMax } = consulta;
+    return {
+        dietas: convertirListaQuery(dietas),
+        sinAlergenos: convertirListaQuery(sinAlergenos),
+        picanteMax: picanteMax !== undefined ? parseInt(picanteMax, 10) : undefined,
+        caloriasMax: caloriasMax !== undefined ? parseFloat(caloriasMax) : undefined
+    };
+}
+
+/**
+ * Codifica la posición de un documento en un listado como cursor opaco
+ * @param {object} documento - Último documento de la página
+ * @param {string} ordenarPor - Campo por el que se ordena el listado
+ * @param {string} orden - Dirección del ordenamiento ('asc' o 'desc')
+ * @returns {string} - Cursor en base64url
+ */
+// El cursor guarda el valor del campo de orden y el _id (desempate) del último documento entregado
+// También guarda el ordenamiento para rechazar cursores usados con otro orden
+export function codificarCursor(documento, ordenarPor, orden) {
+    const valor = documento[ordenarPor] ?? null;
+    const contenido = {
+        o: `${ordenarPor}:${orden}`,
+        // Las fechas se marcan para reconstruirlas al decodificar (JSON las convierte en texto)
+        v: valor instanceof Date ? valor.toISOString() : valor,
+        f: valor instanceof Date,
+        id: documento._id.toString()
+    };
+    return Buffer.from(JSON.stringify(contenido)).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor generado por codificarCursor
+ * @param {string} cursor - Cursor recibido en la query string
+ * @returns {object} - { ordenamiento, valor, id }
+ * @throws {Error} - Si el cursor no tiene el formato esperado
+ */
+// Función usada por las rutas (validación) y por los modelos (filtro de la siguiente página)
+// El cursor llega del cliente y su valor termina en la consulta: solo se aceptan valores simples
+// (texto, número, booleano, null o una fecha ISO) para que no pueda inyectar operadores como { $ne: null }
+export function decodificarCursor(cursor) {
+    let contenido;
+    try {
+        contenido = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Cursor inválido');
+    }
+    // El _id debe ser un ObjectId de 24 caracteres hexadecimales (isValid también acepta 12 caracteres cualquiera)
+    if (!contenido || typeof contenido !== 'object' || typeof contenido.o !== 'string'
+        || typeof contenido.id !== 'string' || !/^[0-9a-f]{24}$/i.test(contenido.id)) {
+        throw new Error('Cursor inválido');
+    }
+    if (contenido.f) {
+        // Las fechas se guardan como texto ISO 8601
+        const fecha = typeof contenido.v === 'string' ? new Date(contenido.v) : null;
+        if (!fecha || isNaN(fecha.getTime()) || fecha.toISOString() !== contenido.v) {
+            throw new Error('Cursor inválido');
+        }
+        return { ordenamiento: contenido.o, valor: fecha, id: new ObjectId(contenido.id) };
+    }
+    const valor = contenido.v === undefined ? null : contenido.v;
+    const esValorSimple = valor === null || typeof valor === 'string' || typeof valor === 'boolean'
+        || (typeof valor === 'number' && Number.isFinite(valor));
+    if (!esValorSimple) {
+        throw new Error('Cursor inválido');
+    }
+    return { ordenamiento: contenido.o, valor, id: new ObjectId(contenido.id) };
+}
+
+/**
+ * Construye la condición que selecciona los documentos posteriores a un cursor
+ * @param {string} cursor - Cursor recibido (opcional)
+ * @param {string} ordenarPor - Campo por el que se ordena el listado
+ * @param {string} orden - Dirección del ordenamiento ('asc' o 'desc')
+ * @returns {object} - Condición para $match/find ({} si no hay cursor)
+ * @throws {Error} - Si el cursor es inválido o se generó con otro ordenamiento
+ */
+// Paginación por cursor (keyset): en lugar de saltar N documentos, continúa desde el último entregado
+// El listado debe ordenarse por { [ordenarPor]: dirección, _id: dirección } para que el desempate sea estable
+// MongoDB ordena los valores nulos (o ausentes) antes que cualquier otro valor, así que se tratan aparte
+export function construirFiltroCursor(cursor, ordenarPor, orden) {
+    if (!cursor) {
+        return {};
+    }
+    const { ordenamiento, valor, id } = decodificarCursor(cursor);
+    if (ordenamiento !== `${ordenarPor}:${orden}`) {
+        throw new Error('Cursor inválido para este ordenamiento');
+    }
+    const operador = orden === 'desc' ? '$lt' : '$gt';
+    // Documentos con el mismo valor y un _id posterior
+    const mismoValor = { [ordenarPor]: valor, _id: { [operador]: id } };
+    if (valor === null) {
+        // En ascendente siguen los que tienen valor; en descendente solo quedan nulos
+        return orden === 'desc'
+            ? mismoValor
+            : { $or: [{ [ordenarPor]: { $ne: null } }, mismoValor] };
+    }
+    const condiciones = [{ [ordenarPor]: { [operador]: valor } }, mismoValor];
+    // En descendente los nulos van al final
+    if (orden === 'desc') {
+        condiciones.push({ [ordenarPor]: null });
+    }
+    return { $or: condiciones };
+}
+
+/**
+ * Separa la página pedida del documento extra consultado para saber si hay más resultados
+ * @param {Array} documentos - Resultados consultados con límite + 1
+ * @param {number} limite - Tamaño de la página
+ * @param {string} ordenarPor - Campo por el que se ordena el listado
+ * @param {string} orden - Dirección del ordenamiento ('asc' o 'desc')
+ * @returns {object} - { pagina, hasMore, nextCursor }
+ */
+// Los modelos consultan un documento más que el límite: si llega, hay una página siguiente
+export function separarPagina(documentos, limite, ordenarPor, orden) {
+    const hasMore = documentos.length > limite;
+    const pagina = hasMore ? documentos.slice(0, limite) : documentos;
+    return {
+        pagina,
+        hasMore,
+        nextCursor: hasMore ? codificarCursor(pagina[pagina.length - 1], ordenarPor, orden) : null
+    };
+}
+
+/**
+ * Construye los metadatos de paginación de un listado
+ * @param {object} datos - { limite, saltar, cursor, total, hasMore, nextCursor }
+ * @returns {object} - { pagination: { page, limit, total, totalPages, hasMore, nextCursor } }
+ */
+// Todos los listados paginados responden con esta misma forma (se pasa como metadata a responderExito)
+// Con cursor no se conoce el número de página, así que page es null
+// total es null cuando no se puede contar sin recorrer todo el listado (filtro de horario)
+export function construirPaginacion({ limite, saltar = 0, cursor, total = null, hasMore, nextCursor = null }) {
+    return {
+        pagination: {
+            page: cursor ? null : Math.floor(saltar / limite) + 1,  // Página actual
+            limit: limite,  // Límite de resultados por página
+            total,  // Total de resultados
+            totalPages: total === null ? null : Math.ceil(total / limite),  // Total de páginas
+            hasMore,  // Si hay más resultados después de esta página
+            nextCursor  // Cursor para pedir la siguiente página (null si no hay más)
+        }
+    };
+}
+
+/**
+ * Elige el idioma de la respuesta
+ * @param {string} lang - Parámetro lang de la query string (tiene prioridad)
+ * @param {string} acceptLanguage - Header Accept-Language (ej: "en-US,en;q=0.9,es;q=0.8")
+ * @returns {string} - Idioma de IDIOMAS.SOPORTADOS, o IDIOMAS.ORIGINAL si ninguno coincide
+ */
+// Solo se compara el idioma principal de cada etiqueta (en-US -> en), en el orden de preferencia (q) del cliente
+export function elegirIdioma(lang, acceptLanguage) {
+    const candidatos = [];
+    if (typeof lang === 'string') {
+        candidatos.push(lang);
+    }
+    if (typeof acceptLanguage === 'string') {
+        const preferencias = acceptLanguage.split(',')
+            .map((parte) => {
+                const [etiqueta, ...parametros] = parte.trim().split(';');
+                const q = parametros.map((p) => p.trim()).find((p) => p.startsWith('q='));
+                return { etiqueta, q: q ? parseFloat(q.slice(2)) : 1 };
+            })
+            .filter(({ etiqueta, q }) => etiqueta && etiqueta !== '*' && q > 0)
+            .sort((a, b) => b.q - a.q);  // sort es estable: a igual q se respeta el orden del header
+        candidatos.push(...preferencias.map(({ etiqueta }) => etiqueta));
+    }
+    const idioma = candidatos
+        .map((etiqueta) => etiqueta.split('-')[0].toLowerCase())
+        .find((principal) => IDIOMAS.SOPORTADOS.includes(principal));
+    return idioma || IDIOMAS.ORIGINAL;
+}
+
+/**
+ * Traduce el contenido de una respuesta al idioma indicado
+ * @param {any} valor - Datos de la respuesta (documento, lista o estructura anidada)
+ * @param {string} idioma - Idioma elegido con elegirIdioma
+ * @returns {any} - Copia con nombre y descripcion traducidos donde haya traducción
+ */
+// Recorre objetos y arrays: cada documento con traducciones.<idioma> toma esos valores en CAMPOS_TRADUCIBLES
+// Los campos sin traducción conservan el original; traducciones se mantiene para los editores de contenido
+// No modifica los documentos recibidos (pueden venir de una caché o usarse después de responder)
+export function traducirContenido(valor, idioma) {
+    if (idioma === IDIOMAS.ORIGINAL || valor === null || typeof valor !== 'object') {
+        return valor;
+    }
+    if (Array.isArray(valor)) {
+        return valor.map((elemento) => traducirContenido(elemento, idioma));
+    }
+    // Solo se recorren objetos planos (no ObjectId, Date, Buffer...)
+    if (Object.getPrototypeOf(valor) !== Object.prototype) {
+        return valor;
+    }
+    const copia = {};
+    for (const [clave, contenido] of Object.entries(valor)) {
+        copia[clave] = clave === 'traducciones' ? contenido : traducirContenido(contenido, idioma);
+    }
+    const traduccion = valor.traducciones?.[idioma];
+    if (traduccion) {
+        for (const campo of CAMPOS_TRADUCIBLES) {
+            if (traduccion[campo]) {
+                copia[campo] = traduccion[campo];
+            }
+        }
+    }
+    return copia;
+}